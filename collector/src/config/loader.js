@@ -189,6 +189,8 @@ class ConfigLoader {
    * - API_PORT: HTTP server port number
    * - LOG_LEVEL: Logging verbosity (DEBUG, INFO, WARN, ERROR)
    * - POSTMAN_RATE_LIMIT: API requests per minute limit
+   * - POSTMAN_FIXTURE_MODE: Record/replay mode for Postman responses (off, record, replay)
+   * - POSTMAN_FIXTURE_PATH: Fixture archive file location
    * 
    * Type conversion handling:
    * - String values: Used directly (schedule, database path, log level)
@@ -230,6 +232,14 @@ class ConfigLoader {
     if (process.env.POSTMAN_RATE_LIMIT) {
       config.postman.rate_limit.requests_per_minute = parseInt(process.env.POSTMAN_RATE_LIMIT, 10);
     }
+    
+    if (process.env.POSTMAN_FIXTURE_MODE) {
+      config.postman.fixtures = { ...config.postman.fixtures, mode: process.env.POSTMAN_FIXTURE_MODE };
+    }
+    
+    if (process.env.POSTMAN_FIXTURE_PATH) {
+      config.postman.fixtures = { ...config.postman.fixtures, path: process.env.POSTMAN_FIXTURE_PATH };
+    }
   }
 }
 
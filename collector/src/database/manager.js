@@ -9,6 +9,8 @@
 const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
 
 /**
  * Database Manager Class
@@ -23,14 +25,27 @@ const path = require('path');
  * Database schema includes:
  * - governance_metrics: Time series governance scores and organizational data
  * - governance_violations: Compliance violations with workspace mapping
+ * - violation_lifecycle: One row per violation fingerprint (open, reopened or resolved)
+ * - governance_waivers: Time-bound exemptions of entities from governance rules
  * - workspace_admins: Administrator contact information for violations
  * - collection_metadata: Collection-level governance and organizational data
+ * - collection_fingerprints: Incremental collection state (updatedAt, content hash, analysis)
+ * - collection_runs: History of collection cycles (trigger, timing, request and failure counts)
+ * - audit_events: Postman team audit log events (who created, deleted, shared or published what)
+ * - monitor_reliability: Per-monitor run statistics for each collection cycle
+ * - spec_drift: Per-API drift between schema and linked collections for each collection cycle
+ * - rule_plugin_runs: Per-plugin status and metric contributions for each collection cycle
  * - system_metadata: Application configuration and runtime metadata
  * 
+ * Metrics, violations, admins and collection metadata carry a `team` column
+ * naming the Postman team (API key source) they were collected from.
+ * 
  * Dependencies:
  * - sqlite3: SQLite database engine with Node.js bindings
  * - fs: File system operations for database directory management
  * - path: Path manipulation for database file location
+ * - zlib: Compression of stored collection documents
+ * - crypto: Violation fingerprints
  * 
  * Called by: GovernanceCollectorApp for all data persistence operations
  * Calls into: SQLite database engine, file system
@@ -52,6 +67,8 @@ class DatabaseManager {
    * - config.path: Database file path
    * - config.pragma_settings: SQLite PRAGMA configuration
    * - config.wal_mode: Write-Ahead Logging mode setting
+   * - config.violation_history_days: Days of per-cycle violation rows to keep
+   *   (default 90, 0 keeps all)
    * 
    * @complexity O(1) - Simple instance variable initialization
    */
@@ -80,7 +97,8 @@ class DatabaseManager {
    * 2. Establish SQLite database connection
    * 3. Configure SQLite PRAGMA settings (WAL mode, cache, etc.)
    * 4. Initialize database schema with tables and indexes
-   * 5. Log successful initialization
+   * 5. Migrate tables created by earlier versions (team dimension)
+   * 6. Log successful initialization
    * 
    * Dependencies:
    * - path.dirname(): Extract directory from database path
@@ -89,9 +107,10 @@ class DatabaseManager {
    * - sqlite3.Database(): Create database connection
    * - configureSQLite(): Apply SQLite performance settings
    * - initializeSchema(): Create tables and indexes
+   * - migrateSchema(): Add columns introduced after the initial schema
    * 
    * Called by: GovernanceCollectorApp.initialize()
-   * Calls into: configureSQLite(), initializeSchema()
+   * Calls into: configureSQLite(), initializeSchema(), migrateSchema()
    * 
    * @complexity O(1) - Linear initialization operations
    * @returns {Promise<void>} Resolves when database is ready for operations
@@ -117,6 +136,7 @@ class DatabaseManager {
       
       // Initialize schema
       await this.initializeSchema();
+      await this.migrateSchema();
       
       this.logger.info('Database initialized successfully', {
         path: this.config.path,
@@ -209,24 +229,68 @@ class DatabaseManager {
    * **governance_metrics table:**
    * - Time series storage for governance scores and organizational metrics
    * - Includes overall, documentation, testing, monitoring, organization scores
+   * - One row per team per collection cycle (team column)
    * - Organizational insights (workspaces, collections, users, forks, etc.)
    * - JSON storage for raw metrics data
    * 
    * **governance_violations table:**
    * - Compliance violations with severity levels and workspace mapping
    * - Links violations to specific entities (collections, users, etc.)
-   * - Administrator contact information for remediation
+   * - Administrator contact information and remediation text (declarative rules)
+   * - Severity assigned by the severity policy and the reason for it
+   * - waiver_id of the waiver exempting the violation (NULL when not waived)
+   * - One row per violation per collection cycle (history)
+   * 
+   * **violation_lifecycle table:**
+   * - One row per violation fingerprint (rule and entity) per team
+   * - Status (open, reopened, resolved), first_seen, opened_at, last_seen,
+   *   resolved_at and reopen count, reconciled every collection cycle
+   * - Latest severity, description and workspace of the violation
+   * - waiver_id of the waiver exempting it in the latest cycle (NULL when not waived)
+   * 
+   * **governance_waivers table:**
+   * - One row per waiver: team (NULL for every team), rule, entity pattern,
+   *   justification, approver and expiry (ISO timestamps)
+   * - Who created, last updated and revoked it, and when
    * 
    * **workspace_admins table:**
    * - Administrator contact directory for violation notifications
-   * - Unique constraint on workspace_id + admin_user_id
+   * - Unique constraint on team + workspace_id + admin_user_id
    * 
    * **collection_metadata table:**
    * - Collection-level governance and organizational data
    * - Specification status, endpoint counts, testing coverage
+   * - Mock coverage (mock servers and public mock servers per collection)
+   * 
+   * **collection_fingerprints table:**
+   * - One row per collection for incremental collection, keyed by (team, collection_id)
+   * - Postman updatedAt, content hash, endpoint analysis and gzipped collection document
+   * 
+   * **collection_runs table:**
+   * - One row per collection cycle keyed by job id
+   * - Trigger, status, timing, request/4xx/5xx/retry counts, entities fetched
+   *   and per-entity failures (JSON)
+   * 
+   * **audit_events table:**
+   * - One row per Postman audit log event, keyed by (team, id)
+   * - Action, actor (id, name, username, email), IP, user agent and raw event data (JSON)
+   * 
+   * **monitor_reliability table:**
+   * - One row per monitor with collected runs per collection cycle
+   * - Run counts, success ratio, assertions, average response time and last run
+   * 
+   * **spec_drift table:**
+   * - One row per compared API per collection cycle
+   * - Endpoint counts, drift percentage and the drift findings (JSON)
+   * 
+   * **rule_plugin_runs table:**
+   * - One row per rule plugin per collection cycle
+   * - Status (ok, failed, timeout), duration, violation count, error and
+   *   metric contributions (JSON)
    * 
    * **system_metadata table:**
    * - Key-value storage for application configuration and runtime data
+   * - Holds the per-team audit event high-water mark
    * 
    * **Performance indexes:**
    * - Timestamp indexes for time series queries
@@ -248,6 +312,7 @@ class DatabaseManager {
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
         collection_id TEXT NOT NULL,
+        team TEXT NOT NULL DEFAULT 'default',
         
         -- Overall scores
         overall_score REAL NOT NULL,
@@ -255,6 +320,8 @@ class DatabaseManager {
         testing_score REAL NOT NULL,
         monitoring_score REAL NOT NULL,
         organization_score REAL NOT NULL,
+        security_score REAL,
+        spec_lint_score REAL,
         
         -- Detailed metrics
         total_workspaces INTEGER NOT NULL,
@@ -288,14 +355,61 @@ class DatabaseManager {
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
         collection_id TEXT NOT NULL,
+        team TEXT NOT NULL DEFAULT 'default',
+        violation_type TEXT NOT NULL,
+        entity_id TEXT NOT NULL,
+        entity_name TEXT NOT NULL,
+        entity_location TEXT,
+        workspace_id TEXT,
+        workspace_name TEXT,
+        severity TEXT NOT NULL,
+        description TEXT NOT NULL,
+        workspace_admin_email TEXT,
+        remediation TEXT,
+        severity_reason TEXT,
+        waiver_id INTEGER
+      );
+      
+      -- Violation lifecycle table
+      CREATE TABLE IF NOT EXISTS violation_lifecycle (
+        team TEXT NOT NULL DEFAULT 'default',
+        fingerprint TEXT NOT NULL,
         violation_type TEXT NOT NULL,
         entity_id TEXT NOT NULL,
         entity_name TEXT NOT NULL,
+        entity_location TEXT,
         workspace_id TEXT,
         workspace_name TEXT,
         severity TEXT NOT NULL,
         description TEXT NOT NULL,
-        workspace_admin_email TEXT
+        severity_reason TEXT,
+        workspace_admin_email TEXT,
+        remediation TEXT,
+        status TEXT NOT NULL,
+        first_seen DATETIME NOT NULL,
+        opened_at DATETIME NOT NULL,
+        last_seen DATETIME NOT NULL,
+        resolved_at DATETIME,
+        reopen_count INTEGER NOT NULL DEFAULT 0,
+        waiver_id INTEGER,
+        PRIMARY KEY (team, fingerprint)
+      );
+      
+      -- Governance waivers table
+      CREATE TABLE IF NOT EXISTS governance_waivers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        team TEXT,
+        rule TEXT NOT NULL,
+        entity_pattern TEXT NOT NULL,
+        justification TEXT NOT NULL,
+        approver TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        created_by TEXT,
+        updated_at TEXT,
+        updated_by TEXT,
+        revoked_at TEXT,
+        revoked_by TEXT
       );
       
       -- Workspace administrators table
@@ -307,7 +421,8 @@ class DatabaseManager {
         admin_user_id TEXT NOT NULL,
         admin_email TEXT NOT NULL,
         admin_name TEXT NOT NULL,
-        UNIQUE(workspace_id, admin_user_id)
+        team TEXT NOT NULL DEFAULT 'default',
+        UNIQUE(team, workspace_id, admin_user_id)
       );
       
       -- Collection metadata table
@@ -322,7 +437,113 @@ class DatabaseManager {
         endpoint_count INTEGER NOT NULL,
         documented_endpoints INTEGER NOT NULL,
         tested_endpoints INTEGER NOT NULL,
-        fork_count INTEGER NOT NULL
+        fork_count INTEGER NOT NULL,
+        team TEXT NOT NULL DEFAULT 'default',
+        mock_count INTEGER NOT NULL DEFAULT 0,
+        public_mock_count INTEGER NOT NULL DEFAULT 0
+      );
+      
+      -- Collection fingerprints table (incremental collection)
+      CREATE TABLE IF NOT EXISTS collection_fingerprints (
+        team TEXT NOT NULL DEFAULT 'default',
+        collection_id TEXT NOT NULL,
+        updated_at TEXT,
+        content_hash TEXT NOT NULL,
+        analysis TEXT,
+        content BLOB,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (team, collection_id)
+      );
+      
+      -- Collection runs table (one row per collection cycle)
+      CREATE TABLE IF NOT EXISTS collection_runs (
+        id TEXT PRIMARY KEY,
+        trigger TEXT NOT NULL,
+        status TEXT NOT NULL,
+        started_at DATETIME NOT NULL,
+        finished_at DATETIME,
+        duration_ms INTEGER,
+        teams TEXT,
+        api_requests INTEGER NOT NULL DEFAULT 0,
+        client_errors INTEGER NOT NULL DEFAULT 0,
+        server_errors INTEGER NOT NULL DEFAULT 0,
+        retries INTEGER NOT NULL DEFAULT 0,
+        entities_fetched TEXT,
+        entity_failures INTEGER NOT NULL DEFAULT 0,
+        failures TEXT,
+        errors TEXT
+      );
+      
+      -- Audit events table (Postman team audit logs)
+      CREATE TABLE IF NOT EXISTS audit_events (
+        id TEXT NOT NULL,
+        team TEXT NOT NULL DEFAULT 'default',
+        timestamp DATETIME NOT NULL,
+        action TEXT NOT NULL,
+        actor_id TEXT,
+        actor_name TEXT,
+        actor_username TEXT,
+        actor_email TEXT,
+        ip TEXT,
+        user_agent TEXT,
+        message TEXT,
+        data TEXT,
+        PRIMARY KEY (team, id)
+      );
+      
+      -- Monitor reliability table (per-monitor run statistics per collection cycle)
+      CREATE TABLE IF NOT EXISTS monitor_reliability (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        collection_id TEXT NOT NULL,
+        team TEXT NOT NULL DEFAULT 'default',
+        monitor_id TEXT NOT NULL,
+        monitor_name TEXT,
+        collection_uid TEXT,
+        runs INTEGER NOT NULL DEFAULT 0,
+        successful_runs INTEGER NOT NULL DEFAULT 0,
+        failed_runs INTEGER NOT NULL DEFAULT 0,
+        success_ratio REAL,
+        failed_assertions INTEGER NOT NULL DEFAULT 0,
+        total_assertions INTEGER NOT NULL DEFAULT 0,
+        avg_response_time_ms REAL,
+        last_run_at DATETIME,
+        last_run_status TEXT,
+        classification TEXT
+      );
+      
+      -- Spec drift table (per-API schema vs. collection drift per collection cycle)
+      CREATE TABLE IF NOT EXISTS spec_drift (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        collection_id TEXT NOT NULL,
+        team TEXT NOT NULL DEFAULT 'default',
+        api_id TEXT NOT NULL,
+        api_name TEXT,
+        collection_uids TEXT,
+        spec_endpoints INTEGER NOT NULL DEFAULT 0,
+        collection_requests INTEGER NOT NULL DEFAULT 0,
+        matched_endpoints INTEGER NOT NULL DEFAULT 0,
+        missing_in_collection INTEGER NOT NULL DEFAULT 0,
+        missing_in_spec INTEGER NOT NULL DEFAULT 0,
+        parameter_mismatches INTEGER NOT NULL DEFAULT 0,
+        drift_percentage REAL NOT NULL DEFAULT 0,
+        details TEXT
+      );
+      
+      -- Rule plugin runs table (per-plugin outcome per collection cycle)
+      CREATE TABLE IF NOT EXISTS rule_plugin_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        collection_id TEXT NOT NULL,
+        team TEXT NOT NULL DEFAULT 'default',
+        plugin_id TEXT NOT NULL,
+        file TEXT,
+        status TEXT NOT NULL,
+        duration_ms INTEGER NOT NULL DEFAULT 0,
+        violations INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        metrics TEXT
       );
       
       -- System metadata table
@@ -340,6 +561,8 @@ class DatabaseManager {
       CREATE INDEX IF NOT EXISTS idx_violations_collection_id ON governance_violations(collection_id);
       CREATE INDEX IF NOT EXISTS idx_violations_type ON governance_violations(violation_type);
       CREATE INDEX IF NOT EXISTS idx_violations_severity ON governance_violations(severity);
+      CREATE INDEX IF NOT EXISTS idx_lifecycle_status ON violation_lifecycle(team, status);
+      CREATE INDEX IF NOT EXISTS idx_waivers_expires_at ON governance_waivers(expires_at);
       
       CREATE INDEX IF NOT EXISTS idx_admins_workspace_id ON workspace_admins(workspace_id);
       CREATE INDEX IF NOT EXISTS idx_admins_email ON workspace_admins(admin_email);
@@ -347,6 +570,21 @@ class DatabaseManager {
       CREATE INDEX IF NOT EXISTS idx_collections_collection_id ON collection_metadata(collection_id);
       CREATE INDEX IF NOT EXISTS idx_collections_workspace_id ON collection_metadata(workspace_id);
       CREATE INDEX IF NOT EXISTS idx_collections_timestamp ON collection_metadata(timestamp);
+      
+      CREATE INDEX IF NOT EXISTS idx_runs_started_at ON collection_runs(started_at);
+      
+      CREATE INDEX IF NOT EXISTS idx_audit_timestamp ON audit_events(timestamp);
+      CREATE INDEX IF NOT EXISTS idx_audit_action ON audit_events(action);
+      CREATE INDEX IF NOT EXISTS idx_audit_actor_id ON audit_events(actor_id);
+      
+      CREATE INDEX IF NOT EXISTS idx_monitor_reliability_collection_id ON monitor_reliability(collection_id);
+      CREATE INDEX IF NOT EXISTS idx_monitor_reliability_team ON monitor_reliability(team);
+      
+      CREATE INDEX IF NOT EXISTS idx_spec_drift_collection_id ON spec_drift(collection_id);
+      CREATE INDEX IF NOT EXISTS idx_spec_drift_team ON spec_drift(team);
+      
+      CREATE INDEX IF NOT EXISTS idx_rule_plugin_runs_collection_id ON rule_plugin_runs(collection_id);
+      CREATE INDEX IF NOT EXISTS idx_rule_plugin_runs_team ON rule_plugin_runs(team);
     `;
     
     return new Promise((resolve, reject) => {
@@ -360,6 +598,254 @@ class DatabaseManager {
     });
   }
   
+  /**
+   * Bring tables created by earlier versions up to the current schema
+   * 
+   * CREATE TABLE IF NOT EXISTS leaves existing tables untouched, so columns added
+   * after the initial release are added here when missing. Existing rows are
+   * assigned to the 'default' team.
+   * 
+   * @async
+   * @method migrateSchema
+   * @private
+   * @throws {Error} When a migration statement fails
+   * 
+   * Migrations:
+   * - team column on governance_metrics, governance_violations, workspace_admins
+   *   and collection_metadata, plus team indexes and the governance_violations
+   *   entity index (team, type, entity id, location) that replaces the one
+   *   without the location
+   * - security_score column on governance_metrics (NULL for rows stored before
+   *   the security dimension existed, so averages ignore them)
+   * - spec_lint_score column on governance_metrics (NULL for earlier rows, likewise)
+   * - mock_count and public_mock_count columns on collection_metadata (0 for
+   *   rows stored before mock coverage was tracked)
+   * - remediation and severity_reason columns on governance_violations (NULL
+   *   for earlier rows)
+   * - waiver_id column on governance_violations and violation_lifecycle (NULL
+   *   for earlier rows)
+   * - entity_location column on governance_violations (NULL for earlier rows)
+   *   and violation_lifecycle; lifecycle rows tracked before it existed were
+   *   fingerprinted by entity name and are rebuilt by the backfill below
+   * - workspace_admin_email and remediation columns on violation_lifecycle,
+   *   filled from each violation's latest governance_violations row
+   * - team column on collection_fingerprints, which is part of its primary key,
+   *   so the table is rebuilt with existing rows assigned to 'default'
+   * - team in the workspace_admins unique key, so the table is rebuilt (with
+   *   its indexes) when the key is (workspace_id, admin_user_id) only
+   * - violation_lifecycle rows backfilled from stored violation history when
+   *   the table is empty: violations of each team's latest cycle are open,
+   *   the others resolved with resolved_at set to their last_seen. Rows stored
+   *   without an entity_location count as one entity-level violation
+   * 
+   * Dependencies:
+   * - all(): Read PRAGMA table_info column lists and violation history
+   * - get(): Read the latest cycle of each team
+   * - run(): Execute ALTER TABLE, CREATE INDEX and INSERT statements
+   * 
+   * Called by: initialize()
+   * 
+   * @complexity O(t) where t is the number of migrated tables
+   * @returns {Promise<void>} Resolves when the schema is current
+   */
+  async migrateSchema() {
+    const teamTables = ['governance_metrics', 'governance_violations', 'workspace_admins', 'collection_metadata'];
+    
+    for (const table of teamTables) {
+      const columns = await this.all(`PRAGMA table_info(${table})`);
+      if (!columns.some(column => column.name === 'team')) {
+        await this.run(`ALTER TABLE ${table} ADD COLUMN team TEXT NOT NULL DEFAULT 'default'`);
+        this.logger.info('Added team column', { table });
+      }
+    }
+    
+    const metricColumns = await this.all('PRAGMA table_info(governance_metrics)');
+    if (!metricColumns.some(column => column.name === 'security_score')) {
+      await this.run('ALTER TABLE governance_metrics ADD COLUMN security_score REAL');
+      this.logger.info('Added security_score column', { table: 'governance_metrics' });
+    }
+    if (!metricColumns.some(column => column.name === 'spec_lint_score')) {
+      await this.run('ALTER TABLE governance_metrics ADD COLUMN spec_lint_score REAL');
+      this.logger.info('Added spec_lint_score column', { table: 'governance_metrics' });
+    }
+    
+    const metadataColumns = await this.all('PRAGMA table_info(collection_metadata)');
+    for (const column of ['mock_count', 'public_mock_count']) {
+      if (!metadataColumns.some(existing => existing.name === column)) {
+        await this.run(`ALTER TABLE collection_metadata ADD COLUMN ${column} INTEGER NOT NULL DEFAULT 0`);
+        this.logger.info('Added mock coverage column', { table: 'collection_metadata', column });
+      }
+    }
+    
+    const violationColumns = await this.all('PRAGMA table_info(governance_violations)');
+    for (const column of ['remediation', 'severity_reason']) {
+      if (!violationColumns.some(existing => existing.name === column)) {
+        await this.run(`ALTER TABLE governance_violations ADD COLUMN ${column} TEXT`);
+        this.logger.info(`Added ${column} column`, { table: 'governance_violations' });
+      }
+    }
+    
+    for (const table of ['governance_violations', 'violation_lifecycle']) {
+      const columns = await this.all(`PRAGMA table_info(${table})`);
+      if (!columns.some(column => column.name === 'waiver_id')) {
+        await this.run(`ALTER TABLE ${table} ADD COLUMN waiver_id INTEGER`);
+        this.logger.info('Added waiver_id column', { table });
+      }
+    }
+    
+    if (!violationColumns.some(column => column.name === 'entity_location')) {
+      await this.run('ALTER TABLE governance_violations ADD COLUMN entity_location TEXT');
+      this.logger.info('Added entity_location column', { table: 'governance_violations' });
+    }
+    
+    // Lifecycle rows fingerprinted by entity name are rebuilt from history below
+    const lifecycleColumns = await this.all('PRAGMA table_info(violation_lifecycle)');
+    if (!lifecycleColumns.some(column => column.name === 'entity_location')) {
+      await this.run('ALTER TABLE violation_lifecycle ADD COLUMN entity_location TEXT');
+      await this.run('DELETE FROM violation_lifecycle');
+      this.logger.info('Added entity_location column', { table: 'violation_lifecycle' });
+    }
+    const lifecycleDetailColumns = ['workspace_admin_email', 'remediation']
+      .filter(column => !lifecycleColumns.some(existing => existing.name === column));
+    for (const column of lifecycleDetailColumns) {
+      await this.run(`ALTER TABLE violation_lifecycle ADD COLUMN ${column} TEXT`);
+      this.logger.info(`Added ${column} column`, { table: 'violation_lifecycle' });
+    }
+    if (lifecycleDetailColumns.length > 0) {
+      await this.run(`
+        UPDATE violation_lifecycle
+        SET (workspace_admin_email, remediation) = (
+          SELECT gv.workspace_admin_email, gv.remediation
+          FROM governance_violations gv
+          WHERE gv.team = violation_lifecycle.team
+            AND gv.violation_type = violation_lifecycle.violation_type
+            AND gv.entity_id = violation_lifecycle.entity_id
+            AND gv.entity_location IS violation_lifecycle.entity_location
+          ORDER BY gv.id DESC
+          LIMIT 1
+        )
+      `);
+    }
+    
+    const fingerprintColumns = await this.all('PRAGMA table_info(collection_fingerprints)');
+    if (!fingerprintColumns.some(column => column.name === 'team')) {
+      await this.run('ALTER TABLE collection_fingerprints RENAME TO collection_fingerprints_old');
+      await this.run(`
+        CREATE TABLE collection_fingerprints (
+          team TEXT NOT NULL DEFAULT 'default',
+          collection_id TEXT NOT NULL,
+          updated_at TEXT,
+          content_hash TEXT NOT NULL,
+          analysis TEXT,
+          content BLOB,
+          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (team, collection_id)
+        )
+      `);
+      await this.run(`
+        INSERT INTO collection_fingerprints (team, collection_id, updated_at, content_hash, analysis, content, timestamp)
+        SELECT 'default', collection_id, updated_at, content_hash, analysis, content, timestamp
+        FROM collection_fingerprints_old
+      `);
+      await this.run('DROP TABLE collection_fingerprints_old');
+      this.logger.info('Added team column', { table: 'collection_fingerprints' });
+    }
+    
+    let adminsKeyedByTeam = false;
+    for (const index of await this.all('PRAGMA index_list(workspace_admins)')) {
+      const columns = index.unique ? await this.all(`PRAGMA index_info("${index.name}")`) : [];
+      if (columns.some(column => column.name === 'team')) {
+        adminsKeyedByTeam = true;
+      }
+    }
+    if (!adminsKeyedByTeam) {
+      await this.run('ALTER TABLE workspace_admins RENAME TO workspace_admins_old');
+      await this.run(`
+        CREATE TABLE workspace_admins (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+          workspace_id TEXT NOT NULL,
+          workspace_name TEXT NOT NULL,
+          admin_user_id TEXT NOT NULL,
+          admin_email TEXT NOT NULL,
+          admin_name TEXT NOT NULL,
+          team TEXT NOT NULL DEFAULT 'default',
+          UNIQUE(team, workspace_id, admin_user_id)
+        )
+      `);
+      await this.run(`
+        INSERT INTO workspace_admins (id, timestamp, workspace_id, workspace_name, admin_user_id, admin_email, admin_name, team)
+        SELECT id, timestamp, workspace_id, workspace_name, admin_user_id, admin_email, admin_name, team
+        FROM workspace_admins_old
+      `);
+      await this.run('DROP TABLE workspace_admins_old');
+      await this.run('CREATE INDEX IF NOT EXISTS idx_admins_workspace_id ON workspace_admins(workspace_id)');
+      await this.run('CREATE INDEX IF NOT EXISTS idx_admins_email ON workspace_admins(admin_email)');
+      this.logger.info('Added team to unique key', { table: 'workspace_admins' });
+    }
+    
+    await this.run('CREATE INDEX IF NOT EXISTS idx_governance_team ON governance_metrics(team, timestamp)');
+    await this.run('CREATE INDEX IF NOT EXISTS idx_violations_team ON governance_violations(team)');
+    await this.run('DROP INDEX IF EXISTS idx_violations_entity');
+    await this.run(
+      'CREATE INDEX IF NOT EXISTS idx_violations_location ON governance_violations(team, violation_type, entity_id, entity_location)'
+    );
+    
+    const lifecycle = await this.get('SELECT COUNT(*) as count FROM violation_lifecycle');
+    if (lifecycle.count === 0) {
+      // Latest stored row of each violation, with its first and last occurrence
+      const history = await this.all(`
+        SELECT gv.*, occurrences.first_seen, occurrences.last_seen
+        FROM governance_violations gv
+        JOIN (
+          SELECT MAX(id) as latest_id, MIN(timestamp) as first_seen, MAX(timestamp) as last_seen
+          FROM governance_violations
+          GROUP BY team, violation_type, entity_id, entity_location
+        ) occurrences ON gv.id = occurrences.latest_id
+      `);
+      const latestCycles = new Map();
+      for (const row of history) {
+        if (!latestCycles.has(row.team)) {
+          const latest = await this.get(
+            'SELECT collection_id FROM governance_metrics WHERE team = ? ORDER BY timestamp DESC, id DESC LIMIT 1',
+            [row.team]
+          );
+          latestCycles.set(row.team, latest ? latest.collection_id : null);
+        }
+        const open = row.collection_id === latestCycles.get(row.team);
+        await this.run(`
+          INSERT OR IGNORE INTO violation_lifecycle (
+            team, fingerprint, violation_type, entity_id, entity_location, entity_name, workspace_id, workspace_name,
+            severity, description, severity_reason, workspace_admin_email, remediation,
+            status, first_seen, opened_at, last_seen, resolved_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          row.team,
+          violationFingerprint(row.violation_type, row.entity_id, row.entity_location || null),
+          row.violation_type,
+          row.entity_id,
+          row.entity_location || null,
+          row.entity_name || 'Unknown',
+          row.workspace_id,
+          row.workspace_name,
+          row.severity,
+          row.description || `${row.violation_type} violation`,
+          row.severity_reason,
+          row.workspace_admin_email,
+          row.remediation,
+          open ? 'open' : 'resolved',
+          row.first_seen,
+          row.first_seen,
+          row.last_seen,
+          open ? null : row.last_seen
+        ]);
+      }
+      if (history.length > 0) {
+        this.logger.info('Backfilled violation lifecycle', { table: 'violation_lifecycle', violations: history.length });
+      }
+    }
+  }
+  
   /**
    * Store governance metrics and violations in database transaction
    * 
@@ -371,19 +857,28 @@ class DatabaseManager {
    * @method storeMetrics
    * @param {Object} metrics - Governance metrics data from calculator
    * @param {Object} violations - Governance violations by type
+   * @param {string} [team='default'] - Postman team the data was collected from
+   * @param {Object} [options={}] - Storage options
+   * @param {Array<Object>} [options.failures=[]] - Per-entity fetch failures of the cycle
+   *   (snapshot.failures); violations of those entities are not resolved
    * @throws {Error} When transaction fails or data storage fails
    * 
    * Transaction workflow:
    * 1. Generate unique collection ID for this data collection cycle
    * 2. Begin database transaction for atomicity
    * 3. Store main governance metrics (scores, counts, etc.)
-   * 4. Store governance violations with workspace mapping
+   * 4. Store governance violations with workspace mapping, reconcile
+   *    the violation lifecycle (open, reopened, resolved) and prune violation
+   *    rows older than the history retention
    * 5. Store workspace administrator information (if available)
    * 6. Store collection metadata (if available)
-   * 7. Commit transaction or rollback on failure
+   * 7. Store collection fingerprints for incremental collection (if available)
+   * 8. Store per-monitor reliability statistics (if available)
+   * 9. Commit transaction or rollback on failure
    * 
    * Data consistency:
    * - All data for a collection cycle has the same collection_id
+   * - Every row is tagged with the team it was collected from
    * - Transaction ensures all-or-nothing storage
    * - Rollback on any failure prevents partial data
    * 
@@ -391,16 +886,25 @@ class DatabaseManager {
    * - run(): Execute SQL statements with transaction control
    * - storeMainMetrics(): Store governance metrics table data
    * - storeViolations(): Store violations table data
+   * - reconcileViolationLifecycle(): Open, reopen and resolve violation fingerprints
+   * - pruneViolationHistory(): Drop violation rows past the history retention
    * - storeWorkspaceAdmins(): Store admin contact information
    * - storeCollectionMetadata(): Store collection-level metadata
+   * - storeCollectionFingerprints(): Store incremental collection state
+   * - storeMonitorReliability(): Store per-monitor run statistics
+   * - storeSpecDrift(): Store per-API spec drift
+   * - storeRulePluginRuns(): Store rule plugin outcomes
    * 
    * Called by: GovernanceCollectorApp.runCollection()
-   * Calls into: storeMainMetrics(), storeViolations(), storeWorkspaceAdmins(), storeCollectionMetadata()
+   * Calls into: storeMainMetrics(), storeViolations(), reconcileViolationLifecycle(), pruneViolationHistory(),
+   *             storeWorkspaceAdmins(), storeCollectionMetadata(),
+   *             storeCollectionFingerprints(), storeMonitorReliability(), storeSpecDrift(),
+   *             storeRulePluginRuns()
    * 
    * @complexity O(n) where n is the total number of violations and collections
    * @returns {Promise<void>} Resolves when all data is stored successfully
    */
-  async storeMetrics(metrics, violations) {
+  async storeMetrics(metrics, violations, team = 'default', options = {}) {
     const collectionId = `collection_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
     try {
@@ -408,19 +912,42 @@ class DatabaseManager {
       await this.run('BEGIN TRANSACTION');
       
       // Store main metrics
-      await this.storeMainMetrics(collectionId, metrics);
+      await this.storeMainMetrics(collectionId, metrics, team);
       
       // Store violations
-      await this.storeViolations(collectionId, violations);
+      await this.storeViolations(collectionId, violations, team);
+      const unavailable = new Set((options.failures || []).map(failure => failure.id).filter(Boolean));
+      const lifecycle = await this.reconcileViolationLifecycle(violations, team, undefined, unavailable);
+      await this.pruneViolationHistory(team);
       
       // Store workspace admins
       if (metrics.workspaceAdmins) {
-        await this.storeWorkspaceAdmins(metrics.workspaceAdmins);
+        await this.storeWorkspaceAdmins(metrics.workspaceAdmins, team);
       }
       
       // Store collection metadata
       if (metrics.collectionMetadata) {
-        await this.storeCollectionMetadata(metrics.collectionMetadata);
+        await this.storeCollectionMetadata(metrics.collectionMetadata, team);
+      }
+      
+      // Store collection fingerprints
+      if (metrics.collectionFingerprints) {
+        await this.storeCollectionFingerprints(metrics.collectionFingerprints, team);
+      }
+      
+      // Store monitor reliability
+      if (metrics.monitorReliability) {
+        await this.storeMonitorReliability(collectionId, metrics.monitorReliability.monitors, team);
+      }
+      
+      // Store spec drift
+      if (metrics.specDrift) {
+        await this.storeSpecDrift(collectionId, metrics.specDrift.specs, team);
+      }
+      
+      // Store rule plugin outcomes
+      if (metrics.rulePlugins) {
+        await this.storeRulePluginRuns(collectionId, metrics.rulePlugins, team);
       }
       
       // Commit transaction
@@ -428,8 +955,12 @@ class DatabaseManager {
       
       this.logger.info('Metrics stored successfully', {
         collectionId,
+        team,
         metricsStored: Object.keys(metrics).length,
-        violationsStored: Object.values(violations).reduce((sum, arr) => sum + arr.length, 0)
+        violationsStored: Object.values(violations).reduce((sum, arr) => sum + arr.length, 0),
+        violationsOpened: lifecycle.opened,
+        violationsReopened: lifecycle.reopened,
+        violationsResolved: lifecycle.resolved
       });
       
     } catch (error) {
@@ -440,266 +971,1493 @@ class DatabaseManager {
   }
   
   /**
-   * Store main governance metrics in database
-   * 
-   * Persists the primary governance metrics data including scores, organizational
-   * insights, and user management statistics. Uses null coalescing to handle
-   * missing data gracefully and stores raw metrics as JSON for future analysis.
+   * Store main governance metrics in database
+   * 
+   * Persists the primary governance metrics data including scores, organizational
+   * insights, and user management statistics. Uses null coalescing to handle
+   * missing data gracefully and stores raw metrics as JSON for future analysis.
+   * 
+   * @async
+   * @method storeMainMetrics
+   * @private
+   * @param {string} collectionId - Unique identifier for this data collection cycle
+   * @param {Object} metrics - Governance metrics data from calculator
+   * @param {string} [team='default'] - Postman team the metrics belong to
+   * @throws {Error} When SQL execution fails
+   * 
+   * Data mapping from metrics object:
+   * - overallGovernanceScore: Overall governance score (0-100)
+   * - documentationCoverage: Documentation analysis results
+   * - testCoverage: Testing coverage analysis
+   * - monitoringCoverage: Monitoring setup analysis
+   * - organizationStructure: Workspace organization analysis
+   * - securityPosture: Exposed credential analysis
+   * - specLint: API schema lint pass rate
+   * - organizationalInsights: Organizational statistics
+   * - userManagement: User and group management data
+   * 
+   * Data safety:
+   * - Uses null coalescing (?. and ||) to handle missing nested properties
+   * - Defaults to 0 for numeric values to prevent NULL database entries
+   * - Stores raw metrics as JSON for future analysis, excluding collection
+   *   fingerprints which carry full collection documents
+   * 
+   * Dependencies:
+   * - run(): Execute parameterized SQL statement
+   * - JSON.stringify(): Serialize raw metrics data
+   * 
+   * Called by: storeMetrics()
+   * 
+   * @complexity O(1) - Single INSERT statement
+   * @returns {Promise<Object>} Database operation result with lastID and changes
+   */
+  async storeMainMetrics(collectionId, metrics, team = 'default') {
+    const { collectionFingerprints, ...rawMetrics } = metrics;
+    const stmt = `
+      INSERT INTO governance_metrics (
+        collection_id, team, overall_score, documentation_score, testing_score,
+        monitoring_score, organization_score, security_score, spec_lint_score, total_workspaces, total_collections,
+        total_users, total_forks, total_postbot_uses, total_mocks, total_monitors,
+        orphaned_users, user_groups, collections_without_specs, documented_endpoints, 
+        total_endpoints, tested_endpoints, team_workspaces, private_workspaces, raw_metrics
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    const values = [
+      collectionId,
+      team,
+      metrics.overallGovernanceScore || 0,
+      metrics.documentationCoverage?.score || 0,
+      metrics.testCoverage?.score || 0,
+      metrics.monitoringCoverage?.score || 0,
+      metrics.organizationStructure?.score || 0,
+      metrics.securityPosture?.score ?? null,
+      metrics.specLint?.score ?? null,
+      metrics.organizationalInsights?.totalWorkspaces || 0,
+      metrics.organizationalInsights?.totalCollections || 0,
+      metrics.userManagement?.totalUsers || 0,
+      metrics.organizationalInsights?.totalForks || 0,
+      metrics.userManagement?.totalPostbotUses || 0,
+      metrics.organizationalInsights?.totalMocks || 0,
+      metrics.organizationalInsights?.totalMonitors || 0,
+      metrics.userManagement?.orphanedUsers || 0,
+      metrics.userManagement?.totalUserGroups || 0,
+      metrics.organizationalInsights?.collectionsWithoutSpecs || 0,
+      metrics.documentationCoverage?.documentedEndpoints || 0,
+      metrics.documentationCoverage?.totalEndpoints || 0,
+      metrics.testCoverage?.testedEndpoints || 0,
+      metrics.organizationStructure?.teamWorkspaces || 0,
+      metrics.organizationStructure?.privateWorkspaces || 0,
+      JSON.stringify(rawMetrics)
+    ];
+    
+    return this.run(stmt, values);
+  }
+  
+  /**
+   * Store governance violations with workspace mapping
+   * 
+   * Processes and stores all governance violations by type, mapping them to
+   * workspaces and administrators for remediation tracking. Flattens nested
+   * violation data structure into individual database records.
+   * 
+   * @async
+   * @method storeViolations
+   * @private
+   * @param {string} collectionId - Unique identifier for this data collection cycle
+   * @param {Object} violations - Violations grouped by type from calculator
+   * @param {string} [team='default'] - Postman team the records belong to
+   * @throws {Error} When SQL execution fails
+   * 
+   * Data structure processing:
+   * - Input: Object with violation types as keys and arrays of violations as values
+   * - Output: Flattened individual violation records with workspace mapping
+   * - Missing data handling: Provides defaults for all fields
+   * 
+   * Violation fields mapped:
+   * - violation_type: Type of governance violation
+   * - entity_id: ID of the violating entity (collection, user, etc.)
+   * - entity_name: Human-readable name of the violating entity
+   * - entity_location: Location within the entity (request path, variable key,
+   *   schema pointer), NULL for entity-level violations
+   * - workspace_id: Associated workspace ID for context
+   * - workspace_name: Human-readable workspace name
+   * - severity: Violation severity level (critical, high, medium, low)
+   * - description: Detailed violation description
+   * - workspace_admin_email: Administrator contact for remediation
+   * - remediation: Remediation text of the declarative rule that matched, if any
+   * - severity_reason: Why the severity policy assigned the severity
+   * - waiver_id: Waiver exempting the violation, if any
+   * 
+   * Performance consideration:
+   * - Uses sequential INSERTs for data integrity
+   * - Could be optimized with batch INSERT for large datasets
+   * 
+   * Dependencies:
+   * - Object.entries(): Process violations by type
+   * - run(): Execute parameterized SQL statements
+   * 
+   * Called by: storeMetrics()
+   * 
+   * @complexity O(n) where n is the total number of violations across all types
+   * @returns {Promise<void>} Resolves when all violations are stored
+   */
+  async storeViolations(collectionId, violations, team = 'default') {
+    const stmt = `
+      INSERT INTO governance_violations (
+        collection_id, team, violation_type, entity_id, entity_name, entity_location,
+        workspace_id, workspace_name, severity, description, workspace_admin_email, remediation,
+        severity_reason, waiver_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    const allViolations = [];
+    Object.entries(violations).forEach(([type, items]) => {
+      items.forEach(item => {
+        allViolations.push([
+          collectionId,
+          team,
+          type,
+          item.id || item.entityId || 'unknown',
+          item.name || item.entityName || 'Unknown',
+          item.entityLocation || null,
+          item.workspaceId || null,
+          item.workspaceName || null,
+          item.severity || 'medium',
+          item.description || `${type} violation`,
+          item.workspaceAdminEmail || null,
+          item.remediation || null,
+          item.severityReason || null,
+          item.waiverId || null
+        ]);
+      });
+    });
+    
+    // Batch insert violations
+    for (const violation of allViolations) {
+      await this.run(stmt, violation);
+    }
+  }
+  
+  /**
+   * Reconcile the violation lifecycle of a team with the violations of a cycle
+   * 
+   * Each violation is fingerprinted by its rule (violation type), entity id
+   * and location within the entity (entityLocation: request path, variable
+   * key, schema pointer; none for entity-level violations) and kept as one
+   * violation_lifecycle row per team. The entity name is not part of the
+   * fingerprint, so a renamed entity keeps its violations, first_seen and
+   * age; the row takes the latest name.
+   * 
+   * @async
+   * @method reconcileViolationLifecycle
+   * @private
+   * @param {Object} violations - Governance violations of the cycle by type
+   * @param {string} [team='default'] - Postman team the violations belong to
+   * @param {string} [now] - Cycle timestamp (SQLite `YYYY-MM-DD HH:MM:SS`, UTC)
+   * @param {Set<string>} [unavailable=new Set()] - Ids of entities whose data could not be
+   *   fetched this cycle; their violations missing from the cycle stay as they are
+   * @throws {Error} When SQL execution fails
+   * 
+   * Transitions:
+   * - New fingerprint → open (first_seen, opened_at and last_seen set to now)
+   * - Open or reopened fingerprint seen again → last_seen, entity name,
+   *   severity, description, workspace, admin contact, remediation and
+   *   waiver updated
+   * - Resolved fingerprint seen again → reopened (opened_at set to now,
+   *   resolved_at cleared, reopen_count incremented)
+   * - Open or reopened fingerprint missing from the cycle → resolved
+   *   (resolved_at set to now), unless its entity is unavailable: a failed
+   *   fetch leaves the entity unanalyzed, which says nothing about its violations
+   * 
+   * Dependencies:
+   * - all(): Read the team's current lifecycle state
+   * - run(): Execute INSERT and UPDATE statements
+   * 
+   * Called by: storeMetrics() within its transaction
+   * 
+   * @complexity O(n + m) where n is the number of violations in the cycle and m
+   *             the number of tracked fingerprints of the team
+   * @returns {Promise<Object>} Transition counts `{ opened, reopened, resolved }`
+   */
+  async reconcileViolationLifecycle(violations, team = 'default', now = new Date().toISOString().slice(0, 19).replace('T', ' '),
+    unavailable = new Set()) {
+    const rows = await this.all('SELECT fingerprint, entity_id, status FROM violation_lifecycle WHERE team = ?', [team]);
+    const previous = new Map(rows.map(row => [row.fingerprint, row.status]));
+    const entityIds = new Map(rows.map(row => [row.fingerprint, row.entity_id]));
+    const seen = new Set();
+    const counts = { opened: 0, reopened: 0, resolved: 0 };
+    
+    for (const [type, items] of Object.entries(violations)) {
+      for (const item of items) {
+        const entityId = item.id || item.entityId || 'unknown';
+        const location = item.entityLocation || null;
+        const fingerprint = violationFingerprint(type, entityId, location);
+        if (seen.has(fingerprint)) {
+          continue;
+        }
+        seen.add(fingerprint);
+        
+        const latest = [
+          item.name || item.entityName || 'Unknown',
+          item.workspaceId || null,
+          item.workspaceName || null,
+          item.severity || 'medium',
+          item.description || `${type} violation`,
+          item.severityReason || null,
+          item.waiverId || null,
+          item.workspaceAdminEmail || null,
+          item.remediation || null
+        ];
+        const status = previous.get(fingerprint);
+        if (status === undefined) {
+          await this.run(`
+            INSERT INTO violation_lifecycle (
+              team, fingerprint, violation_type, entity_id, entity_location, entity_name, workspace_id, workspace_name,
+              severity, description, severity_reason, waiver_id, workspace_admin_email, remediation,
+              status, first_seen, opened_at, last_seen
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'open', ?, ?, ?)
+          `, [team, fingerprint, type, entityId, location, ...latest, now, now, now]);
+          counts.opened++;
+        } else if (status === 'resolved') {
+          await this.run(`
+            UPDATE violation_lifecycle
+            SET entity_name = ?, workspace_id = ?, workspace_name = ?, severity = ?, description = ?, severity_reason = ?, waiver_id = ?,
+                workspace_admin_email = ?, remediation = ?,
+                status = 'reopened', opened_at = ?, last_seen = ?, resolved_at = NULL, reopen_count = reopen_count + 1
+            WHERE team = ? AND fingerprint = ?
+          `, [...latest, now, now, team, fingerprint]);
+          counts.reopened++;
+        } else {
+          await this.run(`
+            UPDATE violation_lifecycle
+            SET entity_name = ?, workspace_id = ?, workspace_name = ?, severity = ?, description = ?, severity_reason = ?, waiver_id = ?,
+                workspace_admin_email = ?, remediation = ?,
+                last_seen = ?
+            WHERE team = ? AND fingerprint = ?
+          `, [...latest, now, team, fingerprint]);
+        }
+      }
+    }
+    
+    for (const [fingerprint, status] of previous) {
+      if (status !== 'resolved' && !seen.has(fingerprint) && !unavailable.has(entityIds.get(fingerprint))) {
+        await this.run(
+          "UPDATE violation_lifecycle SET status = 'resolved', resolved_at = ? WHERE team = ? AND fingerprint = ?",
+          [now, team, fingerprint]
+        );
+        counts.resolved++;
+      }
+    }
+    
+    return counts;
+  }
+  
+  /**
+   * Delete per-cycle violation rows older than the history retention
+   * 
+   * governance_violations keeps every violation of every cycle for the
+   * historical endpoints; the current state of each violation, including its
+   * latest detail, lives on its violation_lifecycle row, so rows past the
+   * retention are no longer needed.
+   * 
+   * @async
+   * @method pruneViolationHistory
+   * @private
+   * @param {string} [team='default'] - Postman team whose history is pruned
+   * @throws {Error} When SQL execution fails
+   * 
+   * Configuration:
+   * - config.violation_history_days: Days to keep (default 90, 0 keeps all)
+   * 
+   * Dependencies:
+   * - run(): Execute DELETE statement
+   * 
+   * Called by: storeMetrics() within its transaction
+   * 
+   * @complexity O(n) where n is the number of pruned rows
+   * @returns {Promise<number>} Number of deleted rows
+   */
+  async pruneViolationHistory(team = 'default') {
+    const days = this.config.violation_history_days ?? 90;
+    if (!days) {
+      return 0;
+    }
+    
+    const result = await this.run(
+      "DELETE FROM governance_violations WHERE team = ? AND timestamp < datetime('now', ?)",
+      [team, `-${days} days`]
+    );
+    if (result.changes > 0) {
+      this.logger.info('Pruned violation history', { team, violations: result.changes, retentionDays: days });
+    }
+    return result.changes;
+  }
+  
+  /**
+   * First time each tracked violation was seen for a team
+   * 
+   * @async
+   * @method getViolationFirstSeen
+   * @param {string} [team='default'] - Postman team
+   * @throws {Error} When SQL execution fails
+   * 
+   * Reads violation_lifecycle, so a violation that was resolved and reopened
+   * keeps the time it was first seen.
+   * 
+   * Dependencies:
+   * - all(): Execute query and return multiple rows
+   * 
+   * Called by: GovernanceCollectorApp.runCollection() for severity age escalation
+   * 
+   * @complexity O(n) where n is the number of tracked violations of the team
+   * @returns {Promise<Map<string, string>>} ISO timestamps keyed `<type>|<entity id>|<entity location>`
+   *   (empty location for entity-level violations)
+   */
+  async getViolationFirstSeen(team = 'default') {
+    const rows = await this.all(`
+      SELECT violation_type, entity_id, entity_location, first_seen
+      FROM violation_lifecycle
+      WHERE team = ?
+    `, [team]);
+    
+    // SQLite timestamps are UTC without a zone designator
+    return new Map(rows.map(row => [
+      `${row.violation_type}|${row.entity_id}|${row.entity_location || ''}`,
+      `${row.first_seen.replace(' ', 'T')}Z`
+    ]));
+  }
+  
+  /**
+   * List tracked violations with their lifecycle
+   * 
+   * @async
+   * @method getViolationLifecycle
+   * @param {Object} [filters={}] - Query filters
+   * @param {string} [filters.status='open'] - 'open' (open and reopened, not waived), 'reopened',
+   *   'waived' (open but waived), 'resolved' or 'all'
+   * @param {string} [filters.team=null] - Restrict to one Postman team (all teams when null)
+   * @param {string} [filters.type=null] - Restrict to one violation type
+   * @param {number} [filters.limit=100] - Maximum number of violations to return
+   * @throws {Error} When SQL execution fails
+   * 
+   * Return data (one row per fingerprint):
+   * - team, fingerprint, violation_type, entity_id, entity_location
+   * - entity_name, workspace_id, workspace_name, severity, description,
+   *   severity_reason (latest cycle)
+   * - status: open, reopened or resolved
+   * - first_seen: First cycle the violation was found in
+   * - opened_at: Start of the current (or last) open period
+   * - last_seen: Latest cycle the violation was found in
+   * - resolved_at: Cycle the violation was no longer found in (NULL while open)
+   * - reopen_count: Number of times the violation came back after resolution
+   * - waiver_id: Waiver exempting the violation in the latest cycle
+   * 
+   * Sort order: severity (critical first), then longest open first
+   * 
+   * Dependencies:
+   * - all(): Execute query and return multiple rows
+   * 
+   * Called by: GET /api/governance/violations/lifecycle endpoint
+   * 
+   * @complexity O(n log n) where n is the number of matching violations
+   * @returns {Promise<Array<Object>>} Tracked violations
+   */
+  async getViolationLifecycle({ status = 'open', team = null, type = null, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status === 'open') {
+      conditions.push("status IN ('open', 'reopened') AND waiver_id IS NULL");
+    } else if (status === 'waived') {
+      conditions.push("status != 'resolved' AND waiver_id IS NOT NULL");
+    } else if (status !== 'all') {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (team) {
+      conditions.push('team = ?');
+      params.push(team);
+    }
+    if (type) {
+      conditions.push('violation_type = ?');
+      params.push(type);
+    }
+    
+    return this.all(`
+      SELECT *
+      FROM violation_lifecycle
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY
+        CASE severity
+          WHEN 'critical' THEN 1
+          WHEN 'high' THEN 2
+          WHEN 'medium' THEN 3
+          ELSE 4
+        END,
+        opened_at ASC,
+        violation_type,
+        entity_name
+      LIMIT ?
+    `, [...params, limit]);
+  }
+  
+  /**
+   * Violation types tracked in the violation lifecycle
+   * 
+   * @async
+   * @method getViolationTypes
+   * @param {string} [team=null] - Restrict to one Postman team (all teams when null)
+   * @throws {Error} When SQL execution fails
+   * 
+   * Called by: GovernanceCollectorApp.getWaiverRules()
+   * 
+   * @complexity O(n) where n is the number of tracked violations
+   * @returns {Promise<Array<string>>} Distinct violation types, sorted
+   */
+  async getViolationTypes(team = null) {
+    const rows = await this.all(`
+      SELECT DISTINCT violation_type
+      FROM violation_lifecycle
+      ${team ? 'WHERE team = ?' : ''}
+      ORDER BY violation_type
+    `, team ? [team] : []);
+    return rows.map(row => row.violation_type);
+  }
+  
+  /**
+   * Store a new waiver
+   * 
+   * @async
+   * @method createWaiver
+   * @param {Object} waiver - Validated waiver (waivers.validateWaiver())
+   * @param {string} [waiver.team=null] - Postman team (every team when null)
+   * @param {string} waiver.rule - Violation type, or '*'
+   * @param {string} waiver.entityPattern - Entity id or name pattern
+   * @param {string} waiver.justification - Why the entity is exempt
+   * @param {string} waiver.approver - Who approved the exemption
+   * @param {string} waiver.expiresAt - ISO expiry timestamp
+   * @param {string} [actor=null] - User or client creating the waiver
+   * @throws {Error} When SQL execution fails
+   * 
+   * Called by: POST /api/governance/waivers endpoint
+   * 
+   * @complexity O(1)
+   * @returns {Promise<Object>} The stored waiver (getWaiver())
+   */
+  async createWaiver({ team = null, rule, entityPattern, justification, approver, expiresAt }, actor = null) {
+    const result = await this.run(`
+      INSERT INTO governance_waivers (
+        team, rule, entity_pattern, justification, approver, expires_at, created_at, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [team, rule, entityPattern, justification, approver, expiresAt, new Date().toISOString(), actor]);
+    
+    return this.getWaiver(result.lastID);
+  }
+  
+  /**
+   * Change the justification, approver or expiry of a waiver
+   * 
+   * @async
+   * @method updateWaiver
+   * @param {number} id - Waiver id
+   * @param {Object} changes - Validated changes (justification, approver, expiresAt)
+   * @param {string} [actor=null] - User or client updating the waiver
+   * @throws {Error} When SQL execution fails
+   * 
+   * Called by: PATCH /api/governance/waivers/:id endpoint
+   * 
+   * @complexity O(1)
+   * @returns {Promise<Object|null>} The updated waiver, or null when it does not exist
+   */
+  async updateWaiver(id, { justification, approver, expiresAt }, actor = null) {
+    await this.run(`
+      UPDATE governance_waivers
+      SET justification = COALESCE(?, justification),
+          approver = COALESCE(?, approver),
+          expires_at = COALESCE(?, expires_at),
+          updated_at = ?,
+          updated_by = ?
+      WHERE id = ?
+    `, [justification ?? null, approver ?? null, expiresAt ?? null, new Date().toISOString(), actor, id]);
+    
+    return this.getWaiver(id);
+  }
+  
+  /**
+   * Revoke a waiver before it expires
+   * 
+   * @async
+   * @method revokeWaiver
+   * @param {number} id - Waiver id
+   * @param {string} [actor=null] - User or client revoking the waiver
+   * @throws {Error} When SQL execution fails
+   * 
+   * Called by: DELETE /api/governance/waivers/:id endpoint
+   * 
+   * @complexity O(1)
+   * @returns {Promise<Object|null>} The revoked waiver, or null when it does not exist
+   */
+  async revokeWaiver(id, actor = null) {
+    await this.run(
+      'UPDATE governance_waivers SET revoked_at = ?, revoked_by = ? WHERE id = ? AND revoked_at IS NULL',
+      [new Date().toISOString(), actor, id]
+    );
+    
+    return this.getWaiver(id);
+  }
+  
+  /**
+   * Get one waiver with its status
+   * 
+   * @async
+   * @method getWaiver
+   * @param {number} id - Waiver id
+   * @throws {Error} When SQL execution fails
+   * 
+   * @complexity O(1)
+   * @returns {Promise<Object|null>} Waiver (see getWaivers()), or null when it does not exist
+   */
+  async getWaiver(id) {
+    const [waiver] = await this.queryWaivers({ id });
+    return waiver || null;
+  }
+  
+  /**
+   * List waivers
+   * 
+   * @async
+   * @method getWaivers
+   * @param {Object} [filters={}] - Query filters
+   * @param {string} [filters.status='active'] - 'active', 'expired', 'revoked' or 'all'
+   * @param {string} [filters.team=null] - Waivers applying to one team, including
+   *   waivers for every team (all waivers when null)
+   * @throws {Error} When SQL execution fails
+   * 
+   * Return data:
+   * - Waiver columns (id, team, rule, entity_pattern, justification, approver,
+   *   expires_at, created_at/by, updated_at/by, revoked_at/by)
+   * - status: active, expired or revoked
+   * - waived_violations: Open violations the waiver exempted in the latest cycle
+   * 
+   * Sort order: soonest expiry first
+   * 
+   * Called by: GET /api/governance/waivers endpoint, getActiveWaivers()
+   * 
+   * @complexity O(w log w) for w waivers
+   * @returns {Promise<Array<Object>>} Waivers
+   */
+  async getWaivers({ status = 'active', team = null } = {}) {
+    return this.queryWaivers({ status, team });
+  }
+  
+  /**
+   * Waivers in force for a team's collection cycle
+   * 
+   * @async
+   * @method getActiveWaivers
+   * @param {string} [team='default'] - Postman team
+   * @throws {Error} When SQL execution fails
+   * 
+   * Called by: GovernanceCollectorApp.runCollection()
+   * 
+   * @complexity O(w log w) for w waivers
+   * @returns {Promise<Array<Object>>} Active waivers of the team and of every team
+   */
+  async getActiveWaivers(team = 'default') {
+    return this.queryWaivers({ status: 'active', team });
+  }
+  
+  /**
+   * Report of active waivers expiring soon
+   * 
+   * @async
+   * @method getExpiringWaivers
+   * @param {number} [days=14] - Expiry window in days from now
+   * @param {string} [team=null] - Waivers applying to one team (all waivers when null)
+   * @throws {Error} When SQL execution fails
+   * 
+   * Each waiver additionally carries `days_remaining` (rounded down).
+   * 
+   * Called by: GET /api/governance/waivers/expiring endpoint
+   * 
+   * @complexity O(w log w) for w waivers
+   * @returns {Promise<Array<Object>>} Expiring waivers, soonest first
+   */
+  async getExpiringWaivers(days = 14, team = null) {
+    const now = Date.now();
+    const until = new Date(now + days * 24 * 60 * 60 * 1000).toISOString();
+    const waivers = await this.queryWaivers({ status: 'active', team, until });
+    
+    return waivers.map(waiver => ({
+      ...waiver,
+      days_remaining: Math.floor((new Date(waiver.expires_at).getTime() - now) / (24 * 60 * 60 * 1000))
+    }));
+  }
+  
+  /**
+   * Select waivers with their status and waived violation count
+   * 
+   * @async
+   * @method queryWaivers
+   * @private
+   * @param {Object} filters - id, status ('active', 'expired', 'revoked', 'all'),
+   *   team and until (latest expiry, ISO)
+   * @returns {Promise<Array<Object>>} Waivers, soonest expiry first
+   * 
+   * Called by: getWaiver(), getWaivers(), getActiveWaivers(), getExpiringWaivers()
+   */
+  async queryWaivers({ id = null, status = 'all', team = null, until = null }) {
+    const now = new Date().toISOString();
+    const conditions = [];
+    const params = [now, now];
+    if (id !== null) {
+      conditions.push('w.id = ?');
+      params.push(id);
+    }
+    if (status === 'active') {
+      conditions.push('w.revoked_at IS NULL AND w.expires_at > ?');
+      params.push(now);
+    } else if (status === 'expired') {
+      conditions.push('w.revoked_at IS NULL AND w.expires_at <= ?');
+      params.push(now);
+    } else if (status === 'revoked') {
+      conditions.push('w.revoked_at IS NOT NULL');
+    }
+    if (team) {
+      conditions.push('(w.team = ? OR w.team IS NULL)');
+      params.push(team);
+    }
+    if (until) {
+      conditions.push('w.expires_at <= ?');
+      params.push(until);
+    }
+    
+    return this.all(`
+      SELECT
+        w.*,
+        CASE
+          WHEN w.revoked_at IS NOT NULL THEN 'revoked'
+          WHEN w.expires_at <= ? THEN 'expired'
+          ELSE 'active'
+        END as status,
+        (
+          SELECT COUNT(*) FROM violation_lifecycle vl
+          WHERE vl.waiver_id = w.id AND vl.status != 'resolved' AND w.revoked_at IS NULL AND w.expires_at > ?
+        ) as waived_violations
+      FROM governance_waivers w
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY w.expires_at ASC, w.id ASC
+    `, params);
+  }
+  
+  /**
+   * Store workspace administrator contact information
+   * 
+   * Maintains an up-to-date directory of workspace administrators for violation
+   * notifications and governance communication. Uses INSERT OR REPLACE to
+   * handle administrator changes over time.
+   * 
+   * @async
+   * @method storeWorkspaceAdmins
+   * @private
+   * @param {Array<Object>} admins - Array of administrator records
+   * @param {string} [team='default'] - Postman team the records belong to
+   * @throws {Error} When SQL execution fails
+   * 
+   * Administrator record structure:
+   * - workspaceId: Unique workspace identifier
+   * - workspaceName: Human-readable workspace name
+   * - userId: Administrator user ID
+   * - email: Administrator email for notifications
+   * - name: Administrator display name
+   * 
+   * Data management:
+   * - Uses INSERT OR REPLACE for upsert behavior
+   * - Unique constraint on (team, workspace_id, admin_user_id) prevents duplicates
+   *   without letting one team's record replace another's
+   * - Updates existing records when administrator data changes
+   * 
+   * Dependencies:
+   * - run(): Execute parameterized SQL statement
+   * 
+   * Called by: storeMetrics()
+   * 
+   * @complexity O(n) where n is the number of administrators
+   * @returns {Promise<void>} Resolves when all administrators are stored
+   */
+  async storeWorkspaceAdmins(admins, team = 'default') {
+    const stmt = `
+      INSERT OR REPLACE INTO workspace_admins (
+        workspace_id, workspace_name, admin_user_id, admin_email, admin_name, team
+      ) VALUES (?, ?, ?, ?, ?, ?)
+    `;
+    
+    for (const admin of admins) {
+      await this.run(stmt, [
+        admin.workspaceId,
+        admin.workspaceName,
+        admin.userId,
+        admin.email,
+        admin.name,
+        team
+      ]);
+    }
+  }
+  
+  /**
+   * Store collection-level governance metadata
+   * 
+   * Maintains detailed governance information for individual collections
+   * including specification status, endpoint counts, and testing coverage.
+   * Used for collection-level governance analysis and reporting.
+   * 
+   * @async
+   * @method storeCollectionMetadata
+   * @private
+   * @param {Array<Object>} collections - Array of collection metadata records
+   * @param {string} [team='default'] - Postman team the records belong to
+   * @throws {Error} When SQL execution fails
+   * 
+   * Collection metadata structure:
+   * - id: Unique collection identifier
+   * - name: Collection display name
+   * - workspaceId: Parent workspace identifier
+   * - workspaceName: Parent workspace name
+   * - hasSpecification: Boolean indicating API specification presence
+   * - endpointCount: Total number of API endpoints
+   * - documentedEndpoints: Count of documented endpoints
+   * - testedEndpoints: Count of endpoints with tests
+   * - forkCount: Number of collection forks
+   * - mockCount / publicMockCount: Mock servers (and public ones) for the collection
+   * 
+   * Data management:
+   * - Uses INSERT OR REPLACE for upsert behavior
+   * - Updates collection metadata as governance analysis evolves
+   * - Maintains historical tracking through timestamp field
+   * 
+   * Dependencies:
+   * - run(): Execute parameterized SQL statement
+   * 
+   * Called by: storeMetrics()
+   * 
+   * @complexity O(n) where n is the number of collections
+   * @returns {Promise<void>} Resolves when all collection metadata is stored
+   */
+  async storeCollectionMetadata(collections, team = 'default') {
+    const stmt = `
+      INSERT OR REPLACE INTO collection_metadata (
+        collection_id, collection_name, workspace_id, workspace_name,
+        has_specification, endpoint_count, documented_endpoints,
+        tested_endpoints, fork_count, team, mock_count, public_mock_count
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    for (const collection of collections) {
+      await this.run(stmt, [
+        collection.id,
+        collection.name,
+        collection.workspaceId,
+        collection.workspaceName,
+        collection.hasSpecification,
+        collection.endpointCount,
+        collection.documentedEndpoints,
+        collection.testedEndpoints,
+        collection.forkCount,
+        team,
+        collection.mockCount || 0,
+        collection.publicMockCount || 0
+      ]);
+    }
+  }
+  
+  /**
+   * Store incremental collection fingerprints
+   * 
+   * Upserts one row per collection of the team with its Postman updatedAt
+   * timestamp, content hash, endpoint analysis and the gzipped collection
+   * document. The team's next cycle loads these through getCollectionFingerprints()
+   * so unchanged collections are neither re-downloaded nor re-analyzed.
+   * 
+   * @async
+   * @method storeCollectionFingerprints
+   * @private
+   * @param {Array<Object>} fingerprints - Records from GovernanceCalculator.generateCollectionFingerprints()
+   * @param {string} [team='default'] - Postman team the collections belong to
+   * @throws {Error} When SQL execution or compression fails
+   * 
+   * Dependencies:
+   * - run(): Execute parameterized SQL statement
+   * - zlib.gzipSync(): Compress the collection document
+   * 
+   * Called by: storeMetrics()
+   * 
+   * @complexity O(n) where n is the number of fingerprinted collections
+   * @returns {Promise<void>} Resolves when all fingerprints are stored
+   */
+  async storeCollectionFingerprints(fingerprints, team = 'default') {
+    const stmt = `
+      INSERT OR REPLACE INTO collection_fingerprints (
+        team, collection_id, updated_at, content_hash, analysis, content, timestamp
+      ) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `;
+    
+    for (const fingerprint of fingerprints) {
+      await this.run(stmt, [
+        team,
+        fingerprint.collectionId,
+        fingerprint.updatedAt,
+        fingerprint.contentHash,
+        fingerprint.analysis ? JSON.stringify(fingerprint.analysis) : null,
+        fingerprint.content ? zlib.gzipSync(JSON.stringify(fingerprint.content)) : null
+      ]);
+    }
+  }
+  
+  /**
+   * Load incremental collection fingerprints
+   * 
+   * Returns the state stored by the team's previous collection cycle keyed by
+   * collection UID, for PostmanClient.collectAllData() to decide which collections
+   * can be reused instead of fetched. Rows that fail to decode are skipped so the affected
+   * collection is simply fetched again.
+   * 
+   * @async
+   * @method getCollectionFingerprints
+   * @param {string} [team='default'] - Postman team to load
+   * @throws {Error} When SQL execution fails
+   * 
+   * Return format (Map values):
+   * - updatedAt: Postman updatedAt timestamp at the time of fetch
+   * - contentHash: SHA-256 of the collection detail
+   * - analysis: Stored endpoint analysis (or null)
+   * - content: Stored collection document (or null)
+   * 
+   * Dependencies:
+   * - all(): Execute query and return multiple rows
+   * - zlib.gunzipSync(): Decompress stored collection documents
+   * 
+   * Called by: GovernanceCollectorApp.runCollection()
+   * 
+   * @complexity O(n) where n is the number of stored fingerprints
+   * @returns {Promise<Map<string, Object>>} Fingerprints keyed by collection UID
+   */
+  async getCollectionFingerprints(team = 'default') {
+    const rows = await this.all(`
+      SELECT collection_id, updated_at, content_hash, analysis, content
+      FROM collection_fingerprints
+      WHERE team = ?
+    `, [team]);
+    
+    const fingerprints = new Map();
+    for (const row of rows) {
+      try {
+        fingerprints.set(row.collection_id, {
+          updatedAt: row.updated_at,
+          contentHash: row.content_hash,
+          analysis: row.analysis ? JSON.parse(row.analysis) : null,
+          content: row.content ? JSON.parse(zlib.gunzipSync(row.content).toString('utf8')) : null
+        });
+      } catch (error) {
+        this.logger.warn('Skipping unreadable collection fingerprint', {
+          collectionId: row.collection_id,
+          error: error.message
+        });
+      }
+    }
+    
+    return fingerprints;
+  }
+  
+  /**
+   * Store per-monitor reliability statistics for a collection cycle
+   * 
+   * @async
+   * @method storeMonitorReliability
+   * @private
+   * @param {string} collectionId - Unique identifier for this data collection cycle
+   * @param {Array<Object>} monitors - Entries from GovernanceCalculator.calculateMonitorReliability()
+   * @param {string} [team='default'] - Postman team the monitors belong to
+   * @throws {Error} When SQL execution fails
+   * 
+   * Only monitors with at least one collected run are stored; monitors whose
+   * runs were not collected have no statistics to keep.
+   * 
+   * Dependencies:
+   * - run(): Execute parameterized SQL statement
+   * 
+   * Called by: storeMetrics()
+   * 
+   * @complexity O(n) where n is the number of monitors
+   * @returns {Promise<void>} Resolves when all rows are stored
+   */
+  async storeMonitorReliability(collectionId, monitors, team = 'default') {
+    const stmt = `
+      INSERT INTO monitor_reliability (
+        collection_id, team, monitor_id, monitor_name, collection_uid, runs,
+        successful_runs, failed_runs, success_ratio, failed_assertions,
+        total_assertions, avg_response_time_ms, last_run_at, last_run_status,
+        classification
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    for (const monitor of (monitors || []).filter(monitor => monitor.runs > 0)) {
+      await this.run(stmt, [
+        collectionId,
+        team,
+        monitor.monitorUid,
+        monitor.name || null,
+        monitor.collectionUid || null,
+        monitor.runs,
+        monitor.successfulRuns,
+        monitor.failedRuns,
+        monitor.successRatio,
+        monitor.failedAssertions,
+        monitor.totalAssertions,
+        monitor.avgResponseTimeMs,
+        monitor.lastRunAt,
+        monitor.lastRunStatus,
+        monitor.classification
+      ]);
+    }
+  }
+  
+  /**
+   * Per-monitor reliability from each team's latest collection cycle
+   * 
+   * @async
+   * @method getLatestMonitorReliability
+   * @param {string} [team=null] - Restrict to one Postman team (all teams when null)
+   * @throws {Error} When SQL execution fails
+   * 
+   * Return format (per monitor, raw columns):
+   * - team, monitor_id, monitor_name, collection_uid
+   * - runs, successful_runs, failed_runs, success_ratio
+   * - failed_assertions, total_assertions, avg_response_time_ms
+   * - last_run_at, last_run_status, classification
+   * 
+   * Dependencies:
+   * - all(): Execute query and return multiple rows
+   * 
+   * Called by: GovernanceCollectorApp.getPrometheusMetrics()
+   * 
+   * @complexity O(n) where n is the number of stored monitor rows
+   * @returns {Promise<Array<Object>>} Monitor reliability rows ordered by team and monitor name
+   */
+  async getLatestMonitorReliability(team = null) {
+    const stmt = `
+      SELECT *
+      FROM monitor_reliability
+      WHERE collection_id IN (
+        SELECT collection_id FROM governance_metrics
+        WHERE id IN (
+          SELECT MAX(id) FROM governance_metrics
+          ${team ? 'WHERE team = ?' : ''}
+          GROUP BY team
+        )
+      )
+      ORDER BY team, monitor_name, monitor_id
+    `;
+    
+    return this.all(stmt, team ? [team] : []);
+  }
+  
+  /**
+   * Store per-API spec drift for a collection cycle
+   * 
+   * @async
+   * @method storeSpecDrift
+   * @private
+   * @param {string} collectionId - Unique identifier for this data collection cycle
+   * @param {Array<Object>} specs - Entries from GovernanceCalculator.calculateSpecDrift()
+   * @param {string} [team='default'] - Postman team the APIs belong to
+   * @throws {Error} When SQL execution fails
+   * 
+   * The drift findings (missing endpoints, undocumented requests and parameter
+   * mismatches) are kept as JSON in the `details` column.
+   * 
+   * Dependencies:
+   * - run(): Execute parameterized SQL statement
+   * 
+   * Called by: storeMetrics()
+   * 
+   * @complexity O(n) where n is the number of compared APIs
+   * @returns {Promise<void>} Resolves when all rows are stored
+   */
+  async storeSpecDrift(collectionId, specs, team = 'default') {
+    const stmt = `
+      INSERT INTO spec_drift (
+        collection_id, team, api_id, api_name, collection_uids, spec_endpoints,
+        collection_requests, matched_endpoints, missing_in_collection,
+        missing_in_spec, parameter_mismatches, drift_percentage, details
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    for (const spec of specs || []) {
+      await this.run(stmt, [
+        collectionId,
+        team,
+        spec.apiId,
+        spec.name || null,
+        JSON.stringify(spec.collectionUids || []),
+        spec.specEndpoints,
+        spec.collectionRequests,
+        spec.matchedEndpoints,
+        spec.missingInCollection.length,
+        spec.missingInSpec.length,
+        spec.parameterMismatches.length,
+        spec.driftPercentage,
+        JSON.stringify({
+          missingInCollection: spec.missingInCollection,
+          missingInSpec: spec.missingInSpec,
+          parameterMismatches: spec.parameterMismatches
+        })
+      ]);
+    }
+  }
+  
+  /**
+   * Per-API spec drift from each team's latest collection cycle
+   * 
+   * @async
+   * @method getLatestSpecDrift
+   * @param {string} [team=null] - Restrict to one Postman team (all teams when null)
+   * @throws {Error} When SQL execution fails
+   * 
+   * Return format (per API):
+   * - team, api_id, api_name, collection_uids (array)
+   * - spec_endpoints, collection_requests, matched_endpoints
+   * - missing_in_collection, missing_in_spec, parameter_mismatches (counts)
+   * - drift_percentage
+   * - details: `{ missingInCollection, missingInSpec, parameterMismatches }`
+   * 
+   * Dependencies:
+   * - all(): Execute query and return multiple rows
+   * 
+   * Called by: GovernanceCollectorApp.getPrometheusMetrics()
+   * 
+   * @complexity O(n) where n is the number of stored spec drift rows
+   * @returns {Promise<Array<Object>>} Spec drift rows ordered by team and API name
+   */
+  async getLatestSpecDrift(team = null) {
+    const stmt = `
+      SELECT *
+      FROM spec_drift
+      WHERE collection_id IN (
+        SELECT collection_id FROM governance_metrics
+        WHERE id IN (
+          SELECT MAX(id) FROM governance_metrics
+          ${team ? 'WHERE team = ?' : ''}
+          GROUP BY team
+        )
+      )
+      ORDER BY team, api_name, api_id
+    `;
+    
+    const rows = await this.all(stmt, team ? [team] : []);
+    return rows.map(row => ({
+      ...row,
+      collection_uids: JSON.parse(row.collection_uids || '[]'),
+      details: JSON.parse(row.details || '{}')
+    }));
+  }
+  
+  /**
+   * Store rule plugin outcomes for a collection cycle
+   * 
+   * @async
+   * @method storeRulePluginRuns
+   * @private
+   * @param {string} collectionId - Unique identifier for this data collection cycle
+   * @param {Object} rulePlugins - `{ plugins, metrics }` from GovernanceCalculator.runRulePlugins()
+   * @param {string} [team='default'] - Postman team the plugins ran for
+   * @throws {Error} When SQL execution fails
+   * 
+   * Dependencies:
+   * - run(): Execute parameterized SQL statement
+   * 
+   * Called by: storeMetrics()
+   * 
+   * @complexity O(p) where p is the number of plugins
+   * @returns {Promise<void>} Resolves when all rows are stored
+   */
+  async storeRulePluginRuns(collectionId, rulePlugins, team = 'default') {
+    const stmt = `
+      INSERT INTO rule_plugin_runs (
+        collection_id, team, plugin_id, file, status, duration_ms, violations, error, metrics
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    for (const plugin of rulePlugins.plugins || []) {
+      await this.run(stmt, [
+        collectionId,
+        team,
+        plugin.id,
+        plugin.file || null,
+        plugin.status,
+        plugin.durationMs || 0,
+        plugin.violations || 0,
+        plugin.error || null,
+        JSON.stringify(rulePlugins.metrics?.[plugin.id] || {})
+      ]);
+    }
+  }
+  
+  /**
+   * Rule plugin outcomes from each team's latest collection cycle
+   * 
+   * @async
+   * @method getLatestRulePluginRuns
+   * @param {string} [team=null] - Restrict to one Postman team (all teams when null)
+   * @throws {Error} When SQL execution fails
+   * 
+   * Return format (per plugin):
+   * - team, plugin_id, file, status ('ok', 'failed' or 'timeout'), duration_ms,
+   *   violations (count), error, timestamp
+   * - metrics: Metric contributions `{ name: value }`
+   * 
+   * Dependencies:
+   * - all(): Execute query and return multiple rows
+   * 
+   * Called by: GovernanceCollectorApp.getPrometheusMetrics(), GET /api/governance/rule-plugins
+   * 
+   * @complexity O(n) where n is the number of stored plugin rows
+   * @returns {Promise<Array<Object>>} Plugin rows ordered by team and plugin id
+   */
+  async getLatestRulePluginRuns(team = null) {
+    const stmt = `
+      SELECT team, plugin_id, file, status, duration_ms, violations, error, metrics, timestamp
+      FROM rule_plugin_runs
+      WHERE collection_id IN (
+        SELECT collection_id FROM governance_metrics
+        WHERE id IN (
+          SELECT MAX(id) FROM governance_metrics
+          ${team ? 'WHERE team = ?' : ''}
+          GROUP BY team
+        )
+      )
+      ORDER BY team, plugin_id
+    `;
+    
+    const rows = await this.all(stmt, team ? [team] : []);
+    return rows.map(row => ({ ...row, metrics: JSON.parse(row.metrics || '{}') }));
+  }
+  
+  /**
+   * Record a finished collection cycle
    * 
    * @async
-   * @method storeMainMetrics
-   * @private
-   * @param {string} collectionId - Unique identifier for this data collection cycle
-   * @param {Object} metrics - Governance metrics data from calculator
+   * @method storeCollectionRun
+   * @param {Object} run - Run record from CollectionJob.toRunRecord()
    * @throws {Error} When SQL execution fails
    * 
-   * Data mapping from metrics object:
-   * - overallGovernanceScore: Overall governance score (0-100)
-   * - documentationCoverage: Documentation analysis results
-   * - testCoverage: Testing coverage analysis
-   * - monitoringCoverage: Monitoring setup analysis
-   * - organizationStructure: Workspace organization analysis
-   * - organizationalInsights: Organizational statistics
-   * - userManagement: User and group management data
-   * 
-   * Data safety:
-   * - Uses null coalescing (?. and ||) to handle missing nested properties
-   * - Defaults to 0 for numeric values to prevent NULL database entries
-   * - Stores complete raw metrics as JSON for future analysis
+   * Storage format:
+   * - Counters are stored as columns for aggregation and alerting
+   * - teams, entities, failures and errors are stored as JSON text
+   * - entity_failures holds the number of failures for cheap aggregation
+   * - INSERT OR REPLACE keeps one row per job id
    * 
    * Dependencies:
-   * - run(): Execute parameterized SQL statement
-   * - JSON.stringify(): Serialize raw metrics data
+   * - run(): Execute the insert
    * 
-   * Called by: storeMetrics()
+   * Called by: GovernanceCollectorApp.runCollection() when a cycle finishes
    * 
-   * @complexity O(1) - Single INSERT statement
-   * @returns {Promise<Object>} Database operation result with lastID and changes
+   * @complexity O(f) where f is the number of recorded failures (JSON encoding)
+   * @returns {Promise<void>} Resolves when the run is stored
    */
-  async storeMainMetrics(collectionId, metrics) {
+  async storeCollectionRun(run) {
     const stmt = `
-      INSERT INTO governance_metrics (
-        collection_id, overall_score, documentation_score, testing_score,
-        monitoring_score, organization_score, total_workspaces, total_collections,
-        total_users, total_forks, total_postbot_uses, total_mocks, total_monitors,
-        orphaned_users, user_groups, collections_without_specs, documented_endpoints, 
-        total_endpoints, tested_endpoints, team_workspaces, private_workspaces, raw_metrics
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT OR REPLACE INTO collection_runs (
+        id, trigger, status, started_at, finished_at, duration_ms, teams,
+        api_requests, client_errors, server_errors, retries,
+        entities_fetched, entity_failures, failures, errors
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
-    const values = [
-      collectionId,
-      metrics.overallGovernanceScore || 0,
-      metrics.documentationCoverage?.score || 0,
-      metrics.testCoverage?.score || 0,
-      metrics.monitoringCoverage?.score || 0,
-      metrics.organizationStructure?.score || 0,
-      metrics.organizationalInsights?.totalWorkspaces || 0,
-      metrics.organizationalInsights?.totalCollections || 0,
-      metrics.userManagement?.totalUsers || 0,
-      metrics.organizationalInsights?.totalForks || 0,
-      metrics.userManagement?.totalPostbotUses || 0,
-      metrics.organizationalInsights?.totalMocks || 0,
-      metrics.organizationalInsights?.totalMonitors || 0,
-      metrics.userManagement?.orphanedUsers || 0,
-      metrics.userManagement?.totalUserGroups || 0,
-      metrics.organizationalInsights?.collectionsWithoutSpecs || 0,
-      metrics.documentationCoverage?.documentedEndpoints || 0,
-      metrics.documentationCoverage?.totalEndpoints || 0,
-      metrics.testCoverage?.testedEndpoints || 0,
-      metrics.organizationStructure?.teamWorkspaces || 0,
-      metrics.organizationStructure?.privateWorkspaces || 0,
-      JSON.stringify(metrics)
-    ];
-    
-    return this.run(stmt, values);
+    await this.run(stmt, [
+      run.id,
+      run.trigger,
+      run.status,
+      run.startedAt,
+      run.finishedAt,
+      run.durationMs,
+      JSON.stringify(run.teams || []),
+      run.apiRequests || 0,
+      run.clientErrors || 0,
+      run.serverErrors || 0,
+      run.retries || 0,
+      JSON.stringify(run.entities || {}),
+      (run.failures || []).length,
+      JSON.stringify(run.failures || []),
+      JSON.stringify(run.errors || [])
+    ]);
   }
   
   /**
-   * Store governance violations with workspace mapping
-   * 
-   * Processes and stores all governance violations by type, mapping them to
-   * workspaces and administrators for remediation tracking. Flattens nested
-   * violation data structure into individual database records.
+   * List recorded collection cycles, most recent first
    * 
    * @async
-   * @method storeViolations
-   * @private
-   * @param {string} collectionId - Unique identifier for this data collection cycle
-   * @param {Object} violations - Violations grouped by type from calculator
+   * @method getCollectionRuns
+   * @param {number} [limit=50] - Maximum number of runs to return
+   * @param {string} [status=null] - Only return runs with this status
    * @throws {Error} When SQL execution fails
    * 
-   * Data structure processing:
-   * - Input: Object with violation types as keys and arrays of violations as values
-   * - Output: Flattened individual violation records with workspace mapping
-   * - Missing data handling: Provides defaults for all fields
-   * 
-   * Violation fields mapped:
-   * - violation_type: Type of governance violation
-   * - entity_id: ID of the violating entity (collection, user, etc.)
-   * - entity_name: Human-readable name of the violating entity
-   * - workspace_id: Associated workspace ID for context
-   * - workspace_name: Human-readable workspace name
-   * - severity: Violation severity level (critical, high, medium, low)
-   * - description: Detailed violation description
-   * - workspace_admin_email: Administrator contact for remediation
-   * 
-   * Performance consideration:
-   * - Uses sequential INSERTs for data integrity
-   * - Could be optimized with batch INSERT for large datasets
+   * Return format (per run):
+   * - id, trigger, status, startedAt, finishedAt, durationMs, teams
+   * - apiRequests, clientErrors, serverErrors, retries
+   * - entities, entityFailures, failures, errors (parsed from JSON)
    * 
    * Dependencies:
-   * - Object.entries(): Process violations by type
-   * - run(): Execute parameterized SQL statements
+   * - all(): Execute query and return multiple rows
    * 
-   * Called by: storeMetrics()
+   * Called by: GET /api/collect/runs endpoint
    * 
-   * @complexity O(n) where n is the total number of violations across all types
-   * @returns {Promise<void>} Resolves when all violations are stored
+   * @complexity O(n log n) where n is the number of stored runs (ORDER BY)
+   * @returns {Promise<Array<Object>>} Collection runs
    */
-  async storeViolations(collectionId, violations) {
+  async getCollectionRuns(limit = 50, status = null) {
     const stmt = `
-      INSERT INTO governance_violations (
-        collection_id, violation_type, entity_id, entity_name,
-        workspace_id, workspace_name, severity, description, workspace_admin_email
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      SELECT *
+      FROM collection_runs
+      ${status ? 'WHERE status = ?' : ''}
+      ORDER BY started_at DESC
+      LIMIT ?
     `;
     
-    const allViolations = [];
-    Object.entries(violations).forEach(([type, items]) => {
-      items.forEach(item => {
-        allViolations.push([
-          collectionId,
-          type,
-          item.id || item.entityId || 'unknown',
-          item.name || item.entityName || 'Unknown',
-          item.workspaceId || null,
-          item.workspaceName || null,
-          item.severity || 'medium',
-          item.description || `${type} violation`,
-          item.workspaceAdminEmail || null
-        ]);
-      });
-    });
-    
-    // Batch insert violations
-    for (const violation of allViolations) {
-      await this.run(stmt, violation);
-    }
+    const rows = await this.all(stmt, status ? [status, limit] : [limit]);
+    return rows.map(row => ({
+      id: row.id,
+      trigger: row.trigger,
+      status: row.status,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      durationMs: row.duration_ms,
+      teams: JSON.parse(row.teams || '[]'),
+      apiRequests: row.api_requests,
+      clientErrors: row.client_errors,
+      serverErrors: row.server_errors,
+      retries: row.retries,
+      entities: JSON.parse(row.entities_fetched || '{}'),
+      entityFailures: row.entity_failures,
+      failures: JSON.parse(row.failures || '[]'),
+      errors: JSON.parse(row.errors || '[]')
+    }));
   }
   
   /**
-   * Store workspace administrator contact information
-   * 
-   * Maintains an up-to-date directory of workspace administrators for violation
-   * notifications and governance communication. Uses INSERT OR REPLACE to
-   * handle administrator changes over time.
+   * Aggregate collection run history for Prometheus metrics
    * 
    * @async
-   * @method storeWorkspaceAdmins
-   * @private
-   * @param {Array<Object>} admins - Array of administrator records
+   * @method getCollectionRunStats
    * @throws {Error} When SQL execution fails
    * 
-   * Administrator record structure:
-   * - workspaceId: Unique workspace identifier
-   * - workspaceName: Human-readable workspace name
-   * - userId: Administrator user ID
-   * - email: Administrator email for notifications
-   * - name: Administrator display name
+   * Return format:
+   * - byStatus: Run counts and summed request/error/retry/failure counters per status
+   * - lastRun: Most recent run row (raw columns), or null
+   * - lastSuccessAt: started_at of the most recent completed run, or null
    * 
-   * Data management:
-   * - Uses INSERT OR REPLACE for upsert behavior
-   * - Unique constraint on (workspace_id, admin_user_id) prevents duplicates
-   * - Updates existing records when administrator data changes
+   * Dependencies:
+   * - all()/get(): Execute aggregate queries
+   * 
+   * Called by: GovernanceCollectorApp.getPrometheusMetrics()
+   * 
+   * @complexity O(n) where n is the number of stored runs
+   * @returns {Promise<Object>} Aggregated run statistics
+   */
+  async getCollectionRunStats() {
+    const byStatus = await this.all(`
+      SELECT 
+        status,
+        COUNT(*) as runs,
+        SUM(api_requests) as api_requests,
+        SUM(client_errors) as client_errors,
+        SUM(server_errors) as server_errors,
+        SUM(retries) as retries,
+        SUM(entity_failures) as entity_failures
+      FROM collection_runs
+      GROUP BY status
+      ORDER BY status
+    `);
+    const lastRun = await this.get(`
+      SELECT * FROM collection_runs ORDER BY started_at DESC LIMIT 1
+    `);
+    const lastSuccess = await this.get(`
+      SELECT MAX(started_at) as started_at FROM collection_runs WHERE status = 'completed'
+    `);
+    
+    return {
+      byStatus,
+      lastRun: lastRun || null,
+      lastSuccessAt: lastSuccess?.started_at || null
+    };
+  }
+
+  /**
+   * Store audit events and advance the team's high-water mark
+   * 
+   * @async
+   * @method storeAuditEvents
+   * @param {Array<Object>} events - Normalized events from PostmanClient.getAuditEvents()
+   * @param {string} [team='default'] - Postman team the events belong to
+   * @throws {Error} When SQL execution fails
+   * 
+   * Storage format:
+   * - INSERT OR IGNORE on (team, id), so events fetched again at the
+   *   high-water mark boundary are not duplicated
+   * - Raw event data is stored as JSON text
+   * - The newest event timestamp is saved in system_metadata under
+   *   audit_events_high_water_mark:<team>; the mark never moves backwards
    * 
    * Dependencies:
-   * - run(): Execute parameterized SQL statement
+   * - run(): Execute parameterized SQL statements
+   * - getAuditHighWaterMark(): Current mark for the team
    * 
-   * Called by: storeMetrics()
+   * Called by: GovernanceCollectorApp.runCollection() after metrics are stored
    * 
-   * @complexity O(n) where n is the number of administrators
-   * @returns {Promise<void>} Resolves when all administrators are stored
+   * @complexity O(n) where n is the number of events
+   * @returns {Promise<number>} Number of newly stored events
    */
-  async storeWorkspaceAdmins(admins) {
+  async storeAuditEvents(events, team = 'default') {
+    if (!events || events.length === 0) {
+      return 0;
+    }
+    
     const stmt = `
-      INSERT OR REPLACE INTO workspace_admins (
-        workspace_id, workspace_name, admin_user_id, admin_email, admin_name
-      ) VALUES (?, ?, ?, ?, ?)
+      INSERT OR IGNORE INTO audit_events (
+        id, team, timestamp, action, actor_id, actor_name, actor_username,
+        actor_email, ip, user_agent, message, data
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
-    for (const admin of admins) {
-      await this.run(stmt, [
-        admin.workspaceId,
-        admin.workspaceName,
-        admin.userId,
-        admin.email,
-        admin.name
+    let stored = 0;
+    let newest = await this.getAuditHighWaterMark(team);
+    for (const event of events) {
+      const result = await this.run(stmt, [
+        event.id,
+        team,
+        event.timestamp,
+        event.action,
+        event.actor?.id || null,
+        event.actor?.name || null,
+        event.actor?.username || null,
+        event.actor?.email || null,
+        event.ip || null,
+        event.userAgent || null,
+        event.message || null,
+        JSON.stringify(event.data || {})
       ]);
+      stored += result.changes;
+      if (!newest || event.timestamp > newest) {
+        newest = event.timestamp;
+      }
     }
+    
+    await this.run(`
+      INSERT OR REPLACE INTO system_metadata (key, value, updated_at)
+      VALUES (?, ?, CURRENT_TIMESTAMP)
+    `, [`audit_events_high_water_mark:${team}`, newest]);
+    
+    return stored;
   }
   
   /**
-   * Store collection-level governance metadata
-   * 
-   * Maintains detailed governance information for individual collections
-   * including specification status, endpoint counts, and testing coverage.
-   * Used for collection-level governance analysis and reporting.
+   * Timestamp of the newest stored audit event for a team
    * 
    * @async
-   * @method storeCollectionMetadata
-   * @private
-   * @param {Array<Object>} collections - Array of collection metadata records
+   * @method getAuditHighWaterMark
+   * @param {string} [team='default'] - Postman team
    * @throws {Error} When SQL execution fails
    * 
-   * Collection metadata structure:
-   * - id: Unique collection identifier
-   * - name: Collection display name
-   * - workspaceId: Parent workspace identifier
-   * - workspaceName: Parent workspace name
-   * - hasSpecification: Boolean indicating API specification presence
-   * - endpointCount: Total number of API endpoints
-   * - documentedEndpoints: Count of documented endpoints
-   * - testedEndpoints: Count of endpoints with tests
-   * - forkCount: Number of collection forks
+   * Called by: GovernanceCollectorApp.runCollection() to fetch audit events incrementally
    * 
-   * Data management:
-   * - Uses INSERT OR REPLACE for upsert behavior
-   * - Updates collection metadata as governance analysis evolves
-   * - Maintains historical tracking through timestamp field
+   * @complexity O(1) - Primary key lookup
+   * @returns {Promise<string|null>} ISO timestamp, or null before the first import
+   */
+  async getAuditHighWaterMark(team = 'default') {
+    const row = await this.get(
+      'SELECT value FROM system_metadata WHERE key = ?',
+      [`audit_events_high_water_mark:${team}`]
+    );
+    return row ? row.value : null;
+  }
+  
+  /**
+   * Query stored audit events, most recent first
+   * 
+   * @async
+   * @method getAuditEvents
+   * @param {Object} [filters={}] - Query filters
+   * @param {string} [filters.actor] - Actor id, username or email
+   * @param {string} [filters.action] - Audit action (e.g. collection.delete)
+   * @param {string} [filters.from] - ISO timestamp lower bound (inclusive)
+   * @param {string} [filters.to] - ISO timestamp upper bound (inclusive)
+   * @param {string} [filters.team] - Postman team
+   * @param {number} [filters.limit=100] - Maximum number of events
+   * @throws {Error} When SQL execution fails
+   * 
+   * Return format (per event):
+   * - id, team, timestamp, action, message, ip, userAgent
+   * - actor: { id, name, username, email }
+   * - data: Raw event data (parsed from JSON)
    * 
    * Dependencies:
-   * - run(): Execute parameterized SQL statement
+   * - all(): Execute query and return multiple rows
    * 
-   * Called by: storeMetrics()
+   * Called by: GET /api/governance/audit-events endpoint
    * 
-   * @complexity O(n) where n is the number of collections
-   * @returns {Promise<void>} Resolves when all collection metadata is stored
+   * @complexity O(n log n) where n is the number of matching events (ORDER BY)
+   * @returns {Promise<Array<Object>>} Audit events
    */
-  async storeCollectionMetadata(collections) {
+  async getAuditEvents({ actor = null, action = null, from = null, to = null, team = null, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (actor) {
+      conditions.push('(actor_id = ? OR actor_username = ? OR actor_email = ?)');
+      params.push(actor, actor, actor);
+    }
+    if (action) {
+      conditions.push('action = ?');
+      params.push(action);
+    }
+    if (from) {
+      conditions.push('timestamp >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('timestamp <= ?');
+      params.push(to);
+    }
+    if (team) {
+      conditions.push('team = ?');
+      params.push(team);
+    }
+    
     const stmt = `
-      INSERT OR REPLACE INTO collection_metadata (
-        collection_id, collection_name, workspace_id, workspace_name,
-        has_specification, endpoint_count, documented_endpoints,
-        tested_endpoints, fork_count
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      SELECT *
+      FROM audit_events
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY timestamp DESC, id DESC
+      LIMIT ?
     `;
     
-    for (const collection of collections) {
-      await this.run(stmt, [
-        collection.id,
-        collection.name,
-        collection.workspaceId,
-        collection.workspaceName,
-        collection.hasSpecification,
-        collection.endpointCount,
-        collection.documentedEndpoints,
-        collection.testedEndpoints,
-        collection.forkCount
-      ]);
-    }
+    const rows = await this.all(stmt, [...params, limit]);
+    return rows.map(row => ({
+      id: row.id,
+      team: row.team,
+      timestamp: row.timestamp,
+      action: row.action,
+      message: row.message,
+      ip: row.ip,
+      userAgent: row.user_agent,
+      actor: {
+        id: row.actor_id,
+        name: row.actor_name,
+        username: row.actor_username,
+        email: row.actor_email
+      },
+      data: JSON.parse(row.data || '{}')
+    }));
   }
-  
+
   /**
    * Query historical governance metrics with time bucketing
    * 
@@ -712,6 +2470,7 @@ class DatabaseManager {
    * @param {string} from - Start date/time in ISO format
    * @param {string} to - End date/time in ISO format
    * @param {string} [interval='hour'] - Time bucket interval ('hour' or 'day')
+   * @param {string} [team=null] - Restrict to one Postman team (all teams when null)
    * @throws {Error} When SQL execution fails
    * 
    * Time bucketing:
@@ -721,6 +2480,7 @@ class DatabaseManager {
    * 
    * Aggregation:
    * - Calculates average scores across all data points in each time bucket
+   * - Averages across teams unless a team is given
    * - Includes data_points count for statistical significance
    * - Handles missing data gracefully through SQL aggregation
    * 
@@ -731,6 +2491,8 @@ class DatabaseManager {
    * - avg_testing_score: Average testing coverage score
    * - avg_monitoring_score: Average monitoring coverage score
    * - avg_organization_score: Average organization structure score
+   * - avg_security_score: Average security posture score (null before it was recorded)
+   * - avg_spec_lint_score: Average API schema lint pass rate (null before it was recorded)
    * - data_points: Number of raw data points in this bucket
    * 
    * Dependencies:
@@ -742,7 +2504,7 @@ class DatabaseManager {
    * @complexity O(n log n) where n is the number of metrics records (due to GROUP BY)
    * @returns {Promise<Array<Object>>} Array of time-bucketed governance metrics
    */
-  async getHistoricalMetrics(from, to, interval = 'hour') {
+  async getHistoricalMetrics(from, to, interval = 'hour', team = null) {
     const groupBy = interval === 'day' ? 
       "strftime('%Y-%m-%d', timestamp)" :
       "strftime('%Y-%m-%d %H:00:00', timestamp)";
@@ -755,14 +2517,17 @@ class DatabaseManager {
         AVG(testing_score) as avg_testing_score,
         AVG(monitoring_score) as avg_monitoring_score,
         AVG(organization_score) as avg_organization_score,
+        AVG(security_score) as avg_security_score,
+        AVG(spec_lint_score) as avg_spec_lint_score,
         COUNT(*) as data_points
       FROM governance_metrics
       WHERE timestamp BETWEEN ? AND ?
+        ${team ? 'AND team = ?' : ''}
       GROUP BY ${groupBy}
       ORDER BY time_bucket
     `;
     
-    return this.all(stmt, [from, to]);
+    return this.all(stmt, team ? [from, to, team] : [from, to]);
   }
 
   /**
@@ -774,24 +2539,30 @@ class DatabaseManager {
    * 
    * @async
    * @method getLatestMetricsSummary
+   * @param {string} [team=null] - Restrict to one Postman team (all teams when null)
    * @throws {Error} When SQL execution fails
    * 
    * Data retrieved:
-   * - Governance scores (overall, documentation, testing, monitoring, organization)
+   * - Governance scores (overall, documentation, testing, monitoring, organization, security)
    * - Organizational counts (workspaces, collections, users, forks)
    * - Platform usage (mocks, monitors, Postbot uses)
    * - Governance issues (orphaned users, collections without specs)
    * - Collection timestamp for data freshness indication
    * 
+   * Team aggregation:
+   * - Uses the latest row of each team (or of the requested team)
+   * - Scores are averaged across teams, counts are summed
+   * - `teams` reports how many teams contributed
+   * 
    * Fallback behavior:
    * - Returns zero-filled object if no metrics exist yet
    * - Prevents dashboard errors during initial deployment
    * - Maintains consistent data structure for consumers
    * 
    * Query optimization:
-   * - Uses ORDER BY timestamp DESC LIMIT 1 for efficiency
-   * - Leverages timestamp index for fast retrieval
-   * - Single row result minimizes memory usage
+   * - Selects each team's latest row through MAX(id) per team
+   * - Leverages the team index for fast retrieval
+   * - Single aggregated row minimizes memory usage
    * 
    * Dependencies:
    * - get(): Execute query and return single row
@@ -801,39 +2572,47 @@ class DatabaseManager {
    * - Prometheus metrics generation
    * - Dashboard stat panels
    * 
-   * @complexity O(log n) where n is the number of metrics records (due to index scan)
+   * @complexity O(n) where n is the number of metrics records (per-team MAX(id) scan)
    * @returns {Promise<Object>} Latest governance metrics or zero-filled defaults
    */
-  async getLatestMetricsSummary() {
+  async getLatestMetricsSummary(team = null) {
     const stmt = `
       SELECT 
-        overall_score as avg_overall_score,
-        documentation_score as avg_documentation_score,
-        testing_score as avg_testing_score,
-        monitoring_score as avg_monitoring_score,
-        organization_score as avg_organization_score,
-        total_workspaces,
-        total_collections,
-        total_users,
-        total_forks,
-        total_postbot_uses,
-        total_mocks,
-        total_monitors,
-        orphaned_users,
-        collections_without_specs,
-        timestamp
+        AVG(overall_score) as avg_overall_score,
+        AVG(documentation_score) as avg_documentation_score,
+        AVG(testing_score) as avg_testing_score,
+        AVG(monitoring_score) as avg_monitoring_score,
+        AVG(organization_score) as avg_organization_score,
+        AVG(security_score) as avg_security_score,
+        AVG(spec_lint_score) as avg_spec_lint_score,
+        SUM(total_workspaces) as total_workspaces,
+        SUM(total_collections) as total_collections,
+        SUM(total_users) as total_users,
+        SUM(total_forks) as total_forks,
+        SUM(total_postbot_uses) as total_postbot_uses,
+        SUM(total_mocks) as total_mocks,
+        SUM(total_monitors) as total_monitors,
+        SUM(orphaned_users) as orphaned_users,
+        SUM(collections_without_specs) as collections_without_specs,
+        COUNT(*) as teams,
+        MAX(timestamp) as timestamp
       FROM governance_metrics 
-      ORDER BY timestamp DESC 
-      LIMIT 1
+      WHERE id IN (
+        SELECT MAX(id) FROM governance_metrics
+        ${team ? 'WHERE team = ?' : ''}
+        GROUP BY team
+      )
     `;
     
-    const result = await this.get(stmt);
-    return result || {
+    const result = await this.get(stmt, team ? [team] : []);
+    return result && result.teams > 0 ? result : {
       avg_overall_score: 0,
       avg_documentation_score: 0,
       avg_testing_score: 0,
       avg_monitoring_score: 0,
       avg_organization_score: 0,
+      avg_security_score: 0,
+      avg_spec_lint_score: 0,
       total_workspaces: 0,
       total_collections: 0,
       total_users: 0,
@@ -842,7 +2621,8 @@ class DatabaseManager {
       total_mocks: 0,
       total_monitors: 0,
       orphaned_users: 0,
-      collections_without_specs: 0
+      collections_without_specs: 0,
+      teams: 0
     };
   }
   
@@ -857,14 +2637,16 @@ class DatabaseManager {
    * @method getHistoricalViolations
    * @param {string} from - Start date/time in ISO format
    * @param {string} to - End date/time in ISO format
+   * @param {string} [team=null] - Restrict to one Postman team (all teams when null)
    * @throws {Error} When SQL execution fails
    * 
    * Grouping strategy:
-   * - Groups by violation_type and entity_id to consolidate duplicate violations
+   * - Groups by team, violation_type and entity_id to consolidate duplicate violations
    * - Shows latest occurrence timestamp for each unique violation
    * - Counts total occurrences of each violation within the time range
    * 
    * Return data:
+   * - team: Postman team the violation was collected from
    * - violation_type: Type of governance violation
    * - severity: Violation severity level
    * - count: Number of occurrences within the time range
@@ -885,9 +2667,10 @@ class DatabaseManager {
    * @complexity O(n log n) where n is the number of violations (due to GROUP BY and ORDER BY)
    * @returns {Promise<Array<Object>>} Array of grouped historical violations
    */
-  async getHistoricalViolations(from, to) {
+  async getHistoricalViolations(from, to, team = null) {
     const stmt = `
       SELECT 
+        team,
         violation_type,
         severity,
         COUNT(*) as count,
@@ -897,11 +2680,12 @@ class DatabaseManager {
         MAX(timestamp) as latest_occurrence
       FROM governance_violations
       WHERE timestamp BETWEEN ? AND ?
-      GROUP BY violation_type, entity_id
+        ${team ? 'AND team = ?' : ''}
+      GROUP BY team, violation_type, entity_id
       ORDER BY latest_occurrence DESC
     `;
     
-    return this.all(stmt, [from, to]);
+    return this.all(stmt, team ? [from, to, team] : [from, to]);
   }
   
   /**
@@ -913,10 +2697,11 @@ class DatabaseManager {
    * 
    * @async
    * @method getCurrentViolations
+   * @param {string} [team=null] - Restrict to one Postman team (all teams when null)
    * @throws {Error} When SQL execution fails
    * 
    * Grouping behavior:
-   * - Groups by violation_type and entity_id to avoid showing duplicates
+   * - Groups by team, violation_type and entity_id to avoid showing duplicates
    * - Shows count of each unique violation across all collection cycles
    * - Displays latest occurrence timestamp for each violation
    * 
@@ -938,9 +2723,10 @@ class DatabaseManager {
    * @complexity O(n log n) where n is the total number of violations (due to GROUP BY and ORDER BY)
    * @returns {Promise<Array<Object>>} Array of all grouped violations
    */
-  async getCurrentViolations() {
+  async getCurrentViolations(team = null) {
     const stmt = `
       SELECT 
+        team,
         violation_type,
         severity,
         COUNT(*) as count,
@@ -949,11 +2735,12 @@ class DatabaseManager {
         description,
         MAX(timestamp) as latest_occurrence
       FROM governance_violations
-      GROUP BY violation_type, entity_id
+      ${team ? 'WHERE team = ?' : ''}
+      GROUP BY team, violation_type, entity_id
       ORDER BY latest_occurrence DESC
     `;
     
-    return this.all(stmt);
+    return this.all(stmt, team ? [team] : []);
   }
   
   /**
@@ -965,11 +2752,13 @@ class DatabaseManager {
    * 
    * @async
    * @method getViolationSummary
+   * @param {string} [team=null] - Restrict to one Postman team (all teams when null)
    * @throws {Error} When SQL execution fails
    * 
    * Aggregation:
-   * - Groups all violations by violation_type
-   * - Counts total occurrences of each violation type
+   * - Groups open (and reopened) violations of violation_lifecycle by violation_type,
+   *   leaving out waived violations
+   * - Counts each violation once, however many cycles it was found in
    * - Orders by count DESC to show most common violations first
    * 
    * Use cases:
@@ -980,11 +2769,11 @@ class DatabaseManager {
    * 
    * Return data:
    * - violation_type: Type of governance violation
-   * - count: Total number of violations of this type
+   * - count: Number of open violations of this type
    * 
    * Performance:
    * - Efficient aggregation using GROUP BY
-   * - Leverages violation_type index
+   * - Leverages the violation_lifecycle (team, status) index
    * - Small result set suitable for frequent polling
    * 
    * Dependencies:
@@ -998,17 +2787,20 @@ class DatabaseManager {
    * @complexity O(n) where n is the number of unique violation types (typically small)
    * @returns {Promise<Array<Object>>} Array of violation type summaries
    */
-  async getViolationSummary() {
+  async getViolationSummary(team = null) {
     const stmt = `
       SELECT 
         violation_type,
         COUNT(*) as count
-      FROM governance_violations
+      FROM violation_lifecycle
+      WHERE status != 'resolved'
+        AND waiver_id IS NULL
+        ${team ? 'AND team = ?' : ''}
       GROUP BY violation_type 
-      ORDER BY count DESC
+      ORDER BY count DESC, violation_type
     `;
     
-    return this.all(stmt);
+    return this.all(stmt, team ? [team] : []);
   }
 
   /**
@@ -1016,18 +2808,24 @@ class DatabaseManager {
    * 
    * Retrieves comprehensive violation information with administrator contacts
    * and actionable descriptions for the "Actionable Governance Violations" dashboard.
-   * Includes JOIN with workspace administrators and human-readable action items.
+   * Lists each open or reopened violation of violation_lifecycle once, like
+   * getViolationSummary(): resolved and waived violations are left out, and
+   * the remediation and reported contact are those of the cycle the violation
+   * was last found in, kept on its lifecycle row.
    * 
    * @async
    * @method getDetailedViolations
    * @param {number} [limit=50] - Maximum number of violations to return
+   * @param {string} [team=null] - Restrict to one Postman team (all teams when null)
    * @throws {Error} When SQL execution fails
    * 
    * Data enrichment:
-   * - Joins with workspace_admins table for administrator contact information
+   * - First workspace_admins entry of the workspace as administrator contact
    * - Uses COALESCE to provide fallback admin contact resolution
    * - Transforms violation types into human-readable action descriptions
-   * - Filters out violations with empty or null entity names
+   * - Filters out violations with empty entity names
+   * - status and first_seen from the lifecycle; timestamp is the last cycle
+   *   the violation was found in
    * 
    * Human-readable action mapping:
    * - collectionsWithoutSpecs → "Collection missing API specification"
@@ -1039,8 +2837,7 @@ class DatabaseManager {
    * 
    * Sorting priority:
    * - Primary: Severity level (critical=1, high=2, medium=3, low=4)
-   * - Secondary: Timestamp DESC (most recent first within severity)
-   * - Ensures most critical and recent violations appear first
+   * - Secondary: opened_at (longest open first within severity)
    * 
    * CSV/JSON format support:
    * - Data structure designed for both JSON API and CSV export
@@ -1049,49 +2846,62 @@ class DatabaseManager {
    * 
    * Dependencies:
    * - all(): Execute query and return multiple rows
-   * - LEFT JOIN: Connect violations with administrator information
    * - CASE/COALESCE: Data transformation and fallback handling
    * 
    * Called by: GET /api/governance/violations/detailed endpoint
    * 
-   * @complexity O(n log n) where n is the number of violations (due to JOIN and ORDER BY)
+   * @complexity O(n log n) where n is the number of open violations (due to ORDER BY)
    * @returns {Promise<Array<Object>>} Array of detailed violations with admin contacts
    */
-  async getDetailedViolations(limit = 50) {
+  async getDetailedViolations(limit = 50, team = null) {
     const stmt = `
       SELECT 
-        gv.violation_type,
-        gv.entity_name,
-        gv.workspace_name,
-        gv.severity,
-        gv.description,
-        gv.workspace_admin_email,
-        gv.timestamp,
-        COALESCE(wa.admin_email, gv.workspace_admin_email, 'No admin found') as admin_contact,
+        vl.team,
+        vl.violation_type,
+        vl.entity_name,
+        vl.workspace_name,
+        vl.severity,
+        vl.description,
+        vl.workspace_admin_email,
+        vl.remediation,
+        vl.severity_reason,
+        vl.status,
+        vl.first_seen,
+        vl.last_seen as timestamp,
+        COALESCE((
+          SELECT wa.admin_email
+          FROM workspace_admins wa
+          WHERE wa.workspace_id = vl.workspace_id AND wa.team = vl.team
+          ORDER BY wa.id
+          LIMIT 1
+        ), vl.workspace_admin_email, 'No admin found') as admin_contact,
         CASE 
-          WHEN gv.violation_type = 'collectionsWithoutSpecs' THEN 'Collection missing API specification'
-          WHEN gv.violation_type = 'missingDocumentation' THEN 'Endpoints lack proper documentation'
-          WHEN gv.violation_type = 'untestedCollections' THEN 'Collection has no test coverage'
-          WHEN gv.violation_type = 'orphanedUsers' THEN 'User not assigned to any workspace'
-          WHEN gv.violation_type = 'unusedEnvironments' THEN 'Environment not actively used'
-          ELSE gv.description
+          WHEN vl.violation_type = 'collectionsWithoutSpecs' THEN 'Collection missing API specification'
+          WHEN vl.violation_type = 'missingDocumentation' THEN 'Endpoints lack proper documentation'
+          WHEN vl.violation_type = 'untestedCollections' THEN 'Collection has no test coverage'
+          WHEN vl.violation_type = 'orphanedUsers' THEN 'User not assigned to any workspace'
+          WHEN vl.violation_type = 'unusedEnvironments' THEN 'Environment not actively used'
+          ELSE vl.description
         END as action_needed
-      FROM governance_violations gv
-      LEFT JOIN workspace_admins wa ON gv.workspace_id = wa.workspace_id
-      WHERE gv.entity_name IS NOT NULL 
-        AND gv.entity_name != ''
+      FROM violation_lifecycle vl
+      WHERE vl.status IN ('open', 'reopened')
+        AND vl.waiver_id IS NULL
+        AND vl.entity_name != ''
+        ${team ? 'AND vl.team = ?' : ''}
       ORDER BY 
-        CASE gv.severity 
+        CASE vl.severity 
           WHEN 'critical' THEN 1 
           WHEN 'high' THEN 2 
           WHEN 'medium' THEN 3 
           ELSE 4 
         END,
-        gv.timestamp DESC
+        vl.opened_at ASC,
+        vl.violation_type,
+        vl.entity_name
       LIMIT ?
     `;
     
-    return this.all(stmt, [limit]);
+    return this.all(stmt, team ? [team, limit] : [limit]);
   }
   
   /**
@@ -1104,6 +2914,7 @@ class DatabaseManager {
    * @method getMetricTrends
    * @param {string} metric - Database column name for the metric to analyze
    * @param {string} [period='7d'] - Time period in format 'Nd' (e.g., '7d', '30d')
+   * @param {string} [team=null] - Restrict to one Postman team (all teams when null)
    * @throws {Error} When SQL execution fails or metric column is invalid
    * 
    * Supported metrics:
@@ -1112,6 +2923,8 @@ class DatabaseManager {
    * - testing_score: Testing coverage score
    * - monitoring_score: Monitoring coverage score
    * - organization_score: Organization structure score
+   * - security_score: Security posture score
+   * - spec_lint_score: API schema lint pass rate
    * - Any numeric column from governance_metrics table
    * 
    * Period parsing:
@@ -1142,7 +2955,7 @@ class DatabaseManager {
    * @complexity O(n log n) where n is the number of metrics in the time period
    * @returns {Promise<Array<Object>>} Array of daily trend data points
    */
-  async getMetricTrends(metric, period = '7d') {
+  async getMetricTrends(metric, period = '7d', team = null) {
     const days = parseInt(period.replace('d', ''), 10) || 7;
     const stmt = `
       SELECT 
@@ -1150,10 +2963,45 @@ class DatabaseManager {
         AVG(${metric}) as value
       FROM governance_metrics
       WHERE timestamp >= datetime('now', '-${days} days')
+        ${team ? 'AND team = ?' : ''}
       GROUP BY strftime('%Y-%m-%d', timestamp)
       ORDER BY date
     `;
     
+    return this.all(stmt, team ? [team] : []);
+  }
+  
+  /**
+   * List Postman teams with stored governance data
+   * 
+   * @async
+   * @method getTeams
+   * @throws {Error} When SQL execution fails
+   * 
+   * Return format:
+   * - team: Team name from configuration
+   * - collections: Number of collection cycles stored for the team
+   * - last_collected: Timestamp of the team's latest metrics
+   * 
+   * Dependencies:
+   * - all(): Execute query and return multiple rows
+   * 
+   * Called by: GET /api/governance/teams endpoint
+   * 
+   * @complexity O(n) where n is the number of metrics records
+   * @returns {Promise<Array<Object>>} Teams ordered by name
+   */
+  async getTeams() {
+    const stmt = `
+      SELECT 
+        team,
+        COUNT(*) as collections,
+        MAX(timestamp) as last_collected
+      FROM governance_metrics
+      GROUP BY team
+      ORDER BY team
+    `;
+    
     return this.all(stmt);
   }
   
@@ -1404,4 +3252,12 @@ class DatabaseManager {
   }
 }
 
+/**
+ * Fingerprint of a violation: its rule (violation type), entity id and location
+ * within the entity (null for entity-level violations)
+ */
+function violationFingerprint(type, entityId, location) {
+  return crypto.createHash('sha256').update(JSON.stringify([type, entityId, location])).digest('hex');
+}
+
 module.exports = DatabaseManager;
\ No newline at end of file
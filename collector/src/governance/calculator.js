@@ -7,6 +7,64 @@
  * organizational structure metrics for enterprise API governance programs.
  */
 
+const SecretScanner = require('./secret-scanner');
+const SpecLinter = require('./spec-linter');
+const SpecDriftAnalyzer = require('./spec-drift');
+const WorkspaceRules = require('./workspace-rules');
+const RuleEngine = require('./rule-engine');
+const RulePluginRunner = require('./rule-plugins');
+const SeverityPolicy = require('./severity-policy');
+const WaiverSet = require('./waivers');
+const { SCORE_EXCLUSIONS } = require('./waivers');
+
+// Bump whenever analyzeEndpoints() output changes so stored incremental analyses are recomputed
+const ENDPOINT_ANALYSIS_VERSION = 3;
+
+// Violation categories always present in calculateGovernanceViolations() results
+const VIOLATION_TYPES = [
+  'missingDocumentation', 'untestedCollections', 'collectionsWithoutSpecs', 'orphanedUsers',
+  'plaintextSecrets', 'hardcodedCredentials', 'flakyMonitors', 'failingMonitors',
+  'unmockedCollections', 'orphanedMocks', 'publicInternalMocks', 'staleForks', 'specLintFailures', 'specDrift',
+  'workspaceNamingViolations', 'missingAssetIds', 'missingWorkspaceTags', 'workspaceTypeMismatches'
+];
+
+/**
+ * Normalize a monitor run result into the fields used for reliability analysis.
+ * Accepts both the flat run shape and the `{ info, stats, executions }` shape
+ * returned by the monitor runs endpoint.
+ */
+function normalizeMonitorRun(run = {}) {
+  const status = run.info?.status ?? run.status ?? null;
+  const assertions = run.stats?.assertions || {};
+  const averageResponseTime = run.stats?.responseTime?.average;
+  const responseTimes = typeof averageResponseTime === 'number' ?
+    [averageResponseTime] :
+    (run.executions || [])
+      .map(execution => execution.response?.responseTime)
+      .filter(time => typeof time === 'number');
+
+  return {
+    status,
+    success: status === 'success',
+    startedAt: run.info?.startedAt ?? run.startedAt ?? null,
+    failedAssertions: assertions.failed || 0,
+    totalAssertions: assertions.total || 0,
+    responseTimes
+  };
+}
+
+/**
+ * List the requests of a collection item tree with their folder path
+ */
+function listRequestItems(items, path = []) {
+  return items.flatMap(item => {
+    if (item.request) {
+      return [{ item, path: [...path, item.name || 'Unnamed request'].join(' / ') }];
+    }
+    return item.item ? listRequestItems(item.item, [...path, item.name || 'Unnamed folder']) : [];
+  });
+}
+
 /**
  * Governance Calculator Class
  * 
@@ -19,9 +77,9 @@
  * @description Enterprise API governance analysis and scoring engine
  * 
  * Key capabilities:
- * - Multi-dimensional governance scoring (documentation, testing, monitoring, organization)
+ * - Multi-dimensional governance scoring (documentation, testing, monitoring, organization, security)
  * - Weighted score calculation with configurable importance ratios
- * - Comprehensive violation detection across 7 governance areas
+ * - Comprehensive violation detection across 8 governance areas
  * - Organizational structure analysis with naming convention validation
  * - User management analysis with orphaned user detection
  * - Fork analysis and collaboration metrics
@@ -35,6 +93,13 @@
  * 5. **User Management**: User group membership and role analysis
  * 6. **Specification Coverage**: API specification attachment tracking
  * 7. **Collaboration Analysis**: Fork usage and team collaboration patterns
+ * 8. **Security Posture**: Hardcoded credentials in requests and plaintext environment secrets
+ * 9. **Monitor Reliability**: Success rate, failing assertions and latency of recent monitor runs
+ * 10. **Mock Servers**: Mock coverage per collection, orphaned mocks and public mocks of internal APIs
+ * 11. **Fork Hygiene**: Old forks, diverged forks never merged back and forks of departed users
+ * 12. **Spec Quality**: OpenAPI style rules run against each API's schema
+ * 13. **Spec Drift**: Endpoints and parameters of each API's schema vs. its linked collections
+ * 14. **Workspace Rules**: Workspace naming, asset IDs, required tags and development workspace type
  * 
  * Dependencies:
  * - PostmanClient: API data collection and rate-limited communication
@@ -65,12 +130,24 @@ class GovernanceCalculator {
    *   - testing: Test coverage weight (e.g., 0.3)
    *   - monitoring: Monitoring coverage weight (e.g., 0.2)
    *   - organization: Organization structure weight (e.g., 0.2)
+   *   - security: Security posture weight (optional, e.g., 0.15)
+   *   - spec_lint: API schema lint pass rate weight (optional, e.g., 0.15)
    * - config.thresholds: Minimum acceptable scores for each dimension
    *   - min_documentation_coverage: Documentation threshold (e.g., 80)
    *   - min_test_coverage: Test coverage threshold (e.g., 70)
+   *   - max_fork_age_days: Age after which a fork is stale (e.g., 90)
+   *   - min_monitor_success_ratio: Success ratio below which a monitor is flaky (e.g., 0.95)
+   *   - failing_monitor_success_ratio: Success ratio below which a monitor is failing (e.g., 0.5)
+   *   - min_monitor_runs: Recent runs required before a monitor is classified (e.g., 3)
    * - config.limits: Analysis performance limits
    *   - max_collection_analysis: Collection analysis limit (-1 = unlimited)
    *   - max_workspaces: Workspace analysis limit
+   * - config.secret_detection: Plaintext secret detection settings (see SecretScanner.fromConfig())
+   * - config.spec_lint: API schema lint rules and casing (see SpecLinter.fromConfig())
+   * - config.default_rules / config.rules_directory / config.rules: Declarative
+   *   governance rules (see RuleEngine.fromConfig())
+   * - config.rule_plugins: JavaScript rule plugins (see RulePluginRunner.fromConfig())
+   * - config.severity_policy: Severity per violation type and escalation (see SeverityPolicy.fromConfig())
    * 
    * Validation performed:
    * - Weights sum validation (enforced by ConfigLoader)
@@ -89,6 +166,17 @@ class GovernanceCalculator {
     this.logger = logger;
     this.weights = config.weights;
     this.thresholds = config.thresholds;
+    this.secretScanner = SecretScanner.fromConfig(config.secret_detection);
+    this.specLinter = SpecLinter.fromConfig(config.spec_lint);
+    this.specDriftAnalyzer = SpecDriftAnalyzer.fromConfig(config.spec_drift);
+    this.workspaceRules = WorkspaceRules.fromConfig(config.workspace_rules);
+    this.ruleEngine = RuleEngine.fromConfig(config, logger);
+    this.rulePlugins = RulePluginRunner.fromConfig(config.rule_plugins, logger);
+    this.rulePluginResults = new WeakMap();
+    this.severityPolicy = SeverityPolicy.fromConfig(config.severity_policy);
+    // Endpoint analysis is memoized per collection object, so each collection in a
+    // snapshot is walked once per cycle no matter how many calculators need it
+    this.endpointAnalysisCache = new WeakMap();
   }
   
   /**
@@ -100,18 +188,32 @@ class GovernanceCalculator {
    * 
    * @async
    * @method calculateGovernanceMetrics
+   * @param {Object} [snapshot] - Per-cycle data snapshot from PostmanClient.collectSnapshot();
+   *   collected on demand when omitted
+   * @param {Object} [options={}] - Analysis options
+   * @param {Array<Object>} [options.waivers=[]] - Active waivers of the team
+   *   (DatabaseManager.getActiveWaivers()); waived entities are left out of the scores
    * @throws {Error} When API data collection fails
    * @throws {Error} When governance calculation encounters critical errors
    * 
    * Analysis workflow:
-   * 1. **Data Collection**: Comprehensive Postman workspace data via PostmanClient
+   * 1. **Data Collection**: Shared per-cycle snapshot (or a fresh one via PostmanClient)
    * 2. **Documentation Analysis**: Endpoint-level documentation and example coverage
    * 3. **Test Coverage Analysis**: Test script validation across collections
-   * 4. **Monitoring Analysis**: Collection monitoring setup and compliance
+   * 4. **Monitoring Analysis**: Collection monitoring setup, compliance and recent run reliability
    * 5. **Organization Analysis**: Workspace structure and naming conventions
-   * 6. **User Management Analysis**: User groups, roles, and orphaned user detection
-   * 7. **Organizational Insights**: Collaboration patterns and specification coverage
-   * 8. **Score Calculation**: Weighted overall governance score computation
+   * 6. **Security Analysis**: Hardcoded request credentials and plaintext environment secrets
+   * 7. **User Management Analysis**: User groups, roles, and orphaned user detection
+   * 8. **Organizational Insights**: Collaboration patterns and specification coverage
+   * 9. **Score Calculation**: Weighted overall governance score computation
+   * 
+   * Waived entities (SCORE_EXCLUSIONS in waivers.js):
+   * - documentationCoverage: Collections waived from missingDocumentation
+   * - testCoverage: Collections waived from untestedCollections
+   * - organizationStructure: Workspaces waived from workspaceTypeMismatches
+   * - securityPosture: Collections waived from hardcodedCredentials and
+   *   environments waived from plaintextSecrets
+   * - specLint: APIs waived from specLintFailures
    * 
    * Performance features:
    * - Configurable analysis limits to prevent API quota exhaustion
@@ -125,13 +227,22 @@ class GovernanceCalculator {
    * - testCoverage: Test coverage analysis with script validation
    * - monitoringCoverage: Monitoring setup compliance tracking
    * - organizationStructure: Workspace organization and naming analysis
+   * - securityPosture: Share of requests and environments free of exposed credentials
+   * - monitorReliability: Per-monitor run statistics and flaky/failing classification
+   * - mockCoverage: Mocks linked to their collection and environment, and mocked collection share
+   * - forkHygiene: Per-fork age, divergence, merge and creator status
+   * - specLint: API schema lint pass rate and per-API rule failures
+   * - specDrift: Per-API endpoint and parameter drift between schema and linked collections
+   * - workspaceRules: Per-workspace rule failures (naming, asset ID, required tags, type)
    * - userManagement: User group membership and role analysis
    * - organizationalInsights: Collaboration and specification metrics
    * - collectionMetadata: Collection-level governance metadata
+   * - collectionFingerprints: Per-collection fingerprints for incremental collection
    * - workspaceAdmins: Administrative contact information for violations
+   * - waivers: Active waiver count and the entities each score left out
    * 
    * Dependencies:
-   * - PostmanClient.collectAllData(): Comprehensive API data collection
+   * - PostmanClient.collectSnapshot(): Comprehensive API data collection (when no snapshot given)
    * - Individual calculation methods for each governance dimension
    * - Configuration limits for performance optimization
    * 
@@ -140,17 +251,21 @@ class GovernanceCalculator {
    * @complexity O(n*m*k) where n=collections, m=endpoints, k=governance dimensions
    * @returns {Promise<Object>} Comprehensive governance metrics object
    */
-  async calculateGovernanceMetrics() {
+  async calculateGovernanceMetrics(snapshot = null, options = {}) {
     const startTime = Date.now();
     this.logger.info('Starting governance metrics calculation');
     
     try {
-      // Collect all data from Postman API
-      const data = await this.client.collectAllData();
+      // Use the cycle's shared snapshot instead of re-fetching from the Postman API
+      const data = snapshot || await this.client.collectSnapshot();
+      
+      // Entities scored by each waivable dimension
+      const waivers = new WaiverSet(options.waivers);
+      const scored = Object.fromEntries(Object.keys(SCORE_EXCLUSIONS).map(dimension => [dimension, waivers.scored(dimension, data)]));
       
       // Calculate individual governance areas
-      const documentationCoverage = await this.calculateDocumentationCoverage(data.collections);
-      const testCoverage = await this.calculateTestCoverage(data.collections);
+      const documentationCoverage = this.calculateDocumentationCoverage(scored.documentationCoverage.collections);
+      const testCoverage = this.calculateTestCoverage(scored.testCoverage.collections);
       
       // Debug monitor data before calling monitoring coverage
       this.logger.error('=== BEFORE MONITORING COVERAGE CALL ===');
@@ -159,12 +274,21 @@ class GovernanceCalculator {
       this.logger.error('Monitor data sample: ' + JSON.stringify(data.monitors));
       
       const monitoringCoverage = this.calculateMonitoringCoverage(data.collections, data.monitors);
-      const organizationStructure = this.calculateOrganizationStructure(data.workspaces, data.collections);
+      const monitorReliability = this.calculateMonitorReliability(data.monitors, data.collectedAt);
+      const organizationStructure = this.calculateOrganizationStructure(scored.organizationStructure.workspaces, data.collections);
+      const securityPosture = this.calculateSecurityPosture(scored.securityPosture.collections, scored.securityPosture.environments);
+      const mockCoverage = this.calculateMockCoverage(data);
+      const forkHygiene = this.analyzeForkHygiene(data);
+      const specLint = this.calculateSpecLint(scored.specLint.apiSpecs);
+      const specDrift = this.calculateSpecDrift(data);
+      const workspaceRules = this.calculateWorkspaceRules(data.workspaces);
+      const pluginResults = await this.runRulePlugins(data);
       
       // Calculate new organizational insights
       const userManagement = this.calculateUserManagement(data.user, data.userGroups, data.workspaces, data.teamUsers, data.workspaceRoles);
       const organizationalInsights = this.calculateOrganizationalInsights(
-        data.workspaces, data.collections, data.apiSpecs, data.userGroups, data.mocks, data.monitors
+        data.workspaces, data.collections, data.apiSpecs, data.userGroups, data.mocks, data.monitors,
+        data.pagination
       );
       
       // Calculate overall governance score
@@ -172,7 +296,9 @@ class GovernanceCalculator {
         documentationCoverage,
         testCoverage,
         monitoringCoverage,
-        organizationStructure
+        organizationStructure,
+        securityPosture,
+        specLint
       });
       
       const metrics = {
@@ -181,10 +307,23 @@ class GovernanceCalculator {
         testCoverage,
         monitoringCoverage,
         organizationStructure,
+        securityPosture,
+        monitorReliability,
+        mockCoverage,
+        forkHygiene,
+        specLint,
+        specDrift,
+        workspaceRules,
+        rulePlugins: { plugins: pluginResults.plugins, metrics: pluginResults.metrics },
         userManagement,
         organizationalInsights,
-        collectionMetadata: this.generateCollectionMetadata(data.collections, data.apiSpecs, data.workspaces, data.user),
-        workspaceAdmins: this.extractWorkspaceAdmins(data.workspaces)
+        collectionMetadata: this.generateCollectionMetadata(data.collections, data.apiSpecs, data.workspaces, data.user, data.mocks),
+        collectionFingerprints: this.generateCollectionFingerprints(data.collections),
+        workspaceAdmins: this.extractWorkspaceAdmins(data.workspaces),
+        waivers: {
+          active: waivers.size,
+          excludedFromScores: Object.fromEntries(Object.entries(scored).map(([dimension, lists]) => [dimension, lists.excluded]))
+        }
       };
       
       const duration = Date.now() - startTime;
@@ -214,6 +353,14 @@ class GovernanceCalculator {
    * 
    * @async
    * @method calculateGovernanceViolations
+   * @param {Object} [snapshot] - Per-cycle data snapshot from PostmanClient.collectSnapshot();
+   *   collected on demand when omitted
+   * @param {Object} [options={}] - Analysis options
+   * @param {Map<string, string>} [options.firstSeen] - First time each violation was stored, keyed
+   *   `<type>|<entity id>|<entity location>` (DatabaseManager.getViolationFirstSeen()); used
+   *   for age escalation
+   * @param {Array<Object>} [options.waivers=[]] - Active waivers of the team
+   *   (DatabaseManager.getActiveWaivers())
    * @throws {Error} When API data collection fails
    * @throws {Error} When violation analysis encounters critical errors
    * 
@@ -229,31 +376,83 @@ class GovernanceCalculator {
    * - Validates actual test script presence and execution logic
    * - Tracks untested vs. total endpoint coverage
    * 
-   * **3. Unmonitored APIs Violations**
-   * - Collections without monitoring setup
-   * - Correlates collections with monitor configurations
-   * - Identifies critical APIs lacking health checks
-   * 
-   * **4. Missing Environments Violations**
-   * - Workspaces without proper environment configurations
-   * - Validates environment setup for different deployment stages
-   * 
-   * **5. Outdated Specifications Violations**
-   * - API specifications that haven't been updated recently
-   * - Tracks specification maintenance and currency
-   * 
-   * **6. Collections Without Specifications**
+   * **3. Collections Without Specifications**
    * - Collections lacking attached API specifications
    * - Critical for API governance and documentation compliance
    * 
-   * **7. Orphaned Users Violations**
+   * **4. Orphaned Users Violations**
    * - Users not assigned to any user groups
    * - Indicates incomplete user management and access control
    * 
+   * **5. Plaintext Secrets Violations**
+   * - Environment variables of type `default` holding credentials (Postman API keys,
+   *   AWS access keys, JWTs, bearer tokens, high-entropy strings)
+   * - One critical violation per variable, with masked evidence only
+   * 
+   * **6. Hardcoded Credentials Violations**
+   * - Tokens and passwords written into request headers, auth blocks, query
+   *   parameters, bodies or scripts instead of `{{variables}}`
+   * - One critical violation per finding, with the item path and a masked snippet
+   * 
+   * **7. Flaky Monitors Violations**
+   * - Monitors whose recent runs mix passes and failures, with a success ratio
+   *   below min_monitor_success_ratio
+   * 
+   * **8. Failing Monitors Violations**
+   * - Monitors below failing_monitor_success_ratio, or whose latest
+   *   min_monitor_runs runs all failed
+   * 
+   * **9. Unmocked Collections Violations**
+   * - Collections without any mock server
+   * 
+   * **10. Orphaned Mocks Violations**
+   * - Mocks pointing at a deleted or unknown collection
+   * 
+   * **11. Public Internal Mocks Violations**
+   * - Public mocks serving a collection outside any public workspace
+   * 
+   * **12. Stale Forks Violations**
+   * - Forks older than max_fork_age_days, diverged forks never merged back,
+   *   and forks created by users who are no longer on the team
+   * - The fork creator is the contact
+   * 
+   * **13. Spec Lint Failures Violations**
+   * - One violation per failed lint rule in an API schema, with the rule id
+   *   and the JSON pointer of the offending node
+   * 
+   * **14. Spec Drift Violations**
+   * - APIs whose schema drifts from their linked collections by more than
+   *   max_spec_drift_percentage: documented endpoints missing from the
+   *   collection, requests not in the schema and parameter mismatches
+   * 
+   * **15-18. Workspace Rule Violations**
+   * - workspaceNamingViolations: Names not matching workspace_rules.naming_pattern
+   * - missingAssetIds: No tag or description matching workspace_rules.asset_id_pattern
+   * - missingWorkspaceTags: Missing keys of workspace_rules.required_tag_keys
+   * - workspaceTypeMismatches: Development workspaces shared as team workspaces
+   * 
+   * **Declarative rules**
+   * - Categories 1-18 are default rules
+   *   (src/governance/rules/default-rules.yml) evaluated by RuleEngine against
+   *   buildRuleEntities(); configured rules may override or disable them by id
+   *   and add categories
+   * - Secret scanning, schema linting and the workspace naming, tag and type
+   *   checks run in code; their findings are the credential, variable,
+   *   lintFailure and workspaceRuleFailure targets the default rules report
+   * - Rule violations carry the rule id (the lint or workspace rule id for
+   *   categories 13 and 15-18) and its remediation text
+   * 
+   * **Rule plugins**
+   * - Violations reported by JavaScript rule plugins (runRulePlugins()), under
+   *   the type each plugin chose and tagged with the plugin id
+   * 
    * Violation enrichment:
    * - Workspace name resolution for violation context
    * - Administrative contact information for remediation
-   * - Severity classification for prioritization
+   * - Severity from the severity policy (applySeverityPolicy()), with its
+   *   base severity and the reason it was assigned
+   * - Waived violations stay listed with the `waiverId` and
+   *   `waiverExpiresAt` of the first waiver matching their type and entity
    * - Detailed violation counts and affected entities
    * 
    * Error handling strategy:
@@ -267,21 +466,21 @@ class GovernanceCalculator {
    * - Bulk workspace data processing for context resolution
    * 
    * Dependencies:
-   * - PostmanClient.collectAllData(): Comprehensive workspace data
-   * - PostmanClient.getCollection(): Individual collection details
+   * - PostmanClient.collectSnapshot(): Comprehensive workspace data (when no snapshot given)
+   * - getEndpointAnalysis(): Memoized endpoint analysis of snapshot collections
    * - Configuration limits for performance optimization
    * 
    * Called by: GovernanceCollectorApp.runCollection() for violation tracking
    * 
    * @complexity O(n*m) where n=collections and m=endpoints per collection
-   * @returns {Promise<Object>} Comprehensive violations object with 7 categories
+   * @returns {Promise<Object>} Violations keyed by category (18 built-in plus configured rule types)
    */
-  async calculateGovernanceViolations() {
+  async calculateGovernanceViolations(snapshot = null, options = {}) {
     const startTime = Date.now();
     this.logger.info('Starting governance violations analysis');
     
     try {
-      const data = await this.client.collectAllData();
+      const data = snapshot || await this.client.collectSnapshot();
       
       // Build workspace name lookup from workspace data
       this.logger.error('=== WORKSPACE DEBUG ===');
@@ -337,114 +536,71 @@ class GovernanceCalculator {
         };
       };
       
-      const violations = {
-        missingDocumentation: [],
-        untestedCollections: [],
-        unmonitoredAPIs: [],
-        missingEnvironments: [],
-        outdatedSpecs: [],
-        collectionsWithoutSpecs: [],
-        orphanedUsers: []
-      };
-      
-      // Find collections without proper documentation
-      const maxCollections = this.config.limits?.max_collection_analysis || 10;
-      const collectionsToAnalyze = maxCollections === -1 ? data.collections : data.collections.slice(0, maxCollections);
-      for (const collection of collectionsToAnalyze) {
-        try {
-          const fullCollection = await this.client.getCollection(collection.uid);
-          const endpointAnalysis = this.analyzeEndpoints(fullCollection.item || []);
-          
-          if (endpointAnalysis.undocumentedEndpoints > 0) {
-            const ownerId = collection.owner || 'unknown';
-            const violationInfo = getViolationInfo(ownerId);
-            
-            violations.missingDocumentation.push({
-              id: collection.uid,
-              name: collection.name,
-              workspaceId: ownerId,
-              workspaceName: violationInfo.workspaceName,
-              workspaceAdminEmail: violationInfo.workspaceAdminEmail,
-              undocumentedEndpoints: endpointAnalysis.undocumentedEndpoints,
-              totalEndpoints: endpointAnalysis.totalEndpoints
-            });
-          }
-          
-          if (endpointAnalysis.untestedEndpoints > 0) {
-            const ownerId = collection.owner || 'unknown';
-            const violationInfo = getViolationInfo(ownerId);
-            
-            violations.untestedCollections.push({
-              id: collection.uid,
-              name: collection.name,
-              workspaceId: ownerId,
-              workspaceName: violationInfo.workspaceName,
-              workspaceAdminEmail: violationInfo.workspaceAdminEmail,
-              untestedEndpoints: endpointAnalysis.untestedEndpoints,
-              totalEndpoints: endpointAnalysis.totalEndpoints
-            });
-          }
-          
-        } catch (error) {
-          this.logger.warn('Failed to analyze collection for violations', {
-            collectionId: collection.uid,
-            error: error.message
-          });
+      const violations = Object.fromEntries(VIOLATION_TYPES.map(type => [type, []]));
+      for (const type of this.ruleEngine.getTypes()) {
+        if (!Object.hasOwn(violations, type)) {
+          violations[type] = [];
         }
       }
       
-      // Find collections without specifications
-      const specCollectionIds = new Set(data.apiSpecs.map(spec => spec.collections?.[0]?.id).filter(Boolean));
-      for (const collection of data.collections) {
-        if (!specCollectionIds.has(collection.uid)) {
-          const ownerId = collection.owner || 'unknown';
-          const violationInfo = getViolationInfo(ownerId);
-          
-          violations.collectionsWithoutSpecs.push({
-            id: collection.uid,
-            name: collection.name,
-            workspaceId: ownerId,
-            workspaceName: violationInfo.workspaceName,
-            workspaceAdminEmail: violationInfo.workspaceAdminEmail
-          });
+      // Evaluate declarative rules (the default rules express every built-in
+      // check; configured rules add to or override them)
+      const ruleEntities = this.buildRuleEntities(data);
+      for (const match of this.ruleEngine.evaluate(ruleEntities, this.getRuleGlobals())) {
+        const entity = match.entity;
+        const violationInfo = getViolationInfo(entity.workspaceId);
+        
+        // Finding fields may carry the check's own rule id (lint and workspace rules)
+        violations[match.type].push({
+          id: entity.id,
+          name: entity.name,
+          workspaceId: entity.workspaceId,
+          workspaceName: entity.workspaceName || violationInfo.workspaceName,
+          workspaceAdminEmail: entity.contactEmail || violationInfo.workspaceAdminEmail,
+          entityLocation: entity.entityLocation,
+          rule: match.rule,
+          ...match.fields,
+          severity: match.severity,
+          description: match.description,
+          remediation: match.remediation
+        });
+      }
+      
+      // Add the violations reported by rule plugins (their types never collide
+      // with the built-in and rule types, see runRulePlugins())
+      for (const { type, ...violation } of (await this.runRulePlugins(data)).violations) {
+        const violationInfo = getViolationInfo(violation.workspaceId);
+        if (!Object.hasOwn(violations, type)) {
+          violations[type] = [];
         }
+        violations[type].push({
+          workspaceName: violationInfo.workspaceName,
+          workspaceAdminEmail: violationInfo.workspaceAdminEmail,
+          ...violation
+        });
       }
       
-      // Find orphaned users (users not in any user group)
-      if (data.userGroups.length > 0) {
-        const usersInGroups = new Set();
-        data.userGroups.forEach(group => {
-          if (group.members && Array.isArray(group.members)) {
-            group.members.forEach(memberId => usersInGroups.add(memberId));
+      this.applySeverityPolicy(violations, data, options.firstSeen);
+      
+      // Mark waived violations; they are reported but not counted as open
+      const waivers = new WaiverSet(options.waivers);
+      let waivedViolations = 0;
+      for (const [type, items] of Object.entries(waivers.size > 0 ? violations : {})) {
+        for (const violation of items) {
+          const waiver = waivers.find(type, violation);
+          if (waiver) {
+            violation.waiverId = waiver.id;
+            violation.waiverExpiresAt = waiver.expires_at;
+            waivedViolations++;
           }
-        });
-        
-        if (data.user && data.user.user && !usersInGroups.has(data.user.user.id)) {
-          violations.orphanedUsers.push({
-            id: data.user.user.id,
-            name: data.user.user.fullName || data.user.user.username,
-            email: data.user.user.email
-          });
-        }
-        
-        // Also check team users for orphaned users  
-        if (data.teamUsers) {
-          data.teamUsers.forEach(teamUser => {
-            if (!usersInGroups.has(teamUser.id)) {
-              violations.orphanedUsers.push({
-                id: teamUser.id,
-                name: teamUser.fullName || teamUser.username,
-                email: teamUser.email
-              });
-            }
-          });
         }
       }
       
       const duration = Date.now() - startTime;
       this.logger.info('Governance violations analysis completed', {
         duration: `${duration}ms`,
-        totalViolations: Object.values(violations).reduce((sum, arr) => sum + arr.length, 0)
+        totalViolations: Object.values(violations).reduce((sum, arr) => sum + arr.length, 0),
+        waivedViolations
       });
       
       return violations;
@@ -459,6 +615,439 @@ class GovernanceCalculator {
     }
   }
   
+  /**
+   * Assign every violation its policy severity and the reason for it
+   * 
+   * @method applySeverityPolicy
+   * @param {Object} violations - Violation lists keyed by type (updated in place)
+   * @param {Object} data - Per-cycle data snapshot
+   * @param {Map<string, string>} [firstSeen=new Map()] - First-seen timestamps keyed
+   *   `<type>|<entity id>|<entity location>`; violations not in the map are new
+   * 
+   * Context resolution per violation:
+   * - collection: collectionUid, id, parentCollectionUid or the first of
+   *   collectionUids that names a snapshot collection
+   * - workspace: workspaceId, else the workspace listing the collection, else
+   *   the collection owner
+   * - ageDays: Days between the first-seen timestamp and the snapshot time
+   * 
+   * Each violation gets `severity`, `baseSeverity` and `severityReason`.
+   * 
+   * Dependencies:
+   * - SeverityPolicy.assess(): Base severity and escalation
+   * 
+   * Called by: calculateGovernanceViolations()
+   * 
+   * @complexity O(v) for v violations
+   */
+  applySeverityPolicy(violations, data, firstSeen = new Map()) {
+    const workspacesById = new Map(data.workspaces.map(workspace => [workspace.id, workspace]));
+    const collectionsByUid = new Map(data.collections.map(collection => [collection.uid, collection]));
+    const collectionWorkspaces = new Map();
+    for (const workspace of data.workspaces) {
+      for (const collection of workspace.collections || []) {
+        collectionWorkspaces.set(collection.uid || collection.id, workspace);
+      }
+    }
+    const now = data.collectedAt ? Date.parse(data.collectedAt) : Date.now();
+    
+    for (const [type, items] of Object.entries(violations)) {
+      for (const violation of items) {
+        const collectionUid = [violation.collectionUid, violation.id, violation.parentCollectionUid, ...(violation.collectionUids || [])]
+          .find(uid => collectionsByUid.has(uid));
+        const collection = collectionUid ? collectionsByUid.get(collectionUid) : null;
+        const workspace = workspacesById.get(violation.workspaceId) ||
+          (collection && (collectionWorkspaces.get(collection.uid) || workspacesById.get(collection.owner))) ||
+          null;
+        const seenAt = firstSeen.get(`${type}|${violation.id || violation.entityId || 'unknown'}|${violation.entityLocation || ''}`);
+        
+        const assessment = this.severityPolicy.assess(type, violation, {
+          workspace,
+          collection,
+          ageDays: seenAt ? Math.max(0, Math.floor((now - Date.parse(seenAt)) / 86400000)) : 0
+        });
+        violation.severity = assessment.severity;
+        violation.baseSeverity = assessment.baseSeverity;
+        violation.severityReason = assessment.reason;
+      }
+    }
+  }
+  
+  /**
+   * Run the configured rule plugins against a snapshot, at most once per snapshot
+   * 
+   * Results are cached in a WeakMap keyed by the snapshot object, so metrics
+   * and violations calculated from the same snapshot share one plugin run.
+   * 
+   * @async
+   * @method runRulePlugins
+   * @param {Object} data - Per-cycle data snapshot
+   * @returns {Promise<Object>} `{ plugins, violations, metrics }` from RulePluginRunner.run()
+   * 
+   * A failing or timed-out plugin is reported in `plugins` and contributes
+   * nothing; it never fails the calculation. Plugins may not report violations
+   * under a built-in or declarative rule type, so their violations never merge
+   * into (or pass for) a built-in check.
+   * 
+   * Called by: calculateGovernanceMetrics(), calculateGovernanceViolations()
+   * 
+   * @complexity O(p) plugin invocations on the first call for a snapshot
+   */
+  runRulePlugins(data) {
+    let results = this.rulePluginResults.get(data);
+    if (!results) {
+      results = this.rulePlugins.run(data, this.getRuleGlobals(), [...VIOLATION_TYPES, ...this.ruleEngine.getTypes()]);
+      this.rulePluginResults.set(data, results);
+    }
+    return results;
+  }
+  
+  /**
+   * Build the entities declarative governance rules are evaluated against
+   * 
+   * @method buildRuleEntities
+   * @param {Object} data - Per-cycle data snapshot
+   * @returns {Object} Entity lists keyed by rule target
+   * 
+   * Entity fields (every entity has id, name and workspaceId; entities inside
+   * a collection, environment or schema also have entityLocation, which with
+   * the id identifies the violation across renames):
+   * - collection: uid, analyzed (within limits.max_collection_analysis),
+   *   totalEndpoints / documentedEndpoints / undocumentedEndpoints /
+   *   testedEndpoints / untestedEndpoints (null when not analyzed), hasSpec,
+   *   monitored, mocks, publicMocks, forks, createdAt, updatedAt
+   * - request: One per request of analyzed collections; collectionUid,
+   *   collectionName, path (also the entityLocation), method, url, urlPath, description, hasDescription,
+   *   hasExamples, hasTests, testScript, preRequestScript, headers (names),
+   *   queryParams (keys)
+   * - workspace: type, visibility, description, tags (slugs; null when tags were
+   *   not collected), collections, environments, apis, mocks, monitors (counts)
+   * - environment: workspaceName, variables, secretVariables, plaintextSecrets
+   * - spec: createdBy, linkedCollections, hasSchema, lintFormat, lintChecks,
+   *   lintFailures, driftAnalyzed, driftPercentage, collectionUids,
+   *   missingInCollection, missingInSpec, parameterMismatches, driftSummary
+   * - monitor: The calculateMonitorReliability() entry (collectionUid, runs,
+   *   failedRuns, successRatio, classification, ...)
+   * - user: email, inGroup, groupsDefined (false when no user groups exist)
+   * 
+   * Finding entities (detection stays in code, the rules decide what to report):
+   * - credential: One per hardcoded credential in a request of an analyzed
+   *   collection; named `<collection> / <item path>`, with collectionUid,
+   *   collectionName, itemPath, itemId, location, secretType, secretLabel and
+   *   masked evidence; located `<item id> (<location>)`, so renaming or moving
+   *   the request keeps the finding (`<item path> (<location>)` for items
+   *   without an id)
+   * - variable: One per environment variable; named `<environment> / <key>`,
+   *   with environmentName, variable (key, also the entityLocation), variableType, and secretType,
+   *   secretLabel and masked evidence when the secret scanner flags its value
+   * - mock: One per mock server (calculateMockCoverage() links); collectionUid,
+   *   collectionName (null when the collection is unknown), environmentUid,
+   *   mockUrl, isPublic, publicCollection, collectionListComplete (false when
+   *   the collection list was truncated by the page cap)
+   * - fork: One per collection fork (analyzeForkHygiene()); parentCollectionUid,
+   *   parentCollectionName, createdBy, createdAt, ageDays, diverged, merged,
+   *   issues, issueSummary, contactEmail (fork creator)
+   * - lintFailure: One per spec lint failure (calculateSpecLint()); named
+   *   `<api> <pointer>` and located `<pointer> (<rule>)`, with rule (lint rule
+   *   id), pointer, message and checkSeverity (governance.spec_lint.rules)
+   * - workspaceRuleFailure: One per workspace rule failure (calculateWorkspaceRules());
+   *   rule (workspace rule id), failureType, message, checkSeverity
+   *   (governance.workspace_rules.severities), missingTags, workspaceType, expectedType
+   * 
+   * Violations take their workspaceName from the entity when it has one and
+   * their contact from contactEmail, falling back to the workspace admin.
+   * 
+   * Called by: calculateGovernanceViolations()
+   * 
+   * @complexity O(n) in the size of the snapshot
+   */
+  buildRuleEntities(data) {
+    const maxCollections = this.config.limits?.max_collection_analysis || 10;
+    const analyzedCollections = new Set(maxCollections === -1 ? data.collections : data.collections.slice(0, maxCollections));
+    const specCollectionIds = new Set((data.apiSpecs || []).map(spec => spec.collections?.[0]?.id).filter(Boolean));
+    const mockCoverage = this.calculateMockCoverage(data);
+    
+    // Same collection reference fallback as calculateMonitoringCoverage()
+    const monitors = data.monitors || [];
+    const monitorField = ['collectionUid', 'collection', 'collectionId'].find(field => monitors.some(monitor => monitor[field]));
+    const monitoredCollections = new Set(monitorField ? monitors.map(monitor => monitor[monitorField]).filter(Boolean) : []);
+    
+    const collections = [];
+    const requests = [];
+    const credentials = [];
+    for (const collection of data.collections) {
+      const workspaceId = collection.owner || 'unknown';
+      let analysis = null;
+      if (analyzedCollections.has(collection)) {
+        try {
+          analysis = this.getEndpointAnalysis(collection);
+          requests.push(...listRequestItems(collection.item || []).map(({ item, path }) => {
+            const request = typeof item.request === 'string' ? { url: item.request } : item.request;
+            const url = typeof request.url === 'string' ? request.url : request.url?.raw || '';
+            const scriptOf = listen => {
+              const script = (item.event || []).find(event => event.listen === listen)?.script?.exec;
+              return Array.isArray(script) ? script.join('\n') : script || '';
+            };
+            return {
+              id: collection.uid,
+              name: `${collection.name} / ${path}`,
+              workspaceId,
+              collectionUid: collection.uid,
+              collectionName: collection.name,
+              entityLocation: path,
+              path,
+              method: (request.method || 'GET').toUpperCase(),
+              url,
+              urlPath: url.replace(/^[a-z]+:\/\/[^/]+|^\{\{[^}]+\}\}/i, '').split('?')[0] || '/',
+              description: request.description || item.description || '',
+              hasDescription: !!(request.description || item.description),
+              hasExamples: !!(item.response && item.response.length > 0),
+              hasTests: !!scriptOf('test'),
+              testScript: scriptOf('test'),
+              preRequestScript: scriptOf('prerequest'),
+              headers: (request.header || []).filter(header => !header.disabled).map(header => header.key),
+              queryParams: (request.url?.query || []).filter(param => !param.disabled).map(param => param.key)
+            };
+          }));
+          credentials.push(...(analysis.hardcodedCredentials || []).map(finding => ({
+            id: collection.uid,
+            name: `${collection.name} / ${finding.path}`,
+            workspaceId,
+            collectionUid: collection.uid,
+            collectionName: collection.name,
+            entityLocation: `${finding.itemId || finding.path} (${finding.location})`,
+            itemPath: finding.path,
+            itemId: finding.itemId,
+            location: finding.location,
+            secretType: finding.type,
+            secretLabel: finding.type.replace(/_/g, ' '),
+            evidence: finding.evidence
+          })));
+        } catch (error) {
+          this.logger.warn('Failed to analyze collection for violations', {
+            collectionId: collection.uid,
+            error: error.message
+          });
+        }
+      }
+      
+      collections.push({
+        id: collection.uid,
+        name: collection.name,
+        workspaceId,
+        uid: collection.uid,
+        analyzed: analysis !== null,
+        totalEndpoints: analysis?.totalEndpoints ?? null,
+        documentedEndpoints: analysis?.documentedEndpoints ?? null,
+        undocumentedEndpoints: analysis?.undocumentedEndpoints ?? null,
+        testedEndpoints: analysis?.testedEndpoints ?? null,
+        untestedEndpoints: analysis?.untestedEndpoints ?? null,
+        hasSpec: specCollectionIds.has(collection.uid),
+        monitored: monitoredCollections.has(collection.uid),
+        mocks: mockCoverage.collections[collection.uid]?.mocks || 0,
+        publicMocks: mockCoverage.collections[collection.uid]?.publicMocks || 0,
+        forks: (collection.forks || []).length,
+        createdAt: collection.createdAt || null,
+        updatedAt: collection.updatedAt || null
+      });
+    }
+    
+    const environmentWorkspaces = new Map();
+    for (const workspace of data.workspaces) {
+      for (const environment of workspace.environments || []) {
+        environmentWorkspaces.set(environment.uid || environment.id, workspace);
+      }
+    }
+    
+    const environments = [];
+    const variables = [];
+    for (const environment of data.environments || []) {
+      const environmentId = environment.uid || environment.id;
+      const workspace = environmentWorkspaces.get(environmentId);
+      const values = environment.values || [];
+      const findings = new Map();
+      for (const finding of this.secretScanner.scanEnvironment(environment)) {
+        findings.set(finding.key, findings.get(finding.key) || finding);
+      }
+      environments.push({
+        id: environmentId,
+        name: environment.name,
+        workspaceId: workspace ? workspace.id : null,
+        workspaceName: workspace ? workspace.name : null,
+        variables: values.length,
+        secretVariables: values.filter(variable => variable.type === 'secret').length,
+        plaintextSecrets: findings.size
+      });
+      for (const variable of values) {
+        const finding = findings.get(variable.key);
+        variables.push({
+          id: environmentId,
+          name: `${environment.name} / ${variable.key}`,
+          workspaceId: workspace ? workspace.id : null,
+          workspaceName: workspace ? workspace.name : null,
+          environmentName: environment.name,
+          entityLocation: variable.key,
+          variable: variable.key,
+          variableType: variable.type || 'default',
+          secretType: finding ? finding.type : null,
+          secretLabel: finding ? finding.type.replace(/_/g, ' ') : null,
+          evidence: finding ? finding.evidence : null
+        });
+      }
+    }
+    
+    const forkReasons = {
+      stale: fork => `created ${fork.ageDays} days ago`,
+      unmerged: () => 'diverged from its parent and never merged',
+      departed_creator: () => 'its creator is no longer a team user'
+    };
+    const collectionListComplete = !data.pagination?.collections?.truncated;
+    
+    const specLint = this.calculateSpecLint(data.apiSpecs);
+    const lintResults = new Map(specLint.specs.map(spec => [spec.apiId, spec]));
+    const driftResults = new Map(this.calculateSpecDrift(data).specs.map(spec => [spec.apiId, spec]));
+    
+    const groupsDefined = data.userGroups.length > 0;
+    const usersInGroups = new Set(data.userGroups.flatMap(group => (Array.isArray(group.members) ? group.members : [])));
+    const users = new Map();
+    for (const user of [data.user?.user, ...(data.teamUsers || [])]) {
+      if (user && !users.has(user.id)) {
+        users.set(user.id, {
+          id: user.id,
+          name: user.fullName || user.username,
+          email: user.email,
+          workspaceId: null,
+          inGroup: usersInGroups.has(user.id),
+          groupsDefined
+        });
+      }
+    }
+    
+    return {
+      collection: collections,
+      request: requests,
+      workspace: data.workspaces.map(workspace => ({
+        id: workspace.id,
+        name: workspace.name,
+        workspaceId: workspace.id,
+        workspaceName: workspace.name,
+        type: workspace.type || null,
+        visibility: workspace.visibility || null,
+        description: workspace.description || '',
+        tags: Array.isArray(workspace.tags) ?
+          workspace.tags.map(tag => (typeof tag === 'string' ? tag : tag?.slug || tag?.name)).filter(Boolean) :
+          null,
+        collections: (workspace.collections || []).length,
+        environments: (workspace.environments || []).length,
+        apis: (workspace.apis || []).length,
+        mocks: (workspace.mocks || []).length,
+        monitors: (workspace.monitors || []).length
+      })),
+      environment: environments,
+      spec: (data.apiSpecs || []).map(api => {
+        const lint = lintResults.get(api.id);
+        const drift = driftResults.get(api.id);
+        return {
+          id: api.id,
+          name: api.name,
+          workspaceId: api.workspaceId || api.workspace?.id || null,
+          createdBy: api.createdBy ?? null,
+          linkedCollections: (api.collections || []).map(collection => collection.id).filter(Boolean),
+          hasSchema: !!api.schema?.document,
+          lintFormat: lint?.format || null,
+          lintChecks: lint ? lint.checks : null,
+          lintFailures: lint ? lint.failures.length : null,
+          driftAnalyzed: !!drift,
+          driftPercentage: drift ? drift.driftPercentage : null,
+          collectionUids: drift ? drift.collectionUids : [],
+          missingInCollection: drift ? drift.missingInCollection : [],
+          missingInSpec: drift ? drift.missingInSpec : [],
+          parameterMismatches: drift ? drift.parameterMismatches : [],
+          driftSummary: drift ? [
+            drift.missingInCollection.length > 0 && `${drift.missingInCollection.length} documented endpoint(s) missing from the collection`,
+            drift.missingInSpec.length > 0 && `${drift.missingInSpec.length} request(s) not in the spec`,
+            drift.parameterMismatches.length > 0 && `${drift.parameterMismatches.length} parameter mismatch(es)`
+          ].filter(Boolean).join(', ') : ''
+        };
+      }),
+      monitor: this.calculateMonitorReliability(data.monitors, data.collectedAt).monitors.map(monitor => ({
+        id: monitor.monitorUid,
+        workspaceId: monitor.owner,
+        ...monitor
+      })),
+      user: [...users.values()],
+      credential: credentials,
+      variable: variables,
+      mock: mockCoverage.mocks.map(mock => ({
+        id: mock.mockUid,
+        name: mock.name,
+        workspaceId: mock.workspaceId || mock.owner || null,
+        workspaceName: mock.workspaceName,
+        collectionUid: mock.collectionUid,
+        collectionName: mock.collectionName,
+        environmentUid: mock.environmentUid,
+        mockUrl: mock.mockUrl,
+        isPublic: mock.isPublic,
+        publicCollection: mock.publicCollection,
+        collectionListComplete
+      })),
+      fork: this.analyzeForkHygiene(data).forks.map(fork => ({
+        id: fork.forkId,
+        name: fork.forkName,
+        workspaceId: fork.parentOwner,
+        parentCollectionUid: fork.parentUid,
+        parentCollectionName: fork.parentName,
+        createdBy: fork.createdBy,
+        createdAt: fork.createdAt,
+        ageDays: fork.ageDays,
+        diverged: fork.diverged,
+        merged: fork.merged,
+        issues: fork.issues,
+        issueSummary: fork.issues.map(issue => forkReasons[issue](fork)).join('; '),
+        contactEmail: fork.creatorEmail
+      })),
+      lintFailure: specLint.specs.flatMap(spec => spec.failures.map(failure => ({
+        id: spec.apiId,
+        name: `${spec.name} ${failure.pointer}`,
+        workspaceId: spec.workspaceId,
+        entityLocation: `${failure.pointer} (${failure.rule})`,
+        rule: failure.rule,
+        pointer: failure.pointer,
+        message: failure.message,
+        checkSeverity: failure.severity
+      }))),
+      workspaceRuleFailure: this.calculateWorkspaceRules(data.workspaces).workspaces.flatMap(workspace =>
+        workspace.failures.map(({ rule, type, severity, message, ...details }) => ({
+          id: workspace.workspaceId,
+          name: workspace.name,
+          workspaceId: workspace.workspaceId,
+          workspaceName: workspace.name,
+          rule,
+          failureType: type,
+          message,
+          checkSeverity: severity,
+          missingTags: details.missingTags || [],
+          workspaceType: details.workspaceType || workspace.type,
+          expectedType: details.expectedType || null
+        })))
+    };
+  }
+  
+  /**
+   * Values declarative rules and rule plugins may reference besides entity fields
+   * 
+   * @method getRuleGlobals
+   * @returns {Object} `{ thresholds, limits }` with threshold defaults applied
+   * 
+   * Called by: calculateGovernanceViolations(), runRulePlugins()
+   */
+  getRuleGlobals() {
+    return {
+      thresholds: { max_spec_drift_percentage: 0, ...this.thresholds },
+      limits: this.config.limits || {}
+    };
+  }
+  
   /**
    * Calculate documentation coverage across collection endpoints
    * 
@@ -466,10 +1055,8 @@ class GovernanceCalculator {
    * examples, and documentation completeness. Implements weighted scoring
    * based on configurable coverage thresholds.
    * 
-   * @async
    * @method calculateDocumentationCoverage
-   * @param {Array} collections - Array of collection objects to analyze
-   * @throws {Error} When collection analysis fails critically
+   * @param {Array} collections - Snapshot collection objects (with item trees) to analyze
    * 
    * Documentation validation criteria:
    * - Endpoint description presence and quality
@@ -479,8 +1066,8 @@ class GovernanceCalculator {
    * 
    * Analysis process:
    * 1. Iterate through collections (limited by max_collection_analysis)
-   * 2. Fetch detailed collection structure via PostmanClient
-   * 3. Recursively analyze endpoints in folders and root level
+   * 2. Reuse the collection detail already present in the snapshot
+   * 3. Recursively analyze endpoints in folders and root level (memoized per cycle)
    * 4. Apply documentation validation criteria
    * 5. Calculate coverage percentage and threshold-based score
    * 
@@ -495,15 +1082,14 @@ class GovernanceCalculator {
    * - Zero-endpoint collections handled gracefully
    * 
    * Dependencies:
-   * - PostmanClient.getCollection(): Detailed collection structure
-   * - analyzeEndpoints(): Recursive endpoint analysis helper
+   * - getEndpointAnalysis(): Memoized recursive endpoint analysis
    * - config.limits.max_collection_analysis: Performance limit
    * - config.thresholds.min_documentation_coverage: Scoring threshold
    * 
    * @complexity O(n*m) where n=collections and m=endpoints per collection
-   * @returns {Promise<Object>} Documentation coverage metrics and scoring
+   * @returns {Object} Documentation coverage metrics and scoring
    */
-  async calculateDocumentationCoverage(collections) {
+  calculateDocumentationCoverage(collections) {
     let totalEndpoints = 0;
     let documentedEndpoints = 0;
     
@@ -512,8 +1098,7 @@ class GovernanceCalculator {
     const collectionsToAnalyze = maxCollections === -1 ? collections : collections.slice(0, maxCollections);
     for (const collection of collectionsToAnalyze) {
       try {
-        const fullCollection = await this.client.getCollection(collection.uid);
-        const analysis = this.analyzeEndpoints(fullCollection.item || []);
+        const analysis = this.getEndpointAnalysis(collection);
         totalEndpoints += analysis.totalEndpoints;
         documentedEndpoints += analysis.documentedEndpoints;
       } catch (error) {
@@ -543,10 +1128,8 @@ class GovernanceCalculator {
    * Validates test script logic, assertions, and coverage completeness with
    * threshold-based scoring for governance compliance.
    * 
-   * @async
    * @method calculateTestCoverage
-   * @param {Array} collections - Array of collection objects to analyze
-   * @throws {Error} When collection analysis fails critically
+   * @param {Array} collections - Snapshot collection objects (with item trees) to analyze
    * 
    * Test validation criteria:
    * - Test script presence in endpoint event handlers
@@ -556,8 +1139,8 @@ class GovernanceCalculator {
    * 
    * Analysis process:
    * 1. Iterate through collections (limited by max_collection_analysis)
-   * 2. Fetch detailed collection structure with test scripts
-   * 3. Recursively analyze endpoints for test event handlers
+   * 2. Reuse the snapshot collection detail with test scripts
+   * 3. Recursively analyze endpoints for test event handlers (memoized per cycle)
    * 4. Validate test script content and execution logic
    * 5. Calculate coverage percentage and threshold-based score
    * 
@@ -577,15 +1160,14 @@ class GovernanceCalculator {
    * - Zero-endpoint collections handled gracefully
    * 
    * Dependencies:
-   * - PostmanClient.getCollection(): Detailed collection with test scripts
-   * - analyzeEndpoints(): Recursive endpoint and test analysis
+   * - getEndpointAnalysis(): Memoized recursive endpoint and test analysis
    * - config.limits.max_collection_analysis: Performance optimization
    * - config.thresholds.min_test_coverage: Governance threshold
    * 
    * @complexity O(n*m*t) where n=collections, m=endpoints, t=test scripts
-   * @returns {Promise<Object>} Test coverage metrics with endpoint-level analysis
+   * @returns {Object} Test coverage metrics with endpoint-level analysis
    */
-  async calculateTestCoverage(collections) {
+  calculateTestCoverage(collections) {
     let totalEndpoints = 0;
     let testedEndpoints = 0;
     
@@ -594,8 +1176,7 @@ class GovernanceCalculator {
     const collectionsToAnalyze = maxCollections === -1 ? collections : collections.slice(0, maxCollections);
     for (const collection of collectionsToAnalyze) {
       try {
-        const fullCollection = await this.client.getCollection(collection.uid);
-        const analysis = this.analyzeEndpoints(fullCollection.item || []);
+        const analysis = this.getEndpointAnalysis(collection);
         totalEndpoints += analysis.totalEndpoints;
         testedEndpoints += analysis.testedEndpoints;
       } catch (error) {
@@ -1027,6 +1608,7 @@ class GovernanceCalculator {
    * @param {Array} userGroups - User group definitions for team structure
    * @param {Array} [mocks=[]] - Mock server configurations
    * @param {Array} [monitors=[]] - Monitor configurations
+   * @param {Object} [pagination={}] - Per-list pagination statistics from PostmanClient
    * @returns {Object} Comprehensive organizational metrics and insights
    * 
    * Organizational metrics calculated:
@@ -1058,6 +1640,10 @@ class GovernanceCalculator {
    * - Counts collections without specification attachments
    * - Calculates coverage percentage for governance reporting
    * 
+   * Truncation flags:
+   * - truncatedLists names every list cut short by the pagination cap
+   * - truncated is true when any total may be an under-count
+   * 
    * Debug logging features:
    * - Fork count debugging with collection-level details
    * - Collection and fork relationship verification
@@ -1078,7 +1664,7 @@ class GovernanceCalculator {
    * 
    * @complexity O(n) where n is the number of collections for fork aggregation
    */
-  calculateOrganizationalInsights(workspaces, collections, apiSpecs, userGroups, mocks = [], monitors = []) {
+  calculateOrganizationalInsights(workspaces, collections, apiSpecs, userGroups, mocks = [], monitors = [], pagination = {}) {
     const totalWorkspaces = workspaces.length;
     const totalCollections = collections.length;
     const totalMocks = mocks.length;
@@ -1106,6 +1692,8 @@ class GovernanceCalculator {
     const collectionsWithoutSpecs = collections.filter(c => 
       !specCollectionIds.has(c.uid)).length;
     
+    const truncatedLists = Object.keys(pagination).filter(list => pagination[list].truncated);
+    
     return {
       totalWorkspaces,
       totalCollections,
@@ -1114,7 +1702,515 @@ class GovernanceCalculator {
       totalForks,
       collectionsWithoutSpecs,
       specificationCoverage: totalCollections > 0 ? 
-        ((totalCollections - collectionsWithoutSpecs) / totalCollections) * 100 : 0
+        ((totalCollections - collectionsWithoutSpecs) / totalCollections) * 100 : 0,
+      truncated: truncatedLists.length > 0,
+      truncatedLists
+    };
+  }
+  
+  /**
+   * Calculate monitor reliability from recent monitor runs
+   * 
+   * Monitoring coverage only says whether a monitor points at a collection;
+   * this measures whether those monitors actually pass. Monitors without
+   * collected runs (monitor_runs scope disabled or no runs yet) are listed
+   * with null statistics and never classified.
+   * 
+   * @method calculateMonitorReliability
+   * @param {Array} monitors - Snapshot monitors (carrying `runs` when collected)
+   * @param {string} [collectedAt] - Snapshot collection time used for time since last run
+   * @returns {Object} Monitor reliability summary
+   * 
+   * Per-monitor statistics:
+   * - runs / successfulRuns / failedRuns / successRatio (0-1)
+   * - failedAssertions / totalAssertions across the runs
+   * - avgResponseTimeMs: Mean response time of the runs' requests
+   * - lastRunAt / lastRunStatus / secondsSinceLastRun
+   * - classification: 'failing', 'flaky' or null
+   * 
+   * Classification (monitors with at least min_monitor_runs runs):
+   * - failing: successRatio below failing_monitor_success_ratio, or the latest
+   *   min_monitor_runs runs all failed
+   * - flaky: Otherwise, successRatio below min_monitor_success_ratio
+   * 
+   * Called by: calculateGovernanceMetrics(), buildRuleEntities()
+   * 
+   * @complexity O(r) where r is the total number of monitor runs
+   */
+  calculateMonitorReliability(monitors = [], collectedAt = null) {
+    const minRatio = this.thresholds?.min_monitor_success_ratio ?? 0.95;
+    const failingRatio = this.thresholds?.failing_monitor_success_ratio ?? 0.5;
+    const minRuns = this.thresholds?.min_monitor_runs ?? 3;
+    const now = collectedAt ? Date.parse(collectedAt) : Date.now();
+    
+    const results = (monitors || []).map(monitor => {
+      const runs = (monitor.runs || []).map(normalizeMonitorRun)
+        .sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''));
+      const successfulRuns = runs.filter(run => run.success).length;
+      const responseTimes = runs.flatMap(run => run.responseTimes);
+      const lastRun = runs[0] || null;
+      
+      let classification = null;
+      const successRatio = runs.length > 0 ? successfulRuns / runs.length : null;
+      if (runs.length >= minRuns) {
+        const latestFailed = runs.slice(0, minRuns).every(run => !run.success);
+        if (successRatio < failingRatio || latestFailed) {
+          classification = 'failing';
+        } else if (successRatio < minRatio) {
+          classification = 'flaky';
+        }
+      }
+      
+      return {
+        monitorId: monitor.id,
+        monitorUid: monitor.uid || monitor.id,
+        name: monitor.name,
+        owner: monitor.owner,
+        collectionUid: monitor.collectionUid || monitor.collection || null,
+        runs: runs.length,
+        successfulRuns,
+        failedRuns: runs.length - successfulRuns,
+        successRatio,
+        failedAssertions: runs.reduce((sum, run) => sum + run.failedAssertions, 0),
+        totalAssertions: runs.reduce((sum, run) => sum + run.totalAssertions, 0),
+        avgResponseTimeMs: responseTimes.length > 0 ?
+          responseTimes.reduce((sum, time) => sum + time, 0) / responseTimes.length : null,
+        lastRunAt: lastRun?.startedAt || null,
+        lastRunStatus: lastRun?.status || null,
+        secondsSinceLastRun: lastRun?.startedAt ? Math.max(0, Math.round((now - Date.parse(lastRun.startedAt)) / 1000)) : null,
+        classification
+      };
+    });
+    
+    const withRuns = results.filter(monitor => monitor.runs > 0);
+    return {
+      totalMonitors: results.length,
+      monitorsWithRuns: withRuns.length,
+      averageSuccessRatio: withRuns.length > 0 ?
+        withRuns.reduce((sum, monitor) => sum + monitor.successRatio, 0) / withRuns.length : null,
+      flakyMonitors: results.filter(monitor => monitor.classification === 'flaky').length,
+      failingMonitors: results.filter(monitor => monitor.classification === 'failing').length,
+      monitors: results
+    };
+  }
+  
+  /**
+   * Link mock servers to their collection and environment and measure mock coverage
+   * 
+   * Mock detail from PostmanClient (collection_scope.mock_details) adds the
+   * environment and public flag; list entries alone still link mocks to collections.
+   * 
+   * @method calculateMockCoverage
+   * @param {Object} data - Per-cycle data snapshot (collections, mocks, environments, workspaces)
+   * @returns {Object} Mock coverage summary
+   * 
+   * Return format:
+   * - totalMocks / publicMocks: Mock server counts
+   * - mockedCollections: Collections with at least one mock
+   * - coverage: Percentage of collections with a mock (0-100)
+   * - collections: Per-collection `{ mocks, publicMocks }` keyed by collection uid
+   * - mocks: Per-mock links (collection and environment uid/name, owning workspace,
+   *   isPublic, publicCollection)
+   * 
+   * Called by: calculateGovernanceMetrics(), buildRuleEntities(), generateCollectionMetadata()
+   * 
+   * @complexity O(c + m + e) for collections, mocks and environments
+   */
+  calculateMockCoverage(data) {
+    const collections = data.collections || [];
+    const collectionsByRef = new Map();
+    for (const collection of collections) {
+      collectionsByRef.set(collection.uid, collection);
+      if (collection.id) {
+        collectionsByRef.set(collection.id, collection);
+      }
+    }
+    const environmentsByRef = new Map();
+    for (const environment of data.environments || []) {
+      environmentsByRef.set(environment.uid || environment.id, environment);
+      environmentsByRef.set(environment.id, environment);
+    }
+    
+    // Workspace details list their collections; fall back to the collection owner
+    const collectionWorkspaces = new Map();
+    const workspacesById = new Map((data.workspaces || []).map(workspace => [workspace.id, workspace]));
+    for (const workspace of data.workspaces || []) {
+      for (const collection of workspace.collections || []) {
+        collectionWorkspaces.set(collection.uid || collection.id, workspace);
+      }
+    }
+    const isPublicWorkspace = (workspace) => workspace?.visibility === 'public' || workspace?.type === 'public';
+    
+    const perCollection = {};
+    for (const collection of collections) {
+      perCollection[collection.uid] = { mocks: 0, publicMocks: 0 };
+    }
+    
+    const mocks = (data.mocks || []).map(mock => {
+      const collectionRef = typeof mock.collection === 'object' ? mock.collection?.uid || mock.collection?.id : mock.collection;
+      const environmentRef = typeof mock.environment === 'object' ? mock.environment?.uid || mock.environment?.id : mock.environment;
+      const collection = collectionRef ? collectionsByRef.get(collectionRef) : null;
+      const environment = environmentRef ? environmentsByRef.get(environmentRef) : null;
+      const workspace = collection ?
+        collectionWorkspaces.get(collection.uid) || workspacesById.get(collection.owner) :
+        null;
+      
+      if (collection) {
+        perCollection[collection.uid].mocks++;
+        if (mock.isPublic) {
+          perCollection[collection.uid].publicMocks++;
+        }
+      }
+      
+      return {
+        mockId: mock.id,
+        mockUid: mock.uid || mock.id,
+        name: mock.name,
+        owner: mock.owner,
+        mockUrl: mock.mockUrl || null,
+        collectionUid: collection ? collection.uid : collectionRef || null,
+        collectionName: collection ? collection.name : null,
+        environmentUid: environment ? environment.uid || environment.id : environmentRef || null,
+        environmentName: environment ? environment.name : null,
+        workspaceId: workspace ? workspace.id : null,
+        workspaceName: workspace ? workspace.name : null,
+        isPublic: Boolean(mock.isPublic),
+        publicCollection: Boolean(collection?.isPublic) || isPublicWorkspace(workspace)
+      };
+    });
+    
+    const mockedCollections = Object.values(perCollection).filter(entry => entry.mocks > 0).length;
+    return {
+      totalMocks: mocks.length,
+      publicMocks: mocks.filter(mock => mock.isPublic).length,
+      mockedCollections,
+      coverage: collections.length > 0 ? (mockedCollections / collections.length) * 100 : 0,
+      collections: perCollection,
+      mocks
+    };
+  }
+  
+  /**
+   * Analyze the age, divergence and ownership of collection forks
+   * 
+   * A fork counts as diverged when it was edited after being forked (its entry in
+   * the collection list has a later updatedAt) or when a pull request was opened
+   * from it. It counts as merged once one of its pull requests was merged. Merge
+   * status needs the pull requests collected through
+   * collection_scope.fork_pull_requests; without them forks are never flagged as
+   * unmerged.
+   * 
+   * @method analyzeForkHygiene
+   * @param {Object} data - Per-cycle data snapshot (collections with forks, teamUsers, collectedAt)
+   * @returns {Object} Fork hygiene summary
+   * 
+   * Per-fork entries:
+   * - forkId / forkName / parentUid / parentName / parentOwner
+   * - createdBy / creatorName / creatorEmail (null when the creator has left)
+   * - createdAt / ageDays
+   * - diverged / merged (null when pull requests were not collected)
+   * - issues: Any of 'stale', 'unmerged' and 'departed_creator'
+   * 
+   * Called by: calculateGovernanceMetrics(), buildRuleEntities()
+   * 
+   * @complexity O(f + c + u) for forks, collections and team users
+   */
+  analyzeForkHygiene(data) {
+    const maxAgeDays = this.thresholds?.max_fork_age_days ?? 90;
+    const now = data.collectedAt ? Date.parse(data.collectedAt) : Date.now();
+    const collectionsByUid = new Map((data.collections || []).map(collection => [collection.uid, collection]));
+    const teamUsers = new Map((data.teamUsers || []).map(user => [String(user.id), user]));
+    
+    const forks = [];
+    for (const parent of data.collections || []) {
+      for (const fork of parent.forks || []) {
+        const forkCollection = collectionsByUid.get(fork.forkId);
+        const createdAt = fork.createdAt || forkCollection?.fork?.createdAt || null;
+        const updatedAt = fork.updatedAt || forkCollection?.updatedAt || null;
+        const pullRequests = (parent.pullRequests || [])
+          .filter(pullRequest => (pullRequest.source?.id || pullRequest.source?.uid || pullRequest.sourceId) === fork.forkId);
+        const merged = parent.pullRequests ? pullRequests.some(pullRequest => pullRequest.status === 'merged') : null;
+        const diverged = pullRequests.length > 0 ||
+          Boolean(createdAt && updatedAt && Date.parse(updatedAt) > Date.parse(createdAt));
+        const creator = teamUsers.get(String(fork.createdBy));
+        const ageDays = createdAt ? Math.floor((now - Date.parse(createdAt)) / 86400000) : null;
+        
+        const issues = [];
+        if (ageDays !== null && ageDays > maxAgeDays) {
+          issues.push('stale');
+        }
+        if (diverged && merged === false) {
+          issues.push('unmerged');
+        }
+        if (teamUsers.size > 0 && fork.createdBy && !creator) {
+          issues.push('departed_creator');
+        }
+        
+        forks.push({
+          forkId: fork.forkId,
+          forkName: fork.forkName,
+          parentUid: parent.uid,
+          parentName: parent.name,
+          parentOwner: parent.owner || 'unknown',
+          createdBy: fork.createdBy ?? null,
+          creatorName: creator ? creator.fullName || creator.name || creator.username : null,
+          creatorEmail: creator?.email || null,
+          createdAt,
+          ageDays,
+          diverged,
+          merged,
+          issues
+        });
+      }
+    }
+    
+    return {
+      totalForks: forks.length,
+      staleForks: forks.filter(fork => fork.issues.includes('stale')).length,
+      unmergedForks: forks.filter(fork => fork.issues.includes('unmerged')).length,
+      departedCreatorForks: forks.filter(fork => fork.issues.includes('departed_creator')).length,
+      maxAgeDays,
+      forks
+    };
+  }
+  
+  /**
+   * Lint the schema of every API and compute the spec lint pass rate
+   * 
+   * Schemas are attached to API entries by PostmanClient when
+   * collection_scope.api_schemas is enabled; APIs without a parsed OpenAPI or
+   * Swagger schema are not linted.
+   * 
+   * @method calculateSpecLint
+   * @param {Array} [apiSpecs=[]] - Snapshot APIs (carrying `schema.document` when collected)
+   * @returns {Object} Spec lint summary
+   * 
+   * Return format:
+   * - score: Share of passed checks across all linted schemas (0-100; 100 when none were linted)
+   * - lintedSpecs / totalChecks / failedChecks
+   * - failuresByRule: Failure count per rule id
+   * - specs: Per-API `{ apiId, name, createdBy, workspaceId, format, checks, failures }`
+   * 
+   * Called by: calculateGovernanceMetrics(), buildRuleEntities()
+   * 
+   * @complexity O(s*o) for s schemas of o operations each
+   */
+  calculateSpecLint(apiSpecs = []) {
+    const specs = [];
+    for (const api of apiSpecs || []) {
+      if (!api.schema?.document) {
+        continue;
+      }
+      const result = this.specLinter.lint(api.schema.document);
+      if (!result.format) {
+        continue;
+      }
+      specs.push({
+        apiId: api.id,
+        name: api.name,
+        createdBy: api.createdBy,
+        workspaceId: api.workspaceId || api.workspace?.id || null,
+        format: result.format,
+        checks: result.checks,
+        failures: result.failures
+      });
+    }
+    
+    const totalChecks = specs.reduce((sum, spec) => sum + spec.checks, 0);
+    const failedChecks = specs.reduce((sum, spec) => sum + spec.failures.length, 0);
+    const failuresByRule = {};
+    for (const failure of specs.flatMap(spec => spec.failures)) {
+      failuresByRule[failure.rule] = (failuresByRule[failure.rule] || 0) + 1;
+    }
+    
+    return {
+      score: totalChecks > 0 ? ((totalChecks - failedChecks) / totalChecks) * 100 : 100,
+      lintedSpecs: specs.length,
+      totalChecks,
+      failedChecks,
+      failuresByRule,
+      specs
+    };
+  }
+  
+  /**
+   * Compare the schema of every API with the requests of its linked collections
+   * 
+   * APIs are compared when their schema was collected (collection_scope.api_schemas)
+   * and at least one collection in `api.collections` is part of the snapshot.
+   * 
+   * @method calculateSpecDrift
+   * @param {Object} data - Per-cycle data snapshot (apiSpecs, collections)
+   * @returns {Object} Spec drift summary
+   * 
+   * Return format:
+   * - analyzedSpecs / driftedSpecs: APIs compared and APIs with any drift
+   * - averageDrift: Mean drift percentage of the compared APIs (0 when none)
+   * - specs: Per-API `{ apiId, name, createdBy, workspaceId, collectionUids,
+   *   specEndpoints, collectionRequests, matchedEndpoints, missingInCollection,
+   *   missingInSpec, parameterMismatches, driftPercentage }`
+   * 
+   * Dependencies:
+   * - SpecDriftAnalyzer.compare(): Endpoint and parameter comparison
+   * 
+   * Called by: calculateGovernanceMetrics(), buildRuleEntities()
+   * 
+   * @complexity O(s*r*o) for s APIs with r requests and o operations each
+   */
+  calculateSpecDrift(data) {
+    const collectionsByRef = new Map();
+    for (const collection of data.collections || []) {
+      collectionsByRef.set(collection.uid, collection);
+      if (collection.id) {
+        collectionsByRef.set(collection.id, collection);
+      }
+    }
+    
+    const specs = [];
+    for (const api of data.apiSpecs || []) {
+      const linked = [...new Set((api.collections || []).map(link => collectionsByRef.get(link.id || link.uid)).filter(Boolean))];
+      if (!api.schema?.document || linked.length === 0) {
+        continue;
+      }
+      const drift = this.specDriftAnalyzer.compare(api.schema.document, linked);
+      if (!drift) {
+        continue;
+      }
+      specs.push({
+        apiId: api.id,
+        name: api.name,
+        createdBy: api.createdBy,
+        workspaceId: api.workspaceId || api.workspace?.id || null,
+        collectionUids: linked.map(collection => collection.uid),
+        specEndpoints: drift.specEndpoints,
+        collectionRequests: drift.collectionRequests,
+        matchedEndpoints: drift.matchedEndpoints,
+        missingInCollection: drift.missingInCollection,
+        missingInSpec: drift.missingInSpec,
+        parameterMismatches: drift.parameterMismatches,
+        driftPercentage: drift.driftPercentage
+      });
+    }
+    
+    return {
+      analyzedSpecs: specs.length,
+      driftedSpecs: specs.filter(spec => spec.driftPercentage > 0).length,
+      averageDrift: specs.length > 0 ? specs.reduce((sum, spec) => sum + spec.driftPercentage, 0) / specs.length : 0,
+      specs
+    };
+  }
+  
+  /**
+   * Evaluate the workspace rules against every workspace
+   * 
+   * @method calculateWorkspaceRules
+   * @param {Array} [workspaces=[]] - Snapshot workspaces (detail merged in, `tags`
+   *   when collection_scope.workspace_tags is enabled)
+   * @returns {Object} Workspace rule summary
+   * 
+   * Return format:
+   * - evaluatedWorkspaces / compliantWorkspaces: Workspaces checked and those without failures
+   * - failuresByRule: Failure count per rule id
+   * - workspaces: Per-workspace `{ workspaceId, name, type, failures }` for
+   *   workspaces with at least one failure
+   * 
+   * Dependencies:
+   * - WorkspaceRules.evaluate(): Rule evaluation per workspace
+   * 
+   * Called by: calculateGovernanceMetrics(), buildRuleEntities()
+   * 
+   * @complexity O(w*t) for w workspaces with t tags each
+   */
+  calculateWorkspaceRules(workspaces = []) {
+    const results = (workspaces || []).map(workspace => ({
+      workspaceId: workspace.id,
+      name: workspace.name,
+      type: workspace.type || null,
+      failures: this.workspaceRules.evaluate(workspace)
+    }));
+    
+    const failuresByRule = {};
+    for (const failure of results.flatMap(workspace => workspace.failures)) {
+      failuresByRule[failure.rule] = (failuresByRule[failure.rule] || 0) + 1;
+    }
+    
+    return {
+      evaluatedWorkspaces: results.length,
+      compliantWorkspaces: results.filter(workspace => workspace.failures.length === 0).length,
+      failuresByRule,
+      workspaces: results.filter(workspace => workspace.failures.length > 0)
+    };
+  }
+  
+  /**
+   * Calculate the security posture score from exposed credentials
+   * 
+   * Scores the share of scanned requests and environments that expose no
+   * credentials. A request counts against the score when any of its headers,
+   * auth block, query parameters, body or scripts holds a hardcoded credential;
+   * an environment when any `default`-type variable holds one.
+   * 
+   * @method calculateSecurityPosture
+   * @param {Array} collections - Snapshot collection objects (with item trees) to analyze
+   * @param {Array} [environments=[]] - Snapshot environments (scanned when they carry `values`)
+   * @returns {Object} Security posture metrics and score
+   * 
+   * Scoring algorithm:
+   * - Score = (clean requests + clean environments) / (scanned requests + scanned environments) × 100
+   * - 100 when nothing was scanned
+   * 
+   * Dependencies:
+   * - getEndpointAnalysis(): Memoized hardcoded credential findings per collection
+   * - SecretScanner.scanEnvironment(): Plaintext environment secrets
+   * 
+   * Called by: calculateGovernanceMetrics()
+   * 
+   * @complexity O(n*m + v) where n=collections, m=endpoints per collection, v=environment variables
+   */
+  calculateSecurityPosture(collections, environments = []) {
+    let scannedEndpoints = 0;
+    let endpointsWithCredentials = 0;
+    let hardcodedCredentials = 0;
+    
+    const maxCollections = this.config.limits?.max_collection_analysis || 10;
+    const collectionsToAnalyze = maxCollections === -1 ? collections : collections.slice(0, maxCollections);
+    for (const collection of collectionsToAnalyze) {
+      try {
+        const analysis = this.getEndpointAnalysis(collection);
+        scannedEndpoints += analysis.totalEndpoints;
+        endpointsWithCredentials += analysis.endpointsWithCredentials || 0;
+        hardcodedCredentials += (analysis.hardcodedCredentials || []).length;
+      } catch (error) {
+        this.logger.warn('Failed to analyze collection security', {
+          collectionId: collection.uid,
+          error: error.message
+        });
+      }
+    }
+    
+    const scannedEnvironments = (environments || []).filter(environment => Array.isArray(environment.values));
+    let environmentsWithSecrets = 0;
+    let plaintextSecrets = 0;
+    for (const environment of scannedEnvironments) {
+      const findings = this.secretScanner.scanEnvironment(environment);
+      if (findings.length > 0) {
+        environmentsWithSecrets++;
+        plaintextSecrets += findings.length;
+      }
+    }
+    
+    const scanned = scannedEndpoints + scannedEnvironments.length;
+    const exposed = endpointsWithCredentials + environmentsWithSecrets;
+    const score = scanned > 0 ? ((scanned - exposed) / scanned) * 100 : 100;
+    
+    return {
+      score,
+      scannedEndpoints,
+      endpointsWithCredentials,
+      hardcodedCredentials,
+      scannedEnvironments: scannedEnvironments.length,
+      environmentsWithSecrets,
+      plaintextSecrets
     };
   }
   
@@ -1139,6 +2235,8 @@ class GovernanceCalculator {
    * - Test Coverage × testing_weight  
    * - Monitoring Coverage × monitoring_weight
    * - Organization Structure × organization_weight
+   * - Security Posture × security_weight (0 when no security weight is configured)
+   * - Spec Lint pass rate × spec_lint_weight (0 when no spec_lint weight is configured)
    * 
    * Example calculation (default weights):
    * - Documentation (80) × 0.3 = 24.0
@@ -1167,7 +2265,9 @@ class GovernanceCalculator {
       (metrics.documentationCoverage.score * weights.documentation) +
       (metrics.testCoverage.score * weights.testing) +
       (metrics.monitoringCoverage.score * weights.monitoring) +
-      (metrics.organizationStructure.score * weights.organization)
+      (metrics.organizationStructure.score * weights.organization) +
+      ((metrics.securityPosture?.score || 0) * (weights.security || 0)) +
+      ((metrics.specLint?.score || 0) * (weights.spec_lint || 0))
     );
   }
   
@@ -1179,6 +2279,68 @@ class GovernanceCalculator {
   // governance calculations. They implement the core logic for endpoint analysis,
   // naming convention validation, metadata generation, and admin extraction.
   
+  /**
+   * Get the endpoint analysis for a snapshot collection, computing it at most once
+   * 
+   * Results are cached in a WeakMap keyed by the collection object, so documentation,
+   * test coverage and violation detection share one walk of each collection's item
+   * tree per cycle, and the cache is released together with the snapshot. Collections
+   * that the incremental collector found unchanged carry their stored analysis, which
+   * is reused as long as it was produced by the current ENDPOINT_ANALYSIS_VERSION.
+   * 
+   * @method getEndpointAnalysis
+   * @param {Object} collection - Snapshot collection carrying its item tree
+   * @returns {Object} Endpoint analysis as returned by analyzeEndpoints()
+   * 
+   * Called by: calculateDocumentationCoverage(), calculateTestCoverage(),
+   *            calculateGovernanceViolations()
+   * 
+   * @complexity O(n) on first call for a collection, O(1) afterwards
+   */
+  getEndpointAnalysis(collection) {
+    let analysis = this.endpointAnalysisCache.get(collection);
+    if (!analysis) {
+      const stored = collection.storedAnalysis;
+      analysis = stored && stored.version === ENDPOINT_ANALYSIS_VERSION ?
+        stored :
+        { version: ENDPOINT_ANALYSIS_VERSION, ...this.analyzeEndpoints(collection.item || []) };
+      this.endpointAnalysisCache.set(collection, analysis);
+    }
+    return analysis;
+  }
+  
+  /**
+   * Build incremental-collection fingerprints for analyzed collections
+   * 
+   * Produces one record per collection whose detail was loaded this cycle, pairing
+   * the Postman updatedAt timestamp and content hash with the endpoint analysis and
+   * the collection document. The next cycle uses these to skip getCollection() and
+   * analyzeEndpoints() for collections that have not changed.
+   * 
+   * @method generateCollectionFingerprints
+   * @param {Array} collections - Snapshot collection objects
+   * @returns {Array<Object>} Fingerprint records for DatabaseManager.storeCollectionFingerprints()
+   * 
+   * Called by: calculateGovernanceMetrics()
+   * 
+   * @complexity O(n) where n is the number of collections with loaded detail
+   */
+  generateCollectionFingerprints(collections) {
+    return collections
+      .filter(collection => collection.contentHash)
+      .map(collection => {
+        // Derived per-cycle fields are not part of the stored document
+        const { contentHash, storedAnalysis, forks, pullRequests, ...content } = collection;
+        return {
+          collectionId: collection.uid,
+          updatedAt: collection.updatedAt || null,
+          contentHash,
+          analysis: this.getEndpointAnalysis(collection),
+          content
+        };
+      });
+  }
+  
   /**
    * Recursively analyze collection endpoints for documentation and testing
    * 
@@ -1189,6 +2351,7 @@ class GovernanceCalculator {
    * @method analyzeEndpoints
    * @param {Array} items - Collection items array (endpoints and folders)
    * @param {number} [depth=0] - Current recursion depth for folder traversal
+   * @param {Array<string>} [path=[]] - Folder names leading to items (for finding paths)
    * @returns {Object} Comprehensive endpoint analysis metrics
    * 
    * Analysis performed:
@@ -1210,7 +2373,11 @@ class GovernanceCalculator {
    * - Test presence verification: Distinguishes actual tests from placeholders
    * - Categorizes endpoints as tested vs. untested
    * 
-   * **4. Recursive Folder Processing**
+   * **4. Hardcoded Credential Scanning**
+   * - SecretScanner.scanRequestItem() on headers, auth, query, body and scripts
+   * - Findings keep the item path (`Folder / Request`), item id and masked evidence only
+   * 
+   * **5. Recursive Folder Processing**
    * - Identifies folders by presence of item array
    * - Recursively processes nested folder contents
    * - Aggregates metrics from all folder levels
@@ -1232,22 +2399,26 @@ class GovernanceCalculator {
    * - testedEndpoints: Endpoints with functional test scripts
    * - undocumentedEndpoints: Endpoints lacking proper documentation
    * - untestedEndpoints: Endpoints without test coverage
+   * - endpointsWithCredentials: Endpoints with at least one hardcoded credential
+   * - hardcodedCredentials: Findings ({ path, itemId, location, type, evidence })
    * 
    * Dependencies:
    * - Collection item structure with request/item properties
    * - Event structure with listen and script properties
    * - Response structure with example data
    * 
-   * Called by: calculateDocumentationCoverage(), calculateTestCoverage()
+   * Called by: getEndpointAnalysis()
    * 
    * @complexity O(n) where n is total endpoints across all folder levels
    */
-  analyzeEndpoints(items, depth = 0) {
+  analyzeEndpoints(items, depth = 0, path = []) {
     let totalEndpoints = 0;
     let documentedEndpoints = 0;
     let testedEndpoints = 0;
     let undocumentedEndpoints = 0;
     let untestedEndpoints = 0;
+    let endpointsWithCredentials = 0;
+    const hardcodedCredentials = [];
     
     for (const item of items) {
       if (item.request) {
@@ -1275,14 +2446,24 @@ class GovernanceCalculator {
           untestedEndpoints++;
         }
         
+        // Check for credentials that should be {{variables}}
+        const findings = this.secretScanner.scanRequestItem(item);
+        if (findings.length > 0) {
+          endpointsWithCredentials++;
+          const itemPath = [...path, item.name || 'Unnamed request'].join(' / ');
+          hardcodedCredentials.push(...findings.map(finding => ({ path: itemPath, itemId: item.id || item.uid || null, ...finding })));
+        }
+        
       } else if (item.item) {
         // This is a folder, recurse
-        const subAnalysis = this.analyzeEndpoints(item.item, depth + 1);
+        const subAnalysis = this.analyzeEndpoints(item.item, depth + 1, [...path, item.name || 'Unnamed folder']);
         totalEndpoints += subAnalysis.totalEndpoints;
         documentedEndpoints += subAnalysis.documentedEndpoints;
         testedEndpoints += subAnalysis.testedEndpoints;
         undocumentedEndpoints += subAnalysis.undocumentedEndpoints;
         untestedEndpoints += subAnalysis.untestedEndpoints;
+        endpointsWithCredentials += subAnalysis.endpointsWithCredentials;
+        hardcodedCredentials.push(...subAnalysis.hardcodedCredentials);
       }
     }
     
@@ -1291,7 +2472,9 @@ class GovernanceCalculator {
       documentedEndpoints,
       testedEndpoints,
       undocumentedEndpoints,
-      untestedEndpoints
+      untestedEndpoints,
+      endpointsWithCredentials,
+      hardcodedCredentials
     };
   }
   
@@ -1366,6 +2549,7 @@ class GovernanceCalculator {
    * @param {Array} apiSpecs - API specification objects for attachment analysis
    * @param {Array} workspaces - Workspace objects for name resolution
    * @param {Object} [userData=null] - User data for ownership context
+   * @param {Array} [mocks=[]] - Mock servers for per-collection mock coverage
    * @returns {Array} Array of enriched collection metadata objects
    * 
    * Metadata enrichment process:
@@ -1396,6 +2580,7 @@ class GovernanceCalculator {
    * - documentedEndpoints: Placeholder (0) - requires detailed analysis
    * - testedEndpoints: Placeholder (0) - requires detailed analysis
    * - forkCount: Active collaboration indicator
+   * - mockCount / publicMockCount: Mock servers (and public ones) pointing at the collection
    * 
    * Workspace resolution strategy:
    * - Creates Map for efficient workspace name lookups
@@ -1424,7 +2609,8 @@ class GovernanceCalculator {
    * 
    * @complexity O(n) where n is the number of collections to process
    */
-  generateCollectionMetadata(collections, apiSpecs, workspaces, userData = null) {
+  generateCollectionMetadata(collections, apiSpecs, workspaces, userData = null, mocks = []) {
+    const mockCoverage = this.calculateMockCoverage({ collections, mocks, workspaces });
     const specCollectionIds = new Set(apiSpecs.map(spec => 
       spec.collections?.[0]?.id).filter(Boolean));
     
@@ -1450,7 +2636,9 @@ class GovernanceCalculator {
         endpointCount: 0, // Would need detailed analysis
         documentedEndpoints: 0,
         testedEndpoints: 0,
-        forkCount: collection.forks?.length || 0
+        forkCount: collection.forks?.length || 0,
+        mockCount: mockCoverage.collections[collection.uid].mocks,
+        publicMockCount: mockCoverage.collections[collection.uid].publicMocks
       };
     });
   }
@@ -1562,4 +2750,6 @@ class GovernanceCalculator {
   }
 }
 
-module.exports = GovernanceCalculator;
\ No newline at end of file
+module.exports = GovernanceCalculator;
+module.exports.ENDPOINT_ANALYSIS_VERSION = ENDPOINT_ANALYSIS_VERSION;
+module.exports.VIOLATION_TYPES = VIOLATION_TYPES;
\ No newline at end of file
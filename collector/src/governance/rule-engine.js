@@ -0,0 +1,296 @@
+/**
+ * Rule Engine - Declarative Governance Rules
+ *
+ * Loads governance rules written in YAML (the built-in default rules, a rules
+ * directory and the `governance.rules` config section) and evaluates them
+ * against the entities of a collection cycle. Each rule names a target
+ * entity type, a condition over the entity's fields, a severity, a message
+ * template and remediation text; every entity matching the condition
+ * becomes one violation of the rule's type.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+const RuleExpression = require('./rule-expression');
+
+const TARGETS = [
+  'collection', 'request', 'workspace', 'environment', 'spec', 'monitor', 'user',
+  'credential', 'variable', 'mock', 'fork', 'lintFailure', 'workspaceRuleFailure'
+];
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const DEFAULT_RULES_PATH = path.join(__dirname, 'rules', 'default-rules.yml');
+
+/**
+ * Rule Engine Class
+ *
+ * @class RuleEngine
+ * @description Declarative rule loading and evaluation
+ *
+ * Rule definition:
+ * - id: Unique rule id (required)
+ * - type: Violation category the matches are reported under (defaults to id)
+ * - target: collection, request, workspace, environment, spec, monitor, user,
+ *   or one of the finding targets credential, variable, mock, fork,
+ *   lintFailure and workspaceRuleFailure
+ * - condition: RuleExpression over the entity fields (required)
+ * - severity: critical, high, medium or low (default medium), or a
+ *   `{{ expression }}` template rendering one of them (such as the
+ *   `checkSeverity` a lint failure was configured with)
+ * - escalate: Optional `[{ when, severity }]`; the first matching condition
+ *   replaces the severity
+ * - message: Description template; `{{ expression }}` placeholders are
+ *   evaluated against the entity (required)
+ * - remediation: Remediation text template
+ * - fields: Entity fields copied into each violation
+ * - enabled: false removes the rule (including a default rule of the same id)
+ *
+ * Rule sources, later sources replacing rules with the same id in place:
+ * 1. Default rules (src/governance/rules/default-rules.yml) unless
+ *    governance.default_rules is false
+ * 2. *.yml, *.yaml and *.json files in governance.rules_directory, by file name
+ * 3. governance.rules
+ *
+ * Finding targets are detection results the collector computes in code
+ * (GovernanceCalculator.buildRuleEntities()): credentials found in requests,
+ * environment variables with the secret scanner result, mock servers with
+ * their collection links, forks with their hygiene issues, spec lint failures
+ * and workspace rule failures. Secret scanning, schema linting and the
+ * workspace naming, tag and type checks are therefore not declarative; which
+ * findings become violations, and with what severity and message, is.
+ *
+ * Called by: GovernanceCalculator.calculateGovernanceViolations()
+ *
+ * @complexity O(r*e) per evaluation for r rules and e entities of their targets
+ */
+class RuleEngine {
+  /**
+   * Compile a rule set
+   *
+   * @constructor
+   * @param {Array<Object>} [definitions=[]] - Rule definitions (with an optional `source`
+   *   naming the file they came from)
+   * @param {Object} [logger=null] - Logger for evaluation errors
+   * @throws {Error} When a rule definition is invalid
+   */
+  constructor(definitions = [], logger = null) {
+    this.logger = logger;
+    this.rules = mergeDefinitions(definitions).map(compileRule);
+  }
+
+  /**
+   * Build the rule set from governance settings
+   *
+   * @static
+   * @method fromConfig
+   * @param {Object} [config={}] - governance section
+   * @param {Object} [logger=null] - Logger for evaluation errors
+   * @returns {RuleEngine} Engine with default, directory and inline rules
+   * @throws {Error} When a rule file cannot be read or parsed, or a rule is invalid
+   *
+   * Configuration mapping (governance):
+   * - default_rules → load the built-in default rules (default true)
+   * - rules_directory → directory of rule files (relative to the working directory)
+   * - rules → inline rule definitions
+   */
+  static fromConfig(config = {}, logger = null) {
+    const definitions = [];
+    if (config.default_rules !== false) {
+      definitions.push(...RuleEngine.loadRuleFile(DEFAULT_RULES_PATH));
+    }
+    if (config.rules_directory) {
+      const files = fs.readdirSync(config.rules_directory)
+        .filter(file => /\.(ya?ml|json)$/i.test(file))
+        .sort();
+      for (const file of files) {
+        definitions.push(...RuleEngine.loadRuleFile(path.join(config.rules_directory, file)));
+      }
+    }
+    definitions.push(...(config.rules || []).map(rule => ({ ...rule, source: 'governance.rules' })));
+    return new RuleEngine(definitions, logger);
+  }
+
+  /**
+   * Read rule definitions from a YAML or JSON file
+   *
+   * @static
+   * @method loadRuleFile
+   * @param {string} filePath - Rule file holding a list of rules or `{ rules: [...] }`
+   * @returns {Array<Object>} Definitions tagged with their source file
+   * @throws {Error} When the file cannot be read or parsed
+   */
+  static loadRuleFile(filePath) {
+    let parsed;
+    try {
+      parsed = yaml.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load governance rules from ${filePath}: ${error.message}`);
+    }
+    const rules = Array.isArray(parsed) ? parsed : parsed?.rules || [];
+    if (!Array.isArray(rules)) {
+      throw new Error(`Failed to load governance rules from ${filePath}: rules must be a list`);
+    }
+    return rules.map(rule => ({ ...rule, source: path.basename(filePath) }));
+  }
+
+  /**
+   * Violation categories produced by the rule set, in rule order
+   *
+   * @method getTypes
+   * @returns {Array<string>} Distinct rule types
+   */
+  getTypes() {
+    return [...new Set(this.rules.map(rule => rule.type))];
+  }
+
+  /**
+   * Evaluate every rule against the entities of its target
+   *
+   * @method evaluate
+   * @param {Object} entities - Entity lists keyed by target
+   * @param {Object} [globals={}] - Values rules may reference besides entity fields
+   *   (thresholds, limits)
+   * @returns {Array<Object>} Matches `{ rule, type, entity, severity, description,
+   *   remediation, fields }` in rule order, then entity order
+   *
+   * An entity whose evaluation throws (such as an invalid `matches` pattern, or a
+   * severity template rendering no severity) is logged and skipped; the
+   * remaining entities and rules still run.
+   */
+  evaluate(entities, globals = {}) {
+    const matches = [];
+    for (const rule of this.rules) {
+      for (const entity of entities[rule.target] || []) {
+        try {
+          if (!rule.condition.evaluate(entity, globals)) {
+            continue;
+          }
+          const escalation = rule.escalate.find(entry => entry.when.evaluate(entity, globals));
+          matches.push({
+            rule: rule.id,
+            type: rule.type,
+            entity,
+            severity: escalation ? escalation.severity : renderSeverity(rule.severity, entity, globals),
+            description: renderTemplate(rule.message, entity, globals),
+            remediation: rule.remediation ? renderTemplate(rule.remediation, entity, globals) : null,
+            fields: Object.fromEntries(rule.fields.map(field => [field, entity[field] ?? null]))
+          });
+        } catch (error) {
+          this.logger?.warn('Failed to evaluate governance rule', {
+            rule: rule.id,
+            entityId: entity.id,
+            error: error.message
+          });
+        }
+      }
+    }
+    return matches;
+  }
+}
+
+/**
+ * Merge definitions by id: later definitions replace earlier ones in place,
+ * `enabled: false` removes the rule
+ */
+function mergeDefinitions(definitions) {
+  const merged = new Map();
+  for (const definition of definitions) {
+    if (!definition || typeof definition.id !== 'string' || !definition.id) {
+      throw new Error(`Invalid governance rule (${definition?.source || 'unknown source'}): id is required`);
+    }
+    merged.set(definition.id, definition);
+  }
+  return [...merged.values()].filter(definition => definition.enabled !== false);
+}
+
+/**
+ * Validate a definition and compile its condition and templates
+ */
+function compileRule(definition) {
+  const invalid = reason => new Error(`Invalid governance rule "${definition.id}" (${definition.source || 'unknown source'}): ${reason}`);
+  const compile = (expression, field) => {
+    try {
+      return new RuleExpression(expression);
+    } catch (error) {
+      throw invalid(`${field}: ${error.message}`);
+    }
+  };
+  const compileTemplate = (template, field) => String(template)
+    .split(/(\{\{[^}]*\}\})/)
+    .filter(Boolean)
+    .map(part => (/^\{\{[^}]*\}\}$/.test(part) ? compile(part.slice(2, -2), field) : part));
+
+  if (definition.type !== undefined && (typeof definition.type !== 'string' || !definition.type)) {
+    throw invalid('type must be a non-empty string');
+  }
+  if ((definition.type || definition.id) in Object.prototype) {
+    throw invalid(`type "${definition.type || definition.id}" is reserved`);
+  }
+  if (!TARGETS.includes(definition.target)) {
+    throw invalid(`target must be one of ${TARGETS.join(', ')}`);
+  }
+  if (typeof definition.condition !== 'string' || !definition.condition.trim()) {
+    throw invalid('condition is required');
+  }
+  if (typeof definition.message !== 'string' || !definition.message) {
+    throw invalid('message is required');
+  }
+  const severity = definition.severity || 'medium';
+  const severityTemplate = typeof severity === 'string' && severity.includes('{{');
+  if (!severityTemplate && !SEVERITIES.includes(severity)) {
+    throw invalid(`severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+  if (definition.fields !== undefined && !(Array.isArray(definition.fields) && definition.fields.every(field => typeof field === 'string'))) {
+    throw invalid('fields must be a list of field names');
+  }
+
+  return {
+    id: definition.id,
+    type: definition.type || definition.id,
+    target: definition.target,
+    condition: compile(definition.condition, 'condition'),
+    severity: severityTemplate ? compileTemplate(severity, 'severity') : severity,
+    escalate: (definition.escalate || []).map((entry, i) => {
+      if (!SEVERITIES.includes(entry?.severity)) {
+        throw invalid(`escalate[${i}].severity must be one of ${SEVERITIES.join(', ')}`);
+      }
+      return { when: compile(entry.when, `escalate[${i}].when`), severity: entry.severity };
+    }),
+    message: compileTemplate(definition.message, 'message'),
+    remediation: definition.remediation ? compileTemplate(definition.remediation, 'remediation') : null,
+    fields: definition.fields || [],
+    source: definition.source || null
+  };
+}
+
+/**
+ * Render a compiled template; lists are joined with ", " and null renders empty
+ */
+function renderTemplate(parts, entity, globals) {
+  return parts.map(part => {
+    if (typeof part === 'string') {
+      return part;
+    }
+    const value = part.evaluate(entity, globals);
+    return Array.isArray(value) ? value.join(', ') : value ?? '';
+  }).join('');
+}
+
+/**
+ * Resolve a rule severity, rendering it when it is a template
+ */
+function renderSeverity(severity, entity, globals) {
+  if (typeof severity === 'string') {
+    return severity;
+  }
+  const rendered = renderTemplate(severity, entity, globals).trim();
+  if (!SEVERITIES.includes(rendered)) {
+    throw new Error(`severity "${rendered}" is not one of ${SEVERITIES.join(', ')}`);
+  }
+  return rendered;
+}
+
+module.exports = RuleEngine;
+module.exports.TARGETS = TARGETS;
+module.exports.SEVERITIES = SEVERITIES;
+module.exports.DEFAULT_RULES_PATH = DEFAULT_RULES_PATH;
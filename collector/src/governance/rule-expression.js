@@ -0,0 +1,314 @@
+/**
+ * Rule Expression - Condition Language for Declarative Governance Rules
+ *
+ * Parses and evaluates the `condition` of a governance rule against one
+ * entity. Expressions are compiled once into a syntax tree and evaluated
+ * without `eval`, so rule files can only read entity fields.
+ */
+
+const KEYWORDS = { and: '&&', or: '||', not: '!' };
+const COMPARISON_OPERATORS = ['==', '!=', '>=', '<=', '>', '<', 'in', 'contains', 'matches'];
+
+const FUNCTIONS = {
+  len: value => (value === null || value === undefined ? 0 :
+    typeof value === 'object' && !Array.isArray(value) ? Object.keys(value).length : value.length ?? 0),
+  empty: value => FUNCTIONS.len(value) === 0,
+  lower: value => (value === null || value === undefined ? value : String(value).toLowerCase()),
+  round: value => (typeof value === 'number' ? Math.round(value) : null)
+};
+
+/**
+ * Rule Expression Class
+ *
+ * @class RuleExpression
+ * @description Compiled rule condition
+ *
+ * Syntax:
+ * - Literals: numbers, 'single' or "double" quoted strings, true, false, null
+ *   and lists `[a, b]`
+ * - Field paths: `undocumentedEndpoints`, `workspace.type`, `tags.length`;
+ *   names missing from the entity are looked up in the rule globals
+ *   (`thresholds`, `limits`), then evaluate to null
+ * - Arithmetic: + - * / (numbers; + also joins strings)
+ * - Comparison: == != > >= < <=, `in` (value in list), `contains` (list holds
+ *   value, or string includes substring) and `matches` (regular expression)
+ * - Logic: and / &&, or / ||, not / !, parentheses
+ * - Functions: len(x), empty(x), lower(x), round(x)
+ *
+ * Ordering comparisons are false unless both sides are numbers or both are
+ * strings, so conditions on missing fields never match.
+ *
+ * Called by: RuleEngine
+ *
+ * @complexity O(n) to compile and evaluate an expression of n tokens
+ */
+class RuleExpression {
+  /**
+   * Compile a condition
+   *
+   * @constructor
+   * @param {string} source - Expression text
+   * @throws {Error} When the expression has a syntax error
+   */
+  constructor(source) {
+    this.source = String(source);
+    this.tokens = tokenize(this.source);
+    this.position = 0;
+    this.tree = this.parseOr();
+    if (this.position < this.tokens.length) {
+      throw new Error(`Unexpected "${this.tokens[this.position].value}" in condition: ${this.source}`);
+    }
+    delete this.tokens;
+  }
+
+  /**
+   * Evaluate the condition against an entity
+   *
+   * @method evaluate
+   * @param {Object} entity - Entity fields
+   * @param {Object} [globals={}] - Fallback roots for names the entity does not have
+   * @returns {*} Expression value (conditions match when truthy)
+   * @throws {Error} When a `matches` pattern is not a valid regular expression
+   */
+  evaluate(entity, globals = {}) {
+    return evaluateNode(this.tree, entity || {}, globals);
+  }
+
+  // Recursive descent parser, lowest precedence first
+
+  parseOr() {
+    let node = this.parseAnd();
+    while (this.accept('||')) {
+      node = { type: 'or', left: node, right: this.parseAnd() };
+    }
+    return node;
+  }
+
+  parseAnd() {
+    let node = this.parseNot();
+    while (this.accept('&&')) {
+      node = { type: 'and', left: node, right: this.parseNot() };
+    }
+    return node;
+  }
+
+  parseNot() {
+    if (this.accept('!')) {
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+    const operator = COMPARISON_OPERATORS.find(candidate => this.accept(candidate));
+    return operator ? { type: 'compare', operator, left, right: this.parseAdditive() } : left;
+  }
+
+  parseAdditive() {
+    let node = this.parseMultiplicative();
+    let operator;
+    while ((operator = ['+', '-'].find(candidate => this.accept(candidate)))) {
+      node = { type: 'arithmetic', operator, left: node, right: this.parseMultiplicative() };
+    }
+    return node;
+  }
+
+  parseMultiplicative() {
+    let node = this.parseUnary();
+    let operator;
+    while ((operator = ['*', '/'].find(candidate => this.accept(candidate)))) {
+      node = { type: 'arithmetic', operator, left: node, right: this.parseUnary() };
+    }
+    return node;
+  }
+
+  parseUnary() {
+    if (this.accept('-')) {
+      return { type: 'arithmetic', operator: '-', left: { type: 'literal', value: 0 }, right: this.parseUnary() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.tokens[this.position];
+    if (!token) {
+      throw new Error(`Unexpected end of condition: ${this.source}`);
+    }
+
+    if (token.type === 'number' || token.type === 'string') {
+      this.position++;
+      return { type: 'literal', value: token.value };
+    }
+
+    if (this.accept('(')) {
+      const node = this.parseOr();
+      this.expect(')');
+      return node;
+    }
+
+    if (this.accept('[')) {
+      const items = [];
+      if (!this.accept(']')) {
+        do {
+          items.push(this.parseOr());
+        } while (this.accept(','));
+        this.expect(']');
+      }
+      return { type: 'list', items };
+    }
+
+    if (token.type === 'name') {
+      this.position++;
+      if (['true', 'false', 'null'].includes(token.value)) {
+        return { type: 'literal', value: JSON.parse(token.value) };
+      }
+      if (this.accept('(')) {
+        if (!FUNCTIONS[token.value]) {
+          throw new Error(`Unknown function "${token.value}" in condition: ${this.source}`);
+        }
+        const args = [];
+        if (!this.accept(')')) {
+          do {
+            args.push(this.parseOr());
+          } while (this.accept(','));
+          this.expect(')');
+        }
+        return { type: 'call', name: token.value, args };
+      }
+      return { type: 'field', path: token.value.split('.') };
+    }
+
+    throw new Error(`Unexpected "${token.value}" in condition: ${this.source}`);
+  }
+
+  accept(value) {
+    const token = this.tokens[this.position];
+    if (token && token.type === 'operator' && token.value === value) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(value) {
+    if (!this.accept(value)) {
+      throw new Error(`Expected "${value}" in condition: ${this.source}`);
+    }
+  }
+}
+
+/**
+ * Split an expression into number, string, name and operator tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?)|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)|(==|!=|>=|<=|&&|\|\||[-+*/()[\],!<>]))/y;
+  let match;
+  let position = 0;
+  while (position < source.length) {
+    pattern.lastIndex = position;
+    match = pattern.exec(source);
+    if (!match) {
+      if (!source.slice(position).trim()) {
+        break;
+      }
+      throw new Error(`Unexpected character "${source.slice(position).trim()[0]}" in condition: ${source}`);
+    }
+    position = pattern.lastIndex;
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: Number(match[1]) });
+    } else if (match[2] !== undefined || match[3] !== undefined) {
+      tokens.push({ type: 'string', value: (match[2] ?? match[3]).replace(/\\(['"\\])/g, '$1') });
+    } else if (match[4] !== undefined) {
+      const word = match[4];
+      if (KEYWORDS[word]) {
+        tokens.push({ type: 'operator', value: KEYWORDS[word] });
+      } else if (['in', 'contains', 'matches'].includes(word)) {
+        tokens.push({ type: 'operator', value: word });
+      } else {
+        tokens.push({ type: 'name', value: word });
+      }
+    } else {
+      tokens.push({ type: 'operator', value: match[5] });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Evaluate a syntax tree node
+ */
+function evaluateNode(node, entity, globals) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'list':
+      return node.items.map(item => evaluateNode(item, entity, globals));
+    case 'field': {
+      const [root, ...rest] = node.path;
+      let value = root in entity ? entity[root] : globals[root];
+      for (const key of rest) {
+        value = value === null || value === undefined ? undefined : value[key];
+      }
+      return value === undefined ? null : value;
+    }
+    case 'call':
+      return FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, entity, globals)));
+    case 'not':
+      return !evaluateNode(node.operand, entity, globals);
+    case 'and':
+      return Boolean(evaluateNode(node.left, entity, globals)) && Boolean(evaluateNode(node.right, entity, globals));
+    case 'or':
+      return Boolean(evaluateNode(node.left, entity, globals)) || Boolean(evaluateNode(node.right, entity, globals));
+    case 'arithmetic':
+      return arithmetic(node.operator, evaluateNode(node.left, entity, globals), evaluateNode(node.right, entity, globals));
+    case 'compare':
+      return compare(node.operator, evaluateNode(node.left, entity, globals), evaluateNode(node.right, entity, globals));
+    default:
+      throw new Error(`Unknown expression node ${node.type}`);
+  }
+}
+
+function arithmetic(operator, left, right) {
+  if (operator === '+' && (typeof left === 'string' || typeof right === 'string')) {
+    return `${left ?? ''}${right ?? ''}`;
+  }
+  if (typeof left !== 'number' || typeof right !== 'number') {
+    return null;
+  }
+  switch (operator) {
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    default: return right === 0 ? null : left / right;
+  }
+}
+
+function compare(operator, left, right) {
+  switch (operator) {
+    case '==': return left === right;
+    case '!=': return left !== right;
+    case 'in': return Array.isArray(right) && right.includes(left);
+    case 'contains':
+      return Array.isArray(left) ? left.includes(right) :
+        typeof left === 'string' && right !== null && left.includes(String(right));
+    case 'matches':
+      return typeof left === 'string' && typeof right === 'string' && new RegExp(right).test(left);
+    default: {
+      const comparable = (typeof left === 'number' && typeof right === 'number') ||
+        (typeof left === 'string' && typeof right === 'string');
+      if (!comparable) {
+        return false;
+      }
+      switch (operator) {
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '<': return left < right;
+        default: return left <= right;
+      }
+    }
+  }
+}
+
+module.exports = RuleExpression;
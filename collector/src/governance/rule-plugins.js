@@ -0,0 +1,299 @@
+/**
+ * Rule Plugins - Custom JavaScript Governance Checks
+ *
+ * Loads rule plugin modules from a configured directory and runs them against
+ * the per-cycle snapshot. Plugins cover checks that need code rather than a
+ * declarative condition; each plugin runs under a timeout, and a plugin that
+ * fails to load, throws, times out or returns malformed output is reported
+ * without affecting the other plugins or the collection cycle.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SEVERITIES } = require('./rule-engine');
+
+/**
+ * Rule Plugin Runner Class
+ *
+ * @class RulePluginRunner
+ * @description Rule plugin loading and isolated execution
+ *
+ * Plugin interface - a CommonJS module in the plugin directory exporting:
+ * - id: Unique plugin id (defaults to the file name without extension)
+ * - description: Optional summary
+ * - timeoutMs: Optional timeout overriding governance.rule_plugins.timeout_ms
+ * - evaluate(snapshot, context): Returns, or resolves to, `{ violations, metrics }`
+ *   (both optional)
+ *
+ * evaluate() arguments:
+ * - snapshot: The cycle's snapshot (deep-frozen when it comes from
+ *   PostmanClient.collectSnapshot()); collections carry their item trees
+ * - context.options: governance.rule_plugins.options[<plugin id>] ({} when unset)
+ * - context.thresholds / context.limits: Governance thresholds and limits
+ * - context.logger: Collector logger
+ * - context.signal: AbortSignal aborted when the plugin times out
+ *
+ * Output:
+ * - violations: `[{ type, id, name, severity, description, workspaceId,
+ *   remediation, ...fields }]`; type defaults to the plugin id, severity
+ *   (critical, high, medium or low) to medium; id is required. The type may
+ *   not be a built-in or declarative rule type, nor an Object.prototype
+ *   property name such as `constructor`. Violations are tracked across
+ *   cycles by type and id, so a plugin reporting several violations of one
+ *   type per entity sets entityLocation (e.g. the request path) on each
+ * - metrics: `{ <name>: <finite number> }` metric contributions, stored and
+ *   exported per plugin
+ *
+ * Plugins run one at a time in file name order. The timeout bounds
+ * asynchronous work only: a plugin that blocks the event loop cannot be
+ * interrupted, so plugins should yield (await) during long scans.
+ *
+ * @example
+ * // <directory>/payments-response-time.js
+ * module.exports = {
+ *   id: 'paymentsResponseTimeTests',
+ *   description: 'Requests under /payments must assert the response time',
+ *   evaluate(snapshot) {
+ *     const violations = [];
+ *     for (const collection of snapshot.collections) {
+ *       // walk collection.item, push { type, id, name, severity, description }
+ *     }
+ *     return { violations, metrics: { checkedRequests: 0 } };
+ *   }
+ * };
+ *
+ * Called by: GovernanceCalculator.runRulePlugins()
+ *
+ * @complexity O(p) plugin invocations per cycle
+ */
+class RulePluginRunner {
+  /**
+   * Load the plugins of a directory
+   *
+   * @constructor
+   * @param {Object} [options={}] - Runner options
+   * @param {boolean} [options.enabled=true] - When false no plugins are loaded
+   * @param {string} [options.directory=null] - Plugin directory (relative to the working directory)
+   * @param {number} [options.timeoutMs=5000] - Default time limit per plugin run
+   * @param {Object} [options.options={}] - Options passed to each plugin, keyed by plugin id
+   * @param {Object} [logger=null] - Logger for plugin failures
+   * @throws {Error} When the plugin directory cannot be read
+   *
+   * Configuration mapping (governance.rule_plugins):
+   * - enabled → enabled
+   * - directory → directory
+   * - timeout_ms → timeoutMs
+   * - options → options
+   *
+   * Plugins that fail to load are kept as failed entries and reported on every run.
+   */
+  constructor({ enabled = true, directory = null, timeoutMs = 5000, options = {} } = {}, logger = null) {
+    this.enabled = enabled;
+    this.directory = directory;
+    this.timeoutMs = timeoutMs;
+    this.options = options;
+    this.logger = logger;
+    this.plugins = enabled && directory ? loadPlugins(directory) : [];
+  }
+
+  /**
+   * Build a runner from governance.rule_plugins settings
+   *
+   * @static
+   * @method fromConfig
+   * @param {Object} [config={}] - governance.rule_plugins section
+   * @param {Object} [logger=null] - Logger for plugin failures
+   * @returns {RulePluginRunner} Runner with the directory's plugins loaded
+   */
+  static fromConfig(config = {}, logger = null) {
+    const options = { enabled: config.enabled !== false };
+    if (config.directory) options.directory = config.directory;
+    if (config.timeout_ms) options.timeoutMs = config.timeout_ms;
+    if (config.options) options.options = config.options;
+    return new RulePluginRunner(options, logger);
+  }
+
+  /**
+   * Run every plugin against a snapshot
+   *
+   * @async
+   * @method run
+   * @param {Object} snapshot - Per-cycle data snapshot
+   * @param {Object} [context={}] - Shared context (thresholds, limits)
+   * @param {Array<string>} [reservedTypes=[]] - Violation types plugins may not report
+   *   (the built-in and declarative rule types)
+   * @returns {Promise<Object>} Plugin results
+   *
+   * Return format:
+   * - plugins: Per-plugin `{ id, file, status, durationMs, violations, error }`
+   *   where status is 'ok', 'failed' or 'timeout' and violations is a count
+   * - violations: Normalized violations of every successful plugin, each
+   *   tagged with its `plugin` id
+   * - metrics: Metric contributions keyed by plugin id
+   *
+   * Output of a failed plugin is discarded entirely, including output with a
+   * reserved violation type.
+   */
+  async run(snapshot, context = {}, reservedTypes = []) {
+    const result = { plugins: [], violations: [], metrics: {} };
+    const reserved = new Set(reservedTypes);
+
+    for (const plugin of this.plugins) {
+      const startTime = Date.now();
+      const report = { id: plugin.id, file: plugin.file, status: 'ok', durationMs: 0, violations: 0, error: null };
+      try {
+        if (plugin.loadError) {
+          throw new Error(plugin.loadError);
+        }
+        const timeoutMs = plugin.timeoutMs || this.timeoutMs;
+        const output = normalizeOutput(plugin, await runWithTimeout(plugin, snapshot, {
+          ...context,
+          options: this.options[plugin.id] || {},
+          logger: this.logger
+        }, timeoutMs), reserved);
+
+        result.violations.push(...output.violations);
+        if (Object.keys(output.metrics).length > 0) {
+          result.metrics[plugin.id] = output.metrics;
+        }
+        report.violations = output.violations.length;
+      } catch (error) {
+        report.status = error.code === 'EPLUGINTIMEOUT' ? 'timeout' : 'failed';
+        report.error = error.message;
+        this.logger?.error('Governance rule plugin failed', {
+          plugin: plugin.id,
+          file: plugin.file,
+          status: report.status,
+          error: error.message
+        });
+      }
+      report.durationMs = Date.now() - startTime;
+      result.plugins.push(report);
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Require every *.js / *.cjs module of a directory, in file name order
+ */
+function loadPlugins(directory) {
+  let files;
+  try {
+    files = fs.readdirSync(directory).filter(file => /\.c?js$/.test(file)).sort();
+  } catch (error) {
+    throw new Error(`Failed to read governance rule plugins from ${directory}: ${error.message}`);
+  }
+
+  const plugins = [];
+  const ids = new Set();
+  for (const file of files) {
+    const fallbackId = path.basename(file, path.extname(file));
+    try {
+      const exported = require(path.resolve(directory, file));
+      if (!exported || typeof exported.evaluate !== 'function') {
+        throw new Error('plugin must export an evaluate(snapshot, context) function');
+      }
+      const id = exported.id === undefined ? fallbackId : exported.id;
+      if (typeof id !== 'string' || !id) {
+        throw new Error('plugin id must be a non-empty string');
+      }
+      if (ids.has(id)) {
+        throw new Error(`duplicate plugin id "${id}"`);
+      }
+      if (exported.timeoutMs !== undefined && !(Number.isFinite(exported.timeoutMs) && exported.timeoutMs > 0)) {
+        throw new Error('timeoutMs must be a positive number');
+      }
+      ids.add(id);
+      plugins.push({
+        id,
+        file,
+        description: exported.description || null,
+        timeoutMs: exported.timeoutMs || null,
+        evaluate: exported.evaluate
+      });
+    } catch (error) {
+      plugins.push({ id: fallbackId, file, loadError: `Failed to load plugin: ${error.message}` });
+    }
+  }
+  return plugins;
+}
+
+/**
+ * Call a plugin, rejecting with code EPLUGINTIMEOUT once the time limit passes
+ */
+function runWithTimeout(plugin, snapshot, context, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      const error = new Error(`Plugin timed out after ${timeoutMs}ms`);
+      error.code = 'EPLUGINTIMEOUT';
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([
+    Promise.resolve().then(() => plugin.evaluate(snapshot, { ...context, signal: controller.signal })),
+    timeout
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Validate plugin output and apply violation defaults
+ */
+function normalizeOutput(plugin, output, reserved = new Set()) {
+  if (output === undefined || output === null) {
+    return { violations: [], metrics: {} };
+  }
+  if (typeof output !== 'object' || Array.isArray(output)) {
+    throw new Error('evaluate() must return { violations, metrics }');
+  }
+
+  const violations = output.violations ?? [];
+  if (!Array.isArray(violations)) {
+    throw new Error('violations must be a list');
+  }
+  const normalized = violations.map((violation, i) => {
+    if (!violation || typeof violation !== 'object') {
+      throw new Error(`violations[${i}] must be an object`);
+    }
+    if (violation.id === undefined || violation.id === null || violation.id === '') {
+      throw new Error(`violations[${i}].id is required`);
+    }
+    const type = violation.type ?? plugin.id;
+    if (typeof type !== 'string' || !type) {
+      throw new Error(`violations[${i}].type must be a non-empty string`);
+    }
+    if (reserved.has(type) || type in Object.prototype) {
+      throw new Error(`violations[${i}].type "${type}" is reserved`);
+    }
+    const severity = violation.severity ?? 'medium';
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`violations[${i}].severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    return {
+      ...violation,
+      type,
+      severity,
+      description: violation.description || `${plugin.id} violation`,
+      plugin: plugin.id
+    };
+  });
+
+  const metrics = output.metrics ?? {};
+  if (typeof metrics !== 'object' || Array.isArray(metrics)) {
+    throw new Error('metrics must be an object of numbers');
+  }
+  for (const [name, value] of Object.entries(metrics)) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`metrics.${name} must be a finite number`);
+    }
+  }
+
+  return { violations: normalized, metrics: { ...metrics } };
+}
+
+module.exports = RulePluginRunner;
@@ -0,0 +1,397 @@
+/**
+ * Secret Scanner - Plaintext Credential Detection for Postman Environments and Collections
+ *
+ * Finds credentials stored in Postman environment variables of type `default`
+ * (shown to every workspace member and synced in plain text) instead of type
+ * `secret`, and credentials hardcoded in collection requests and scripts where
+ * a `{{variable}}` reference belongs. Detected values are never returned in
+ * full; findings carry masked evidence only.
+ */
+
+// Known credential formats, checked in order before the entropy heuristic
+const SECRET_PATTERNS = [
+  { type: 'postman_api_key', pattern: /PMAK-[A-Za-z0-9]{24}-[A-Za-z0-9]{34}/ },
+  { type: 'aws_access_key', pattern: /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/ },
+  { type: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]+/ },
+  { type: 'bearer_token', pattern: /\bBearer\s+[A-Za-z0-9\-._~+/]{16,}=*/i }
+];
+
+// Candidate tokens for the entropy heuristic: one word of key-like characters
+const TOKEN_PATTERN = /^[A-Za-z0-9+/=_\-.]+$/;
+const HEX_PATTERN = /^[A-Fa-f0-9]+$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Field names whose literal values are credentials whatever they look like
+const SENSITIVE_KEY_PATTERN = /pass(?:word|wd)?|pwd|secret|token|api[-_]?key|access[-_]?key|authorization|credential/i;
+
+// Postman auth block fields holding credentials (bearer, basic, apikey, oauth1/2, awsv4, digest, ntlm)
+const SENSITIVE_AUTH_FIELDS = new Set([
+  'token', 'password', 'value', 'accessToken', 'refreshToken', 'clientSecret',
+  'consumerSecret', 'tokenSecret', 'secretKey', 'sessionToken', 'privateKey'
+]);
+
+// Literal string assigned or passed next to a sensitive name in script or body source,
+// e.g. `const apiKey = "..."`, `"password": "..."` or `pm.environment.set('token', '...')`
+const ASSIGNMENT_PATTERN = /(?:([A-Za-z_$][\w$-]*)["']?\s*[:=]|["']([A-Za-z_$][\w$-]*)["']\s*,)\s*["'`]([^"'`\s]{6,})["'`](?!\s*:)/g;
+
+// Postman variable references are not hardcoded values
+const VARIABLE_PATTERN = /\{\{[^}]*\}\}/g;
+
+// Authorization scheme left over once a `Bearer {{token}}` variable is removed
+const AUTH_SCHEME_PATTERN = /^(?:Bearer|Basic|Token|Digest|ApiKey)\b\s*/i;
+
+/**
+ * Secret Scanner Class
+ *
+ * Stateless apart from its configuration; one instance is shared by every
+ * environment and collection request scanned in a cycle.
+ *
+ * @class SecretScanner
+ * @description Credential detection for Postman environment values and collection requests
+ *
+ * Detection (first match wins):
+ * - postman_api_key: PMAK- Postman API keys
+ * - aws_access_key: AWS access key IDs (AKIA/ASIA)
+ * - jwt: JSON Web Tokens
+ * - bearer_token: `Bearer <token>` header values
+ * - high_entropy: Single-word values of at least minLength characters whose
+ *   Shannon entropy reaches minEntropy (minHexEntropy for hex strings);
+ *   UUIDs are ignored
+ * - sensitive_field: Any literal value of a credential field (passwords, tokens,
+ *   API keys, Authorization headers, auth block secrets); collection requests only
+ *
+ * Called by: GovernanceCalculator.calculateGovernanceViolations() and
+ * GovernanceCalculator.analyzeEndpoints()
+ *
+ * @complexity O(n) per value of length n
+ */
+class SecretScanner {
+  /**
+   * Initialize a scanner
+   *
+   * @constructor
+   * @param {Object} [options={}] - Scanner options
+   * @param {boolean} [options.enabled=true] - When false scanEnvironment() finds nothing
+   * @param {number} [options.minLength=20] - Shortest value checked for entropy
+   * @param {number} [options.minEntropy=4.5] - Entropy (bits per character) flagging a value
+   * @param {number} [options.minHexEntropy=3.0] - Entropy flagging a hex-only value
+   *
+   * Configuration mapping (governance.secret_detection):
+   * - enabled → enabled
+   * - min_length → minLength
+   * - min_entropy → minEntropy
+   * - min_hex_entropy → minHexEntropy
+   *
+   * @complexity O(1) - Simple instance variable initialization
+   */
+  constructor({ enabled = true, minLength = 20, minEntropy = 4.5, minHexEntropy = 3.0 } = {}) {
+    this.enabled = enabled;
+    this.minLength = minLength;
+    this.minEntropy = minEntropy;
+    this.minHexEntropy = minHexEntropy;
+  }
+
+  /**
+   * Build a configured scanner from governance.secret_detection settings
+   *
+   * @static
+   * @method fromConfig
+   * @param {Object} [config={}] - governance.secret_detection section
+   * @returns {SecretScanner} Configured scanner
+   */
+  static fromConfig(config = {}) {
+    return new SecretScanner({
+      enabled: config.enabled !== false,
+      minLength: config.min_length ?? 20,
+      minEntropy: config.min_entropy ?? 4.5,
+      minHexEntropy: config.min_hex_entropy ?? 3.0
+    });
+  }
+
+  /**
+   * Classify a single value as a credential
+   *
+   * @method detect
+   * @param {*} value - Environment variable value
+   * @returns {Object|null} { type, match } for a detected credential, or null
+   */
+  detect(value) {
+    if (typeof value !== 'string' || value.length === 0) {
+      return null;
+    }
+
+    for (const { type, pattern } of SECRET_PATTERNS) {
+      const match = value.match(pattern);
+      if (match) {
+        return { type, match: match[0] };
+      }
+    }
+
+    const token = value.trim();
+    if (token.length >= this.minLength && TOKEN_PATTERN.test(token) && !UUID_PATTERN.test(token)) {
+      const threshold = HEX_PATTERN.test(token) ? this.minHexEntropy : this.minEntropy;
+      if (shannonEntropy(token) >= threshold) {
+        return { type: 'high_entropy', match: token };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find credentials stored as plain (non-secret) environment values
+   *
+   * @method scanEnvironment
+   * @param {Object} environment - Environment detail from PostmanClient.getEnvironment()
+   *
+   * Scanned values:
+   * - Enabled and disabled variables alike (disabled values are still synced)
+   * - Only variables of type `default` or without a type; `secret` variables are skipped
+   *
+   * Return format (per finding):
+   * - key: Variable name
+   * - type: Detection type (see class documentation)
+   * - evidence: Masked credential, e.g. `PMAK********3f9a`
+   *
+   * @complexity O(v*n) for v variables of average length n
+   * @returns {Array<Object>} Findings, in variable order
+   */
+  scanEnvironment(environment) {
+    if (!this.enabled || !Array.isArray(environment?.values)) {
+      return [];
+    }
+
+    const findings = [];
+    for (const variable of environment.values) {
+      if (variable.type && variable.type !== 'default') {
+        continue;
+      }
+      const detection = this.detect(variable.value);
+      if (detection) {
+        findings.push({ key: variable.key, type: detection.type, evidence: maskSecret(detection.match) });
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * Find credentials hardcoded in one collection request
+   *
+   * Postman `{{variable}}` references are removed before detection, so
+   * `Bearer {{token}}` is clean while `Bearer eyJ...` is not.
+   *
+   * @method scanRequestItem
+   * @param {Object} item - Collection item with a request (and optional event scripts)
+   *
+   * Locations inspected (reported as `location`):
+   * - header:<name>: Request headers
+   * - auth:<type>.<field>: Request auth block secrets
+   * - query:<name>: URL query parameters (structured or from the raw URL)
+   * - body: Raw body source; body:<name> for urlencoded/form-data fields
+   * - script:<listen>:<line>: Pre-request and test script source
+   *
+   * Return format (per finding):
+   * - location: Where the credential was found (see above)
+   * - type: Detection type (see class documentation)
+   * - evidence: Masked credential
+   *
+   * @complexity O(n) in the size of the request and its scripts
+   * @returns {Array<Object>} Findings, at most one per location
+   */
+  scanRequestItem(item) {
+    const request = item?.request;
+    if (!this.enabled || !request || typeof request !== 'object') {
+      return [];
+    }
+
+    const findings = [];
+    const addField = (location, key, value) => {
+      const detection = this.detectField(key, value);
+      if (detection) {
+        findings.push({ location, type: detection.type, evidence: maskSecret(detection.match) });
+      }
+    };
+    const addSource = (location, source) => {
+      const detection = this.detectInSource(source);
+      if (detection) {
+        findings.push({ location, type: detection.type, evidence: maskSecret(detection.match) });
+      }
+    };
+
+    for (const header of asArray(request.header)) {
+      if (!header.disabled) {
+        addField(`header:${header.key}`, header.key, header.value);
+      }
+    }
+
+    const auth = request.auth;
+    if (auth && auth.type && auth.type !== 'noauth') {
+      for (const field of asArray(auth[auth.type])) {
+        if (SENSITIVE_AUTH_FIELDS.has(field.key)) {
+          addField(`auth:${auth.type}.${field.key}`, 'credential', field.value);
+        }
+      }
+    }
+
+    for (const [key, value] of queryParams(request.url)) {
+      addField(`query:${key}`, key, value);
+    }
+
+    const body = request.body;
+    if (body) {
+      if (body.mode === 'raw' && typeof body.raw === 'string') {
+        addSource('body', body.raw);
+      } else if (body.mode === 'urlencoded' || body.mode === 'formdata') {
+        for (const field of asArray(body[body.mode])) {
+          if (!field.disabled && field.type !== 'file') {
+            addField(`body:${field.key}`, field.key, field.value);
+          }
+        }
+      }
+    }
+
+    for (const event of asArray(item.event)) {
+      const exec = event.script?.exec;
+      const lines = Array.isArray(exec) ? exec : typeof exec === 'string' ? exec.split('\n') : [];
+      lines.forEach((line, index) => addSource(`script:${event.listen}:${index + 1}`, line));
+    }
+
+    return findings;
+  }
+
+  /**
+   * Classify a named field value, flagging any literal value of a credential field
+   *
+   * @method detectField
+   * @private
+   * @param {string} key - Field name
+   * @param {*} value - Field value
+   * @returns {Object|null} { type, match } for a detected credential, or null
+   */
+  detectField(key, value) {
+    const literal = stripVariables(value);
+    if (!literal) {
+      return null;
+    }
+    const detection = this.detect(literal);
+    if (detection) {
+      return detection;
+    }
+    const credential = literal.replace(AUTH_SCHEME_PATTERN, '');
+    if (SENSITIVE_KEY_PATTERN.test(String(key)) && credential.length >= 6) {
+      return { type: 'sensitive_field', match: credential };
+    }
+    return null;
+  }
+
+  /**
+   * Find a credential in free-form source (raw bodies, script lines)
+   *
+   * @method detectInSource
+   * @private
+   * @param {string} source - Source text
+   * @returns {Object|null} { type, match } for the first detected credential, or null
+   */
+  detectInSource(source) {
+    const literal = stripVariables(source);
+    if (!literal) {
+      return null;
+    }
+    for (const { type, pattern } of SECRET_PATTERNS) {
+      const match = literal.match(pattern);
+      if (match) {
+        return { type, match: match[0] };
+      }
+    }
+    for (const [, assignedKey, argumentKey, value] of literal.matchAll(ASSIGNMENT_PATTERN)) {
+      const detection = this.detectField(assignedKey || argumentKey, value);
+      if (detection) {
+        return detection;
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Normalize an optional list (Postman omits empty lists or uses objects)
+ *
+ * @param {*} value - List candidate
+ * @returns {Array} The list, or an empty array
+ */
+function asArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+/**
+ * Remove Postman {{variable}} references and surrounding whitespace
+ *
+ * @param {*} value - Field value
+ * @returns {string} Remaining literal text ('' for non-strings)
+ */
+function stripVariables(value) {
+  return typeof value === 'string' ? value.replace(VARIABLE_PATTERN, '').trim() : '';
+}
+
+/**
+ * Query parameters of a Postman request URL
+ *
+ * @param {string|Object} url - Raw URL string or Postman URL object
+ * @returns {Array<Array<string>>} [key, value] pairs
+ */
+function queryParams(url) {
+  if (url && typeof url === 'object' && Array.isArray(url.query)) {
+    return url.query.filter(param => !param.disabled).map(param => [param.key, param.value]);
+  }
+  const raw = typeof url === 'string' ? url : url?.raw;
+  if (typeof raw !== 'string' || !raw.includes('?')) {
+    return [];
+  }
+  return raw.slice(raw.indexOf('?') + 1).split('#')[0].split('&')
+    .filter(Boolean)
+    .map(pair => {
+      const [key, ...rest] = pair.split('=');
+      return [key, rest.join('=')];
+    });
+}
+
+/**
+ * Shannon entropy of a string in bits per character
+ *
+ * @param {string} value - Input string
+ * @returns {number} Entropy
+ */
+function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Mask a credential for display, keeping only a short prefix
+ *
+ * The prefix is a quarter of the credential, at most four characters (enough
+ * to tell a PMAK or AKIA key apart), and nothing is kept of credentials
+ * shorter than 12 characters. The mask has a fixed width so it does not
+ * reveal the credential's length.
+ *
+ * @param {string} value - Credential
+ * @returns {string} Masked credential
+ */
+function maskSecret(value) {
+  if (value.length < 12) {
+    return '********';
+  }
+  return `${value.slice(0, Math.min(4, Math.floor(value.length / 4)))}********`;
+}
+
+module.exports = SecretScanner;
+module.exports.maskSecret = maskSecret;
+module.exports.shannonEntropy = shannonEntropy;
@@ -0,0 +1,197 @@
+/**
+ * Severity Policy - Configured Severity per Violation Type with Context Escalation
+ *
+ * Assigns the severity stored with each governance violation: a base severity
+ * per violation type, raised one level for each escalation that applies to the
+ * violation's context (public workspace, critical collection tag, violation
+ * age, number of affected endpoints). The reason for the final severity is
+ * recorded alongside it.
+ */
+
+const { SEVERITIES } = require('./rule-engine');
+
+// Lowest to highest
+const LEVELS = [...SEVERITIES].reverse();
+
+/**
+ * Severity Policy Class
+ *
+ * Stateless apart from its configuration; one instance assesses every
+ * violation of a cycle.
+ *
+ * @class SeverityPolicy
+ * @description Violation severity assignment and escalation
+ *
+ * Base severity, first match wins:
+ * 1. base[<violation type>] from the policy
+ * 2. The severity the check assigned (declarative rules, per-finding checks)
+ * 3. default_severity (medium)
+ *
+ * Escalations (each raises the severity one level, up to critical):
+ * - public_workspace: The violation's workspace is public
+ * - critical_tags: The violation's collection carries one of these tags
+ *   (collection_scope.collection_tags)
+ * - age_days: The violation was first seen at least this many days ago
+ * - affected_endpoints: At least this many endpoints are affected
+ *   (affectedEndpoints, undocumentedEndpoints or untestedEndpoints, or the
+ *   number of spec drift findings)
+ *
+ * Called by: GovernanceCalculator.applySeverityPolicy()
+ *
+ * @complexity O(t) per violation for t critical tags
+ */
+class SeverityPolicy {
+  /**
+   * Initialize the policy
+   *
+   * @constructor
+   * @param {Object} [options={}] - Policy options
+   * @param {boolean} [options.enabled=true] - When false assess() keeps the check's severity
+   * @param {Object} [options.baseSeverities={}] - Base severity per violation type
+   * @param {string} [options.defaultSeverity='medium'] - Severity of violations without one
+   * @param {boolean} [options.publicWorkspace=false] - Escalate violations in public workspaces
+   * @param {Array<string>} [options.criticalTags=[]] - Collection tags marking critical collections
+   * @param {number} [options.ageDays=null] - Escalate violations open at least this many days
+   * @param {number} [options.affectedEndpoints=null] - Escalate violations affecting at least this many endpoints
+   * @throws {Error} When a severity is not critical, high, medium or low
+   *
+   * Configuration mapping (governance.severity_policy):
+   * - enabled → enabled
+   * - base → baseSeverities
+   * - default_severity → defaultSeverity
+   * - escalation.public_workspace → publicWorkspace
+   * - escalation.critical_tags → criticalTags
+   * - escalation.age_days → ageDays
+   * - escalation.affected_endpoints → affectedEndpoints
+   *
+   * Escalations are off unless configured.
+   */
+  constructor({
+    enabled = true,
+    baseSeverities = {},
+    defaultSeverity = 'medium',
+    publicWorkspace = false,
+    criticalTags = [],
+    ageDays = null,
+    affectedEndpoints = null
+  } = {}) {
+    for (const [type, severity] of Object.entries(baseSeverities)) {
+      validateSeverity(`base.${type}`, severity);
+    }
+    validateSeverity('default_severity', defaultSeverity);
+
+    this.enabled = enabled;
+    this.baseSeverities = baseSeverities;
+    this.defaultSeverity = defaultSeverity;
+    this.publicWorkspace = publicWorkspace;
+    this.criticalTags = criticalTags.map(tag => String(tag).toLowerCase());
+    this.ageDays = ageDays;
+    this.affectedEndpoints = affectedEndpoints;
+  }
+
+  /**
+   * Build a policy from governance.severity_policy settings
+   *
+   * @static
+   * @method fromConfig
+   * @param {Object} [config={}] - governance.severity_policy section
+   * @returns {SeverityPolicy} Configured policy
+   */
+  static fromConfig(config = {}) {
+    const escalation = config.escalation || {};
+    const options = { enabled: config.enabled !== false };
+    if (config.base) options.baseSeverities = config.base;
+    if (config.default_severity) options.defaultSeverity = config.default_severity;
+    if (escalation.public_workspace) options.publicWorkspace = true;
+    if (Array.isArray(escalation.critical_tags)) options.criticalTags = escalation.critical_tags;
+    if (escalation.age_days) options.ageDays = escalation.age_days;
+    if (escalation.affected_endpoints) options.affectedEndpoints = escalation.affected_endpoints;
+    return new SeverityPolicy(options);
+  }
+
+  /**
+   * Assess the severity of one violation
+   *
+   * @method assess
+   * @param {string} type - Violation type
+   * @param {Object} violation - Violation as reported by its check
+   * @param {Object} [context={}] - Violation context
+   * @param {Object} [context.workspace] - Workspace the violation belongs to
+   * @param {Object} [context.collection] - Collection the violation belongs to
+   * @param {number} [context.ageDays] - Days since the violation was first seen
+   * @returns {Object} `{ severity, baseSeverity, reason }`
+   *
+   * Reason format: `<base source>: <base severity>`, followed by
+   * `; escalated by <escalation>, ...` when any escalation applied, e.g.
+   * "severity_policy.base: medium; escalated by public workspace, open 45 days (>= 30)".
+   */
+  assess(type, violation, context = {}) {
+    if (!this.enabled) {
+      const severity = violation.severity || this.defaultSeverity;
+      return { severity, baseSeverity: severity, reason: violation.severity ? `check: ${severity}` : `default: ${severity}` };
+    }
+
+    let baseSeverity;
+    let source;
+    if (this.baseSeverities[type]) {
+      baseSeverity = this.baseSeverities[type];
+      source = 'severity_policy.base';
+    } else if (SEVERITIES.includes(violation.severity)) {
+      baseSeverity = violation.severity;
+      source = 'check';
+    } else {
+      baseSeverity = this.defaultSeverity;
+      source = 'default';
+    }
+
+    const escalations = [];
+    const workspace = context.workspace;
+    if (this.publicWorkspace && workspace && (workspace.visibility === 'public' || workspace.type === 'public')) {
+      escalations.push('public workspace');
+    }
+    if (this.criticalTags.length > 0 && context.collection) {
+      const tags = (context.collection.tags || [])
+        .map(tag => String(typeof tag === 'string' ? tag : tag?.slug || tag?.name || '').toLowerCase());
+      const criticalTag = this.criticalTags.find(tag => tags.includes(tag));
+      if (criticalTag) {
+        escalations.push(`critical tag "${criticalTag}"`);
+      }
+    }
+    if (this.ageDays && typeof context.ageDays === 'number' && context.ageDays >= this.ageDays) {
+      escalations.push(`open ${context.ageDays} days (>= ${this.ageDays})`);
+    }
+    const endpoints = affectedEndpoints(violation);
+    if (this.affectedEndpoints && endpoints !== null && endpoints >= this.affectedEndpoints) {
+      escalations.push(`${endpoints} affected endpoints (>= ${this.affectedEndpoints})`);
+    }
+
+    const severity = LEVELS[Math.min(LEVELS.indexOf(baseSeverity) + escalations.length, LEVELS.length - 1)];
+    const reason = `${source}: ${baseSeverity}` + (escalations.length > 0 ? `; escalated by ${escalations.join(', ')}` : '');
+    return { severity, baseSeverity, reason };
+  }
+}
+
+/**
+ * Number of endpoints a violation affects, or null when it does not say
+ */
+function affectedEndpoints(violation) {
+  for (const field of ['affectedEndpoints', 'undocumentedEndpoints', 'untestedEndpoints']) {
+    if (typeof violation[field] === 'number') {
+      return violation[field];
+    }
+  }
+  const findings = ['missingInCollection', 'missingInSpec', 'parameterMismatches']
+    .filter(field => Array.isArray(violation[field]));
+  return findings.length > 0 ? findings.reduce((sum, field) => sum + violation[field].length, 0) : null;
+}
+
+/**
+ * Reject severities outside critical, high, medium and low, naming the setting
+ */
+function validateSeverity(setting, severity) {
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`Invalid governance.severity_policy.${setting}: "${severity}" is not one of ${SEVERITIES.join(', ')}`);
+  }
+}
+
+module.exports = SeverityPolicy;
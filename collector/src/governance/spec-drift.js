@@ -0,0 +1,311 @@
+/**
+ * Spec Drift Analyzer - OpenAPI Schema vs. Postman Collection Comparison
+ *
+ * Compares the paths and methods documented in an API's OpenAPI 3.x or
+ * Swagger 2.0 schema with the requests of the collections linked to it:
+ * endpoints documented but never exercised by the collection, requests the
+ * schema does not describe, and matched requests whose parameters disagree
+ * with the schema.
+ */
+
+const { escapePointer } = require('./spec-linter');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Path segments standing for a variable: {id}, :id and {{id}}
+const VARIABLE_SEGMENT = /^(?:\{[^{}]+\}|:.+|\{\{[^{}]+\}\})$/;
+
+/**
+ * Spec Drift Analyzer Class
+ *
+ * Stateless apart from its configuration; one instance compares every API
+ * schema of a cycle with its linked collections.
+ *
+ * @class SpecDriftAnalyzer
+ * @description Endpoint and parameter drift between schemas and collections
+ *
+ * Matching:
+ * - Requests and operations are matched by HTTP method and path segments
+ * - A templated schema segment ({id}) matches any request segment; a request
+ *   variable segment (:id, {{id}}) only matches a templated schema segment
+ * - The schema base path (servers[0].url or basePath) is ignored when request
+ *   paths carry it
+ * - Among several candidate operations the one with most literal segments wins
+ *
+ * Parameter comparison (matched requests):
+ * - Required query and header parameters of the operation missing from the request
+ * - Query parameters sent by the request that the operation does not declare
+ *
+ * Drift percentage: drifted endpoints (documented but missing, undocumented,
+ * or with parameter mismatches) as a share of all distinct endpoints.
+ *
+ * Called by: GovernanceCalculator.calculateSpecDrift()
+ *
+ * @complexity O(r*o) per API for r requests and o schema operations
+ */
+class SpecDriftAnalyzer {
+  /**
+   * Initialize an analyzer
+   *
+   * @constructor
+   * @param {Object} [options={}] - Analyzer options
+   * @param {boolean} [options.enabled=true] - When false compare() reports nothing
+   * @param {boolean} [options.parameters=true] - Compare parameters of matched requests
+   * @param {Array<string>} [options.ignoreParameters=[]] - Parameter names never reported
+   *
+   * Configuration mapping (governance.spec_drift):
+   * - enabled → enabled
+   * - parameters → parameters
+   * - ignore_parameters → ignoreParameters
+   *
+   * @complexity O(1) - Simple instance variable initialization
+   */
+  constructor({ enabled = true, parameters = true, ignoreParameters = [] } = {}) {
+    this.enabled = enabled;
+    this.parameters = parameters;
+    this.ignoreParameters = new Set(ignoreParameters.map(name => String(name).toLowerCase()));
+  }
+
+  /**
+   * Build a configured analyzer from governance.spec_drift settings
+   *
+   * @static
+   * @method fromConfig
+   * @param {Object} [config={}] - governance.spec_drift section
+   * @returns {SpecDriftAnalyzer} Configured analyzer
+   */
+  static fromConfig(config = {}) {
+    return new SpecDriftAnalyzer({
+      enabled: config.enabled !== false,
+      parameters: config.parameters !== false,
+      ignoreParameters: config.ignore_parameters || []
+    });
+  }
+
+  /**
+   * Compare a schema with the requests of its linked collections
+   *
+   * @method compare
+   * @param {Object} document - Parsed OpenAPI 3.x or Swagger 2.0 document
+   * @param {Array<Object>} collections - Snapshot collections carrying their item trees
+   * @returns {Object|null} Drift report, or null when disabled or the document
+   *   is not OpenAPI or Swagger
+   *
+   * Return format:
+   * - specEndpoints / collectionRequests / matchedEndpoints: Distinct endpoint counts
+   * - missingInCollection: `{ method, path, pointer }` documented but not requested
+   * - missingInSpec: `{ method, path, collectionUid, request }` requested but not documented
+   * - parameterMismatches: `{ method, path, pointer, collectionUid, request,
+   *   missingParameters, undocumentedParameters }`
+   * - driftPercentage: Drifted endpoints / all endpoints × 100 (0 when there are none)
+   */
+  compare(document, collections = []) {
+    const format = typeof document?.openapi === 'string' ? 'openapi-3' :
+      typeof document?.swagger === 'string' ? 'swagger-2' : null;
+    if (!this.enabled || !format) {
+      return null;
+    }
+
+    const basePath = splitPath(format === 'openapi-3' ?
+      String(document.servers?.[0]?.url || '').replace(/^[^:/]+:\/\/[^/]+/, '') :
+      document.basePath || '');
+
+    const operations = [];
+    for (const [path, pathItem] of Object.entries(document.paths || {})) {
+      for (const method of HTTP_METHODS.filter(name => pathItem?.[name])) {
+        operations.push({
+          method: method.toUpperCase(),
+          path,
+          segments: splitPath(path),
+          pointer: `/paths/${escapePointer(path)}/${method}`,
+          parameters: [...(pathItem.parameters || []), ...(pathItem[method].parameters || [])]
+            .map(parameter => resolveRef(document, parameter))
+            .filter(parameter => parameter?.name),
+          matched: false,
+          mismatched: false
+        });
+      }
+    }
+
+    const missingInSpec = new Map();
+    const parameterMismatches = [];
+    const requestKeys = new Set();
+
+    for (const collection of collections) {
+      for (const { name, request } of flattenRequests(collection.item || [])) {
+        const method = String(request.method || 'GET').toUpperCase();
+        let segments = requestSegments(request.url);
+        if (basePath.length > 0 && basePath.every((segment, i) => segments[i] === segment)) {
+          segments = segments.slice(basePath.length);
+        }
+        const path = `/${segments.join('/')}`;
+        requestKeys.add(`${method} ${path}`);
+
+        const operation = matchOperation(operations, method, segments);
+        if (!operation) {
+          if (!missingInSpec.has(`${method} ${path}`)) {
+            missingInSpec.set(`${method} ${path}`, { method, path, collectionUid: collection.uid, request: name });
+          }
+          continue;
+        }
+        operation.matched = true;
+
+        if (this.parameters) {
+          const mismatch = this.compareParameters(operation.parameters, request);
+          if (mismatch) {
+            operation.mismatched = true;
+            parameterMismatches.push({
+              method,
+              path: operation.path,
+              pointer: operation.pointer,
+              collectionUid: collection.uid,
+              request: name,
+              ...mismatch
+            });
+          }
+        }
+      }
+    }
+
+    const missingInCollection = operations
+      .filter(operation => !operation.matched)
+      .map(({ method, path, pointer }) => ({ method, path, pointer }));
+    const totalEndpoints = operations.length + missingInSpec.size;
+    const driftedEndpoints = missingInCollection.length + missingInSpec.size +
+      operations.filter(operation => operation.mismatched).length;
+
+    return {
+      format,
+      specEndpoints: operations.length,
+      collectionRequests: requestKeys.size,
+      matchedEndpoints: operations.filter(operation => operation.matched).length,
+      missingInCollection,
+      missingInSpec: [...missingInSpec.values()],
+      parameterMismatches,
+      driftPercentage: totalEndpoints > 0 ? (driftedEndpoints / totalEndpoints) * 100 : 0
+    };
+  }
+
+  /**
+   * Compare an operation's declared parameters with a request's query and headers
+   *
+   * @method compareParameters
+   * @private
+   * @param {Array<Object>} parameters - Resolved operation and path-level parameters
+   * @param {Object} request - Postman request
+   * @returns {Object|null} `{ missingParameters, undocumentedParameters }`, or null when they agree
+   */
+  compareParameters(parameters, request) {
+    const query = new Set(requestQuery(request.url));
+    const headers = new Set((Array.isArray(request.header) ? request.header : [])
+      .filter(header => header?.key && !header.disabled)
+      .map(header => header.key.toLowerCase()));
+    const declaredQuery = new Set(parameters.filter(parameter => parameter.in === 'query').map(parameter => parameter.name));
+    const ignored = name => this.ignoreParameters.has(name.toLowerCase());
+
+    const missingParameters = parameters
+      .filter(parameter => parameter.required && !ignored(parameter.name))
+      .filter(parameter => (parameter.in === 'query' && !query.has(parameter.name)) ||
+        (parameter.in === 'header' && !headers.has(parameter.name.toLowerCase())))
+      .map(parameter => `${parameter.in}:${parameter.name}`);
+    const undocumentedParameters = [...query]
+      .filter(name => !declaredQuery.has(name) && !ignored(name))
+      .map(name => `query:${name}`);
+
+    if (missingParameters.length === 0 && undocumentedParameters.length === 0) {
+      return null;
+    }
+    return { missingParameters, undocumentedParameters };
+  }
+}
+
+/**
+ * Split a path into segments, dropping empty ones and any query string
+ */
+function splitPath(path) {
+  return String(path).split('?')[0].split('/').filter(Boolean);
+}
+
+/**
+ * Collect `{ name, request }` for every request of a collection item tree,
+ * naming each by its folder path
+ */
+function flattenRequests(items, path = []) {
+  const requests = [];
+  for (const item of items) {
+    const name = [...path, item.name || 'Unnamed request'].join(' / ');
+    if (item.request) {
+      requests.push({ name, request: typeof item.request === 'string' ? { url: item.request } : item.request });
+    } else if (item.item) {
+      requests.push(...flattenRequests(item.item, [...path, item.name || 'Unnamed folder']));
+    }
+  }
+  return requests;
+}
+
+/**
+ * Path segments of a Postman request URL (object or raw string form),
+ * without protocol, host or a leading {{baseUrl}}-style variable
+ */
+function requestSegments(url) {
+  if (url && typeof url === 'object' && Array.isArray(url.path)) {
+    return url.path.map(segment => (typeof segment === 'object' ? segment?.value : segment)).filter(Boolean).map(String);
+  }
+  const raw = String((url && typeof url === 'object' ? url.raw : url) || '')
+    .replace(/^[^:/]+:\/\/[^/]+/, '')
+    .replace(/^\{\{[^{}]+\}\}/, '');
+  return splitPath(raw.startsWith('/') ? raw : raw.replace(/^[^/]*/, ''));
+}
+
+/**
+ * Enabled query parameter names of a Postman request URL
+ */
+function requestQuery(url) {
+  if (url && typeof url === 'object' && Array.isArray(url.query)) {
+    return url.query.filter(param => param?.key && !param.disabled).map(param => param.key);
+  }
+  const raw = String((url && typeof url === 'object' ? url.raw : url) || '');
+  const query = raw.includes('?') ? raw.slice(raw.indexOf('?') + 1).split('#')[0] : '';
+  return query.split('&').map(pair => pair.split('=')[0]).filter(Boolean);
+}
+
+/**
+ * Best matching operation for a request: same method and segment count, every
+ * segment equal or templated; most literal segments wins
+ */
+function matchOperation(operations, method, segments) {
+  let best = null;
+  let bestLiterals = -1;
+  for (const operation of operations) {
+    if (operation.method !== method || operation.segments.length !== segments.length) {
+      continue;
+    }
+    let literals = 0;
+    const matches = operation.segments.every((segment, i) => {
+      if (/^\{[^{}]+\}$/.test(segment)) {
+        return true;
+      }
+      literals++;
+      return !VARIABLE_SEGMENT.test(segments[i]) && segment === segments[i];
+    });
+    if (matches && literals > bestLiterals) {
+      best = operation;
+      bestLiterals = literals;
+    }
+  }
+  return best;
+}
+
+/**
+ * Resolve a local `$ref` (#/components/parameters/x or #/parameters/x)
+ */
+function resolveRef(document, node) {
+  if (typeof node?.$ref !== 'string' || !node.$ref.startsWith('#/')) {
+    return node;
+  }
+  return node.$ref.slice(2).split('/')
+    .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((target, token) => target?.[token], document);
+}
+
+module.exports = SpecDriftAnalyzer;
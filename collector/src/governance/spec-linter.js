@@ -0,0 +1,200 @@
+/**
+ * Spec Linter - OpenAPI Style Rules for Postman API Definitions
+ *
+ * Runs a configurable rule set against the OpenAPI 3.x or Swagger 2.0 schema
+ * of each Postman API: operation ids, descriptions, tags, error responses,
+ * security schemes and naming casing. Every failure carries the JSON pointer
+ * (RFC 6901) of the offending node so it can be located in the schema.
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Rule ids with their default severity
+const DEFAULT_RULES = {
+  'operation-operation-id': 'medium',
+  'operation-description': 'low',
+  'operation-tags': 'low',
+  'operation-error-responses': 'medium',
+  'security-schemes-defined': 'high',
+  'operation-security': 'high',
+  'operation-id-casing': 'low',
+  'path-casing': 'low',
+  'property-casing': 'low'
+};
+
+const CASING_PATTERNS = {
+  camel: /^[a-z][a-zA-Z0-9]*$/,
+  pascal: /^[A-Z][a-zA-Z0-9]*$/,
+  kebab: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+  snake: /^[a-z0-9]+(?:_[a-z0-9]+)*$/
+};
+
+/**
+ * Spec Linter Class
+ *
+ * Stateless apart from its configuration; one instance lints every API schema
+ * of a cycle.
+ *
+ * @class SpecLinter
+ * @description OpenAPI style linting with JSON pointer findings
+ *
+ * Rules:
+ * - operation-operation-id: Every operation has an operationId
+ * - operation-description: Every operation has a description or summary
+ * - operation-tags: Every operation has at least one tag
+ * - operation-error-responses: Every operation documents a 4xx, 5xx or default response
+ * - security-schemes-defined: The document defines security schemes
+ * - operation-security: Every operation is covered by a security requirement
+ *   (its own or the document's); an explicit empty `security: []` passes
+ * - operation-id-casing: operationIds follow the configured casing (camel)
+ * - path-casing: Static path segments follow the configured casing (kebab)
+ * - property-casing: Schema property names follow the configured casing (camel)
+ *
+ * Every rule evaluation is a check; the pass rate is the share of checks
+ * without a failure.
+ *
+ * Called by: GovernanceCalculator.calculateSpecLint()
+ *
+ * @complexity O(o + p) per document for o operations and p schema properties
+ */
+class SpecLinter {
+  /**
+   * Initialize a linter
+   *
+   * @constructor
+   * @param {Object} [options={}] - Linter options
+   * @param {boolean} [options.enabled=true] - When false lint() checks nothing
+   * @param {Object} [options.rules] - Severity per rule id; 'off' disables a rule
+   * @param {Object} [options.casing] - Casing for operationId, path and property names
+   *   (camel, pascal, kebab or snake)
+   *
+   * Configuration mapping (governance.spec_lint):
+   * - enabled → enabled
+   * - rules → rules (merged over the defaults)
+   * - casing.operation_id / casing.path / casing.property → casing
+   *
+   * @complexity O(1) - Simple instance variable initialization
+   */
+  constructor({ enabled = true, rules = {}, casing = {} } = {}) {
+    this.enabled = enabled;
+    this.rules = { ...DEFAULT_RULES, ...rules };
+    this.casing = { operationId: 'camel', path: 'kebab', property: 'camel', ...casing };
+
+    for (const [target, style] of Object.entries(this.casing)) {
+      if (!CASING_PATTERNS[style]) {
+        throw new Error(`Unknown ${target} casing "${style}" (expected one of ${Object.keys(CASING_PATTERNS).join(', ')})`);
+      }
+    }
+  }
+
+  /**
+   * Build a configured linter from governance.spec_lint settings
+   *
+   * @static
+   * @method fromConfig
+   * @param {Object} [config={}] - governance.spec_lint section
+   * @returns {SpecLinter} Configured linter
+   */
+  static fromConfig(config = {}) {
+    const rules = {};
+    for (const [rule, severity] of Object.entries(config.rules || {})) {
+      rules[rule] = severity === false ? 'off' : severity;
+    }
+    const casing = {};
+    if (config.casing?.operation_id) casing.operationId = config.casing.operation_id;
+    if (config.casing?.path) casing.path = config.casing.path;
+    if (config.casing?.property) casing.property = config.casing.property;
+
+    return new SpecLinter({ enabled: config.enabled !== false, rules, casing });
+  }
+
+  /**
+   * Lint an OpenAPI document
+   *
+   * @method lint
+   * @param {Object} document - Parsed OpenAPI 3.x or Swagger 2.0 document
+   * @returns {Object} { format, checks, failures } where failures are
+   *   `{ rule, severity, pointer, message }`; format is null (and nothing is
+   *   checked) for documents that are not OpenAPI or Swagger
+   */
+  lint(document) {
+    const format = typeof document?.openapi === 'string' ? 'openapi-3' :
+      typeof document?.swagger === 'string' ? 'swagger-2' : null;
+    const result = { format, checks: 0, failures: [] };
+    if (!this.enabled || !format) {
+      return result;
+    }
+
+    const check = (rule, passed, pointer, message) => {
+      const severity = this.rules[rule];
+      if (!severity || severity === 'off') {
+        return;
+      }
+      result.checks++;
+      if (!passed) {
+        result.failures.push({ rule, severity, pointer, message });
+      }
+    };
+
+    const securitySchemes = format === 'openapi-3' ? document.components?.securitySchemes : document.securityDefinitions;
+    const schemesPointer = format === 'openapi-3' ? '/components/securitySchemes' : '/securityDefinitions';
+    check('security-schemes-defined', Object.keys(securitySchemes || {}).length > 0, schemesPointer,
+      'No security schemes are defined');
+
+    for (const [path, pathItem] of Object.entries(document.paths || {})) {
+      const pathPointer = `/paths/${escapePointer(path)}`;
+
+      for (const segment of path.split('/').filter(part => part && !part.startsWith('{'))) {
+        check('path-casing', CASING_PATTERNS[this.casing.path].test(segment), pathPointer,
+          `Path segment "${segment}" is not ${this.casing.path}-case`);
+      }
+
+      for (const method of HTTP_METHODS.filter(name => pathItem?.[name])) {
+        const operation = pathItem[method];
+        const pointer = `${pathPointer}/${method}`;
+        const label = `${method.toUpperCase()} ${path}`;
+
+        check('operation-operation-id', Boolean(operation.operationId), pointer,
+          `${label} has no operationId`);
+        if (operation.operationId) {
+          check('operation-id-casing', CASING_PATTERNS[this.casing.operationId].test(operation.operationId),
+            `${pointer}/operationId`, `operationId "${operation.operationId}" is not ${this.casing.operationId}-case`);
+        }
+        check('operation-description', Boolean(operation.description || operation.summary), pointer,
+          `${label} has no description or summary`);
+        check('operation-tags', Array.isArray(operation.tags) && operation.tags.length > 0, pointer,
+          `${label} has no tags`);
+        check('operation-error-responses',
+          Object.keys(operation.responses || {}).some(code => /^[45]/.test(code) || code === 'default'),
+          `${pointer}/responses`, `${label} documents no error (4xx/5xx/default) response`);
+
+        const security = operation.security ?? document.security;
+        check('operation-security', Array.isArray(security) && (security.length > 0 || operation.security !== undefined),
+          pointer, `${label} is not covered by a security requirement`);
+      }
+    }
+
+    const schemas = format === 'openapi-3' ? document.components?.schemas : document.definitions;
+    const schemasPointer = format === 'openapi-3' ? '/components/schemas' : '/definitions';
+    for (const [name, schema] of Object.entries(schemas || {})) {
+      for (const property of Object.keys(schema?.properties || {})) {
+        check('property-casing', CASING_PATTERNS[this.casing.property].test(property),
+          `${schemasPointer}/${escapePointer(name)}/properties/${escapePointer(property)}`,
+          `Property "${property}" of ${name} is not ${this.casing.property}-case`);
+      }
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Escape a key for use as a JSON pointer reference token (RFC 6901)
+ */
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+module.exports = SpecLinter;
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
+module.exports.escapePointer = escapePointer;
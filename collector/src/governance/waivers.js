@@ -0,0 +1,199 @@
+/**
+ * Waivers - Time-Bound Exemptions from Governance Rules
+ *
+ * Matches violations and scored entities against the active waivers of a
+ * team. A waiver exempts one entity, or every entity matching a pattern, from
+ * one rule (violation type) until it expires: waived violations are still
+ * reported, marked with the waiver, but their entities no longer count
+ * against the governance scores.
+ */
+
+// Score dimensions, the snapshot lists they are calculated from, and the
+// violation types whose waived entities each list leaves out
+const SCORE_EXCLUSIONS = {
+  documentationCoverage: { collections: ['missingDocumentation'] },
+  testCoverage: { collections: ['untestedCollections'] },
+  organizationStructure: { workspaces: ['workspaceTypeMismatches'] },
+  securityPosture: { collections: ['hardcodedCredentials'], environments: ['plaintextSecrets'] },
+  specLint: { apiSpecs: ['specLintFailures'] }
+};
+
+/**
+ * Waiver Set Class
+ *
+ * @class WaiverSet
+ * @description Waiver matching for one team and collection cycle
+ *
+ * Waiver fields (governance_waivers rows):
+ * - id: Waiver id
+ * - rule: Violation type the waiver applies to, or '*' for every type
+ * - entity_pattern: Entity id or name; `*` matches any characters and `?`
+ *   one character, case-insensitively. Findings inside a collection or
+ *   environment are named `<entity> / <location>`, so a name pattern ending
+ *   in `*` (or the entity id) covers them as well
+ * - expires_at: ISO expiry timestamp
+ *
+ * Only active waivers (not expired or revoked) should be passed in;
+ * DatabaseManager.getActiveWaivers() returns them.
+ *
+ * Called by: GovernanceCalculator.calculateGovernanceMetrics() (scored()) and
+ *            GovernanceCalculator.calculateGovernanceViolations() (find())
+ *
+ * @complexity O(w) per match for w waivers
+ */
+class WaiverSet {
+  /**
+   * Compile the entity patterns of a list of waivers
+   *
+   * @constructor
+   * @param {Array<Object>} [waivers=[]] - Active waivers
+   */
+  constructor(waivers = []) {
+    this.waivers = waivers.map(waiver => ({ ...waiver, matcher: compilePattern(waiver.entity_pattern) }));
+  }
+
+  /**
+   * Number of waivers in the set
+   *
+   * @type {number}
+   */
+  get size() {
+    return this.waivers.length;
+  }
+
+  /**
+   * First waiver exempting an entity from a rule
+   *
+   * @method find
+   * @param {string} type - Violation type
+   * @param {Object} entity - Entity or violation (`id`, `uid` or `entityId`, and `name` or `entityName`)
+   * @returns {Object|null} Matching waiver, or null
+   */
+  find(type, entity) {
+    const candidates = [entity.id, entity.uid, entity.entityId, entity.name, entity.entityName]
+      .filter(value => value !== undefined && value !== null)
+      .map(String);
+    return this.waivers.find(waiver =>
+      (waiver.rule === '*' || waiver.rule === type) &&
+      candidates.some(candidate => waiver.matcher.test(candidate))
+    ) || null;
+  }
+
+  /**
+   * Entities not waived for any of the given violation types
+   *
+   * @method exclude
+   * @param {string|Array<string>} types - Violation types
+   * @param {Array<Object>} [entities=[]] - Collections, environments or other entities
+   * @returns {Array<Object>} Entities without a matching waiver
+   */
+  exclude(types, entities = []) {
+    const list = Array.isArray(types) ? types : [types];
+    if (this.waivers.length === 0) {
+      return entities;
+    }
+    return entities.filter(entity => !list.some(type => this.find(type, entity)));
+  }
+
+  /**
+   * Snapshot lists a score dimension is calculated from, without its waived entities
+   *
+   * @method scored
+   * @param {string} dimension - Score dimension (key of SCORE_EXCLUSIONS)
+   * @param {Object} data - Per-cycle data snapshot
+   * @returns {Object} `{ <list>: entities, excluded }` with the number of
+   *          entities left out across the lists
+   */
+  scored(dimension, data) {
+    const result = { excluded: 0 };
+    for (const [list, types] of Object.entries(SCORE_EXCLUSIONS[dimension])) {
+      const entities = data[list] || [];
+      result[list] = this.exclude(types, entities);
+      result.excluded += entities.length - result[list].length;
+    }
+    return result;
+  }
+}
+
+/**
+ * Turn an entity pattern into an anchored, case-insensitive RegExp
+ */
+function compilePattern(pattern) {
+  const source = String(pattern)
+    .split('')
+    .map(char => char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Validate a waiver request body
+ *
+ * @param {Object} input - Request body (rule, entity, justification, approver, expires_at, team)
+ * @param {Object} [options={}] - Validation options
+ * @param {boolean} [options.partial=false] - Update: only justification, approver and
+ *        expires_at may be given, and only the fields present are validated
+ * @param {number} [options.maxDurationDays=365] - Latest allowed expiry, in days from now
+ * @param {Array<string>} [options.rules=null] - Violation types a waiver may name besides
+ *        '*'; any rule is accepted when null
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {Object} `{ rule, entityPattern, justification, approver, expiresAt, team }`
+ *          (only the fields present when partial)
+ * @throws {Error} Naming the first invalid field
+ */
+function validateWaiver(input, { partial = false, maxDurationDays = 365, rules = null, now = new Date() } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Waiver must be a JSON object');
+  }
+
+  // What a waiver covers is fixed; a different scope needs a new waiver
+  for (const field of ['rule', 'entity', 'team']) {
+    if (partial && input[field] !== undefined) {
+      throw new Error(`${field} cannot be changed`);
+    }
+  }
+
+  const waiver = {};
+  const fields = { rule: 'rule', entity: 'entityPattern', justification: 'justification', approver: 'approver' };
+  for (const [field, key] of Object.entries(fields)) {
+    if (input[field] === undefined && partial) {
+      continue;
+    }
+    if (typeof input[field] !== 'string' || !input[field].trim()) {
+      throw new Error(`${field} is required`);
+    }
+    waiver[key] = input[field].trim();
+  }
+
+  // A misspelled rule would create a waiver that never matches
+  if (rules && waiver.rule !== undefined && waiver.rule !== '*' && !rules.includes(waiver.rule)) {
+    throw new Error(`rule "${waiver.rule}" is not a known violation type`);
+  }
+
+  if (input.expires_at !== undefined || !partial) {
+    const expiresAt = new Date(input.expires_at);
+    if (input.expires_at === undefined || input.expires_at === null || isNaN(expiresAt.getTime())) {
+      throw new Error('expires_at must be a timestamp');
+    }
+    if (expiresAt <= now) {
+      throw new Error('expires_at must be in the future');
+    }
+    if (expiresAt - now > maxDurationDays * 24 * 60 * 60 * 1000) {
+      throw new Error(`expires_at must be within ${maxDurationDays} days`);
+    }
+    waiver.expiresAt = expiresAt.toISOString();
+  }
+
+  if (input.team !== undefined && input.team !== null) {
+    if (typeof input.team !== 'string' || !input.team.trim()) {
+      throw new Error('team must be a team name');
+    }
+    waiver.team = input.team.trim();
+  }
+
+  return waiver;
+}
+
+module.exports = WaiverSet;
+module.exports.SCORE_EXCLUSIONS = SCORE_EXCLUSIONS;
+module.exports.validateWaiver = validateWaiver;
@@ -0,0 +1,177 @@
+/**
+ * Workspace Rules - Workspace Naming, Asset ID, Tag and Type Checks
+ *
+ * Evaluates each workspace's detail and tags (PostmanClient.getWorkspaceTags())
+ * against the workspace governance rules: naming standard, asset ID
+ * assignment, required tag keys, and development workspaces that are shared
+ * with the team instead of kept private.
+ */
+
+// Violation type and default severity per rule
+const RULES = {
+  naming: { type: 'workspaceNamingViolations', severity: 'low' },
+  'asset-id': { type: 'missingAssetIds', severity: 'medium' },
+  'required-tags': { type: 'missingWorkspaceTags', severity: 'low' },
+  'dev-workspace-type': { type: 'workspaceTypeMismatches', severity: 'high' }
+};
+
+/**
+ * Workspace Rules Class
+ *
+ * Stateless apart from its configuration; one instance evaluates every
+ * workspace of a cycle.
+ *
+ * @class WorkspaceRules
+ * @description Workspace governance rule evaluation
+ *
+ * Rules:
+ * - naming: The workspace name matches naming_pattern
+ * - asset-id: A tag slug or the description matches asset_id_pattern
+ * - required-tags: Every key in required_tag_keys has a tag, either the bare
+ *   key or `key-value` / `key:value` / `key=value`
+ * - dev-workspace-type: Workspaces whose name or a tag matches
+ *   dev_workspace_pattern have dev_workspace_type (private)
+ *
+ * The asset-id and required-tags rules only run for workspaces whose tags were
+ * collected (collection_scope.workspace_tags); without tags they cannot be
+ * told apart from untagged workspaces.
+ *
+ * Called by: GovernanceCalculator.calculateWorkspaceRules()
+ *
+ * @complexity O(t) per workspace for t tags
+ */
+class WorkspaceRules {
+  /**
+   * Initialize the rule set
+   *
+   * @constructor
+   * @param {Object} [options={}] - Rule options
+   * @param {boolean} [options.enabled=true] - When false evaluate() reports nothing
+   * @param {string} [options.namingPattern] - Regular expression workspace names must match
+   * @param {string} [options.assetIdPattern] - Regular expression (case-insensitive) identifying an asset ID
+   * @param {Array<string>} [options.requiredTagKeys=[]] - Tag keys every workspace must carry
+   * @param {string} [options.devWorkspacePattern] - Regular expression (case-insensitive)
+   *   marking development workspaces by name or tag
+   * @param {string} [options.devWorkspaceType='private'] - Workspace type required for development workspaces
+   * @param {Object} [options.severities={}] - Severity per rule id; 'off' disables a rule
+   * @throws {Error} When a pattern is not a valid regular expression
+   *
+   * Configuration mapping (governance.workspace_rules):
+   * - enabled → enabled
+   * - naming_pattern → namingPattern
+   * - asset_id_pattern → assetIdPattern
+   * - required_tag_keys → requiredTagKeys
+   * - dev_workspace_pattern → devWorkspacePattern
+   * - dev_workspace_type → devWorkspaceType
+   * - severities → severities
+   *
+   * @complexity O(1) - Pattern compilation
+   */
+  constructor({
+    enabled = true,
+    namingPattern = '^[A-Z][A-Z0-9]*-[A-Za-z0-9]+(?:-[A-Za-z0-9]+)*$',
+    assetIdPattern = '\\basset-\\d{3,}\\b',
+    requiredTagKeys = [],
+    devWorkspacePattern = '\\b(?:dev|development)\\b',
+    devWorkspaceType = 'private',
+    severities = {}
+  } = {}) {
+    this.enabled = enabled;
+    this.namingPattern = compilePattern('naming_pattern', namingPattern, '');
+    this.assetIdPattern = compilePattern('asset_id_pattern', assetIdPattern, 'i');
+    this.requiredTagKeys = requiredTagKeys.map(key => String(key).toLowerCase());
+    this.devWorkspacePattern = compilePattern('dev_workspace_pattern', devWorkspacePattern, 'i');
+    this.devWorkspaceType = devWorkspaceType;
+    this.severities = Object.fromEntries(Object.entries(RULES).map(([rule, { severity }]) => [rule, severities[rule] || severity]));
+  }
+
+  /**
+   * Build a configured rule set from governance.workspace_rules settings
+   *
+   * @static
+   * @method fromConfig
+   * @param {Object} [config={}] - governance.workspace_rules section
+   * @returns {WorkspaceRules} Configured rule set
+   */
+  static fromConfig(config = {}) {
+    const options = { enabled: config.enabled !== false };
+    if (config.naming_pattern) options.namingPattern = config.naming_pattern;
+    if (config.asset_id_pattern) options.assetIdPattern = config.asset_id_pattern;
+    if (Array.isArray(config.required_tag_keys)) options.requiredTagKeys = config.required_tag_keys;
+    if (config.dev_workspace_pattern) options.devWorkspacePattern = config.dev_workspace_pattern;
+    if (config.dev_workspace_type) options.devWorkspaceType = config.dev_workspace_type;
+    if (config.severities) {
+      options.severities = Object.fromEntries(Object.entries(config.severities)
+        .map(([rule, severity]) => [rule, severity === false ? 'off' : severity]));
+    }
+    return new WorkspaceRules(options);
+  }
+
+  /**
+   * Evaluate one workspace
+   *
+   * @method evaluate
+   * @param {Object} workspace - Snapshot workspace (list entry merged with detail and `tags`)
+   * @returns {Array<Object>} Failures `{ rule, type, severity, message, ... }` where
+   *   type is the violation category; missing-tag failures add `missingTags`, type
+   *   mismatches add `workspaceType` and `expectedType`
+   */
+  evaluate(workspace) {
+    if (!this.enabled) {
+      return [];
+    }
+
+    const failures = [];
+    const fail = (rule, message, extra = {}) => {
+      const severity = this.severities[rule];
+      if (severity && severity !== 'off') {
+        failures.push({ rule, type: RULES[rule].type, severity, message, ...extra });
+      }
+    };
+    const name = workspace.name || '';
+    const tagsCollected = Array.isArray(workspace.tags);
+    const tags = (workspace.tags || [])
+      .map(tag => String(typeof tag === 'string' ? tag : tag?.slug || tag?.name || '').toLowerCase())
+      .filter(Boolean);
+
+    if (!this.namingPattern.test(name)) {
+      fail('naming', `Workspace name "${name}" does not match ${this.namingPattern.source}`);
+    }
+
+    if (tagsCollected) {
+      if (!tags.some(tag => this.assetIdPattern.test(tag)) && !this.assetIdPattern.test(workspace.description || '')) {
+        fail('asset-id', 'No asset ID in the workspace tags or description');
+      }
+
+      const missingTags = this.requiredTagKeys.filter(key =>
+        !tags.some(tag => tag === key || [`${key}-`, `${key}:`, `${key}=`].some(prefix => tag.startsWith(prefix))));
+      if (missingTags.length > 0) {
+        fail('required-tags', `Missing required tag(s): ${missingTags.join(', ')}`, { missingTags });
+      }
+    }
+
+    const isDev = this.devWorkspacePattern.test(name) || tags.some(tag => this.devWorkspacePattern.test(tag));
+    if (isDev && workspace.type && workspace.type !== this.devWorkspaceType) {
+      fail('dev-workspace-type', `Development workspace is "${workspace.type}" instead of "${this.devWorkspaceType}"`, {
+        workspaceType: workspace.type,
+        expectedType: this.devWorkspaceType
+      });
+    }
+
+    return failures;
+  }
+}
+
+/**
+ * Compile a configured regular expression, naming the setting when it is invalid
+ */
+function compilePattern(setting, pattern, flags) {
+  try {
+    return new RegExp(pattern, flags);
+  } catch (error) {
+    throw new Error(`Invalid governance.workspace_rules.${setting}: ${error.message}`);
+  }
+}
+
+module.exports = WorkspaceRules;
+module.exports.RULES = RULES;
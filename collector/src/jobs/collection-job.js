@@ -0,0 +1,257 @@
+/**
+ * Collection Job - Status, Progress and Cancellation of a Collection Cycle
+ *
+ * Tracks one governance collection cycle from trigger to completion so the
+ * collection API can report its phase, progress, API usage and errors, and
+ * cancel it while it is running.
+ */
+
+const crypto = require('crypto');
+
+// Finished jobs are kept in memory for status lookups up to this many entries
+const DEFAULT_HISTORY_SIZE = 20;
+
+/**
+ * Collection Job Class
+ *
+ * Created by GovernanceCollectorApp for every manual or scheduled cycle and
+ * updated by runCollection() as each team moves through the cycle phases.
+ * Cancellation is cooperative: cancel() aborts the job's AbortSignal, which
+ * PostmanClient observes before every request and between fetch tasks, and
+ * runCollection() checks between phases.
+ *
+ * @class CollectionJob
+ * @description In-memory state of one governance collection cycle
+ *
+ * Lifecycle (status):
+ * - running: Cycle in progress
+ * - completed: Every team was collected and stored
+ * - failed: At least one team failed
+ * - cancelled: Cancelled through cancel() before completion
+ *
+ * Phases (phase):
+ * - pending → collecting → calculating → storing (per team) → done
+ *
+ * Called by: GovernanceCollectorApp.startCollection(), runCollection() and
+ * the /api/collect endpoints
+ *
+ * @complexity O(1) per state update
+ */
+class CollectionJob {
+  /**
+   * Create a job in the running state
+   *
+   * @constructor
+   * @param {string} [trigger='manual'] - What started the cycle ('manual' or 'scheduled')
+   */
+  constructor(trigger = 'manual') {
+    this.id = crypto.randomUUID();
+    this.trigger = trigger;
+    this.status = 'running';
+    this.phase = 'pending';
+    this.team = null;
+    this.progress = { collectionsAnalyzed: 0, collectionsTotal: 0 };
+    this.apiCalls = 0;
+    this.errors = [];
+    this.stats = { requests: 0, clientErrors: 0, serverErrors: 0, retries: 0 };
+    this.entities = {};
+    this.failures = [];
+    this.teams = [];
+    this.startedAt = new Date().toISOString();
+    this.finishedAt = null;
+    this.abortController = new AbortController();
+  }
+
+  /**
+   * AbortSignal aborted when the job is cancelled
+   *
+   * @returns {AbortSignal} Signal passed to PostmanClient.collectSnapshot()
+   */
+  get signal() {
+    return this.abortController.signal;
+  }
+
+  /**
+   * Whether the job is still running
+   *
+   * @returns {boolean} True until the job completes, fails or is cancelled
+   */
+  get isRunning() {
+    return this.status === 'running';
+  }
+
+  /**
+   * Move the job to a new phase
+   *
+   * @method setPhase
+   * @param {string} phase - Phase name (collecting, calculating, storing, done)
+   * @param {string} [team] - Team the phase applies to; unchanged when omitted
+   * @returns {void}
+   */
+  setPhase(phase, team) {
+    this.phase = phase;
+    if (team !== undefined) {
+      this.team = team;
+    }
+  }
+
+  /**
+   * Record collection detail progress reported by PostmanClient
+   *
+   * Totals accumulate across teams, so the progress of a multi-team cycle
+   * covers every team collected so far.
+   *
+   * @method updateProgress
+   * @param {Object} update - { collectionsAnalyzed, collectionsTotal, apiCalls } for the current team
+   * @param {Object} base - Progress and API call counts reached before the current team
+   * @returns {void}
+   */
+  updateProgress(update, base) {
+    this.progress = {
+      collectionsAnalyzed: base.collectionsAnalyzed + update.collectionsAnalyzed,
+      collectionsTotal: base.collectionsTotal + update.collectionsTotal
+    };
+    this.apiCalls = base.apiCalls + update.apiCalls;
+  }
+
+  /**
+   * Add the request statistics of one team's collection to the job
+   *
+   * @method recordTeamStats
+   * @param {string} team - Team the statistics belong to
+   * @param {Object|null} stats - PostmanClient.lastRunStats for the team's collection
+   * @returns {void}
+   */
+  recordTeamStats(team, stats) {
+    this.teams.push(team);
+    if (!stats) {
+      return;
+    }
+    
+    for (const key of Object.keys(this.stats)) {
+      this.stats[key] += stats[key] || 0;
+    }
+    for (const [entity, count] of Object.entries(stats.entities || {})) {
+      this.entities[entity] = (this.entities[entity] || 0) + count;
+    }
+    this.failures.push(...(stats.failures || []).map(failure => ({ team, ...failure })));
+  }
+
+  /**
+   * Record an error without ending the job
+   *
+   * @method recordError
+   * @param {string} team - Team the error occurred in
+   * @param {string} message - Error message
+   * @returns {void}
+   */
+  recordError(team, message) {
+    this.errors.push({ team, message, timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * Request cancellation of a running job
+   *
+   * @method cancel
+   * @returns {boolean} False when the job had already finished
+   */
+  cancel() {
+    if (!this.isRunning) {
+      return false;
+    }
+    this.abortController.abort();
+    return true;
+  }
+
+  /**
+   * Throw when cancellation has been requested
+   *
+   * @method throwIfCancelled
+   * @throws {Error} When cancel() has been called
+   * @returns {void}
+   */
+  throwIfCancelled() {
+    if (this.signal.aborted) {
+      throw new Error('Collection job cancelled');
+    }
+  }
+
+  /**
+   * Mark the job as finished
+   *
+   * Cancellation takes precedence over the requested status, so a cycle that
+   * fails because it was aborted is reported as cancelled.
+   *
+   * @method finish
+   * @param {string} status - Final status ('completed' or 'failed')
+   * @returns {void}
+   */
+  finish(status) {
+    this.status = this.signal.aborted ? 'cancelled' : status;
+    this.phase = 'done';
+    this.finishedAt = new Date().toISOString();
+  }
+
+  /**
+   * Build the collection_runs row for a finished job
+   *
+   * @method toRunRecord
+   *
+   * Return format (see DatabaseManager.storeCollectionRun()):
+   * - id, trigger, status, startedAt, finishedAt, durationMs
+   * - teams: Teams attempted in this cycle
+   * - apiRequests, clientErrors, serverErrors, retries: Request statistics
+   * - entities: Entities fetched per type, summed across teams
+   * - failures: Per-entity failures that were skipped
+   * - errors: Team-level errors that failed the cycle
+   *
+   * @returns {Object} Run record
+   */
+  toRunRecord() {
+    return {
+      id: this.id,
+      trigger: this.trigger,
+      status: this.status,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      durationMs: this.finishedAt ? Date.parse(this.finishedAt) - Date.parse(this.startedAt) : null,
+      teams: this.teams,
+      apiRequests: this.stats.requests,
+      clientErrors: this.stats.clientErrors,
+      serverErrors: this.stats.serverErrors,
+      retries: this.stats.retries,
+      entities: this.entities,
+      failures: this.failures,
+      errors: this.errors
+    };
+  }
+
+  /**
+   * Serialize the job for API responses
+   *
+   * @method toJSON
+   * @returns {Object} Job status without internal cancellation state
+   */
+  toJSON() {
+    const { collectionsAnalyzed, collectionsTotal } = this.progress;
+    return {
+      id: this.id,
+      trigger: this.trigger,
+      status: this.status,
+      phase: this.phase,
+      team: this.team,
+      progress: {
+        collectionsAnalyzed,
+        collectionsTotal,
+        percent: collectionsTotal > 0 ? Math.round((collectionsAnalyzed / collectionsTotal) * 100) : 0
+      },
+      apiCalls: this.apiCalls,
+      errors: this.errors,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt
+    };
+  }
+}
+
+module.exports = CollectionJob;
+module.exports.DEFAULT_HISTORY_SIZE = DEFAULT_HISTORY_SIZE;
@@ -19,8 +19,18 @@ const GovernanceCalculator = require('./governance/calculator');
 const ConfigLoader = require('./config/loader');
 const Logger = require('./utils/logger');
 const HealthChecker = require('./utils/health');
+const CollectionJob = require('./jobs/collection-job');
 const AuthManager = require('./security/auth-manager');
 const createAuthMiddleware = require('./security/auth-middleware');
+const { validateWaiver } = require('./governance/waivers');
+const { VIOLATION_TYPES } = require('./governance/calculator');
+
+/**
+ * Escape a value for use inside a Prometheus label (backslash, quote, newline)
+ */
+function escapeLabelValue(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
 
 /**
  * Postman Governance Collector Application
@@ -61,8 +71,12 @@ class GovernanceCollectorApp {
     this.db = null;
     this.postmanClient = null;
     this.governanceCalculator = null;
+    this.teams = [];
     this.healthChecker = null;
     this.cronJob = null;
+    this.currentJob = null;
+    this.currentCycle = null;
+    this.jobs = new Map();
   }
 
   /**
@@ -82,9 +96,15 @@ class GovernanceCollectorApp {
    * Dependencies:
    * - ConfigLoader.load(): Loads application configuration
    * - DatabaseManager.initialize(): Sets up SQLite database
-   * - loadApiKey(): Retrieves Postman API credentials
+   * - resolveTeams(): Builds per-team Postman configuration
+   * - loadApiKey(): Retrieves Postman API credentials for each team
+   * 
+   * Multi-team setup:
+   * - One PostmanClient and GovernanceCalculator per configured team
+   * - postmanClient/governanceCalculator point at the first team and back the
+   *   health check and rate limiter metrics
    * 
-   * @complexity O(1) - Linear initialization of components
+   * @complexity O(t) where t is the number of configured Postman teams
    * @returns {Promise<void>} Resolves when all components are initialized
    */
   async initialize() {
@@ -114,32 +134,47 @@ class GovernanceCollectorApp {
         this.logger.warn('Authentication disabled - running in development mode');
       }
 
-      // Initialize Postman client
-      const apiKey = await this.loadApiKey();
-      this.postmanClient = new PostmanClient(apiKey, this.config.postman, this.logger);
+      // Initialize one Postman client and governance calculator per team
+      // Fetch concurrency comes from collection.workers, capped by the worker pool size
+      // Replay mode answers from a fixture archive and needs no API key
+      this.teams = [];
+      for (const teamConfig of this.resolveTeams()) {
+        const replaying = teamConfig.fixtures?.mode === 'replay';
+        const apiKey = replaying ? null : await this.loadApiKey(teamConfig.name);
+        const clientConfig = {
+          ...teamConfig,
+          workers: teamConfig.workers || this.resolveFetchWorkers()
+        };
+        const postmanClient = new PostmanClient(apiKey, clientConfig, this.logger);
 
-      // Initialize governance calculator
-      // Pass both governance config and limits needed for calculations
-      const calculatorConfig = {
-        ...this.config.governance,
-        limits: this.config.postman.limits
-      };
-      this.governanceCalculator = new GovernanceCalculator(
-        this.postmanClient,
-        calculatorConfig,
-        this.logger
-      );
+        // Pass both governance config and limits needed for calculations
+        const calculatorConfig = {
+          ...this.config.governance,
+          limits: teamConfig.limits
+        };
+        const governanceCalculator = new GovernanceCalculator(
+          postmanClient,
+          calculatorConfig,
+          this.logger
+        );
+
+        this.teams.push({ name: teamConfig.name, postmanClient, governanceCalculator });
+      }
+      this.postmanClient = this.teams[0].postmanClient;
+      this.governanceCalculator = this.teams[0].governanceCalculator;
 
       // Initialize health checker
       this.healthChecker = new HealthChecker(
         this.db,
         this.postmanClient,
         this.config.health,
-        this.logger
+        this.logger,
+        this.teams
       );
 
       this.logger.info('All components initialized successfully', {
-        authentication: this.authManager ? 'enabled' : 'disabled'
+        authentication: this.authManager ? 'enabled' : 'disabled',
+        teams: this.teams.map(team => team.name)
       });
     } catch (error) {
       console.error('Failed to initialize application:', error);
@@ -147,6 +182,54 @@ class GovernanceCollectorApp {
     }
   }
 
+  /**
+   * Build the Postman configuration of every team to collect from
+   * 
+   * Without postman.teams the collector runs a single team named 'default'
+   * using the top-level postman settings. Each entry of postman.teams is
+   * merged over those settings, so teams only list what differs.
+   * 
+   * @method resolveTeams
+   * @private
+   * @throws {Error} When a team has no name or a name is used twice
+   * 
+   * Team entry fields (postman.teams[]):
+   * - name: Unique team name stored with every metric and violation
+   * - api_key_file / api_key_env: Where to read the team's API key
+   * - base_url, workers: Replace the top-level values
+   * - rate_limit, limits, fixtures: Merged key by key over the top-level values
+   * 
+   * Called by: initialize()
+   * 
+   * @complexity O(t) where t is the number of configured teams
+   * @returns {Array<Object>} Postman client configuration per team, with name
+   */
+  resolveTeams() {
+    const { teams, ...base } = this.config.postman;
+    if (!Array.isArray(teams) || teams.length === 0) {
+      return [{ ...base, name: 'default' }];
+    }
+    
+    const seen = new Set();
+    return teams.map(team => {
+      if (!team?.name) {
+        throw new Error('Every postman.teams entry requires a name');
+      }
+      if (seen.has(team.name)) {
+        throw new Error(`Duplicate Postman team name: ${team.name}`);
+      }
+      seen.add(team.name);
+      
+      return {
+        ...base,
+        ...team,
+        rate_limit: { ...base.rate_limit, ...team.rate_limit },
+        limits: { ...base.limits, ...team.limits },
+        fixtures: { ...base.fixtures, ...team.fixtures }
+      };
+    });
+  }
+
   /**
    * Load Postman API key from secure sources
    * 
@@ -154,9 +237,15 @@ class GovernanceCollectorApp {
    * then falls back to environment variables (development only). Implements
    * secure key handling with logging that masks sensitive data.
    * 
+   * Key sources per team:
+   * - 'default': /run/secrets/postman_api_key, then POSTMAN_API_KEY
+   * - named teams: api_key_file or /run/secrets/postman_api_key_<name>, then
+   *   api_key_env or POSTMAN_API_KEY_<NAME>
+   * 
    * @async
    * @method loadApiKey
    * @private
+   * @param {string} [teamName='default'] - Team whose key should be loaded
    * @throws {Error} When no API key is found in any source
    * @throws {Error} When file system access fails
    * 
@@ -169,12 +258,17 @@ class GovernanceCollectorApp {
    * @complexity O(1) - Simple file/environment variable access
    * @returns {Promise<string>} The Postman API key
    */
-  async loadApiKey() {
+  async loadApiKey(teamName = 'default') {
     try {
-      const secretPath = '/run/secrets/postman_api_key';
+      const team = (this.config.postman.teams || []).find(entry => entry.name === teamName) || {};
+      const suffix = teamName === 'default' ? '' : `_${teamName.replace(/[^A-Za-z0-9]/g, '_')}`;
+      const secretPath = team.api_key_file || `/run/secrets/postman_api_key${suffix.toLowerCase()}`;
+      const envName = team.api_key_env || `POSTMAN_API_KEY${suffix.toUpperCase()}`;
+      
       if (fs.existsSync(secretPath)) {
         const apiKey = fs.readFileSync(secretPath, 'utf8').trim();
         this.logger.info('Loaded API key from Docker secret', {
+          team: teamName,
           keyLength: apiKey.length,
           keyPreview: `${apiKey.substring(0, 8)}...${apiKey.substring(apiKey.length - 4)}`
         });
@@ -182,25 +276,49 @@ class GovernanceCollectorApp {
       }
       
       // Fallback to environment variable (development or Cloud Run)
-      if (process.env.POSTMAN_API_KEY) {
+      if (process.env[envName]) {
         const isCloudRun = process.env.K_SERVICE || process.env.CLOUD_RUN_SERVICE;
         const isDev = process.env.NODE_ENV === 'development';
         
         if (isDev || isCloudRun) {
           this.logger.info('Using API key from environment variable', {
+            team: teamName,
+            variable: envName,
             environment: isDev ? 'development' : 'cloud-run'
           });
-          return process.env.POSTMAN_API_KEY;
+          return process.env[envName];
         }
       }
       
-      throw new Error('No Postman API key found. Ensure Docker secret is properly mounted.');
+      throw new Error(`No Postman API key found for team '${teamName}'. Ensure Docker secret is properly mounted.`);
     } catch (error) {
-      this.logger.error('Failed to load API key', { error: error.message });
+      this.logger.error('Failed to load API key', { team: teamName, error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Resolve how many Postman API requests may run in parallel
+   * 
+   * Uses collection.workers as the requested fetch concurrency and caps it at
+   * performance.worker_pool_size when that is configured. Falls back to a single
+   * worker when neither setting is present.
+   * 
+   * @method resolveFetchWorkers
+   * @private
+   * 
+   * Called by: initialize() when constructing the PostmanClient
+   * 
+   * @complexity O(1) - Simple configuration lookup
+   * @returns {number} Number of concurrent fetch workers (>= 1)
+   */
+  resolveFetchWorkers() {
+    const requested = parseInt(this.config.collection?.workers, 10) || 1;
+    const poolSize = parseInt(this.config.performance?.worker_pool_size, 10);
+    const workers = poolSize > 0 ? Math.min(requested, poolSize) : requested;
+    return Math.max(1, workers);
+  }
+
   /**
    * Configure Express.js middleware stack for security and functionality
    * 
@@ -313,7 +431,13 @@ class GovernanceCollectorApp {
    * - GET /api/governance/metrics - Historical governance data
    * - GET /api/governance/summary - Current metrics summary
    * - GET /api/governance/violations - Violations data (JSON)
+   * - GET /api/governance/violations/lifecycle - Open, reopened or resolved violations with their lifecycle
    * - GET /api/governance/violations/detailed - Detailed violations (JSON/CSV)
+   * - POST /api/governance/waivers - Create a waiver
+   * - GET /api/governance/waivers - List active, expired or revoked waivers
+   * - GET /api/governance/waivers/expiring - Report of waivers expiring soon
+   * - PATCH /api/governance/waivers/:id - Change justification, approver or expiry
+   * - DELETE /api/governance/waivers/:id - Revoke a waiver
    * - GET /api/governance/trends - Metric trend analysis
    * - GET /api/debug/violations - Debug endpoint for troubleshooting
    * - POST /api/collect - Manual data collection trigger
@@ -438,8 +562,8 @@ class GovernanceCollectorApp {
       this.authMiddleware ? this.authMiddleware.authenticate : (req, res, next) => next(),
       async (req, res) => {
       try {
-        const { from, to, interval } = req.query;
-        const metrics = await this.db.getHistoricalMetrics(from, to, interval);
+        const { from, to, interval, team } = req.query;
+        const metrics = await this.db.getHistoricalMetrics(from, to, interval, team);
         res.json(metrics);
       } catch (error) {
         this.logger.error('Failed to get historical metrics', { error: error.message });
@@ -452,7 +576,7 @@ class GovernanceCollectorApp {
       this.authMiddleware ? this.authMiddleware.authenticate : (req, res, next) => next(),
       async (req, res) => {
       try {
-        const summary = await this.db.getLatestMetricsSummary();
+        const summary = await this.db.getLatestMetricsSummary(req.query.team);
         res.json(summary);
       } catch (error) {
         this.logger.error('Failed to get metrics summary', { error: error.message });
@@ -464,18 +588,18 @@ class GovernanceCollectorApp {
       this.authMiddleware ? this.authMiddleware.authenticate : (req, res, next) => next(),
       async (req, res) => {
       try {
-        const { from, to } = req.query;
+        const { from, to, team } = req.query;
         
-        this.logger.info('Violations endpoint called', { from, to, hasParams: !!(from && to) });
+        this.logger.info('Violations endpoint called', { from, to, team, hasParams: !!(from && to) });
         
         if (from && to) {
           // Use provided date range
-          const violations = await this.db.getHistoricalViolations(from, to);
+          const violations = await this.db.getHistoricalViolations(from, to, team);
           this.logger.info('Historical violations returned', { count: violations.length });
           res.json(violations);
         } else {
           // Return simple violation summary for dashboard
-          const violationSummary = await this.db.getViolationSummary();
+          const violationSummary = await this.db.getViolationSummary(team);
           this.logger.info('Violation summary returned', { count: violationSummary.length });
           res.json(violationSummary);
         }
@@ -485,20 +609,40 @@ class GovernanceCollectorApp {
       }
     });
 
+    // Tracked violations with when each was first seen, opened and resolved
+    this.app.get('/api/governance/violations/lifecycle',
+      this.authMiddleware ? this.authMiddleware.authenticate : (req, res, next) => next(),
+      async (req, res) => {
+      try {
+        const { status = 'open', team, type } = req.query;
+        if (!['open', 'reopened', 'waived', 'resolved', 'all'].includes(status)) {
+          return res.status(400).json({ error: 'status must be one of open, reopened, waived, resolved, all' });
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+        
+        const violations = await this.db.getViolationLifecycle({ status, team, type, limit });
+        res.json(violations);
+      } catch (error) {
+        this.logger.error('Failed to get violation lifecycle', { error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve violation lifecycle' });
+      }
+    });
+
     // Detailed violations endpoint for actionable dashboard table
     this.app.get('/api/governance/violations/detailed',
       this.authMiddleware ? this.authMiddleware.authenticate : (req, res, next) => next(),
       async (req, res) => {
       try {
-        const { limit = 50, format } = req.query;
-        const detailedViolations = await this.db.getDetailedViolations(limit);
+        const { limit = 50, format, team } = req.query;
+        const detailedViolations = await this.db.getDetailedViolations(limit, team);
         
         if (format === 'csv') {
           // Return CSV format
-          const csvHeader = 'Collection/Entity,Violation Type,Action Required,Workspace,Admin Email,Severity\n';
+          const csvHeader = 'Team,Collection/Entity,Violation Type,Action Required,Workspace,Admin Email,Severity\n';
           const csvRows = detailedViolations.map(v => {
             const cleanField = (field) => field ? `"${field.toString().replace(/"/g, '""')}"` : '""';
             return [
+              cleanField(v.team),
               cleanField(v.entity_name),
               cleanField(v.violation_type),
               cleanField(v.action_needed),
@@ -523,13 +667,142 @@ class GovernanceCollectorApp {
     });
 
 
+    // Waivers: time-bound exemptions of entities from governance rules.
+    // Changes need governance:write when authentication is enabled and are audit-logged.
+    const waiverSettings = this.config.governance?.waivers || {};
+    const writeWaivers = this.authMiddleware ?
+      [this.authMiddleware.authenticate, this.authMiddleware.requirePermission('governance:write')] :
+      [(req, res, next) => next()];
+    const waiverActor = (req) => (req.user ? req.user.username : req.ip);
+
+    this.app.post('/api/governance/waivers', ...writeWaivers, async (req, res) => {
+      let input;
+      try {
+        input = validateWaiver(req.body, {
+          maxDurationDays: waiverSettings.max_duration_days || 365,
+          rules: await this.getWaiverRules()
+        });
+        if (input.team && !this.teams.some(team => team.name === input.team)) {
+          throw new Error(`Unknown team "${input.team}"`);
+        }
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      
+      try {
+        const waiver = await this.db.createWaiver(input, waiverActor(req));
+        this.logger.audit('governance_waiver_created', {
+          waiver_id: waiver.id,
+          team: waiver.team,
+          rule: waiver.rule,
+          entity_pattern: waiver.entity_pattern,
+          justification: waiver.justification,
+          approver: waiver.approver,
+          expires_at: waiver.expires_at,
+          actor: waiver.created_by
+        });
+        res.status(201).json(waiver);
+      } catch (error) {
+        this.logger.error('Failed to create waiver', { error: error.message });
+        res.status(500).json({ error: 'Failed to create waiver' });
+      }
+    });
+
+    this.app.get('/api/governance/waivers',
+      this.authMiddleware ? this.authMiddleware.authenticate : (req, res, next) => next(),
+      async (req, res) => {
+      try {
+        const { status = 'active', team } = req.query;
+        if (!['active', 'expired', 'revoked', 'all'].includes(status)) {
+          return res.status(400).json({ error: 'status must be one of active, expired, revoked, all' });
+        }
+        res.json(await this.db.getWaivers({ status, team }));
+      } catch (error) {
+        this.logger.error('Failed to get waivers', { error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve waivers' });
+      }
+    });
+
+    // Registered before /api/governance/waivers/:id
+    this.app.get('/api/governance/waivers/expiring',
+      this.authMiddleware ? this.authMiddleware.authenticate : (req, res, next) => next(),
+      async (req, res) => {
+      try {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || waiverSettings.expiring_within_days || 14, 1), 365);
+        res.json(await this.db.getExpiringWaivers(days, req.query.team || null));
+      } catch (error) {
+        this.logger.error('Failed to get expiring waivers', { error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve expiring waivers' });
+      }
+    });
+
+    this.app.patch('/api/governance/waivers/:id', ...writeWaivers, async (req, res) => {
+      let changes;
+      try {
+        changes = validateWaiver(req.body, { partial: true, maxDurationDays: waiverSettings.max_duration_days || 365 });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      
+      try {
+        const previous = await this.db.getWaiver(Number(req.params.id));
+        if (!previous) {
+          return res.status(404).json({ error: 'Waiver not found' });
+        }
+        if (previous.status === 'revoked') {
+          return res.status(409).json({ error: 'Waiver is revoked', status: previous.status });
+        }
+        
+        const waiver = await this.db.updateWaiver(previous.id, changes, waiverActor(req));
+        this.logger.audit('governance_waiver_updated', {
+          waiver_id: waiver.id,
+          team: waiver.team,
+          rule: waiver.rule,
+          entity_pattern: waiver.entity_pattern,
+          changes: Object.fromEntries(['justification', 'approver', 'expires_at']
+            .filter(field => previous[field] !== waiver[field])
+            .map(field => [field, { from: previous[field], to: waiver[field] }])),
+          actor: waiver.updated_by
+        });
+        res.json(waiver);
+      } catch (error) {
+        this.logger.error('Failed to update waiver', { error: error.message });
+        res.status(500).json({ error: 'Failed to update waiver' });
+      }
+    });
+
+    this.app.delete('/api/governance/waivers/:id', ...writeWaivers, async (req, res) => {
+      try {
+        const previous = await this.db.getWaiver(Number(req.params.id));
+        if (!previous) {
+          return res.status(404).json({ error: 'Waiver not found' });
+        }
+        if (previous.status === 'revoked') {
+          return res.status(409).json({ error: 'Waiver is already revoked', status: previous.status });
+        }
+        
+        const waiver = await this.db.revokeWaiver(previous.id, waiverActor(req));
+        this.logger.audit('governance_waiver_revoked', {
+          waiver_id: waiver.id,
+          team: waiver.team,
+          rule: waiver.rule,
+          entity_pattern: waiver.entity_pattern,
+          actor: waiver.revoked_by
+        });
+        res.json(waiver);
+      } catch (error) {
+        this.logger.error('Failed to revoke waiver', { error: error.message });
+        res.status(500).json({ error: 'Failed to revoke waiver' });
+      }
+    });
+
     this.app.get('/api/governance/trends', async (req, res) => {
       try {
-        const { metric, period } = req.query;
+        const { metric, period, team } = req.query;
         // Provide defaults if parameters not specified
         const defaultMetric = metric || 'documentation_score';
         const defaultPeriod = period || '7d';
-        const trends = await this.db.getMetricTrends(defaultMetric, defaultPeriod);
+        const trends = await this.db.getMetricTrends(defaultMetric, defaultPeriod, team);
         res.json(trends);
       } catch (error) {
         this.logger.error('Failed to get metric trends', { error: error.message });
@@ -537,6 +810,71 @@ class GovernanceCollectorApp {
       }
     });
 
+    // Configured Postman teams and the data stored for each
+    this.app.get('/api/governance/teams',
+      this.authMiddleware ? this.authMiddleware.authenticate : (req, res, next) => next(),
+      async (req, res) => {
+      try {
+        const stored = await this.db.getTeams();
+        const configured = this.teams.map(team => team.name);
+        const names = [...new Set([...configured, ...stored.map(row => row.team)])];
+        
+        res.json(names.map(name => {
+          const row = stored.find(entry => entry.team === name);
+          return {
+            team: name,
+            configured: configured.includes(name),
+            collections: row ? row.collections : 0,
+            last_collected: row ? row.last_collected : null
+          };
+        }));
+      } catch (error) {
+        this.logger.error('Failed to get teams', { error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve teams' });
+      }
+    });
+
+    // Outcome and metric contributions of each rule plugin in the latest cycle
+    this.app.get('/api/governance/rule-plugins',
+      this.authMiddleware ? this.authMiddleware.authenticate : (req, res, next) => next(),
+      async (req, res) => {
+      try {
+        res.json(await this.db.getLatestRulePluginRuns(req.query.team || null));
+      } catch (error) {
+        this.logger.error('Failed to get rule plugin runs', { error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve rule plugin runs' });
+      }
+    });
+
+    // Postman audit events (who created, deleted, shared or published what)
+    this.app.get('/api/governance/audit-events',
+      this.authMiddleware ? this.authMiddleware.authenticate : (req, res, next) => next(),
+      async (req, res) => {
+      try {
+        const { actor, action, team } = req.query;
+        const range = {};
+        for (const key of ['from', 'to']) {
+          if (!req.query[key]) {
+            continue;
+          }
+          // Accept ISO timestamps and Grafana's epoch milliseconds
+          const value = /^\d+$/.test(req.query[key]) ? Number(req.query[key]) : req.query[key];
+          const date = new Date(value);
+          if (isNaN(date.getTime())) {
+            return res.status(400).json({ error: `Invalid ${key} timestamp` });
+          }
+          range[key] = date.toISOString();
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+        
+        const events = await this.db.getAuditEvents({ actor, action, team, limit, ...range });
+        res.json(events);
+      } catch (error) {
+        this.logger.error('Failed to get audit events', { error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve audit events' });
+      }
+    });
+
     // Debug endpoint for testing violations
     this.app.get('/api/debug/violations', async (req, res) => {
       try {
@@ -558,19 +896,36 @@ class GovernanceCollectorApp {
     // Manual collection trigger
     this.app.post('/api/collect', async (req, res) => {
       try {
+        // Only one collection cycle may run at a time
+        const started = this.startCollection('manual');
+        if (!started) {
+          this.logger.warn('Manual collection rejected - cycle already running', {
+            triggeredBy: req.ip,
+            jobId: this.currentJob.id
+          });
+          return res.status(409).json({
+            error: 'Collection already running',
+            jobId: this.currentJob.id,
+            statusUrl: `/api/collect/${this.currentJob.id}`
+          });
+        }
+        
         this.logger.info('Manual collection triggered', { 
           triggeredBy: req.ip,
+          jobId: started.job.id,
           timestamp: new Date().toISOString()
         });
         
         // Run collection asynchronously
-        this.runCollection().catch(error => {
-          this.logger.error('Manual collection failed', { error: error.message });
+        started.promise.catch(error => {
+          this.logger.error('Manual collection failed', { jobId: started.job.id, error: error.message });
         });
         
         res.json({ 
           status: 'initiated',
           message: 'Data collection started',
+          jobId: started.job.id,
+          statusUrl: `/api/collect/${started.job.id}`,
           timestamp: new Date().toISOString()
         });
       } catch (error) {
@@ -579,6 +934,44 @@ class GovernanceCollectorApp {
       }
     });
 
+    // Collection run history (registered before /api/collect/:id)
+    this.app.get('/api/collect/runs', async (req, res) => {
+      try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+        const runs = await this.db.getCollectionRuns(limit, req.query.status || null);
+        res.json(runs);
+      } catch (error) {
+        this.logger.error('Failed to get collection runs', { error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve collection runs' });
+      }
+    });
+
+    // Collection job status (phase, progress, API calls, errors)
+    this.app.get('/api/collect/:id', (req, res) => {
+      const job = this.jobs.get(req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: 'Collection job not found' });
+      }
+      res.json(job.toJSON());
+    });
+
+    // Collection job cancellation
+    this.app.delete('/api/collect/:id', (req, res) => {
+      const job = this.jobs.get(req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: 'Collection job not found' });
+      }
+      if (!job.cancel()) {
+        return res.status(409).json({ error: 'Collection job is not running', status: job.status });
+      }
+      
+      this.logger.info('Collection cancellation requested', {
+        jobId: job.id,
+        requestedBy: req.ip
+      });
+      res.status(202).json(job.toJSON());
+    });
+
     // Configuration endpoint (read-only)
     this.app.get('/api/config', (req, res) => {
       const safeConfig = {
@@ -586,6 +979,7 @@ class GovernanceCollectorApp {
           schedule: this.config.collection.schedule,
           timeout: this.config.collection.timeout
         },
+        teams: this.teams.map(team => team.name),
         governance: {
           weights: this.config.governance.weights,
           thresholds: this.config.governance.thresholds
@@ -612,6 +1006,61 @@ class GovernanceCollectorApp {
     });
   }
 
+  /**
+   * Start a collection cycle as a tracked job unless one is already running
+   * 
+   * Single-flight guard shared by manual and scheduled triggers. The job is
+   * registered before the cycle yields, so two triggers arriving together can
+   * never both start a cycle.
+   * 
+   * @method startCollection
+   * @param {string} [trigger='manual'] - What started the cycle ('manual' or 'scheduled')
+   * 
+   * Called by:
+   * - Manual API endpoint (POST /api/collect)
+   * - Scheduled cron job (setupScheduledCollection)
+   * 
+   * @complexity O(1) - The cycle itself runs asynchronously
+   * @returns {Object|null} { job, promise } for the new cycle, or null when a cycle is already running
+   */
+  startCollection(trigger = 'manual') {
+    if (this.currentJob?.isRunning) {
+      return null;
+    }
+    
+    const job = new CollectionJob(trigger);
+    const promise = this.runCollection(job);
+    // Settled cycle promise shutdown() waits for before closing the database
+    this.currentCycle = promise.catch(() => {});
+    return { job, promise };
+  }
+
+  /**
+   * Keep a job available for status lookups, dropping the oldest finished jobs
+   * 
+   * @method registerJob
+   * @private
+   * @param {CollectionJob} job - Job to register as the current cycle
+   * 
+   * Called by: runCollection()
+   * 
+   * @complexity O(h) where h is the job history size
+   * @returns {void}
+   */
+  registerJob(job) {
+    this.currentJob = job;
+    this.jobs.set(job.id, job);
+    
+    for (const [id, previous] of this.jobs) {
+      if (this.jobs.size <= CollectionJob.DEFAULT_HISTORY_SIZE) {
+        break;
+      }
+      if (!previous.isRunning) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
   /**
    * Execute a complete governance data collection cycle
    * 
@@ -621,20 +1070,40 @@ class GovernanceCollectorApp {
    * 
    * @async
    * @method runCollection
+   * @param {CollectionJob} [job] - Job tracking the cycle (a manual job is created when omitted)
+   * @throws {Error} When another collection cycle is already running
+   * @throws {Error} When the job is cancelled
    * @throws {Error} When governance calculation fails
    * @throws {Error} When database storage fails
    * @throws {Error} When API communication fails
    * 
-   * Collection process:
-   * 1. Calculate governance metrics (documentation, testing, monitoring, organization)
-   * 2. Analyze governance violations (missing docs, untested collections, etc.)
-   * 3. Store all data in SQLite database with timestamps
-   * 4. Log collection performance and results
+   * Collection process (for each configured Postman team, one after another):
+   * 1. Collect one immutable snapshot of all Postman entities for the cycle,
+   *    reusing unchanged collections from stored fingerprints when incremental
+   * 2. Calculate governance metrics (documentation, testing, monitoring, organization)
+   * 3. Analyze governance violations (missing docs, untested collections, etc.)
+   * 4. Store all data in SQLite database with timestamps and the team name,
+   *    including audit events from the team's audit high-water mark on
+   * 5. Log collection performance and results
+   * 
+   * A failing team does not stop the remaining teams; the cycle rejects
+   * afterwards with an error naming every failed team.
+   * 
+   * Job tracking:
+   * - Phase, team, collection progress and API calls are reported on the job
+   * - Request, 4xx/5xx, retry, entity and failure counts are recorded in
+   *   collection_runs once the cycle finishes, whatever its outcome
+   * - Cancellation is checked before every request and between phases; a
+   *   cancelled cycle stores nothing further and skips the remaining teams
    * 
    * Dependencies:
+   * - DatabaseManager.getCollectionFingerprints(): Loads incremental collection state
+   * - DatabaseManager.getActiveWaivers(): Waivers left out of scores and marked on violations
+   * - PostmanClient.collectSnapshot(): Fetches every entity once per cycle
    * - GovernanceCalculator.calculateGovernanceMetrics(): Computes scores
    * - GovernanceCalculator.calculateGovernanceViolations(): Finds violations
    * - DatabaseManager.storeMetrics(): Persists data
+   * - DatabaseManager.getAuditHighWaterMark()/storeAuditEvents(): Incremental audit events
    * 
    * Called by:
    * - Scheduled cron job (setupScheduledCollection)
@@ -643,33 +1112,185 @@ class GovernanceCollectorApp {
    * @complexity O(n) where n is the number of collections and workspaces
    * @returns {Promise<void>} Resolves when collection completes successfully
    */
-  async runCollection() {
-    const startTime = Date.now();
-    this.logger.info('Starting governance data collection cycle');
+  async runCollection(job = new CollectionJob('manual')) {
+    if (this.currentJob?.isRunning && this.currentJob !== job) {
+      throw new Error(`Collection job ${this.currentJob.id} is already running`);
+    }
+    this.registerJob(job);
+    
+    const cycleStart = Date.now();
+    this.logger.info('Starting governance data collection cycle', {
+      jobId: job.id,
+      trigger: job.trigger,
+      teams: this.teams.map(team => team.name)
+    });
 
-    try {
-      // Calculate governance metrics
-      const metrics = await this.governanceCalculator.calculateGovernanceMetrics();
-      const violations = await this.governanceCalculator.calculateGovernanceViolations();
-
-      // Store in database
-      await this.db.storeMetrics(metrics, violations);
-
-      const duration = Date.now() - startTime;
-      this.logger.info('Data collection completed successfully', {
-        duration: `${duration}ms`,
-        metricsStored: Object.keys(metrics).length,
-        violationsFound: Object.values(violations).reduce((sum, arr) => sum + arr.length, 0)
+    const failedTeams = [];
+    for (const team of this.teams) {
+      if (job.signal.aborted) {
+        break;
+      }
+      
+      const startTime = Date.now();
+      const base = { ...job.progress, apiCalls: job.apiCalls };
+      const previousStats = team.postmanClient.lastRunStats;
+      try {
+        job.setPhase('collecting', team.name);
+        
+        // Skip re-downloading collections unchanged since the last stored cycle
+        // (recording needs every response, so it always fetches in full)
+        const incremental = this.config.collection.incremental !== false &&
+          team.postmanClient.fixtureMode !== 'record';
+        const fingerprints = incremental ?
+          await this.db.getCollectionFingerprints(team.name) :
+          new Map();
+        // Audit events are fetched incrementally from the newest stored event
+        const auditSince = team.postmanClient.config?.collection_scope?.audit_logs ?
+          await this.db.getAuditHighWaterMark(team.name) :
+          null;
+
+        // Fetch every entity once and share the snapshot with all calculators
+        const snapshot = await team.postmanClient.collectSnapshot({
+          fingerprints,
+          auditSince,
+          signal: job.signal,
+          onProgress: (update) => job.updateProgress(update, base)
+        });
+        job.throwIfCancelled();
+        
+        // Calculate governance metrics
+        job.setPhase('calculating');
+        const waivers = await this.db.getActiveWaivers(team.name);
+        const metrics = await team.governanceCalculator.calculateGovernanceMetrics(snapshot, { waivers });
+        const violations = await team.governanceCalculator.calculateGovernanceViolations(snapshot, {
+          firstSeen: await this.db.getViolationFirstSeen(team.name),
+          waivers
+        });
+        job.throwIfCancelled();
+
+        // Store in database
+        job.setPhase('storing');
+        await this.db.storeMetrics(metrics, violations, team.name, { failures: snapshot.failures });
+        const auditEventsStored = await this.db.storeAuditEvents(snapshot.auditEvents, team.name);
+
+        const duration = Date.now() - startTime;
+        this.logger.info('Data collection completed successfully', {
+          team: team.name,
+          duration: `${duration}ms`,
+          metricsStored: Object.keys(metrics).length,
+          auditEventsStored,
+          violationsFound: Object.values(violations).reduce((sum, arr) => sum + arr.length, 0)
+        });
+
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        this.logger.error('Data collection failed', {
+          jobId: job.id,
+          team: team.name,
+          error: error.message,
+          duration: `${duration}ms`,
+          stack: error.stack
+        });
+        job.recordError(team.name, error.message);
+        failedTeams.push({ team: team.name, error: error.message });
+      }
+      
+      // Request statistics exist only when the team got as far as fetching
+      const runStats = team.postmanClient.lastRunStats;
+      job.recordTeamStats(team.name, runStats !== previousStats ? runStats : null);
+    }
+
+    job.finish(failedTeams.length > 0 ? 'failed' : 'completed');
+    await this.recordCollectionRun(job);
+    
+    if (job.status === 'cancelled') {
+      this.logger.warn('Governance data collection cycle cancelled', {
+        jobId: job.id,
+        duration: `${Date.now() - cycleStart}ms`
       });
+      throw new Error('Collection job cancelled');
+    }
 
-    } catch (error) {
-      const duration = Date.now() - startTime;
-      this.logger.error('Data collection failed', {
-        error: error.message,
-        duration: `${duration}ms`,
-        stack: error.stack
+    if (failedTeams.length > 0) {
+      throw new Error(`Data collection failed for ${failedTeams.length} of ${this.teams.length} teams: ${
+        failedTeams.map(failure => `${failure.team} (${failure.error})`).join(', ')}`);
+    }
+
+    this.logger.info('Governance data collection cycle completed', {
+      jobId: job.id,
+      teams: this.teams.length,
+      apiCalls: job.apiCalls,
+      duration: `${Date.now() - cycleStart}ms`
+    });
+  }
+
+  /**
+   * Violation types a waiver may name
+   * 
+   * @async
+   * @method getWaiverRules
+   * @throws {Error} When SQL execution fails
+   * 
+   * Rule sources:
+   * - The built-in violation types (GovernanceCalculator VIOLATION_TYPES)
+   * - Declarative rule types of every team's rule engine
+   * - Rule plugin ids, the default type of their violations
+   * - Types stored in the violation lifecycle, which include the custom
+   *   types plugins have reported
+   * 
+   * Called by: POST /api/governance/waivers endpoint
+   * 
+   * @complexity O(t) for t known types
+   * @returns {Promise<Array<string>>} Violation types
+   */
+  async getWaiverRules() {
+    const rules = new Set(VIOLATION_TYPES);
+    for (const team of this.teams) {
+      const calculator = team.governanceCalculator;
+      if (calculator) {
+        calculator.ruleEngine.getTypes().forEach(type => rules.add(type));
+        calculator.rulePlugins.plugins.forEach(plugin => rules.add(plugin.id));
+      }
+    }
+    (await this.db.getViolationTypes()).forEach(type => rules.add(type));
+    return [...rules];
+  }
+
+  /**
+   * Persist the history record of a finished collection cycle
+   * 
+   * Failures are logged rather than thrown so a history write problem never
+   * masks the outcome of the cycle itself.
+   * 
+   * @async
+   * @method recordCollectionRun
+   * @private
+   * @param {CollectionJob} job - Finished job
+   * 
+   * Dependencies:
+   * - DatabaseManager.storeCollectionRun(): Writes the collection_runs row
+   * 
+   * Called by: runCollection()
+   * 
+   * @complexity O(f) where f is the number of recorded failures
+   * @returns {Promise<void>} Resolves when the run is stored or the failure is logged
+   */
+  async recordCollectionRun(job) {
+    const run = job.toRunRecord();
+    try {
+      await this.db.storeCollectionRun(run);
+      this.logger.info('Collection run recorded', {
+        jobId: run.id,
+        status: run.status,
+        durationMs: run.durationMs,
+        apiRequests: run.apiRequests,
+        clientErrors: run.clientErrors,
+        serverErrors: run.serverErrors,
+        retries: run.retries,
+        entityFailures: run.failures.length
       });
-      throw error;
+    } catch (error) {
+      this.logger.error('Failed to record collection run', { jobId: run.id, error: error.message });
     }
   }
 
@@ -686,12 +1307,13 @@ class GovernanceCollectorApp {
    * 
    * Features:
    * - Cron expression validation before setup
+   * - Skips a tick while another collection cycle is still running
    * - UTC timezone for consistent scheduling
    * - Error handling for failed collections
    * - Graceful degradation on collection failures
    * 
    * Dependencies:
-   * - runCollection(): Executes the actual data collection
+   * - startCollection(): Executes the actual data collection as a tracked job
    * - cron.validate(): Validates cron expression syntax
    * - cron.schedule(): Creates the scheduled job
    * 
@@ -704,10 +1326,18 @@ class GovernanceCollectorApp {
     }
 
     this.cronJob = cron.schedule(this.config.collection.schedule, async () => {
+      const started = this.startCollection('scheduled');
+      if (!started) {
+        this.logger.warn('Scheduled collection skipped - cycle already running', {
+          jobId: this.currentJob.id
+        });
+        return;
+      }
+      
       try {
-        await this.runCollection();
+        await started.promise;
       } catch (error) {
-        this.logger.error('Scheduled collection failed', { error: error.message });
+        this.logger.error('Scheduled collection failed', { jobId: started.job.id, error: error.message });
       }
     }, {
       scheduled: false,
@@ -735,14 +1365,20 @@ class GovernanceCollectorApp {
    * @throws {Error} When metric generation fails
    * 
    * Metric categories:
-   * - Governance scores (overall, documentation, testing, monitoring, organization)
+   * - Governance scores (overall, documentation, testing, monitoring, organization, security, spec lint)
    * - Organizational metrics (workspaces, collections, users, forks, mocks, monitors)
-   * - Violation counts by type
+   * - Open violation counts by type
+   * - Monitor reliability per monitor (success ratio, last run time)
+   * - Spec drift per API (drift percentage)
+   * - Postman API rate limiter state (tokens, server quota, throttled responses)
    * - System metrics (memory usage, uptime)
    * 
    * Dependencies:
    * - DatabaseManager.getLatestMetricsSummary(): Current governance data
    * - DatabaseManager.getViolationSummary(): Violation statistics
+   * - DatabaseManager.getLatestMonitorReliability(): Per-monitor run statistics
+   * - DatabaseManager.getLatestSpecDrift(): Per-API spec drift
+   * - PostmanClient.getRateLimitState(): Client rate limiter state
    * - process.memoryUsage(): Node.js memory metrics
    * - process.uptime(): Application uptime
    * 
@@ -771,6 +1407,14 @@ class GovernanceCollectorApp {
       metrics += `postman_governance_overall_score ${summary.avg_overall_score || 0}\n`;
       metrics += '\n';
       
+      metrics += '# HELP postman_governance_team_overall_score Overall governance score per Postman team (0-100)\n';
+      metrics += '# TYPE postman_governance_team_overall_score gauge\n';
+      for (const team of await this.db.getTeams()) {
+        const teamSummary = await this.db.getLatestMetricsSummary(team.team);
+        metrics += `postman_governance_team_overall_score{team="${escapeLabelValue(team.team)}"} ${teamSummary.avg_overall_score || 0}\n`;
+      }
+      metrics += '\n';
+      
       metrics += '# HELP postman_governance_documentation_score Documentation coverage score (0-100)\n';
       metrics += '# TYPE postman_governance_documentation_score gauge\n';
       metrics += `postman_governance_documentation_score ${summary.avg_documentation_score || 0}\n`;
@@ -791,6 +1435,16 @@ class GovernanceCollectorApp {
       metrics += `postman_governance_organization_score ${summary.avg_organization_score || 0}\n`;
       metrics += '\n';
       
+      metrics += '# HELP postman_governance_security_score Security posture score - requests and environments without exposed credentials (0-100)\n';
+      metrics += '# TYPE postman_governance_security_score gauge\n';
+      metrics += `postman_governance_security_score ${summary.avg_security_score || 0}\n`;
+      metrics += '\n';
+      
+      metrics += '# HELP postman_governance_spec_lint_score API schema lint pass rate (0-100)\n';
+      metrics += '# TYPE postman_governance_spec_lint_score gauge\n';
+      metrics += `postman_governance_spec_lint_score ${summary.avg_spec_lint_score || 0}\n`;
+      metrics += '\n';
+      
       // Organizational metrics
       metrics += '# HELP postman_total_workspaces Total number of workspaces\n';
       metrics += '# TYPE postman_total_workspaces gauge\n';
@@ -838,7 +1492,7 @@ class GovernanceCollectorApp {
       metrics += '\n';
       
       // Violations by type
-      metrics += '# HELP postman_governance_violations Number of governance violations by type\n';
+      metrics += '# HELP postman_governance_violations Number of open governance violations by type\n';
       metrics += '# TYPE postman_governance_violations gauge\n';
       
       for (const violation of violations) {
@@ -847,6 +1501,139 @@ class GovernanceCollectorApp {
       }
       metrics += '\n';
       
+      // Monitor reliability
+      const monitorReliability = await this.db.getLatestMonitorReliability();
+      if (monitorReliability.length > 0) {
+        metrics += '# HELP postman_monitor_success_ratio Share of recent monitor runs that succeeded (0-1)\n';
+        metrics += '# TYPE postman_monitor_success_ratio gauge\n';
+        for (const row of monitorReliability) {
+          metrics += `postman_monitor_success_ratio{monitor="${escapeLabelValue(row.monitor_name || row.monitor_id)}",monitor_id="${escapeLabelValue(row.monitor_id)}",team="${escapeLabelValue(row.team)}"} ${row.success_ratio}\n`;
+        }
+        metrics += '# HELP postman_monitor_last_run_timestamp_seconds Start time of the most recent monitor run\n';
+        metrics += '# TYPE postman_monitor_last_run_timestamp_seconds gauge\n';
+        for (const row of monitorReliability.filter(row => row.last_run_at)) {
+          metrics += `postman_monitor_last_run_timestamp_seconds{monitor="${escapeLabelValue(row.monitor_name || row.monitor_id)}",monitor_id="${escapeLabelValue(row.monitor_id)}",team="${escapeLabelValue(row.team)}"} ${Math.floor(Date.parse(row.last_run_at) / 1000)}\n`;
+        }
+        metrics += '\n';
+      }
+      
+      // Spec drift
+      const specDrift = await this.db.getLatestSpecDrift();
+      if (specDrift.length > 0) {
+        metrics += '# HELP postman_api_spec_drift_percent Share of endpoints drifting between an API schema and its collections (0-100)\n';
+        metrics += '# TYPE postman_api_spec_drift_percent gauge\n';
+        for (const row of specDrift) {
+          metrics += `postman_api_spec_drift_percent{api="${escapeLabelValue(row.api_name || row.api_id)}",api_id="${escapeLabelValue(row.api_id)}",team="${escapeLabelValue(row.team)}"} ${row.drift_percentage}\n`;
+        }
+        metrics += '\n';
+      }
+      
+      // Rule plugins
+      const rulePluginRuns = await this.db.getLatestRulePluginRuns();
+      if (rulePluginRuns.length > 0) {
+        metrics += '# HELP postman_governance_rule_plugin_up Whether the rule plugin completed in the latest cycle (1) or failed or timed out (0)\n';
+        metrics += '# TYPE postman_governance_rule_plugin_up gauge\n';
+        for (const row of rulePluginRuns) {
+          metrics += `postman_governance_rule_plugin_up{plugin="${escapeLabelValue(row.plugin_id)}",status="${escapeLabelValue(row.status)}",team="${escapeLabelValue(row.team)}"} ${row.status === 'ok' ? 1 : 0}\n`;
+        }
+        metrics += '# HELP postman_governance_rule_plugin_duration_seconds Run time of the rule plugin in the latest cycle\n';
+        metrics += '# TYPE postman_governance_rule_plugin_duration_seconds gauge\n';
+        for (const row of rulePluginRuns) {
+          metrics += `postman_governance_rule_plugin_duration_seconds{plugin="${escapeLabelValue(row.plugin_id)}",team="${escapeLabelValue(row.team)}"} ${row.duration_ms / 1000}\n`;
+        }
+        const contributions = rulePluginRuns.flatMap(row => Object.entries(row.metrics).map(([name, value]) => ({ row, name, value })));
+        if (contributions.length > 0) {
+          metrics += '# HELP postman_governance_rule_plugin_metric Metric contributed by a rule plugin\n';
+          metrics += '# TYPE postman_governance_rule_plugin_metric gauge\n';
+          for (const { row, name, value } of contributions) {
+            metrics += `postman_governance_rule_plugin_metric{plugin="${escapeLabelValue(row.plugin_id)}",metric="${escapeLabelValue(name)}",team="${escapeLabelValue(row.team)}"} ${value}\n`;
+          }
+        }
+        metrics += '\n';
+      }
+      
+      // Postman API rate limiter and circuit breaker, per team client
+      const clients = this.teams.map(team => ({
+        label: `{team="${escapeLabelValue(team.name)}"}`,
+        rateLimit: team.postmanClient.getRateLimitState(),
+        circuitBreaker: team.postmanClient.getCircuitBreakerState()
+      }));
+      const gauge = (name, help, type, values) => {
+        if (values.length === 0) {
+          return '';
+        }
+        let lines = `# HELP ${name} ${help}\n# TYPE ${name} ${type}\n`;
+        for (const { label, value } of values) {
+          lines += `${name}${label} ${value}\n`;
+        }
+        return lines;
+      };
+      
+      metrics += gauge('postman_api_rate_limit_tokens', 'Tokens available in the client rate limiter bucket', 'gauge',
+        clients.map(({ label, rateLimit }) => ({ label, value: rateLimit.tokens })));
+      metrics += gauge('postman_api_rate_limit_capacity', 'Client rate limiter bucket capacity (burst allowance)', 'gauge',
+        clients.map(({ label, rateLimit }) => ({ label, value: rateLimit.capacity })));
+      metrics += gauge('postman_api_rate_limit_waiting', 'Requests currently delayed by the rate limiter', 'gauge',
+        clients.map(({ label, rateLimit }) => ({ label, value: rateLimit.waiting })));
+      metrics += gauge('postman_api_rate_limit_remaining', 'Requests remaining as reported by the Postman API', 'gauge',
+        clients.filter(({ rateLimit }) => rateLimit.serverRemaining !== null)
+          .map(({ label, rateLimit }) => ({ label, value: rateLimit.serverRemaining })));
+      metrics += gauge('postman_api_throttled_responses_total', '429 responses received from the Postman API', 'counter',
+        clients.map(({ label, rateLimit }) => ({ label, value: rateLimit.throttledResponses })));
+      metrics += '\n';
+      
+      metrics += gauge('postman_api_circuit_breaker_state', 'Circuit breaker state (0 closed, 1 half-open, 2 open)', 'gauge',
+        clients.map(({ label, circuitBreaker }) => ({ label, value: circuitBreaker.stateValue })));
+      metrics += gauge('postman_api_circuit_breaker_error_rate', 'Error rate over the circuit breaker window (0-1)', 'gauge',
+        clients.map(({ label, circuitBreaker }) => ({ label, value: circuitBreaker.errorRate })));
+      metrics += gauge('postman_api_circuit_breaker_opened_total', 'Times the circuit breaker opened', 'counter',
+        clients.map(({ label, circuitBreaker }) => ({ label, value: circuitBreaker.timesOpened })));
+      metrics += gauge('postman_api_circuit_breaker_rejected_total', 'Requests failed fast by the open circuit breaker', 'counter',
+        clients.map(({ label, circuitBreaker }) => ({ label, value: circuitBreaker.rejectedRequests })));
+      metrics += '\n';
+      
+      // Collection run history
+      const runStats = await this.db.getCollectionRunStats();
+      metrics += '# HELP postman_collection_runs_total Collection cycles recorded by final status\n';
+      metrics += '# TYPE postman_collection_runs_total counter\n';
+      for (const row of runStats.byStatus) {
+        metrics += `postman_collection_runs_total{status="${row.status}"} ${row.runs}\n`;
+      }
+      metrics += '# HELP postman_collection_api_requests_total Postman API requests made by collection cycles\n';
+      metrics += '# TYPE postman_collection_api_requests_total counter\n';
+      metrics += `postman_collection_api_requests_total ${runStats.byStatus.reduce((sum, row) => sum + (row.api_requests || 0), 0)}\n`;
+      metrics += '# HELP postman_collection_api_errors_total Postman API error responses during collection cycles by class\n';
+      metrics += '# TYPE postman_collection_api_errors_total counter\n';
+      metrics += `postman_collection_api_errors_total{class="4xx"} ${runStats.byStatus.reduce((sum, row) => sum + (row.client_errors || 0), 0)}\n`;
+      metrics += `postman_collection_api_errors_total{class="5xx"} ${runStats.byStatus.reduce((sum, row) => sum + (row.server_errors || 0), 0)}\n`;
+      metrics += '# HELP postman_collection_api_retries_total Postman API requests retried during collection cycles\n';
+      metrics += '# TYPE postman_collection_api_retries_total counter\n';
+      metrics += `postman_collection_api_retries_total ${runStats.byStatus.reduce((sum, row) => sum + (row.retries || 0), 0)}\n`;
+      if (runStats.lastRun) {
+        const lastRun = runStats.lastRun;
+        metrics += '# HELP postman_collection_last_run_success Whether the most recent collection cycle completed (1) or not (0)\n';
+        metrics += '# TYPE postman_collection_last_run_success gauge\n';
+        metrics += `postman_collection_last_run_success ${lastRun.status === 'completed' ? 1 : 0}\n`;
+        metrics += '# HELP postman_collection_last_run_duration_seconds Duration of the most recent collection cycle\n';
+        metrics += '# TYPE postman_collection_last_run_duration_seconds gauge\n';
+        metrics += `postman_collection_last_run_duration_seconds ${(lastRun.duration_ms || 0) / 1000}\n`;
+        metrics += '# HELP postman_collection_last_run_timestamp_seconds Start time of the most recent collection cycle\n';
+        metrics += '# TYPE postman_collection_last_run_timestamp_seconds gauge\n';
+        metrics += `postman_collection_last_run_timestamp_seconds ${Math.floor(Date.parse(lastRun.started_at) / 1000)}\n`;
+        metrics += '# HELP postman_collection_last_run_api_requests Postman API requests made by the most recent collection cycle\n';
+        metrics += '# TYPE postman_collection_last_run_api_requests gauge\n';
+        metrics += `postman_collection_last_run_api_requests ${lastRun.api_requests}\n`;
+        metrics += '# HELP postman_collection_last_run_entity_failures Entities skipped after errors in the most recent collection cycle\n';
+        metrics += '# TYPE postman_collection_last_run_entity_failures gauge\n';
+        metrics += `postman_collection_last_run_entity_failures ${lastRun.entity_failures}\n`;
+      }
+      if (runStats.lastSuccessAt) {
+        metrics += '# HELP postman_collection_last_success_timestamp_seconds Start time of the most recent completed collection cycle\n';
+        metrics += '# TYPE postman_collection_last_success_timestamp_seconds gauge\n';
+        metrics += `postman_collection_last_success_timestamp_seconds ${Math.floor(Date.parse(runStats.lastSuccessAt) / 1000)}\n`;
+      }
+      metrics += '\n';
+      
       // System metrics
       const memUsage = process.memoryUsage();
       metrics += '# HELP nodejs_memory_usage_bytes Node.js memory usage in bytes\n';
@@ -958,8 +1745,10 @@ class GovernanceCollectorApp {
    * Perform graceful application shutdown
    * 
    * Handles shutdown signals (SIGTERM, SIGINT) by stopping scheduled jobs,
-   * closing database connections, and exiting cleanly. Ensures data integrity
-   * and proper resource cleanup.
+   * cancelling and waiting for the running collection cycle, closing database
+   * connections, and exiting cleanly. Ensures data integrity and proper
+   * resource cleanup: a cycle that is storing finishes its transaction and
+   * run record before the database is closed.
    * 
    * @async
    * @method shutdown
@@ -969,11 +1758,13 @@ class GovernanceCollectorApp {
    * Shutdown sequence:
    * 1. Log shutdown initiation with signal information
    * 2. Stop cron job to prevent new collections
-   * 3. Close database connections
-   * 4. Exit process with success code
+   * 3. Cancel the running collection job and wait for its cycle to settle
+   * 4. Close database connections
+   * 5. Exit process with success code
    * 
    * Dependencies:
    * - cronJob.stop(): Stops scheduled collection
+   * - CollectionJob.cancel(): Stops the running cycle at its next check
    * - DatabaseManager.close(): Closes database connections
    * 
    * Called by: Process signal handlers (SIGTERM, SIGINT)
@@ -988,6 +1779,13 @@ class GovernanceCollectorApp {
       this.cronJob.stop();
     }
 
+    if (this.currentJob?.cancel()) {
+      this.logger.info('Cancelled running collection job', { jobId: this.currentJob.id });
+    }
+    if (this.currentCycle) {
+      await this.currentCycle;
+    }
+
     if (this.db) {
       await this.db.close();
     }
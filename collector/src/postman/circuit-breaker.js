@@ -0,0 +1,287 @@
+/**
+ * Circuit Breaker - Fail Fast While the Postman API Is Degraded
+ *
+ * Circuit breaker used by PostmanClient to stop sending requests once a high
+ * share of recent Postman API calls fail, so a degraded Postman API is not
+ * hammered with retries and collection cycles end quickly instead of retrying
+ * every collection with backoff for hours.
+ */
+
+// Numeric state values exported as a Prometheus gauge
+const STATE_VALUES = { closed: 0, half_open: 1, open: 2 };
+
+/**
+ * Circuit Breaker Class
+ *
+ * Shared by every request issued through a PostmanClient instance. Outcomes
+ * of the most recent requests are kept in a fixed-size rolling window; the
+ * circuit opens when the error rate in that window reaches the threshold.
+ *
+ * @class CircuitBreaker
+ * @description Error-rate circuit breaker for Postman API requests
+ *
+ * States:
+ * - closed: Requests flow normally; outcomes are recorded in the window
+ * - open: Requests fail immediately with code ECIRCUITOPEN until openMs has elapsed
+ * - half_open: Up to halfOpenProbes requests are let through to probe recovery;
+ *   a successful probe closes the circuit, a failed probe opens it again
+ *
+ * Failures:
+ * - Network errors, timeouts and 5xx responses count as failures
+ * - 4xx responses (including 429, handled by the rate limiter) count as successes
+ *   because they show the Postman API is answering
+ *
+ * Called by: PostmanClient request/response interceptors
+ *
+ * @complexity O(1) per request, O(w) memory for a window of w outcomes
+ */
+class CircuitBreaker {
+  /**
+   * Initialize a closed circuit
+   *
+   * @constructor
+   * @param {Object} [options={}] - Breaker options
+   * @param {boolean} [options.enabled=true] - When false the breaker never opens
+   * @param {number} [options.errorRateThreshold=0.5] - Error rate (0-1) that opens the circuit
+   * @param {number} [options.minimumRequests=10] - Outcomes required before the rate is evaluated
+   * @param {number} [options.windowSize=20] - Number of recent outcomes kept
+   * @param {number} [options.openMs=60000] - Time the circuit stays open before probing
+   * @param {number} [options.halfOpenProbes=1] - Concurrent probe requests while half-open
+   *
+   * Configuration mapping (postman.circuit_breaker):
+   * - enabled → enabled
+   * - error_rate_threshold → errorRateThreshold
+   * - minimum_requests → minimumRequests
+   * - window_size → windowSize
+   * - open_seconds → openMs
+   * - half_open_probes → halfOpenProbes
+   *
+   * @complexity O(1) - Simple instance variable initialization
+   */
+  constructor({
+    enabled = true,
+    errorRateThreshold = 0.5,
+    minimumRequests = 10,
+    windowSize = 20,
+    openMs = 60000,
+    halfOpenProbes = 1
+  } = {}) {
+    this.enabled = enabled;
+    this.errorRateThreshold = errorRateThreshold;
+    this.windowSize = Math.max(1, windowSize);
+    this.minimumRequests = Math.min(Math.max(1, minimumRequests), this.windowSize);
+    this.openMs = openMs;
+    this.halfOpenProbes = Math.max(1, halfOpenProbes);
+
+    this.state = 'closed';
+    this.outcomes = [];
+    this.openedAt = 0;
+    this.probesInFlight = 0;
+    this.timesOpened = 0;
+    this.rejectedRequests = 0;
+    this.lastError = null;
+  }
+
+  /**
+   * Build a configured breaker from postman.circuit_breaker settings
+   *
+   * @static
+   * @method fromConfig
+   * @param {Object} [config={}] - postman.circuit_breaker section
+   * @returns {CircuitBreaker} Configured breaker
+   */
+  static fromConfig(config = {}) {
+    return new CircuitBreaker({
+      enabled: config.enabled !== false,
+      errorRateThreshold: config.error_rate_threshold ?? 0.5,
+      minimumRequests: config.minimum_requests ?? 10,
+      windowSize: config.window_size ?? 20,
+      openMs: (config.open_seconds ?? 60) * 1000,
+      halfOpenProbes: config.half_open_probes ?? 1
+    });
+  }
+
+  /**
+   * Move an open circuit to half-open once its open period has elapsed
+   *
+   * @method refreshState
+   * @private
+   * @param {number} now - Current time in milliseconds
+   * @returns {void}
+   */
+  refreshState(now) {
+    if (this.state === 'open' && now - this.openedAt >= this.openMs) {
+      this.state = 'half_open';
+      this.probesInFlight = 0;
+    }
+  }
+
+  /**
+   * Whether a request could be sent right now, without reserving a probe
+   *
+   * Used before waiting on the rate limiter so requests fail fast instead of
+   * queueing for tokens while the circuit is open.
+   *
+   * @method canRequest
+   * @returns {boolean} False while open, or while half-open with every probe in flight
+   */
+  canRequest() {
+    if (!this.enabled) {
+      return true;
+    }
+    this.refreshState(Date.now());
+    if (this.state === 'open') {
+      return false;
+    }
+    return this.state === 'closed' || this.probesInFlight < this.halfOpenProbes;
+  }
+
+  /**
+   * Admit a request or fail fast
+   *
+   * @method beforeRequest
+   * @throws {Error} With code ECIRCUITOPEN when the request is not admitted
+   * @returns {void}
+   */
+  beforeRequest() {
+    if (!this.canRequest()) {
+      this.rejectedRequests++;
+      const error = new Error('Postman API circuit breaker is open - failing fast');
+      error.code = 'ECIRCUITOPEN';
+      throw error;
+    }
+    if (this.enabled && this.state === 'half_open') {
+      this.probesInFlight++;
+    }
+  }
+
+  /**
+   * Record a request that reached the Postman API and got a non-5xx answer
+   *
+   * @method recordSuccess
+   * @returns {void}
+   */
+  recordSuccess() {
+    if (!this.enabled) {
+      return;
+    }
+    if (this.state === 'half_open') {
+      // Recovery confirmed - start over with a clean window
+      this.state = 'closed';
+      this.outcomes = [];
+      this.probesInFlight = 0;
+      return;
+    }
+    this.pushOutcome(true);
+  }
+
+  /**
+   * Record a network error, timeout or 5xx response
+   *
+   * @method recordFailure
+   * @param {Error} [error] - Failure cause, kept for state reporting
+   * @returns {void}
+   */
+  recordFailure(error) {
+    if (!this.enabled) {
+      return;
+    }
+    this.lastError = error?.message || null;
+
+    if (this.state === 'half_open') {
+      this.open(Date.now());
+      return;
+    }
+    if (this.state === 'open') {
+      return;
+    }
+
+    this.pushOutcome(false);
+    const failures = this.outcomes.filter(success => !success).length;
+    if (this.outcomes.length >= this.minimumRequests &&
+        failures / this.outcomes.length >= this.errorRateThreshold) {
+      this.open(Date.now());
+    }
+  }
+
+  /**
+   * Give back a half-open probe whose request was cancelled without an outcome
+   *
+   * @method releaseProbe
+   * @returns {void}
+   */
+  releaseProbe() {
+    if (this.state === 'half_open' && this.probesInFlight > 0) {
+      this.probesInFlight--;
+    }
+  }
+
+  /**
+   * Append an outcome to the rolling window
+   *
+   * @method pushOutcome
+   * @private
+   * @param {boolean} success - Whether the request succeeded
+   * @returns {void}
+   */
+  pushOutcome(success) {
+    this.outcomes.push(success);
+    if (this.outcomes.length > this.windowSize) {
+      this.outcomes.shift();
+    }
+  }
+
+  /**
+   * Open the circuit
+   *
+   * @method open
+   * @private
+   * @param {number} now - Current time in milliseconds
+   * @returns {void}
+   */
+  open(now) {
+    this.state = 'open';
+    this.openedAt = now;
+    this.probesInFlight = 0;
+    this.outcomes = [];
+    this.timesOpened++;
+  }
+
+  /**
+   * Report current breaker state for health checks and metrics
+   *
+   * @method getState
+   *
+   * Return format:
+   * - enabled / state / stateValue: Current state (stateValue 0 closed, 1 half-open, 2 open)
+   * - errorRate / windowRequests: Error rate over the current window
+   * - openedAt / retryAt: ISO times the circuit opened and will half-open (null when closed)
+   * - timesOpened / rejectedRequests: Cumulative counters
+   * - lastError: Message of the last recorded failure
+   *
+   * Called by: PostmanClient.getCircuitBreakerState()
+   *
+   * @complexity O(w) where w is the window size
+   * @returns {Object} Circuit breaker state
+   */
+  getState() {
+    this.refreshState(Date.now());
+    const failures = this.outcomes.filter(success => !success).length;
+    const isOpen = this.state !== 'closed';
+
+    return {
+      enabled: this.enabled,
+      state: this.state,
+      stateValue: STATE_VALUES[this.state],
+      errorRate: this.outcomes.length > 0 ? Math.round((failures / this.outcomes.length) * 100) / 100 : 0,
+      windowRequests: this.outcomes.length,
+      openedAt: isOpen ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.openMs).toISOString() : null,
+      timesOpened: this.timesOpened,
+      rejectedRequests: this.rejectedRequests,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
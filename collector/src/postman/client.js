@@ -8,6 +8,14 @@
 
 const axios = require('axios');
 const https = require('https');
+const crypto = require('crypto');
+const yaml = require('yaml');
+const TokenBucketRateLimiter = require('./rate-limiter');
+const CircuitBreaker = require('./circuit-breaker');
+const FixtureArchive = require('./fixture-archive');
+
+// Collection info fields that change when a collection is saved without its content changing
+const VOLATILE_COLLECTION_INFO = ['updatedAt', 'lastUpdatedBy'];
 
 /**
  * Postman API Client Class
@@ -45,7 +53,8 @@ class PostmanClient {
    * enterprise-grade settings for reliable API communication.
    * 
    * @constructor
-   * @param {string} apiKey - Postman API key for authentication
+   * @param {string|null} apiKey - Postman API key for authentication; null in
+   *   fixture replay mode, which never contacts the Postman API
    * @param {Object} config - Client configuration including timeouts and limits
    * @param {Object} logger - Logger instance for request/response logging
    * 
@@ -53,13 +62,21 @@ class PostmanClient {
    * - config.base_url: Postman API base URL
    * - config.timeout_seconds: Request timeout in seconds
    * - config.rate_limit.requests_per_minute: API rate limit
-   * - config.limits: Data collection limits
+   * - config.rate_limit.burst_allowance: Requests allowed back-to-back (default 1)
+   * - config.limits: Data collection limits (limits.max_list_pages caps pagination)
    * - config.collection_scope: Scope configuration for data collection
+   * - config.workers: Number of requests allowed in flight at once (default 1)
+   * - config.fixtures: Optional record/replay settings ({ mode, path })
    * 
    * Rate limiting:
-   * - Calculates delay between requests based on configured rate limit
-   * - Implements client-side rate limiting to respect API quotas
-   * - Tracks last request time for enforcement
+   * - Token bucket refilled at the configured rate with burst_allowance capacity
+   * - Adapts to X-RateLimit-Remaining/X-RateLimit-Reset headers from Postman
+   * - Reserves tokens synchronously so concurrent workers share one limiter
+   * 
+   * Circuit breaking (config.circuit_breaker):
+   * - Opens once the error rate (network errors, 5xx) of recent requests
+   *   reaches the threshold; requests then fail fast without being retried
+   * - Half-opens after open_seconds and closes again on a successful probe
    * 
    * Connection pooling:
    * - Keep-alive connections for performance optimization
@@ -69,10 +86,16 @@ class PostmanClient {
    * 
    * Request/Response interceptors:
    * - Request interceptor enforces rate limiting before each request
+   * - Response interceptor feeds rate-limit headers back into the limiter
    * - Response interceptor handles errors and retry logic
    * - Automatic retry for rate limit (429) responses
    * - Structured error handling for authentication and authorization
    * 
+   * Record/replay (config.fixtures.mode):
+   * - 'record': Every raw response is captured into a FixtureArchive, saved by collectSnapshot()
+   * - 'replay': Requests are answered from the archive by an axios adapter with no
+   *   network access and no rate limiting
+   * 
    * Security features:
    * - API key in X-API-Key header for authentication
    * - TLS certificate validation enabled
@@ -85,14 +108,37 @@ class PostmanClient {
     this.apiKey = apiKey;
     this.config = config;
     this.logger = logger;
-    this.rateLimitDelay = Math.ceil(60000 / config.rate_limit.requests_per_minute);
-    this.lastRequestTime = 0;
+    this.rateLimiter = new TokenBucketRateLimiter({
+      requestsPerMinute: config.rate_limit.requests_per_minute,
+      burstAllowance: config.rate_limit.burst_allowance
+    });
+    this.circuitBreaker = CircuitBreaker.fromConfig(config.circuit_breaker);
+    this.concurrency = Math.max(1, parseInt(config.workers, 10) || 1);
+    this.listPagination = new Map();
+    this.requestCount = 0;
+    this.clientErrorCount = 0;
+    this.serverErrorCount = 0;
+    this.retryCount = 0;
+    this.lastRunStats = null;
+    this.abortSignal = null;
+    this.fixtureMode = config.fixtures?.mode || 'off';
+    if (!['off', 'record', 'replay'].includes(this.fixtureMode)) {
+      throw new Error(`Invalid fixture mode: ${this.fixtureMode}`);
+    }
+    if (this.fixtureMode !== 'off' && !config.fixtures.path) {
+      throw new Error(`Fixture path is required for ${this.fixtureMode} mode`);
+    }
+    if (!apiKey && this.fixtureMode !== 'replay') {
+      throw new Error('Postman API key is required unless fixtures.mode is replay');
+    }
+    this.fixtureArchive = this.fixtureMode === 'off' ? null :
+      new FixtureArchive(config.fixtures.path, logger);
     
     // Create HTTPS agent with keep-alive and connection settings
     const httpsAgent = new https.Agent({
       keepAlive: true,
       keepAliveMsecs: 30000,
-      maxSockets: 10,
+      maxSockets: Math.max(10, this.concurrency),
       maxFreeSockets: 5,
       timeout: config.timeout_seconds * 1000,
       freeSocketTimeout: 15000,
@@ -104,7 +150,7 @@ class PostmanClient {
     this.client = axios.create({
       baseURL: config.base_url,
       headers: {
-        'X-API-Key': apiKey,
+        ...(apiKey ? { 'X-API-Key': apiKey } : {}),
         'Content-Type': 'application/json',
         'User-Agent': 'Postman-Governance-Collector/1.0.0',
         'Connection': 'keep-alive'
@@ -116,16 +162,59 @@ class PostmanClient {
       validateStatus: (status) => status < 500 // Don't throw on 4xx errors
     });
     
-    // Add request interceptor for rate limiting
+    // Serve responses from a recorded archive instead of the network
+    if (this.fixtureMode === 'replay') {
+      this.client.defaults.adapter = this.fixtureArchive.load().createReplayAdapter();
+    }
+    
+    // Add request interceptor for cancellation, rate limiting (replayed responses are
+    // not rate limited) and API call counting
     this.client.interceptors.request.use(async (requestConfig) => {
-      await this.enforceRateLimit();
+      this.throwIfAborted();
+      // Fail fast before queueing for a rate limit token while the circuit is open
+      if (!this.circuitBreaker.canRequest()) {
+        this.circuitBreaker.beforeRequest();
+      }
+      if (this.fixtureMode !== 'replay') {
+        await this.enforceRateLimit();
+      }
+      this.throwIfAborted();
+      this.circuitBreaker.beforeRequest();
+      if (this.abortSignal && !requestConfig.signal) {
+        requestConfig.signal = this.abortSignal;
+      }
+      this.requestCount++;
       return requestConfig;
     });
     
-    // Add response interceptor for error handling and retry
+    // Add response interceptor for quota tracking, recording, error handling and retry
     this.client.interceptors.response.use(
-      (response) => response,
+      (response) => {
+        if (response.status >= 400) {
+          this.clientErrorCount++;
+        }
+        this.circuitBreaker.recordSuccess();
+        this.rateLimiter.update(response.headers, response.status);
+        if (this.fixtureMode === 'record') {
+          this.fixtureArchive.record(response);
+        }
+        return response;
+      },
       async (error) => {
+        if (error.response) {
+          if (error.response.status >= 500) {
+            this.serverErrorCount++;
+          } else if (error.response.status >= 400) {
+            this.clientErrorCount++;
+          }
+          this.rateLimiter.update(error.response.headers, error.response.status);
+        }
+        // Fail-fast rejections and cancellations never reached the Postman API
+        if (error.code === 'ERR_CANCELED') {
+          this.circuitBreaker.releaseProbe();
+        } else if (error.code !== 'ECIRCUITOPEN') {
+          this.circuitBreaker.recordFailure(error);
+        }
         return this.handleRequestError(error);
       }
     );
@@ -135,43 +224,169 @@ class PostmanClient {
    * Enforce client-side rate limiting for API compliance
    * 
    * Implements proactive rate limiting to stay within Postman API quotas.
-   * Calculates required delay based on configured rate limit and waits
-   * if necessary before allowing the request to proceed.
+   * Takes a token from the shared TokenBucketRateLimiter and waits if
+   * necessary before allowing the request to proceed.
    * 
    * @async
    * @method enforceRateLimit
    * @private
    * 
    * Rate limiting algorithm:
-   * 1. Calculate time since last request
-   * 2. If time is less than required delay, wait for the difference
-   * 3. Update last request time after delay
+   * 1. Refill the bucket for the time elapsed since the last request
+   * 2. Reserve a token, borrowing against future refill when the bucket is empty
+   * 3. Hold back when the server-reported quota is down to its reserve
+   * 4. Wait until the reserved start time before letting the request proceed
+   * 
+   * Tokens are reserved synchronously, so requests issued in parallel by
+   * runWithConcurrency() never exceed the configured rate overall.
    * 
    * Benefits:
    * - Prevents 429 (Too Many Requests) responses
-   * - Maintains consistent request pacing
-   * - Reduces need for retry logic
+   * - Allows short bursts up to burst_allowance without delay
+   * - Follows the quota Postman actually reports
    * - Improves overall reliability
    * 
    * Configuration:
-   * - rateLimitDelay calculated from requests_per_minute setting
-   * - Example: 280 req/min = 214ms delay between requests
+   * - requests_per_minute: Sustained refill rate (280 req/min = one token per 214ms)
+   * - burst_allowance: Bucket capacity
    * 
    * Called by: Request interceptor for every outgoing request
    * 
-   * @complexity O(1) - Simple timing calculation and potential delay
+   * @complexity O(1) - Constant-time reservation and potential delay
    * @returns {Promise<void>} Resolves when request can proceed
    */
   async enforceRateLimit() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    
-    if (timeSinceLastRequest < this.rateLimitDelay) {
-      const delay = this.rateLimitDelay - timeSinceLastRequest;
-      await new Promise(resolve => setTimeout(resolve, delay));
+    await this.rateLimiter.acquire();
+  }
+  
+  /**
+   * Report client-side rate limiter state
+   * 
+   * Exposes how close the collector is to the Postman API limit: available
+   * tokens, queued requests, the last server-reported quota and 429 counts.
+   * 
+   * @method getRateLimitState
+   * 
+   * Called by:
+   * - HealthChecker.checkPostmanAPI() for health details
+   * - GovernanceCollectorApp.getPrometheusMetrics() for rate limit gauges
+   * 
+   * @complexity O(1) - Delegates to TokenBucketRateLimiter.getState()
+   * @returns {Object} Rate limiter state (see TokenBucketRateLimiter.getState())
+   */
+  getRateLimitState() {
+    return this.rateLimiter.getState();
+  }
+  
+  /**
+   * Report circuit breaker state for health checks and metrics
+   * 
+   * @method getCircuitBreakerState
+   * 
+   * Called by:
+   * - HealthChecker.checkPostmanAPI() for health details
+   * - GovernanceCollectorApp.getPrometheusMetrics() for circuit breaker gauges
+   * 
+   * @complexity O(w) - Delegates to CircuitBreaker.getState()
+   * @returns {Object} Circuit breaker state (see CircuitBreaker.getState())
+   */
+  getCircuitBreakerState() {
+    return this.circuitBreaker.getState();
+  }
+  
+  /**
+   * Report cumulative request counters for this client
+   * 
+   * 4xx responses resolve (validateStatus accepts them) and 5xx responses
+   * reject, so both are counted in the response interceptor; rejected
+   * responses are counted by their status, since a request may narrow
+   * validateStatus, and network errors without a response are not counted.
+   * Retries are counted by the 429 handler and makeRequestWithRetry().
+   * 
+   * @method getRequestStats
+   * 
+   * Return format:
+   * - requests: Requests sent (including retries)
+   * - clientErrors: Responses with a 4xx status
+   * - serverErrors: Responses with a 5xx status
+   * - retries: Requests repeated after a 429 or transient network error
+   * 
+   * Called by: collectAllData() to compute per-cycle statistics
+   * 
+   * @complexity O(1)
+   * @returns {Object} Request counters since the client was created
+   */
+  getRequestStats() {
+    return {
+      requests: this.requestCount,
+      clientErrors: this.clientErrorCount,
+      serverErrors: this.serverErrorCount,
+      retries: this.retryCount
+    };
+  }
+  
+  /**
+   * Stop the current collection when its job has been cancelled
+   * 
+   * @method throwIfAborted
+   * @private
+   * @throws {Error} When the AbortSignal passed to collectAllData() is aborted
+   * 
+   * Called by: Request interceptor, runWithConcurrency() and collectAllData()
+   * 
+   * @complexity O(1)
+   * @returns {void}
+   */
+  throwIfAborted() {
+    if (this.abortSignal?.aborted) {
+      const error = new Error('Collection cancelled');
+      error.code = 'ERR_CANCELED';
+      throw error;
     }
+  }
+  
+  /**
+   * Run an async task over a list of items with bounded concurrency
+   * 
+   * Concurrency-limited fetch scheduler used by collectAllData(). Starts up to
+   * `limit` tasks at once and begins the next item as soon as one finishes.
+   * Every request still passes through the shared rate limiter, so the pool only
+   * overlaps network latency and never exceeds the configured request rate.
+   * 
+   * @async
+   * @method runWithConcurrency
+   * @param {Array} items - Items to process
+   * @param {Function} task - Async function called as task(item, index)
+   * @param {number} [limit=this.concurrency] - Maximum tasks in flight
+   * @throws {Error} The first task error; remaining queued items are not started
+   * @throws {Error} When the collection is cancelled; queued items are not started
+   * 
+   * Called by: collectAllData() for list, workspace and collection fetches
+   * 
+   * @complexity O(n) where n is the number of items
+   * @returns {Promise<Array>} Task results in the same order as items
+   */
+  async runWithConcurrency(items, task, limit = this.concurrency) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let failed = false;
     
-    this.lastRequestTime = Date.now();
+    const worker = async () => {
+      while (!failed && nextIndex < items.length) {
+        this.throwIfAborted();
+        const index = nextIndex++;
+        try {
+          results[index] = await task(items[index], index);
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      }
+    };
+    
+    const workerCount = Math.min(Math.max(1, limit), items.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return results;
   }
   
   /**
@@ -235,6 +450,7 @@ class PostmanClient {
       const delay = retryAfter ? parseInt(retryAfter) * 1000 : 5000; // 5 second default
       this.logger.warn('Rate limit exceeded, waiting before retry', { delay });
       await new Promise(resolve => setTimeout(resolve, delay));
+      this.retryCount++;
       
       // Retry the original request
       try {
@@ -341,6 +557,7 @@ class PostmanClient {
         });
         
         await new Promise(resolve => setTimeout(resolve, delay));
+        this.retryCount++;
       }
     }
     
@@ -444,6 +661,106 @@ class PostmanClient {
     return false;
   }
   
+  /**
+   * Fetch every page of a Postman list endpoint
+   * 
+   * Generic paginator used by all list methods. Follows whichever pagination
+   * style the response advertises until the list is exhausted or the page cap
+   * is reached, and records per-list statistics for collectAllData().
+   * 
+   * @async
+   * @method fetchAllPages
+   * @param {string} path - List endpoint path (e.g. '/collections')
+   * @param {string} itemsKey - Response property holding the page items
+   * @param {string} listName - Name used for pagination statistics and logs
+   * @throws {Error} When any page request fails
+   * 
+   * Pagination styles:
+   * - Cursor: meta.nextCursor is sent back as ?cursor= until it is absent
+   * - Offset: meta.total with offset/limit advances ?offset= until total is reached
+   * - Single page: responses without pagination metadata end the walk
+   * 
+   * Safety cap:
+   * - config.limits.max_list_pages pages per list (default 100, -1 = unlimited)
+   * - A repeated cursor also ends the walk to avoid looping on a broken API;
+   *   the pages behind it were never fetched, so the list counts as cut short
+   * - Lists cut short are marked truncated and logged as a warning
+   * 
+   * Called by: getWorkspaces(), getCollections(), getEnvironments(), getAPISpecs(),
+   *            getUserGroups(), getTeamUsers(), getMocks(), getMonitors()
+   * 
+   * @complexity O(p) requests where p is the number of pages
+   * @returns {Promise<Array>} Items from all fetched pages
+   */
+  async fetchAllPages(path, itemsKey, listName) {
+    const maxPages = this.config.limits?.max_list_pages ?? 100;
+    const items = [];
+    const seenCursors = new Set();
+    let params = {};
+    let pages = 0;
+    let nextParams = null;
+    let cursorRepeated = false;
+    
+    do {
+      const response = await this.client.get(path, { params });
+      const body = response.data || {};
+      const pageItems = body[itemsKey] || [];
+      items.push(...pageItems);
+      pages++;
+      
+      nextParams = this.getNextPageParams(body.meta, params, pageItems.length);
+      if (nextParams?.cursor) {
+        if (seenCursors.has(nextParams.cursor)) {
+          this.logger.warn('Pagination cursor repeated, list truncated', { list: listName, pages, items: items.length });
+          cursorRepeated = true;
+          nextParams = null;
+        } else {
+          seenCursors.add(nextParams.cursor);
+        }
+      }
+      params = nextParams;
+    } while (nextParams && (maxPages === -1 || pages < maxPages));
+    
+    const truncated = nextParams !== null || cursorRepeated;
+    this.listPagination.set(listName, { pages, items: items.length, truncated });
+    
+    if (nextParams !== null) {
+      this.logger.warn('List truncated at pagination cap', { list: listName, pages, items: items.length, maxPages });
+    }
+    
+    return items;
+  }
+  
+  /**
+   * Derive request parameters for the next page from response metadata
+   * 
+   * @method getNextPageParams
+   * @private
+   * @param {Object} [meta] - Response meta object
+   * @param {Object} params - Parameters used for the current page
+   * @param {number} pageLength - Number of items on the current page
+   * @returns {Object|null} Parameters for the next page, or null when exhausted
+   */
+  getNextPageParams(meta, params, pageLength) {
+    if (!meta) {
+      return null;
+    }
+    
+    const cursor = meta.nextCursor || meta.next_cursor;
+    if (cursor) {
+      return { cursor };
+    }
+    
+    if (typeof meta.total === 'number' && pageLength > 0) {
+      const offset = (params.offset ?? meta.offset ?? 0) + pageLength;
+      if (offset < meta.total) {
+        return { offset, limit: meta.limit || pageLength };
+      }
+    }
+    
+    return null;
+  }
+  
   // Core API Methods
   
   /**
@@ -481,8 +798,7 @@ class PostmanClient {
   /** Get list of all accessible workspaces */
   async getWorkspaces() {
     try {
-      const response = await this.client.get('/workspaces');
-      return response.data.workspaces || [];
+      return await this.fetchAllPages('/workspaces', 'workspaces', 'workspaces');
     } catch (error) {
       this.logger.error('Failed to get workspaces', { error: error.message });
       throw error;
@@ -574,8 +890,7 @@ class PostmanClient {
   /** Get list of all accessible collections */
   async getCollections() {
     try {
-      const response = await this.client.get('/collections');
-      return response.data.collections || [];
+      return await this.fetchAllPages('/collections', 'collections', 'collections');
     } catch (error) {
       this.logger.error('Failed to get collections', { error: error.message });
       throw error;
@@ -631,11 +946,72 @@ class PostmanClient {
     }, 3, 1000); // 3 retries with 1 second base delay
   }
   
+  /**
+   * Get pull requests targeting a collection (from its forks)
+   * 
+   * @async
+   * @method getCollectionPullRequests
+   * @param {string} collectionId - Parent collection UID
+   * @throws {Error} When the request fails after retries
+   * 
+   * Each pull request carries its status (open, merged, declined) and the
+   * source fork, which is how merged forks are told apart from abandoned ones.
+   * 
+   * Called by: collectAllData() when collection_scope.fork_pull_requests is enabled
+   * 
+   * @returns {Promise<Array<Object>>} Pull requests
+   */
+  async getCollectionPullRequests(collectionId) {
+    return await this.makeRequestWithRetry(async () => {
+      try {
+        const response = await this.client.get(`/collections/${collectionId}/pull-requests`);
+        return response.data.data || [];
+      } catch (error) {
+        this.logger.error('Failed to get collection pull requests', {
+          collectionId,
+          error: error.message,
+          status: error.response?.status
+        });
+        throw error;
+      }
+    }, 3, 1000); // 3 retries with 1 second base delay
+  }
+  
+  /**
+   * Get the tags of a collection
+   * 
+   * @async
+   * @method getCollectionTags
+   * @param {string} collectionId - Collection UID
+   * @throws {Error} When the request fails after retries
+   * 
+   * Tags such as `critical` or `tier-1` mark critical collections for
+   * severity escalation.
+   * 
+   * Called by: collectAllData() when collection_scope.collection_tags is enabled
+   * 
+   * @returns {Promise<Array<Object>>} Tags (`{ slug }`)
+   */
+  async getCollectionTags(collectionId) {
+    return await this.makeRequestWithRetry(async () => {
+      try {
+        const response = await this.client.get(`/collections/${collectionId}/tags`);
+        return response.data.tags || [];
+      } catch (error) {
+        this.logger.error('Failed to get collection tags', {
+          collectionId,
+          error: error.message,
+          status: error.response?.status
+        });
+        throw error;
+      }
+    }, 3, 1000); // 3 retries with 1 second base delay
+  }
+  
   /** Get list of all environments for governance analysis */
   async getEnvironments() {
     try {
-      const response = await this.client.get('/environments');
-      return response.data.environments || [];
+      return await this.fetchAllPages('/environments', 'environments', 'environments');
     } catch (error) {
       this.logger.error('Failed to get environments', { error: error.message });
       throw error;
@@ -656,8 +1032,7 @@ class PostmanClient {
   /** Get list of all API specifications for governance compliance */
   async getAPISpecs() {
     try {
-      const response = await this.client.get('/apis');
-      return response.data.apis || [];
+      return await this.fetchAllPages('/apis', 'apis', 'apiSpecs');
     } catch (error) {
       this.logger.error('Failed to get API specs', { error: error.message });
       throw error;
@@ -675,17 +1050,60 @@ class PostmanClient {
     }
   }
   
+  /**
+   * Get the bundled schema of an API
+   * 
+   * @async
+   * @method getAPISchema
+   * @param {string} apiId - Postman API id
+   * @throws {Error} When the API or schema request answers with an error status,
+   *   or the schema content is neither JSON nor YAML
+   * 
+   * Fetches the API with its schema list, then the first schema bundled into a
+   * single document (external file references resolved by Postman), and parses
+   * the JSON or YAML content.
+   * 
+   * Called by: collectAllData() when collection_scope.api_schemas is enabled
+   * 
+   * @returns {Promise<Object|null>} `{ id, type, document }`, or null when the API has no schema
+   */
+  async getAPISchema(apiId) {
+    try {
+      const apiResponse = await this.client.get(`/apis/${apiId}`, { params: { include: 'schemas' } });
+      if (apiResponse.status >= 400) {
+        throw new Error(`API unavailable (HTTP ${apiResponse.status})`);
+      }
+      const schemaRef = (apiResponse.data.schemas || apiResponse.data.api?.schemas || [])[0];
+      if (!schemaRef) {
+        return null;
+      }
+      
+      const response = await this.client.get(`/apis/${apiId}/schemas/${schemaRef.id}`, { params: { bundled: true } });
+      if (response.status >= 400) {
+        throw new Error(`API schema unavailable (HTTP ${response.status})`);
+      }
+      const { id, type, content } = response.data;
+      return {
+        id: id || schemaRef.id,
+        type: type || schemaRef.type || null,
+        document: typeof content === 'string' ? yaml.parse(content) : content
+      };
+    } catch (error) {
+      this.logger.error('Failed to get API schema', { apiId, error: error.message });
+      throw error;
+    }
+  }
+  
   /** Get user groups for organizational structure analysis with detailed logging */
   async getUserGroups() {
     try {
       this.logger.info('Attempting to get user groups', { url: `${this.client.defaults.baseURL}/groups` });
-      const response = await this.client.get('/groups');
+      const groups = await this.fetchAllPages('/groups', 'data', 'userGroups');
       this.logger.info('Groups response received', { 
-        status: response.status, 
-        dataKeys: Object.keys(response.data),
-        groupCount: response.data.data ? response.data.data.length : 0
+        groupCount: groups.length,
+        pages: this.listPagination.get('userGroups').pages
       });
-      return response.data.data || [];
+      return groups;
     } catch (error) {
       this.logger.error('Failed to get user groups', { 
         error: error.message,
@@ -702,13 +1120,12 @@ class PostmanClient {
   async getTeamUsers() {
     try {
       this.logger.info('Attempting to get team users', { url: `${this.client.defaults.baseURL}/users` });
-      const response = await this.client.get('/users');
+      const users = await this.fetchAllPages('/users', 'data', 'teamUsers');
       this.logger.info('Team users response received', { 
-        status: response.status, 
-        dataKeys: Object.keys(response.data),
-        userCount: response.data.data ? response.data.data.length : 0
+        userCount: users.length,
+        pages: this.listPagination.get('teamUsers').pages
       });
-      return response.data.data || [];
+      return users;
     } catch (error) {
       this.logger.error('Failed to get team users', { 
         error: error.message,
@@ -735,8 +1152,7 @@ class PostmanClient {
   /** Get list of all mock servers for testing governance */
   async getMocks() {
     try {
-      const response = await this.client.get('/mocks');
-      return response.data.mocks || [];
+      return await this.fetchAllPages('/mocks', 'mocks', 'mocks');
     } catch (error) {
       this.logger.error('Failed to get mocks', { error: error.message });
       throw error;
@@ -757,8 +1173,7 @@ class PostmanClient {
   /** Get list of all monitors for monitoring governance */
   async getMonitors() {
     try {
-      const response = await this.client.get('/monitors');
-      return response.data.monitors || [];
+      return await this.fetchAllPages('/monitors', 'monitors', 'monitors');
     } catch (error) {
       this.logger.error('Failed to get monitors', { error: error.message });
       throw error;
@@ -776,10 +1191,10 @@ class PostmanClient {
     }
   }
   
-  /** Get execution history for a specific monitor */
-  async getMonitorRuns(monitorId) {
+  /** Get execution history for a specific monitor, most recent runs first */
+  async getMonitorRuns(monitorId, limit = 20) {
     try {
-      const response = await this.client.get(`/monitors/${monitorId}/runs`);
+      const response = await this.client.get(`/monitors/${monitorId}/runs`, { params: { limit } });
       return response.data.runs || [];
     } catch (error) {
       this.logger.error('Failed to get monitor runs', { monitorId, error: error.message });
@@ -787,6 +1202,87 @@ class PostmanClient {
     }
   }
   
+  /**
+   * Get team audit events at or after a high-water mark
+   * 
+   * Pages through the Postman audit logs endpoint in ascending time order.
+   * The endpoint filters by calendar day, so events before the high-water
+   * mark are dropped here. Events at the mark are kept, since others may
+   * share its timestamp without having been stored yet; the ones already
+   * stored are removed by the audit_events primary key when stored again.
+   * 
+   * @async
+   * @method getAuditEvents
+   * @param {Object} [options={}] - Query options
+   * @param {string} [options.since] - ISO timestamp of the newest stored event (high-water mark)
+   * @param {string} [options.until] - ISO timestamp; events after it are not requested
+   * @throws {Error} When the endpoint answers with an error status (for example 403
+   *   for teams without audit log access)
+   * 
+   * Pagination:
+   * - Follows nextCursor (top-level or in meta) up to limits.max_list_pages pages
+   * - Stops when a cursor repeats, logging a warning; the newer events behind
+   *   it are fetched by the next cycle from the advanced high-water mark
+   * 
+   * Return format (per event):
+   * - id, timestamp, action, message, ip, userAgent
+   * - actor: { id, name, username, email }
+   * - data: Raw event data from the API
+   * 
+   * Called by: collectAllData() when collection_scope.audit_logs is enabled
+   * 
+   * @complexity O(p) requests for p pages of events
+   * @returns {Promise<Array<Object>>} Normalized audit events, oldest first
+   */
+  async getAuditEvents({ since = null, until = null } = {}) {
+    try {
+      const maxPages = this.config.limits?.max_list_pages ?? 100;
+      const params = { limit: 300, orderBy: 'asc' };
+      if (since) {
+        params.since = since.slice(0, 10);
+      }
+      if (until) {
+        params.until = until.slice(0, 10);
+      }
+      
+      const events = [];
+      const seenCursors = new Set();
+      let cursor = null;
+      let pages = 0;
+      
+      do {
+        const response = await this.client.get('/audit/logs', {
+          params: cursor ? { ...params, cursor } : params
+        });
+        if (response.status >= 400) {
+          throw new Error(`Audit logs unavailable (HTTP ${response.status})`);
+        }
+        pages++;
+        
+        for (const trail of response.data.trails || []) {
+          const event = normalizeAuditEvent(trail);
+          if ((!since || event.timestamp >= since) && (!until || event.timestamp <= until)) {
+            events.push(event);
+          }
+        }
+        
+        cursor = response.data.nextCursor || response.data.meta?.nextCursor || null;
+        if (cursor && seenCursors.has(cursor)) {
+          this.logger.warn('Pagination cursor repeated, list truncated', { list: 'auditEvents', pages, items: events.length });
+          cursor = null;
+        }
+        if (cursor) {
+          seenCursors.add(cursor);
+        }
+      } while (cursor && (maxPages === -1 || pages < maxPages));
+      
+      return events;
+    } catch (error) {
+      this.logger.error('Failed to get audit events', { since, error: error.message });
+      throw error;
+    }
+  }
+  
   /** Get private network APIs for enterprise governance */
   async getPrivateNetworkAPIs() {
     try {
@@ -829,7 +1325,21 @@ class PostmanClient {
    * 
    * @async
    * @method collectAllData
+   * @param {Object} [options={}] - Collection options
+   * @param {Map} [options.fingerprints] - Stored fingerprints by collection uid
+   *   (DatabaseManager.getCollectionFingerprints()) used for incremental collection
+   * @param {string} [options.auditSince] - High-water mark for incremental audit events
+   *   (DatabaseManager.getAuditHighWaterMark())
+   * @param {AbortSignal} [options.signal] - Cancels the collection when aborted
+   * @param {Function} [options.onProgress] - Called with { collectionsAnalyzed,
+   *   collectionsTotal, apiCalls } as collection details are analyzed
    * @throws {Error} When critical API calls fail or data collection cannot proceed
+   * @throws {Error} When options.signal is aborted
+   * 
+   * Run statistics:
+   * - lastRunStats is set when the call settles, successful or not: request,
+   *   4xx/5xx and retry counts for this call, entities fetched per type and
+   *   per-entity failures that were logged and skipped
    * 
    * Data collection workflow:
    * 
@@ -838,16 +1348,25 @@ class PostmanClient {
    * - Workspaces, collections, environments
    * - API specifications, user groups
    * - Mocks, monitors, team users
+   * - Every list is paginated to exhaustion via fetchAllPages()
    * 
    * **Phase 2: Detailed Workspace Analysis**
    * - Workspace details and configurations
    * - Workspace tags (if enabled)
    * - Workspace roles and user mappings
    * - Limited by max_workspaces configuration
+   * - Environment variables (if enabled in scope) for plaintext secret detection
+   * - Mock details (if enabled in scope) linking mocks to environments and public visibility
+   * - API schemas (if enabled in scope), bundled and parsed for spec linting and drift detection
+   * - Recent monitor runs (if enabled in scope), up to limits.max_monitor_runs per monitor
    * 
    * **Phase 3: Detailed Collection Analysis**
    * - Collection details and structure
+   * - Incremental mode: collections whose updatedAt matches the stored fingerprint
+   *   are rebuilt from the stored document instead of calling getCollection()
+   * - Content hash per collection; stored analysis is attached when it matches
    * - Collection forks and collaboration data
+   * - Pull requests of forked collections (if enabled in scope) for fork merge tracking
    * - Progress tracking with periodic logging
    * - Limited by max_collection_analysis configuration
    * 
@@ -855,7 +1374,12 @@ class PostmanClient {
    * - Private network APIs (if enabled in scope)
    * - Enterprise-specific API governance data
    * 
+   * **Phase 5: Optional Audit Events**
+   * - Team audit events newer than options.auditSince (if enabled in scope)
+   * - Unavailable audit logs are recorded as a failure, not a cycle error
+   * 
    * Performance optimizations:
+   * - Bounded concurrent fetching via runWithConcurrency() (config.workers)
    * - Configurable limits prevent API quota exhaustion
    * - Progress logging for long-running operations
    * - Graceful error handling preserves partial data
@@ -869,21 +1393,35 @@ class PostmanClient {
    * Configuration dependencies:
    * - config.limits.max_workspaces: Workspace analysis limit (-1 = unlimited)
    * - config.limits.max_collection_analysis: Collection analysis limit
+   * - config.limits.max_list_pages: Pagination safety cap per list endpoint
    * - config.collection_scope.workspace_tags: Enable tag collection
+   * - config.collection_scope.environments: Enable environment variable collection
+   * - config.collection_scope.mock_details: Enable mock detail collection (one request per mock)
+   * - config.collection_scope.api_schemas: Enable API schema collection
+   * - config.collection_scope.fork_pull_requests: Enable pull request collection for forked collections
+   * - config.collection_scope.collection_tags: Enable tag collection for analyzed collections
+   * - config.collection_scope.monitor_runs: Enable monitor run collection
+   * - config.limits.max_monitor_runs: Recent runs fetched per monitor (default 20)
    * - config.collection_scope.private_apis: Enable private API collection
+   * - config.collection_scope.audit_logs: Enable audit event collection
    * 
    * Return data structure:
    * - user: Authenticated user profile
    * - workspaces: Array of workspace objects with details
-   * - collections: Array of collection objects with details
-   * - environments: Array of environment configurations
-   * - apiSpecs: Array of API specifications
+   * - collections: Array of collection objects with details, forks and (when enabled) pullRequests
+   *   and tags
+   * - environments: Array of environment configurations (with `values` when enabled)
+   * - apiSpecs: Array of API specifications (with a parsed `schema` when enabled)
    * - userGroups: Array of user group definitions
    * - teamUsers: Array of team member information
-   * - mocks: Array of mock server configurations
-   * - monitors: Array of collection monitors
+   * - mocks: Array of mock server configurations (merged with mock detail when
+   *   collection_scope.mock_details is enabled)
+   * - monitors: Array of collection monitors (with recent `runs` when enabled)
    * - workspaceRoles: Array of workspace role mappings
    * - privateNetworkAPIs: Array of private network API definitions
+   * - auditEvents: Audit events at or after options.auditSince
+   * - pagination: Per-list page counts and truncation flags
+   * - failures: Per-entity failures that were logged and skipped (also in lastRunStats)
    * 
    * Performance metrics:
    * - Logs total duration and item counts
@@ -895,12 +1433,21 @@ class PostmanClient {
    * @complexity O(n*m) where n is workspaces and m is collections per workspace
    * @returns {Promise<Object>} Comprehensive governance data structure
    */
-  async collectAllData() {
+  async collectAllData(options = {}) {
+    const fingerprints = options.fingerprints || new Map();
+    const onProgress = options.onProgress || (() => {});
     const startTime = Date.now();
+    const startRequests = this.requestCount;
+    const startStats = this.getRequestStats();
+    const failures = [];
+    const recordFailure = (entity, id, error) => failures.push({ entity, id, error: error.message });
+    let data = null;
     this.logger.info('Starting comprehensive data collection');
+    this.listPagination.clear();
+    this.abortSignal = options.signal || null;
     
     try {
-      const data = {
+      data = {
         user: null,
         workspaces: [],
         collections: [],
@@ -910,27 +1457,39 @@ class PostmanClient {
         mocks: [],
         monitors: [],
         privateNetworkAPIs: [],
+        auditEvents: [],
         forks: [],
         tags: [],
-        workspaceRoles: []
+        workspaceRoles: [],
+        pagination: {},
+        failures
       };
       
       // Collect basic data
-      data.user = await this.getUserResponse();
-      data.workspaces = await this.getWorkspaces();
-      data.collections = await this.getCollections();
-      data.environments = await this.getEnvironments();
-      data.apiSpecs = await this.getAPISpecs();
-      data.userGroups = await this.getUserGroups();
-      data.teamUsers = await this.getTeamUsers();
-      data.mocks = await this.getMocks();
-      data.monitors = await this.getMonitors();
+      const basicFetches = [
+        ['user', () => this.getUserResponse()],
+        ['workspaces', () => this.getWorkspaces()],
+        ['collections', () => this.getCollections()],
+        ['environments', () => this.getEnvironments()],
+        ['apiSpecs', () => this.getAPISpecs()],
+        ['userGroups', () => this.getUserGroups()],
+        ['teamUsers', () => this.getTeamUsers()],
+        ['mocks', () => this.getMocks()],
+        ['monitors', () => this.getMonitors()]
+      ];
+      await this.runWithConcurrency(basicFetches, async ([key, fetch]) => {
+        data[key] = await fetch();
+      });
+      data.pagination = Object.fromEntries(this.listPagination);
+      // List getters fall back to empty results, so check for cancellation explicitly
+      this.throwIfAborted();
       
       // Collect detailed workspace data (limited by configuration)
       const maxWorkspaces = this.config.limits.max_workspaces;
       const workspacesToAnalyze = maxWorkspaces === -1 ? data.workspaces : data.workspaces.slice(0, maxWorkspaces);
       
-      for (const workspace of workspacesToAnalyze) {
+      // Role entries are returned rather than pushed so their order stays stable
+      const workspaceRoleEntries = await this.runWithConcurrency(workspacesToAnalyze, async (workspace) => {
         try {
           // Get workspace details
           const workspaceDetail = await this.getWorkspace(workspace.id);
@@ -949,6 +1508,7 @@ class PostmanClient {
                 workspaceId: workspace.id, 
                 error: error.message 
               });
+              recordFailure('workspaceTags', workspace.id, error);
               workspace.tags = [];
             }
           }
@@ -957,16 +1517,17 @@ class PostmanClient {
           try {
             const workspaceRoles = await this.getWorkspaceRoles(workspace.id);
             workspace.roles = workspaceRoles;
-            data.workspaceRoles.push({
+            return {
               workspaceId: workspace.id,
               workspaceName: workspace.name,
               ...workspaceRoles
-            });
+            };
           } catch (error) {
             this.logger.warn('Failed to get workspace roles', {
               workspaceId: workspace.id,
               error: error.message
             });
+            recordFailure('workspaceRoles', workspace.id, error);
             workspace.roles = { roles: [], users: [], userRoleMapping: {} };
           }
           
@@ -975,7 +1536,79 @@ class PostmanClient {
             workspaceId: workspace.id, 
             error: error.message 
           });
+          recordFailure('workspace', workspace.id, error);
         }
+        return null;
+      });
+      data.workspaceRoles = workspaceRoleEntries.filter(Boolean);
+      
+      // Collect environment variables for plaintext secret detection if enabled
+      if (this.config.collection_scope.environments) {
+        await this.runWithConcurrency(data.environments, async (environment) => {
+          try {
+            const environmentDetail = await this.getEnvironment(environment.uid || environment.id);
+            environment.values = environmentDetail?.values || [];
+          } catch (error) {
+            this.logger.warn('Failed to get environment details', {
+              environmentId: environment.uid || environment.id,
+              error: error.message
+            });
+            recordFailure('environment', environment.uid || environment.id, error);
+            environment.values = [];
+          }
+        });
+        this.throwIfAborted();
+      }
+      
+      // Collect API schemas for spec linting and drift detection if enabled
+      if (this.config.collection_scope.api_schemas) {
+        await this.runWithConcurrency(data.apiSpecs, async (api) => {
+          try {
+            api.schema = await this.getAPISchema(api.id);
+          } catch (error) {
+            this.logger.warn('Failed to get API schema', {
+              apiId: api.id,
+              error: error.message
+            });
+            recordFailure('apiSchema', api.id, error);
+            api.schema = null;
+          }
+        });
+        this.throwIfAborted();
+      }
+      
+      // Collect mock details (environment link, public flag) if enabled
+      if (this.config.collection_scope.mock_details) {
+        await this.runWithConcurrency(data.mocks, async (mock) => {
+          try {
+            Object.assign(mock, await this.getMock(mock.uid || mock.id));
+          } catch (error) {
+            this.logger.warn('Failed to get mock details', {
+              mockId: mock.uid || mock.id,
+              error: error.message
+            });
+            recordFailure('mock', mock.uid || mock.id, error);
+          }
+        });
+        this.throwIfAborted();
+      }
+      
+      // Collect recent monitor runs for reliability analysis if enabled
+      if (this.config.collection_scope.monitor_runs) {
+        const runLimit = this.config.limits.max_monitor_runs ?? 20;
+        await this.runWithConcurrency(data.monitors, async (monitor) => {
+          try {
+            monitor.runs = await this.getMonitorRuns(monitor.uid || monitor.id, runLimit);
+          } catch (error) {
+            this.logger.warn('Failed to get monitor runs', {
+              monitorId: monitor.uid || monitor.id,
+              error: error.message
+            });
+            recordFailure('monitorRuns', monitor.uid || monitor.id, error);
+            monitor.runs = [];
+          }
+        });
+        this.throwIfAborted();
       }
       
       // Collect detailed collection data (limited by configuration)
@@ -985,23 +1618,40 @@ class PostmanClient {
       this.logger.info('Starting detailed collection analysis', {
         totalCollections: data.collections.length,
         collectionsToAnalyze: collectionsToAnalyze.length,
-        unlimited: maxCollections === -1
+        unlimited: maxCollections === -1,
+        workers: this.concurrency
       });
       
-      for (const [index, collection] of collectionsToAnalyze.entries()) {
+      let collectionsAnalyzed = 0;
+      let collectionsReused = 0;
+      const reportProgress = () => onProgress({
+        collectionsAnalyzed,
+        collectionsTotal: collectionsToAnalyze.length,
+        apiCalls: this.requestCount - startRequests
+      });
+      reportProgress();
+      await this.runWithConcurrency(collectionsToAnalyze, async (collection) => {
         try {
-          // Log progress every 10 collections
-          if (index % 10 === 0) {
-            this.logger.info('Collection analysis progress', {
-              analyzed: index,
-              total: collectionsToAnalyze.length,
-              progress: `${Math.round((index / collectionsToAnalyze.length) * 100)}%`
-            });
-          }
+          const previous = fingerprints.get(collection.uid);
           
-          // Get collection details
-          const collectionDetail = await this.getCollection(collection.uid);
-          Object.assign(collection, collectionDetail);
+          if (previous && previous.content && collection.updatedAt &&
+              previous.updatedAt === collection.updatedAt) {
+            // Unchanged since last cycle - rebuild from the stored document
+            Object.assign(collection, previous.content);
+            collection.contentHash = previous.contentHash;
+            collection.storedAnalysis = previous.analysis;
+            collectionsReused++;
+          } else {
+            // Get collection details
+            const collectionDetail = await this.getCollection(collection.uid);
+            Object.assign(collection, collectionDetail);
+            collection.contentHash = hashContent(collectionDetail);
+            
+            // Touched but identical content still reuses the stored analysis
+            if (previous && previous.contentHash === collection.contentHash) {
+              collection.storedAnalysis = previous.analysis;
+            }
+          }
           
           // Get collection forks
           try {
@@ -1011,16 +1661,57 @@ class PostmanClient {
               collectionId: collection.uid, 
               error: error.message 
             });
+            recordFailure('collectionForks', collection.uid, error);
             collection.forks = [];
           }
           
+          // Get pull requests of forked collections for fork merge tracking if enabled
+          if (this.config.collection_scope.fork_pull_requests && collection.forks.length > 0) {
+            try {
+              collection.pullRequests = await this.getCollectionPullRequests(collection.uid);
+            } catch (error) {
+              this.logger.warn('Failed to get collection pull requests', {
+                collectionId: collection.uid,
+                error: error.message
+              });
+              recordFailure('collectionPullRequests', collection.uid, error);
+            }
+          }
+          
+          // Get collection tags for criticality-based severity escalation if enabled
+          if (this.config.collection_scope.collection_tags) {
+            try {
+              collection.tags = await this.getCollectionTags(collection.uid);
+            } catch (error) {
+              this.logger.warn('Failed to get collection tags', {
+                collectionId: collection.uid,
+                error: error.message
+              });
+              recordFailure('collectionTags', collection.uid, error);
+            }
+          }
+          
         } catch (error) {
           this.logger.warn('Failed to get collection details', { 
             collectionId: collection.uid, 
             error: error.message 
           });
+          recordFailure('collection', collection.uid, error);
         }
-      }
+        
+        // Log progress every 10 collections
+        collectionsAnalyzed++;
+        reportProgress();
+        if (collectionsAnalyzed % 10 === 0) {
+          this.logger.info('Collection analysis progress', {
+            analyzed: collectionsAnalyzed,
+            total: collectionsToAnalyze.length,
+            progress: `${Math.round((collectionsAnalyzed / collectionsToAnalyze.length) * 100)}%`
+          });
+        }
+      });
+      
+      this.throwIfAborted();
       
       // Collect private network data if enabled
       if (this.config.collection_scope.private_apis) {
@@ -1028,20 +1719,35 @@ class PostmanClient {
           data.privateNetworkAPIs = await this.getPrivateNetworkAPIs();
         } catch (error) {
           this.logger.warn('Failed to get private network APIs', { error: error.message });
+          recordFailure('privateNetworkAPIs', null, error);
           data.privateNetworkAPIs = [];
         }
       }
       
+      // Collect audit events since the stored high-water mark if enabled
+      if (this.config.collection_scope.audit_logs) {
+        try {
+          data.auditEvents = await this.getAuditEvents({ since: options.auditSince || null });
+        } catch (error) {
+          this.logger.warn('Failed to get audit events', { error: error.message });
+          recordFailure('auditEvents', null, error);
+          data.auditEvents = [];
+        }
+      }
+      
       const duration = Date.now() - startTime;
       this.logger.info('Data collection completed', {
         duration: `${duration}ms`,
         workspaces: data.workspaces.length,
         collections: data.collections.length,
+        collectionsReused,
         environments: data.environments.length,
         userGroups: data.userGroups.length,
         monitors: data.monitors.length,
-        mocks: data.mocks.length
+        mocks: data.mocks.length,
+        apiCalls: this.requestCount - startRequests
       });
+      reportProgress();
       
       return data;
       
@@ -1052,8 +1758,148 @@ class PostmanClient {
         duration: `${duration}ms`
       });
       throw error;
+    } finally {
+      this.abortSignal = null;
+      
+      const endStats = this.getRequestStats();
+      this.lastRunStats = {
+        requests: endStats.requests - startStats.requests,
+        clientErrors: endStats.clientErrors - startStats.clientErrors,
+        serverErrors: endStats.serverErrors - startStats.serverErrors,
+        retries: endStats.retries - startStats.retries,
+        entities: countEntities(data),
+        failures
+      };
+    }
+  }
+
+  /**
+   * Collect an immutable per-cycle governance snapshot
+   *
+   * Runs collectAllData() exactly once and deep-freezes the result so that every
+   * calculator and the violation analysis in a collection cycle work from the same
+   * data without re-fetching entities from the Postman API.
+   *
+   * @async
+   * @method collectSnapshot
+   * @param {Object} [options={}] - Options passed through to collectAllData()
+   * @throws {Error} When critical API calls fail during collectAllData()
+   * @throws {Error} When the fixture archive cannot be written in record mode
+   *
+   * Snapshot guarantees:
+   * - Every entity is fetched once per cycle
+   * - Collection entries already carry their detail (item tree) and forks
+   * - Any attempt to mutate the snapshot throws in strict mode
+   * - collectedAt records when the snapshot was taken
+   * - failures lists the entities (`{ entity, id, error }`) whose detail could
+   *   not be fetched and were analyzed with what the list endpoints returned
+   * - In record mode, the fixture archive is cleared when the cycle starts and
+   *   saved once it completes, so it holds exactly that cycle's responses
+   *
+   * Called by: GovernanceCollectorApp.runCollection()
+   *
+   * @complexity Same as collectAllData() plus O(n) for freezing n nested objects
+   * @returns {Promise<Object>} Frozen governance data snapshot
+   */
+  async collectSnapshot(options = {}) {
+    if (this.fixtureMode === 'record') {
+      this.fixtureArchive.reset();
+    }
+    const data = await this.collectAllData(options);
+    data.collectedAt = new Date().toISOString();
+    
+    // Persist every raw response captured during this cycle
+    if (this.fixtureMode === 'record') {
+      this.fixtureArchive.save();
     }
+    
+    return deepFreeze(data);
+  }
+}
+
+/**
+ * Count fetched entities per type for collection run statistics
+ *
+ * @param {Object|null} data - Data gathered by collectAllData(), possibly partial
+ * @returns {Object} Entity counts keyed by type (empty when nothing was fetched)
+ */
+function countEntities(data) {
+  if (!data) {
+    return {};
+  }
+  
+  const counts = {};
+  for (const key of ['workspaces', 'collections', 'environments', 'apiSpecs', 'userGroups',
+    'teamUsers', 'mocks', 'monitors', 'privateNetworkAPIs', 'auditEvents']) {
+    if (Array.isArray(data[key])) {
+      counts[key] = data[key].length;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Map a raw audit log trail to the stored audit event shape
+ *
+ * @param {Object} trail - Audit trail entry from GET /audit/logs
+ * @returns {Object} Normalized audit event
+ */
+function normalizeAuditEvent(trail) {
+  const actor = trail.data?.actor || {};
+  return {
+    id: String(trail.id),
+    timestamp: new Date(trail.timestamp).toISOString(),
+    action: trail.action,
+    message: trail.message || null,
+    ip: trail.ip || null,
+    userAgent: trail.userAgent || null,
+    actor: {
+      id: actor.id !== undefined ? String(actor.id) : null,
+      name: actor.name || null,
+      username: actor.username || null,
+      email: actor.email || null
+    },
+    data: trail.data || {}
+  };
+}
+
+/**
+ * Hash a collection document so unchanged content can be recognised across cycles
+ *
+ * The document is normalized first: volatile info metadata
+ * (VOLATILE_COLLECTION_INFO) is left out and object keys are sorted, so a
+ * collection that was only touched, or returned with its keys in another
+ * order, hashes the same.
+ *
+ * @param {Object} content - Collection detail as returned by getCollection()
+ * @returns {string} SHA-256 hex digest of the normalized JSON document
+ */
+function hashContent(content) {
+  const { info, ...rest } = content || {};
+  const normalized = { ...rest };
+  if (info) {
+    normalized.info = Object.fromEntries(Object.entries(info).filter(([key]) => !VOLATILE_COLLECTION_INFO.includes(key)));
+  }
+  const json = JSON.stringify(normalized, (key, value) => (
+    value && typeof value === 'object' && !Array.isArray(value) ?
+      Object.fromEntries(Object.keys(value).sort().map(name => [name, value[name]])) :
+      value
+  ));
+  return crypto.createHash('sha256').update(json).digest('hex');
+}
+
+/**
+ * Recursively freeze an object graph so a snapshot cannot be modified downstream
+ *
+ * @param {*} value - Object, array or primitive to freeze
+ * @returns {*} The same value, frozen
+ */
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    Object.values(value).forEach(deepFreeze);
   }
+  return value;
 }
 
 module.exports = PostmanClient;
\ No newline at end of file
@@ -0,0 +1,212 @@
+/**
+ * Fixture Archive - Record and Replay of Raw Postman API Responses
+ *
+ * Captures every raw Postman API response made during a collection cycle into
+ * a single archive file, and serves those responses back as an axios adapter
+ * so collectAllData() can run with no network access and no API key.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Archive format version, bumped if the on-disk layout changes
+const ARCHIVE_VERSION = 1;
+
+// Response headers worth keeping; everything else is dropped from the archive
+const RECORDED_HEADERS = [
+  'content-type',
+  'retry-after',
+  'x-ratelimit-limit',
+  'x-ratelimit-remaining',
+  'x-ratelimit-reset'
+];
+
+/**
+ * Fixture Archive Class
+ *
+ * Holds recorded responses keyed by HTTP method, path and sorted query string.
+ * The base URL is not part of the key, so an archive recorded against the
+ * Postman API replays against any configured base_url.
+ *
+ * @class FixtureArchive
+ * @description Record/replay storage for PostmanClient responses
+ *
+ * Archive file format (JSON, gzipped when the path ends in .gz):
+ * - version: Archive format version
+ * - recordedAt: ISO timestamp of the last save
+ * - responses: Map of request key → { status, headers, data }
+ *
+ * Security considerations:
+ * - Request headers (including X-API-Key) are never recorded
+ * - Response bodies are stored as-is and may contain organization data such as
+ *   environment values; treat archives from production like a database backup
+ *
+ * Called by: PostmanClient when config.fixtures.mode is 'record' or 'replay'
+ *
+ * @complexity O(1) per recorded or replayed response, O(n) to load or save
+ */
+class FixtureArchive {
+  /**
+   * Create an archive bound to a file path
+   *
+   * @constructor
+   * @param {string} filePath - Archive file location (.json or .json.gz)
+   * @param {Object} logger - Logger instance
+   */
+  constructor(filePath, logger) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.responses = new Map();
+  }
+
+  /**
+   * Build the lookup key for an axios request configuration
+   *
+   * @static
+   * @method requestKey
+   * @param {Object} requestConfig - Axios request config (method, url, params)
+   * @returns {string} Key such as 'GET /collections?cursor=abc'
+   */
+  static requestKey(requestConfig) {
+    const method = (requestConfig.method || 'get').toUpperCase();
+    const [urlPath, urlQuery] = (requestConfig.url || '').split('?');
+    const query = new URLSearchParams(urlQuery || '');
+
+    for (const [key, value] of Object.entries(requestConfig.params || {})) {
+      if (value !== undefined && value !== null) {
+        query.append(key, String(value));
+      }
+    }
+    query.sort();
+
+    const queryString = query.toString();
+    return queryString ? `${method} ${urlPath}?${queryString}` : `${method} ${urlPath}`;
+  }
+
+  /**
+   * Store a response received from the Postman API
+   *
+   * @method record
+   * @param {Object} response - Axios response object
+   * @returns {void}
+   */
+  record(response) {
+    const headers = {};
+    for (const name of RECORDED_HEADERS) {
+      if (response.headers?.[name] !== undefined) {
+        headers[name] = response.headers[name];
+      }
+    }
+
+    this.responses.set(FixtureArchive.requestKey(response.config), {
+      status: response.status,
+      headers,
+      data: response.data
+    });
+  }
+
+  /**
+   * Drop every recorded response
+   *
+   * Called by PostmanClient.collectSnapshot() when a record cycle starts, so
+   * responses of earlier cycles (such as pages that no longer exist) are not
+   * saved with the new one.
+   *
+   * @method reset
+   * @returns {void}
+   */
+  reset() {
+    this.responses.clear();
+  }
+
+  /**
+   * Create an axios adapter that answers requests from the archive
+   *
+   * Unknown requests are rejected with a 404-style error rather than falling
+   * through to the network, so replay never contacts the Postman API.
+   *
+   * @method createReplayAdapter
+   * @returns {Function} Axios adapter (config) => Promise<response>
+   */
+  createReplayAdapter() {
+    return async (requestConfig) => {
+      const key = FixtureArchive.requestKey(requestConfig);
+      const recorded = this.responses.get(key);
+
+      if (!recorded) {
+        const error = new Error(`No recorded response for ${key}`);
+        error.config = requestConfig;
+        error.response = { status: 404, headers: {}, data: null, config: requestConfig };
+        throw error;
+      }
+
+      return {
+        // Copy so callers mutating response data cannot alter the archive
+        // (a response recorded without a body replays without one)
+        data: recorded.data === undefined ? undefined : JSON.parse(JSON.stringify(recorded.data)),
+        status: recorded.status,
+        statusText: 'Replayed',
+        headers: { ...recorded.headers },
+        config: requestConfig,
+        request: {}
+      };
+    };
+  }
+
+  /**
+   * Load recorded responses from disk
+   *
+   * @method load
+   * @throws {Error} When the archive is missing, unreadable or of another version
+   * @returns {FixtureArchive} This archive, for chaining
+   */
+  load() {
+    let raw = fs.readFileSync(this.filePath);
+    if (this.filePath.endsWith('.gz')) {
+      raw = zlib.gunzipSync(raw);
+    }
+
+    const archive = JSON.parse(raw.toString('utf8'));
+    if (archive.version !== ARCHIVE_VERSION) {
+      throw new Error(`Unsupported fixture archive version: ${archive.version}`);
+    }
+
+    this.responses = new Map(Object.entries(archive.responses || {}));
+    this.logger.info('Fixture archive loaded', {
+      path: this.filePath,
+      responses: this.responses.size,
+      recordedAt: archive.recordedAt
+    });
+    return this;
+  }
+
+  /**
+   * Write recorded responses to disk
+   *
+   * @method save
+   * @throws {Error} When the archive cannot be written
+   * @returns {void}
+   */
+  save() {
+    const archive = {
+      version: ARCHIVE_VERSION,
+      recordedAt: new Date().toISOString(),
+      responses: Object.fromEntries(this.responses)
+    };
+
+    let output = Buffer.from(JSON.stringify(archive));
+    if (this.filePath.endsWith('.gz')) {
+      output = zlib.gzipSync(output);
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, output);
+    this.logger.info('Fixture archive saved', {
+      path: this.filePath,
+      responses: this.responses.size
+    });
+  }
+}
+
+module.exports = FixtureArchive;
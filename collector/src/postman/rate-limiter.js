@@ -0,0 +1,235 @@
+/**
+ * Token Bucket Rate Limiter - Client-Side Postman API Quota Management
+ *
+ * Token bucket used by PostmanClient to pace outgoing Postman API requests.
+ * Allows short bursts up to the configured burst allowance, refills at the
+ * configured requests-per-minute rate, and adapts to the quota the Postman API
+ * reports in its rate-limit response headers so the collector backs off before
+ * the server ever answers with 429 Too Many Requests.
+ */
+
+/**
+ * Token Bucket Rate Limiter Class
+ *
+ * Shared by every request issued through a PostmanClient instance, including
+ * requests running in parallel in the fetch pool. Tokens are reserved
+ * synchronously, so concurrent callers queue behind each other instead of
+ * racing for the same token.
+ *
+ * @class TokenBucketRateLimiter
+ * @description Burst-capable, server-adaptive request pacing for the Postman API
+ *
+ * Algorithm:
+ * - The bucket holds up to `capacity` tokens and refills continuously at
+ *   requestsPerMinute / 60 tokens per second
+ * - Each request consumes one token; when the bucket is empty the token is
+ *   borrowed against future refill and the caller waits until it is earned
+ * - Server-reported quota (X-RateLimit-Remaining / X-RateLimit-Reset) is tracked
+ *   separately; once the remaining quota falls to the safety reserve, requests
+ *   wait for the reported reset instead of spending the last calls
+ * - A 429 response drains the bucket and pauses all requests until Retry-After
+ *
+ * Called by: PostmanClient.enforceRateLimit() and PostmanClient response interceptor
+ *
+ * @complexity O(1) per acquire/update operation
+ */
+class TokenBucketRateLimiter {
+  /**
+   * Initialize token bucket with configured rate and burst allowance
+   *
+   * @constructor
+   * @param {Object} options - Limiter options
+   * @param {number} options.requestsPerMinute - Sustained request rate
+   * @param {number} [options.burstAllowance=1] - Bucket capacity (requests allowed back-to-back)
+   * @param {number} [options.reserve=1] - Server-reported requests kept in reserve before pausing
+   *
+   * Configuration mapping (postman.rate_limit):
+   * - requests_per_minute → requestsPerMinute
+   * - burst_allowance → burstAllowance
+   *
+   * @complexity O(1) - Simple instance variable initialization
+   */
+  constructor({ requestsPerMinute, burstAllowance = 1, reserve = 1 }) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.capacity = Math.max(1, parseInt(burstAllowance, 10) || 1);
+    this.refillPerMs = requestsPerMinute / 60000;
+    this.reserve = Math.max(0, reserve);
+
+    // Bucket starts full so the first burst is not delayed
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+
+    // Server-reported quota, unknown until the first response with headers
+    this.serverLimit = null;
+    this.serverRemaining = null;
+    this.serverResetAt = null;
+
+    this.pausedUntil = 0;
+    this.waiting = 0;
+    this.throttledResponses = 0;
+    this.totalWaitMs = 0;
+  }
+
+  /**
+   * Add tokens earned since the last refill, capped at bucket capacity
+   *
+   * @method refill
+   * @private
+   * @param {number} now - Current time in milliseconds
+   * @returns {void}
+   */
+  refill(now) {
+    const elapsed = now - this.lastRefill;
+    if (elapsed > 0) {
+      this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerMs);
+      this.lastRefill = now;
+    }
+  }
+
+  /**
+   * Reserve one request and resolve when it may be sent
+   *
+   * Reservation happens synchronously before any await, so parallel callers
+   * each receive a distinct start time. The wait is the longest of:
+   * - time until the borrowed token is refilled
+   * - an active 429 pause
+   * - the server-reported reset when remaining quota is at the reserve
+   *
+   * @async
+   * @method acquire
+   *
+   * Called by: PostmanClient.enforceRateLimit() for every outgoing request
+   *
+   * @complexity O(1) - Constant-time reservation plus optional delay
+   * @returns {Promise<number>} Milliseconds the caller waited
+   */
+  async acquire() {
+    const now = Date.now();
+    this.refill(now);
+
+    let startAt = now;
+
+    // Local bucket: borrow against future refill when empty
+    this.tokens -= 1;
+    if (this.tokens < 0) {
+      startAt = now + Math.ceil(-this.tokens / this.refillPerMs);
+    }
+
+    // Server quota: stop short of the reported limit until it resets
+    if (this.serverResetAt !== null) {
+      if (this.serverResetAt <= now) {
+        this.serverRemaining = null;
+        this.serverResetAt = null;
+      } else if (this.serverRemaining !== null) {
+        if (this.serverRemaining <= this.reserve) {
+          startAt = Math.max(startAt, this.serverResetAt);
+        } else {
+          this.serverRemaining -= 1;
+        }
+      }
+    }
+
+    startAt = Math.max(startAt, this.pausedUntil);
+
+    const waitMs = startAt - now;
+    if (waitMs > 0) {
+      this.waiting++;
+      this.totalWaitMs += waitMs;
+      try {
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+      } finally {
+        this.waiting--;
+      }
+    }
+    return Math.max(0, waitMs);
+  }
+
+  /**
+   * Adapt to quota reported by the Postman API
+   *
+   * Reads the standard rate-limit headers from any response and, for 429
+   * responses, drains the bucket and pauses until Retry-After has elapsed.
+   *
+   * @method update
+   * @param {Object} [headers={}] - Response headers (lower-cased by axios)
+   * @param {number} [status] - HTTP status code of the response
+   *
+   * Header handling:
+   * - x-ratelimit-limit: Server-side request limit for the current window
+   * - x-ratelimit-remaining: Requests left in the current window
+   * - x-ratelimit-reset: Window reset as epoch seconds or seconds from now
+   * - retry-after: Seconds to wait after a 429 response
+   *
+   * Called by: PostmanClient response interceptor for every response
+   *
+   * @complexity O(1) - Header parsing and state update
+   * @returns {void}
+   */
+  update(headers = {}, status) {
+    const now = Date.now();
+    const limit = parseInt(headers['x-ratelimit-limit'], 10);
+    const remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+    const reset = parseInt(headers['x-ratelimit-reset'], 10);
+
+    if (!Number.isNaN(limit)) {
+      this.serverLimit = limit;
+    }
+
+    if (!Number.isNaN(remaining)) {
+      this.serverRemaining = remaining;
+      this.serverResetAt = Number.isNaN(reset) ?
+        now + 60000 :
+        // Large values are absolute epoch seconds, small values are a countdown
+        (reset > 1000000000 ? reset * 1000 : now + reset * 1000);
+    }
+
+    if (status === 429) {
+      const retryAfter = parseInt(headers['retry-after'], 10);
+      const pauseMs = Number.isNaN(retryAfter) ? 5000 : retryAfter * 1000;
+      this.throttledResponses++;
+      this.refill(now);
+      this.tokens = Math.min(this.tokens, 0);
+      this.pausedUntil = Math.max(this.pausedUntil, now + pauseMs);
+    }
+  }
+
+  /**
+   * Report current limiter state for health checks and metrics
+   *
+   * @method getState
+   *
+   * Return format:
+   * - requestsPerMinute / capacity: Configured rate and burst size
+   * - tokens: Tokens currently available (negative when requests are queued)
+   * - waiting: Requests currently delayed by the limiter
+   * - serverLimit / serverRemaining / serverResetAt: Last reported server quota
+   * - pausedUntil: ISO time of an active 429 pause, or null
+   * - throttledResponses: Count of 429 responses received
+   * - totalWaitMs: Cumulative time requests spent waiting
+   *
+   * Called by: PostmanClient.getRateLimitState()
+   *
+   * @complexity O(1) - Snapshot of instance state
+   * @returns {Object} Rate limiter state
+   */
+  getState() {
+    const now = Date.now();
+    this.refill(now);
+
+    return {
+      requestsPerMinute: this.requestsPerMinute,
+      capacity: this.capacity,
+      tokens: Math.round(this.tokens * 100) / 100,
+      waiting: this.waiting,
+      serverLimit: this.serverLimit,
+      serverRemaining: this.serverResetAt !== null && this.serverResetAt > now ? this.serverRemaining : null,
+      serverResetAt: this.serverResetAt !== null && this.serverResetAt > now ?
+        new Date(this.serverResetAt).toISOString() : null,
+      pausedUntil: this.pausedUntil > now ? new Date(this.pausedUntil).toISOString() : null,
+      throttledResponses: this.throttledResponses,
+      totalWaitMs: this.totalWaitMs
+    };
+  }
+}
+
+module.exports = TokenBucketRateLimiter;
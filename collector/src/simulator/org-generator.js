@@ -0,0 +1,594 @@
+/**
+ * Synthetic Organization Generator - Deterministic Postman Team Data
+ *
+ * Generates a complete, internally consistent Postman organization (users,
+ * groups, workspaces, collections, specs, monitors, mocks, environments) for
+ * the Postman API stand-in server. Output is driven by a seeded random number
+ * generator, so the same options always produce the same organization.
+ */
+
+// Enterprise naming convention parts (SquadId-ServiceName[PURPOSE])
+const SQUADS = ['PLATFORM', 'PAYMENTS', 'IDENTITY', 'SEARCH', 'GROWTH', 'DATA'];
+const AREAS = ['CORE', 'EDGE', 'INTERNAL', 'PUBLIC'];
+const SERVICES = ['Users', 'Orders', 'Billing', 'Catalog', 'Auth', 'Inventory', 'Notifications', 'Reports'];
+const PURPOSES = ['SPEC', 'STAGE', 'DEV', 'E2E', 'MONITOR'];
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const PULL_REQUEST_STATUSES = ['merged', 'open', 'declined'];
+
+const DEFAULT_OPTIONS = {
+  seed: 1,
+  teamId: 1000,
+  workspaces: 5,
+  collections: 20,
+  requestsPerCollection: 8,
+  users: 25,
+  groups: 3,
+  documentedRatio: 0.7,
+  testedRatio: 0.6,
+  namingRatio: 0.5,
+  privateWorkspaceRatio: 0.6,
+  specRatio: 0.4,
+  monitoredRatio: 0.3,
+  mockRatio: 0.1,
+  forkRatio: 0.2,
+  environmentsPerWorkspace: 2,
+  plaintextSecretRatio: 0.2,
+  monitorRunsPerMonitor: 10,
+  unreliableMonitorRatio: 0.3,
+  publicMockRatio: 0.2,
+  forkPullRequestRatio: 0.5,
+  specStyleRatio: 0.7,
+  specDriftRatio: 0.1,
+  workspaceTagRatio: 0.6,
+  criticalCollectionRatio: 0.2,
+  baseTime: '2024-01-01T00:00:00.000Z'
+};
+
+/**
+ * Synthetic Organization Generator Class
+ *
+ * Produces the data backing every endpoint of PostmanApiServer. Ratios are
+ * applied per item with the seeded generator, so large organizations converge
+ * on the configured documentation, test and monitoring coverage.
+ *
+ * @class SyntheticOrgGenerator
+ * @description Seeded generator for realistic Postman organization fixtures
+ *
+ * Generation options (all optional):
+ * - seed: Random seed for reproducible output
+ * - workspaces / collections: Organization size (collections spread across workspaces)
+ * - requestsPerCollection: Requests per collection, split across folders
+ * - users / groups: Team members and user groups
+ * - documentedRatio / testedRatio: Share of requests with docs+examples / test scripts
+ * - namingRatio: Share of collections following the enterprise naming convention
+ * - privateWorkspaceRatio: Share of private (vs team) workspaces
+ * - specRatio / monitoredRatio / mockRatio / forkRatio: Share of collections with
+ *   an API spec, a monitor, a mock server and forks
+ * - environmentsPerWorkspace: Environments created in each workspace
+ * - plaintextSecretRatio: Share of environments storing their API key as a plain
+ *   `default` variable instead of a `secret`
+ * - monitorRunsPerMonitor: Recent runs generated for each monitor
+ * - unreliableMonitorRatio: Share of monitors with a non-zero run failure rate
+ * - publicMockRatio: Share of mock servers that are public
+ * - forkPullRequestRatio: Share of forks with a pull request (merged, open or declined)
+ * - specStyleRatio: Share of API schema elements (operationIds, tags, error
+ *   responses, security, property casing) that follow the default lint rules
+ * - specDriftRatio: Share of schema operations that drift from the linked
+ *   collection (left out of the schema, or given a required query parameter
+ *   the request does not send); APIs with drift also document one extra endpoint
+ * - workspaceTagRatio: Share of workspaces carrying each governance tag (squad,
+ *   asset ID, environment); half of the environment tags mark a dev workspace
+ * - criticalCollectionRatio: Share of collections tagged `critical` (the others
+ *   are tagged `standard`)
+ *
+ * Called by: PostmanApiServer, integration and load tests
+ *
+ * @complexity O(c*r) where c is collections and r is requests per collection
+ */
+class SyntheticOrgGenerator {
+  /**
+   * Create a generator with the given options
+   *
+   * @constructor
+   * @param {Object} [options={}] - Generation options (see class documentation)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Generate a full synthetic organization
+   *
+   * @method generate
+   *
+   * Return format:
+   * - me: /me response body
+   * - users, groups, workspaces, collections, environments, apis, monitors, mocks: list items
+   * - workspaceDetails / workspaceRoles: Per-workspace detail and role data keyed by id
+   * - collectionDetails / collectionForks: Per-collection detail and forks keyed by uid
+   * - environmentDetails: Per-environment detail (variables) keyed by uid
+   * - auditEvents: Audit log trails (collection.create and collection.fork), oldest first
+   * - monitorRuns: Recent runs per monitor keyed by monitor uid, newest first
+   * - mockDetails: Per-mock detail (collection, environment, isPublic) keyed by uid
+   * - collectionPullRequests: Pull requests from forks keyed by parent collection uid
+   * - apiSchemas: OpenAPI schema (`{ id, type, content }`) per API id, built from the
+   *   API's collection requests
+   * - workspaceTags: Tags (`{ slug }`) per workspace id
+   * - collectionTags: Tags (`{ slug }`) per collection uid
+   *
+   * @complexity O(c*r) - One pass over collections and their requests
+   * @returns {Object} Synthetic organization data
+   */
+  generate() {
+    const opts = this.options;
+    const random = createRandom(opts.seed);
+    const baseTime = Date.parse(opts.baseTime);
+    const pick = (values) => values[Math.floor(random() * values.length)];
+    const chance = (ratio) => random() < ratio;
+    const timestamp = (offsetDays) => new Date(baseTime + offsetDays * 86400000).toISOString();
+
+    const users = Array.from({ length: Math.max(1, opts.users) }, (_, i) => ({
+      id: opts.teamId * 100 + i + 1,
+      name: `User ${i + 1}`,
+      username: `user${i + 1}`,
+      email: `user${i + 1}@example.com`,
+      role: i === 0 ? 'admin' : 'user'
+    }));
+    const owner = users[0];
+
+    const me = {
+      user: {
+        id: owner.id,
+        username: owner.username,
+        email: owner.email,
+        fullName: owner.name,
+        teamId: opts.teamId,
+        teamName: `Synthetic Team ${opts.teamId}`,
+        operations: { usage: { postbot: { monthly: Math.floor(random() * 50) } } }
+      }
+    };
+
+    // Groups take members round-robin; the last users stay ungrouped
+    const groupedUsers = users.slice(0, Math.ceil(users.length * 0.8));
+    const groups = Array.from({ length: opts.groups }, (_, i) => ({
+      id: `group-${i + 1}`,
+      name: `${SQUADS[i % SQUADS.length]} Squad`,
+      members: groupedUsers.filter((_, u) => u % opts.groups === i).map(u => u.id)
+    }));
+
+    const workspaces = [];
+    const workspaceDetails = {};
+    const workspaceRoles = {};
+    for (let i = 0; i < opts.workspaces; i++) {
+      const id = `ws-${opts.teamId}-${i + 1}`;
+      const admin = users[i % users.length];
+      const editor = users[(i + 1) % users.length];
+      const workspace = {
+        id,
+        name: `${SQUADS[i % SQUADS.length]} Workspace ${i + 1}`,
+        type: chance(opts.privateWorkspaceRatio) ? 'private' : 'team',
+        visibility: 'team'
+      };
+      workspaces.push(workspace);
+      workspaceDetails[id] = {
+        ...workspace,
+        description: `Synthetic workspace ${i + 1}`,
+        createdBy: String(admin.id),
+        createdAt: timestamp(i),
+        updatedAt: timestamp(i + 30),
+        collections: [],
+        environments: [],
+        apis: [],
+        mocks: [],
+        monitors: []
+      };
+      workspaceRoles[id] = [
+        { id: 'role-admin', name: 'Admin', users: [{ id: admin.id, email: admin.email, name: admin.name }] },
+        { id: 'role-editor', name: 'Editor', users: [{ id: editor.id, email: editor.email, name: editor.name }] }
+      ];
+    }
+
+    const collections = [];
+    const collectionDetails = {};
+    const collectionForks = {};
+    const apis = [];
+    const monitors = [];
+    const mocks = [];
+    const auditEvents = [];
+    const audit = (action, user, at, message) => auditEvents.push({
+      id: 0,
+      ip: '127.0.0.1',
+      userAgent: 'PostmanRuntime/7.36.0',
+      action,
+      timestamp: at,
+      message,
+      data: {
+        actor: { id: user.id, name: user.name, username: user.username, email: user.email, active: true },
+        team: { id: opts.teamId, name: me.user.teamName }
+      }
+    });
+    for (let i = 0; i < opts.collections; i++) {
+      const workspace = workspaces[i % Math.max(1, workspaces.length)];
+      const ownerUser = users[i % users.length];
+      const id = `col-${opts.teamId}-${i + 1}`;
+      const uid = `${ownerUser.id}-${id}`;
+      const service = SERVICES[i % SERVICES.length];
+      const name = chance(opts.namingRatio) ?
+        `${pick(SQUADS)}-${pick(AREAS)}-${service}Service[${pick(PURPOSES)}]` :
+        `${service} API ${i + 1}`;
+      const updatedAt = timestamp(60 + (i % 30));
+
+      const collection = {
+        id,
+        uid,
+        name,
+        owner: workspace ? workspace.id : String(ownerUser.id),
+        createdAt: timestamp(i % 60),
+        updatedAt,
+        isPublic: false
+      };
+      collections.push(collection);
+      audit('collection.create', ownerUser, collection.createdAt, `${ownerUser.name} created collection ${name}`);
+
+      collectionDetails[uid] = {
+        info: {
+          _postman_id: id,
+          name,
+          description: `Synthetic ${service} collection`,
+          schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json',
+          updatedAt,
+          uid
+        },
+        item: this.generateItems(service, opts.requestsPerCollection, chance, pick)
+      };
+
+      collectionForks[uid] = chance(opts.forkRatio) ?
+        Array.from({ length: 1 + Math.floor(random() * 3) }, (_, f) => ({
+          forkId: `${uid}-fork-${f + 1}`,
+          forkName: `${name} fork ${f + 1}`,
+          createdBy: users[(i + f + 1) % users.length].id,
+          createdAt: timestamp(70 + f)
+        })) :
+        [];
+      for (const fork of collectionForks[uid]) {
+        const forkUser = users.find(user => user.id === fork.createdBy);
+        audit('collection.fork', forkUser, fork.createdAt, `${forkUser.name} forked collection ${name}`);
+      }
+
+      if (chance(opts.specRatio)) {
+        apis.push({
+          id: `api-${opts.teamId}-${i + 1}`,
+          name: `${service} API`,
+          summary: `${service} service specification`,
+          createdBy: ownerUser.id,
+          updatedAt,
+          collections: [{ id: uid }]
+        });
+      }
+
+      if (chance(opts.monitoredRatio)) {
+        monitors.push({
+          id: `mon-${opts.teamId}-${i + 1}`,
+          uid: `${ownerUser.id}-mon-${i + 1}`,
+          name: `${service} monitor`,
+          owner: ownerUser.id,
+          collectionUid: uid
+        });
+      }
+
+      if (chance(opts.mockRatio)) {
+        mocks.push({
+          id: `mock-${opts.teamId}-${i + 1}`,
+          uid: `${ownerUser.id}-mock-${i + 1}`,
+          name: `${service} mock`,
+          owner: ownerUser.id,
+          collection: uid,
+          mockUrl: `https://mock-${i + 1}.example.com`
+        });
+      }
+
+      if (workspace) {
+        workspaceDetails[workspace.id].collections.push({ id, name, uid });
+      }
+    }
+
+    const environments = [];
+    const environmentDetails = {};
+    const hex = (length) => Array.from({ length }, () => Math.floor(random() * 16).toString(16)).join('');
+    workspaces.forEach((workspace, w) => {
+      for (let e = 0; e < opts.environmentsPerWorkspace; e++) {
+        const environment = {
+          id: `env-${opts.teamId}-${w + 1}-${e + 1}`,
+          uid: `${owner.id}-env-${w + 1}-${e + 1}`,
+          name: `${workspace.name} ${e === 0 ? 'Staging' : `Env ${e + 1}`}`,
+          owner: owner.id,
+          isPublic: false
+        };
+        environments.push(environment);
+        environmentDetails[environment.uid] = {
+          id: environment.id,
+          name: environment.name,
+          owner: owner.id,
+          values: [
+            { key: 'baseUrl', value: `https://${workspace.id}.example.com`, type: 'default', enabled: true },
+            {
+              key: 'apiKey',
+              value: `PMAK-${hex(24)}-${hex(34)}`,
+              type: chance(opts.plaintextSecretRatio) ? 'default' : 'secret',
+              enabled: true
+            }
+          ]
+        };
+        workspaceDetails[workspace.id].environments.push({ id: environment.id, name: environment.name, uid: environment.uid });
+      }
+    });
+
+    // Trails are numbered in time order, like the audit log's increasing ids
+    auditEvents.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    auditEvents.forEach((event, index) => { event.id = index + 1; });
+
+    // Runs use their own generator so enabling them leaves the rest of the org unchanged
+    const runRandom = createRandom(opts.seed + 1);
+    const monitorRuns = {};
+    const lastRunTime = baseTime + 30 * 86400000;
+    for (const monitor of monitors) {
+      const failureRate = runRandom() < opts.unreliableMonitorRatio ? 0.1 + runRandom() * 0.8 : 0;
+      monitorRuns[monitor.uid] = Array.from({ length: opts.monitorRunsPerMonitor }, (_, r) => {
+        const startedAt = new Date(lastRunTime - r * 3600000);
+        const failed = runRandom() < failureRate;
+        const responseTimes = [0, 1, 2].map(() => 50 + Math.floor(runRandom() * 400));
+        return {
+          info: {
+            jobId: `${monitor.id}-run-${r + 1}`,
+            monitorId: monitor.id,
+            name: monitor.name,
+            status: failed ? 'failed' : 'success',
+            startedAt: startedAt.toISOString(),
+            finishedAt: new Date(startedAt.getTime() + responseTimes.reduce((sum, time) => sum + time, 0)).toISOString()
+          },
+          stats: {
+            assertions: { total: 6, failed: failed ? 1 + Math.floor(runRandom() * 3) : 0 },
+            requests: { total: responseTimes.length, failed: 0 }
+          },
+          executions: responseTimes.map((responseTime, e) => ({
+            id: e + 1,
+            response: { code: failed && e === 0 ? 500 : 200, responseTime }
+          }))
+        };
+      });
+    }
+
+    // Mocks use the first environment of their collection's workspace
+    const mockRandom = createRandom(opts.seed + 2);
+    const mockDetails = {};
+    for (const mock of mocks) {
+      const collection = collections.find(item => item.uid === mock.collection);
+      const environment = workspaceDetails[collection?.owner]?.environments[0];
+      mockDetails[mock.uid] = {
+        ...mock,
+        environment: environment ? environment.uid : null,
+        isPublic: mockRandom() < opts.publicMockRatio,
+        config: { headers: [], matchBody: false, matchQueryParams: true, matchWildcards: true, delay: null },
+        createdAt: collection?.createdAt,
+        updatedAt: collection?.updatedAt
+      };
+    }
+
+    const pullRequestRandom = createRandom(opts.seed + 3);
+    const collectionPullRequests = {};
+    for (const [parentUid, forks] of Object.entries(collectionForks)) {
+      collectionPullRequests[parentUid] = forks
+        .filter(() => pullRequestRandom() < opts.forkPullRequestRatio)
+        .map((fork, p) => ({
+          id: `${fork.forkId}-pr-${p + 1}`,
+          title: `Changes from ${fork.forkName}`,
+          status: PULL_REQUEST_STATUSES[Math.floor(pullRequestRandom() * PULL_REQUEST_STATUSES.length)],
+          createdBy: fork.createdBy,
+          createdAt: new Date(Date.parse(fork.createdAt) + 86400000).toISOString(),
+          source: { id: fork.forkId, name: fork.forkName },
+          destination: { id: parentUid }
+        }));
+    }
+
+    const tagRandom = createRandom(opts.seed + 6);
+    const workspaceTags = {};
+    workspaces.forEach((workspace, i) => {
+      const tags = [];
+      if (tagRandom() < opts.workspaceTagRatio) {
+        tags.push({ slug: `team-${SQUADS[i % SQUADS.length].toLowerCase()}` });
+      }
+      if (tagRandom() < opts.workspaceTagRatio) {
+        tags.push({ slug: `asset-${1000 + i + 1}` });
+      }
+      if (tagRandom() < opts.workspaceTagRatio) {
+        tags.push({ slug: tagRandom() < 0.5 ? 'environment-dev' : 'environment-prod' });
+      }
+      workspaceTags[workspace.id] = tags;
+    });
+
+    const criticalRandom = createRandom(opts.seed + 7);
+    const collectionTags = {};
+    for (const collection of collections) {
+      collectionTags[collection.uid] = [{ slug: criticalRandom() < opts.criticalCollectionRatio ? 'critical' : 'standard' }];
+    }
+
+    const schemaRandom = createRandom(opts.seed + 4);
+    const driftRandom = createRandom(opts.seed + 5);
+    const apiSchemas = {};
+    for (const api of apis) {
+      apiSchemas[api.id] = this.generateSchema(api, collectionDetails[api.collections[0].id],
+        () => schemaRandom() < opts.specStyleRatio, () => driftRandom());
+    }
+
+    return {
+      me,
+      users,
+      groups,
+      workspaces,
+      workspaceDetails,
+      workspaceRoles,
+      collections,
+      collectionDetails,
+      collectionForks,
+      environments,
+      environmentDetails,
+      apis,
+      monitors,
+      mocks,
+      auditEvents,
+      monitorRuns,
+      mockDetails,
+      collectionPullRequests,
+      apiSchemas,
+      workspaceTags,
+      collectionTags
+    };
+  }
+
+  /**
+   * Generate the request tree of one collection
+   *
+   * Requests are split into two folders so consumers exercise nested item
+   * traversal; documentation and tests are assigned per request by ratio.
+   *
+   * @method generateItems
+   * @private
+   * @param {string} service - Service name used in request names and URLs
+   * @param {number} count - Number of requests to generate
+   * @param {Function} chance - Seeded ratio test
+   * @param {Function} pick - Seeded array picker
+   * @returns {Array<Object>} Postman collection items
+   */
+  generateItems(service, count, chance, pick) {
+    const opts = this.options;
+    const requests = Array.from({ length: count }, (_, r) => {
+      const method = pick(METHODS);
+      const documented = chance(opts.documentedRatio);
+      const tested = chance(opts.testedRatio);
+      const path = `/${service.toLowerCase()}/${r + 1}`;
+
+      const item = {
+        name: `${method} ${service} ${r + 1}`,
+        request: {
+          method,
+          url: {
+            raw: `https://api.example.com${path}`,
+            protocol: 'https',
+            host: ['api', 'example', 'com'],
+            path: path.slice(1).split('/')
+          },
+          header: []
+        }
+      };
+
+      if (documented) {
+        item.request.description = `${method} ${path} on the ${service} service`;
+        item.response = [{ name: 'Success', code: 200, status: 'OK', body: '{}' }];
+      }
+
+      if (tested) {
+        item.event = [{
+          listen: 'test',
+          script: { type: 'text/javascript', exec: ['pm.test("status is 2xx", () => pm.response.to.be.success);'] }
+        }];
+      }
+
+      return item;
+    });
+
+    const half = Math.ceil(requests.length / 2);
+    return [
+      { name: 'Read', item: requests.slice(0, half) },
+      { name: 'Write', item: requests.slice(half) }
+    ].filter(folder => folder.item.length > 0);
+  }
+
+  /**
+   * Generate an OpenAPI schema describing a collection's requests
+   *
+   * @method generateSchema
+   * @private
+   * @param {Object} api - API list entry
+   * @param {Object} collection - Collection detail the API is linked to
+   * @param {Function} follows - Seeded test deciding whether an element follows the style rules
+   * @param {Function} driftRandom - Seeded generator deciding which operations drift
+   * @returns {Object} Schema as returned by the API schema endpoint
+   */
+  generateSchema(api, collection, follows, driftRandom) {
+    const service = api.name.replace(/ API$/, '');
+    const paths = {};
+    let drifted = false;
+    for (const item of collection.item.flatMap(folder => folder.item)) {
+      const path = `/${item.request.url.path.join('/')}`;
+      const method = item.request.method.toLowerCase();
+      const drift = driftRandom() < this.options.specDriftRatio ? driftRandom() : null;
+      if (drift !== null && drift < 0.5) {
+        drifted = true;
+        continue;
+      }
+      const operation = { responses: { 200: { description: 'Success' } } };
+      if (drift !== null) {
+        drifted = true;
+        operation.parameters = [{ name: 'version', in: 'query', required: true, schema: { type: 'string' } }];
+      }
+      if (follows()) {
+        operation.operationId = `${method}${service}${item.request.url.path[1]}`;
+      }
+      if (item.request.description) {
+        operation.description = item.request.description;
+      }
+      if (follows()) {
+        operation.tags = [service];
+      }
+      if (follows()) {
+        operation.responses[404] = { description: 'Not found' };
+      }
+      paths[path] = { ...paths[path], [method]: operation };
+    }
+    if (drifted) {
+      paths[`/${service.toLowerCase()}/archive`] = {
+        get: { description: `Archived ${service} records`, responses: { 200: { description: 'Success' } } }
+      };
+    }
+
+    const document = {
+      openapi: '3.0.3',
+      info: { title: api.name, version: '1.0.0' },
+      paths,
+      components: {
+        schemas: {
+          [service]: {
+            type: 'object',
+            properties: { id: { type: 'string' }, [follows() ? 'createdAt' : 'created_at']: { type: 'string' } }
+          }
+        }
+      }
+    };
+    if (follows()) {
+      document.components.securitySchemes = { apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' } };
+      document.security = [{ apiKey: [] }];
+    }
+
+    return { id: `${api.id}-schema`, type: 'openapi:3', content: JSON.stringify(document) };
+  }
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ *
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = SyntheticOrgGenerator;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
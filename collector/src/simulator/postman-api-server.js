@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+/**
+ * Postman API Stand-In Server - Local Postman API for End-to-End Runs
+ *
+ * Bundled HTTP server implementing the subset of the Postman API used by
+ * PostmanClient, backed by a SyntheticOrgGenerator organization. Pointing
+ * postman.base_url at it gives realistic collection cycles for integration
+ * and load tests without a Postman account or API quota.
+ */
+
+const express = require('express');
+const SyntheticOrgGenerator = require('./org-generator');
+
+/**
+ * Postman API Stand-In Server Class
+ *
+ * @class PostmanApiServer
+ * @description Local HTTP implementation of the Postman API endpoints the collector uses
+ *
+ * Implemented endpoints:
+ * - GET /me
+ * - GET /workspaces, /workspaces/:id, /workspaces/:id/roles, /workspaces/:id/tags
+ * - GET /collections (offset pagination), /collections/:uid, /collections/:uid/forks
+ * - GET /collections/:uid/pull-requests, /collections/:uid/tags
+ * - GET /environments, /apis, /monitors, /mocks (cursor pagination)
+ * - GET /apis/:id (with `schemas` when include=schemas), /apis/:id/schemas/:schemaId
+ * - GET /environments/:uid
+ * - GET /monitors/:uid/runs (newest first, `limit` applied)
+ * - GET /mocks/:uid
+ * - GET /groups, /users (cursor pagination)
+ * - GET /network/private
+ * - GET /audit/logs (since/until day filters, orderBy, cursor pagination)
+ *
+ * Behaviour matching the real API:
+ * - X-API-Key header required (401 when missing or not matching options.apiKey)
+ * - Pagination metadata in `meta` (total/offset/limit or nextCursor)
+ * - X-RateLimit-Limit/Remaining/Reset headers and 429 responses when
+ *   options.rateLimitPerMinute is set
+ * - Optional fixed latency per request for load testing
+ *
+ * Server options:
+ * - apiKey: Required API key value (any non-empty key is accepted when unset)
+ * - pageSize: Items per page for paginated lists (default 50)
+ * - rateLimitPerMinute: Fixed-window request limit (0 disables, default 0)
+ * - latencyMs: Artificial delay added to every response (default 0)
+ * - org: Options passed to SyntheticOrgGenerator, or a pre-generated organization
+ *
+ * Called by: Integration/load tests and `npm run simulator`
+ *
+ * @complexity O(1) per request plus O(p) slicing for a page of size p
+ */
+class PostmanApiServer {
+  /**
+   * Create a stand-in server and generate its organization
+   *
+   * @constructor
+   * @param {Object} [options={}] - Server options (see class documentation)
+   * @param {Object} [logger=null] - Optional logger for start/stop messages
+   */
+  constructor(options = {}, logger = null) {
+    this.options = {
+      pageSize: 50,
+      rateLimitPerMinute: 0,
+      latencyMs: 0,
+      ...options
+    };
+    this.logger = logger;
+    this.org = options.org?.collectionDetails ? options.org : new SyntheticOrgGenerator(options.org).generate();
+    this.server = null;
+    this.requestCount = 0;
+    this.rateWindow = { start: 0, count: 0 };
+    this.app = this.createApp();
+  }
+
+  /**
+   * Build the Express application with all Postman API routes
+   *
+   * @method createApp
+   * @private
+   * @returns {Object} Express application
+   */
+  createApp() {
+    const app = express();
+    const org = this.org;
+
+    app.disable('x-powered-by');
+    app.use((req, res, next) => this.handleCommon(req, res, next));
+
+    app.get('/me', (req, res) => res.json(org.me));
+
+    app.get('/workspaces', (req, res) => res.json({ workspaces: org.workspaces }));
+    app.get('/workspaces/:id', (req, res) => {
+      const workspace = org.workspaceDetails[req.params.id];
+      return workspace ? res.json({ workspace }) : this.notFound(res, 'workspace', req.params.id);
+    });
+    app.get('/workspaces/:id/roles', (req, res) => {
+      const roles = org.workspaceRoles[req.params.id];
+      return roles ? res.json({ roles }) : this.notFound(res, 'workspace', req.params.id);
+    });
+    app.get('/workspaces/:id/tags', (req, res) => {
+      const tags = org.workspaceTags[req.params.id];
+      return tags ? res.json({ tags }) : this.notFound(res, 'workspace', req.params.id);
+    });
+
+    app.get('/collections', (req, res) => {
+      const collections = req.query.workspace ?
+        org.collections.filter(c => c.owner === req.query.workspace) :
+        org.collections;
+      res.json(this.offsetPage(collections, 'collections', req.query));
+    });
+    app.get('/collections/:uid', (req, res) => {
+      const collection = org.collectionDetails[req.params.uid];
+      return collection ? res.json({ collection }) : this.notFound(res, 'collection', req.params.uid);
+    });
+    app.get('/collections/:uid/forks', (req, res) => {
+      const forks = org.collectionForks[req.params.uid];
+      return forks ? res.json({ data: forks, meta: { total: forks.length } }) :
+        this.notFound(res, 'collection', req.params.uid);
+    });
+    app.get('/collections/:uid/pull-requests', (req, res) => {
+      const pullRequests = org.collectionPullRequests?.[req.params.uid];
+      return pullRequests ? res.json({ data: pullRequests }) : this.notFound(res, 'collection', req.params.uid);
+    });
+
+    app.get('/collections/:uid/tags', (req, res) => {
+      const tags = org.collectionTags?.[req.params.uid];
+      return tags ? res.json({ tags }) : this.notFound(res, 'collection', req.params.uid);
+    });
+
+    app.get('/environments', (req, res) => res.json(this.cursorPage(org.environments, 'environments', req.query)));
+    app.get('/environments/:uid', (req, res) => {
+      const environment = org.environmentDetails?.[req.params.uid];
+      return environment ? res.json({ environment }) : this.notFound(res, 'environment', req.params.uid);
+    });
+    app.get('/apis', (req, res) => res.json(this.cursorPage(org.apis, 'apis', req.query)));
+    app.get('/apis/:id', (req, res) => {
+      const api = org.apis.find(entry => entry.id === req.params.id);
+      const schema = org.apiSchemas?.[req.params.id];
+      if (!api) {
+        return this.notFound(res, 'api', req.params.id);
+      }
+      return res.json(req.query.include === 'schemas' && schema ?
+        { ...api, schemas: [{ id: schema.id, type: schema.type }] } :
+        api);
+    });
+    app.get('/apis/:id/schemas/:schemaId', (req, res) => {
+      const schema = org.apiSchemas?.[req.params.id];
+      return schema && schema.id === req.params.schemaId ? res.json(schema) :
+        this.notFound(res, 'schema', req.params.schemaId);
+    });
+    app.get('/monitors', (req, res) => res.json(this.cursorPage(org.monitors, 'monitors', req.query)));
+    app.get('/monitors/:uid/runs', (req, res) => {
+      const runs = org.monitorRuns?.[req.params.uid];
+      const limit = Math.max(1, parseInt(req.query.limit, 10) || 20);
+      return runs ? res.json({ runs: runs.slice(0, limit) }) : this.notFound(res, 'monitor', req.params.uid);
+    });
+    app.get('/mocks', (req, res) => res.json(this.cursorPage(org.mocks, 'mocks', req.query)));
+    app.get('/mocks/:uid', (req, res) => {
+      const mock = org.mockDetails?.[req.params.uid];
+      return mock ? res.json({ mock }) : this.notFound(res, 'mock', req.params.uid);
+    });
+    app.get('/groups', (req, res) => res.json(this.cursorPage(org.groups, 'data', req.query)));
+    app.get('/users', (req, res) => res.json(this.cursorPage(org.users, 'data', req.query)));
+    app.get('/network/private', (req, res) => res.json({ apis: [] }));
+    app.get('/audit/logs', (req, res) => {
+      // since/until are calendar days (YYYY-MM-DD), both inclusive
+      const trails = (org.auditEvents || []).filter(trail =>
+        (!req.query.since || trail.timestamp.slice(0, 10) >= req.query.since) &&
+        (!req.query.until || trail.timestamp.slice(0, 10) <= req.query.until));
+      if (req.query.orderBy === 'desc') {
+        trails.reverse();
+      }
+      res.json(this.cursorPage(trails, 'trails', req.query));
+    });
+
+    app.use((req, res) => this.notFound(res, 'route', req.path));
+
+    return app;
+  }
+
+  /**
+   * Apply authentication, rate limiting and latency to every request
+   *
+   * @method handleCommon
+   * @private
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Function} next - Next middleware
+   * @returns {void}
+   */
+  handleCommon(req, res, next) {
+    this.requestCount++;
+
+    const apiKey = req.get('X-API-Key');
+    if (!apiKey || (this.options.apiKey && apiKey !== this.options.apiKey)) {
+      return res.status(401).json({
+        error: { name: 'AuthenticationError', message: 'Invalid API Key. Every request requires a valid API Key to be sent.' }
+      });
+    }
+
+    const limit = this.options.rateLimitPerMinute;
+    if (limit > 0) {
+      const now = Date.now();
+      if (now - this.rateWindow.start >= 60000) {
+        this.rateWindow = { start: now, count: 0 };
+      }
+      this.rateWindow.count++;
+
+      const resetSeconds = Math.ceil((this.rateWindow.start + 60000 - now) / 1000);
+      res.set('X-RateLimit-Limit', String(limit));
+      res.set('X-RateLimit-Remaining', String(Math.max(0, limit - this.rateWindow.count)));
+      res.set('X-RateLimit-Reset', String(resetSeconds));
+
+      if (this.rateWindow.count > limit) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({
+          error: { name: 'rateLimited', message: 'Rate limit exceeded. Please retry after some time.' }
+        });
+      }
+    }
+
+    if (this.options.latencyMs > 0) {
+      setTimeout(next, this.options.latencyMs);
+    } else {
+      next();
+    }
+  }
+
+  /**
+   * Build an offset-paginated list response
+   *
+   * @method offsetPage
+   * @private
+   * @param {Array} items - Full list
+   * @param {string} key - Response property for the page items
+   * @param {Object} query - Request query (offset, limit)
+   * @returns {Object} Response body with meta.total/offset/limit
+   */
+  offsetPage(items, key, query) {
+    const offset = Math.max(0, parseInt(query.offset, 10) || 0);
+    const limit = Math.max(1, parseInt(query.limit, 10) || this.options.pageSize);
+    return {
+      [key]: items.slice(offset, offset + limit),
+      meta: { total: items.length, offset, limit }
+    };
+  }
+
+  /**
+   * Build a cursor-paginated list response
+   *
+   * Cursors are opaque base64 offsets; the last page has no nextCursor.
+   *
+   * @method cursorPage
+   * @private
+   * @param {Array} items - Full list
+   * @param {string} key - Response property for the page items
+   * @param {Object} query - Request query (cursor, limit)
+   * @returns {Object} Response body with meta.nextCursor
+   */
+  cursorPage(items, key, query) {
+    const offset = query.cursor ? parseInt(Buffer.from(String(query.cursor), 'base64').toString('utf8'), 10) || 0 : 0;
+    const limit = Math.max(1, parseInt(query.limit, 10) || this.options.pageSize);
+    const end = offset + limit;
+    const meta = { limit };
+    if (end < items.length) {
+      meta.nextCursor = Buffer.from(String(end)).toString('base64');
+    }
+    return { [key]: items.slice(offset, end), meta };
+  }
+
+  /**
+   * Send a Postman-style 404 response
+   *
+   * @method notFound
+   * @private
+   * @param {Object} res - Express response
+   * @param {string} entity - Entity type for the message
+   * @param {string} id - Requested identifier
+   * @returns {Object} Express response
+   */
+  notFound(res, entity, id) {
+    return res.status(404).json({
+      error: { name: 'instanceNotFoundError', message: `We could not find the ${entity} you are looking for: ${id}` }
+    });
+  }
+
+  /**
+   * Start listening for requests
+   *
+   * @async
+   * @method start
+   * @param {number} [port=0] - Port to bind (0 picks a free port)
+   * @param {string} [host='127.0.0.1'] - Interface to bind
+   * @returns {Promise<Object>} { port, url } of the running server
+   */
+  start(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, host, () => {
+        const address = this.server.address();
+        const url = `http://${host}:${address.port}`;
+        this.logger?.info('Postman API stand-in listening', {
+          url,
+          workspaces: this.org.workspaces.length,
+          collections: this.org.collections.length
+        });
+        resolve({ port: address.port, url });
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  /**
+   * Stop the server and close idle keep-alive connections
+   *
+   * @async
+   * @method stop
+   * @returns {Promise<void>} Resolves when the server is closed
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections?.();
+      this.server = null;
+    });
+  }
+}
+
+// Run standalone: configured through SIMULATOR_* environment variables
+if (require.main === module) {
+  const env = process.env;
+  const number = (value) => (value === undefined ? undefined : Number(value));
+  const orgOptions = Object.fromEntries(Object.entries({
+    seed: number(env.SIMULATOR_SEED),
+    workspaces: number(env.SIMULATOR_WORKSPACES),
+    collections: number(env.SIMULATOR_COLLECTIONS),
+    requestsPerCollection: number(env.SIMULATOR_REQUESTS_PER_COLLECTION),
+    users: number(env.SIMULATOR_USERS),
+    documentedRatio: number(env.SIMULATOR_DOCUMENTED_RATIO),
+    testedRatio: number(env.SIMULATOR_TESTED_RATIO)
+  }).filter(([, value]) => value !== undefined));
+
+  const server = new PostmanApiServer({
+    apiKey: env.SIMULATOR_API_KEY,
+    pageSize: number(env.SIMULATOR_PAGE_SIZE) || 50,
+    rateLimitPerMinute: number(env.SIMULATOR_RATE_LIMIT) || 0,
+    latencyMs: number(env.SIMULATOR_LATENCY_MS) || 0,
+    org: orgOptions
+  }, { info: (message, meta) => console.log(message, JSON.stringify(meta)) });
+
+  server.start(number(env.SIMULATOR_PORT) || 4010, env.SIMULATOR_HOST || '127.0.0.1').catch(error => {
+    console.error('Failed to start Postman API stand-in:', error.message);
+    process.exit(1);
+  });
+
+  const shutdown = () => server.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+module.exports = PostmanApiServer;
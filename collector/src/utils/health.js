@@ -66,6 +66,8 @@ class HealthChecker {
    * @param {PostmanClient} postmanClient - API client for external service validation
    * @param {Object} config - Health check configuration and thresholds
    * @param {Logger} logger - Structured logger for health check audit trails
+   * @param {Array<Object>} [teams] - Teams to check, `{ name, postmanClient }` each
+   *        (multi-team mode); defaults to postmanClient as the only team
    * 
    * Configuration structure:
    * - config.checks: Boolean flags for individual health check enablement
@@ -92,11 +94,12 @@ class HealthChecker {
    * 
    * @complexity O(1) - Simple instance variable assignment
    */
-  constructor(database, postmanClient, config, logger) {
+  constructor(database, postmanClient, config, logger, teams = null) {
     this.db = database;
     this.postmanClient = postmanClient;
     this.config = config;
     this.logger = logger;
+    this.teams = teams && teams.length > 0 ? teams : [{ name: 'default', postmanClient }];
   }
   
   /**
@@ -318,6 +321,10 @@ class HealthChecker {
    * - Minimal data transfer for efficiency
    * - Representative of typical API operations
    * 
+   * Circuit breaker evaluation:
+   * - An open circuit makes the check fail fast and report 'unhealthy'
+   * - A half-open circuit (recovery being probed) reports at most 'degraded'
+   * 
    * Performance threshold evaluation:
    * - Compares response time against config.thresholds.api_response_time_ms
    * - Slow responses trigger 'degraded' status
@@ -330,8 +337,17 @@ class HealthChecker {
    *   - connectivity: 'ok' or 'failed'
    *   - authentication: 'valid' or authentication status
    *   - slowResponse: Boolean indicating threshold breach
+   *   - rateLimit: Client rate limiter state (tokens, server quota, 429 count)
+   *   - circuitBreaker: Circuit breaker state (closed/open/half_open, error rate)
    * - error: Error message if request failed
    * 
+   * Multi-team mode:
+   * - Every team's client is checked, since each has its own API key,
+   *   rate limiter and circuit breaker
+   * - status is the worst team status and responseTime the slowest team
+   * - details.teams holds each team's result, keyed by team name
+   * - With a single team the result is that team's result
+   * 
    * Common failure scenarios:
    * - Invalid or expired API key (401 Unauthorized)
    * - Network connectivity issues (connection timeout)
@@ -346,6 +362,8 @@ class HealthChecker {
    * 
    * Dependencies:
    * - PostmanClient.getUser(): Authenticated API request method
+   * - PostmanClient.getRateLimitState(): Client-side quota usage
+   * - PostmanClient.getCircuitBreakerState(): Circuit breaker state
    * - Network connectivity to api.getpostman.com
    * - Valid Postman API key configuration
    * 
@@ -354,22 +372,55 @@ class HealthChecker {
    * @complexity O(1) - Single API request with response time measurement
    */
   async checkPostmanAPI() {
+    const results = [];
+    for (const team of this.teams) {
+      results.push([team.name, await this.checkPostmanClient(team.postmanClient)]);
+    }
+
+    if (results.length === 1) {
+      return results[0][1];
+    }
+
+    const statuses = results.map(([, result]) => result.status);
+    return {
+      status: ['unhealthy', 'degraded', 'healthy'].find(status => statuses.includes(status)) || 'unknown',
+      responseTime: Math.max(0, ...results.map(([, result]) => result.responseTime || 0)),
+      details: {
+        teams: Object.fromEntries(results)
+      }
+    };
+  }
+
+  /**
+   * Check one team's Postman API client
+   * 
+   * @async
+   * @method checkPostmanClient
+   * @param {PostmanClient} postmanClient - Team API client
+   * @returns {Promise<Object>} Postman API health check result for the client
+   * 
+   * Called by: checkPostmanAPI() for each team
+   */
+  async checkPostmanClient(postmanClient) {
     try {
       const startTime = Date.now();
       
       // Test API connectivity with a lightweight call
-      await this.postmanClient.getUser();
+      await postmanClient.getUser();
       
       const responseTime = Date.now() - startTime;
       const isSlowResponse = responseTime > this.config.thresholds.api_response_time_ms;
+      const circuitBreaker = postmanClient.getCircuitBreakerState();
       
       return {
-        status: isSlowResponse ? 'degraded' : 'healthy',
+        status: isSlowResponse || circuitBreaker.state !== 'closed' ? 'degraded' : 'healthy',
         responseTime,
         details: {
           connectivity: 'ok',
           authentication: 'valid',
-          slowResponse: isSlowResponse
+          slowResponse: isSlowResponse,
+          rateLimit: postmanClient.getRateLimitState(),
+          circuitBreaker
         }
       };
     } catch (error) {
@@ -382,8 +433,11 @@ class HealthChecker {
             'Invalid API key',
             'Network connectivity issue',
             'Postman API service down',
-            'Rate limit exceeded'
-          ]
+            'Rate limit exceeded',
+            'Circuit breaker open after repeated Postman API errors'
+          ],
+          rateLimit: postmanClient.getRateLimitState(),
+          circuitBreaker: postmanClient.getCircuitBreakerState()
         }
       };
     }
@@ -0,0 +1,102 @@
+/**
+ * Circuit Breaker Tests
+ * Tests for opening on error rate, failing fast and half-open recovery
+ */
+
+const CircuitBreaker = require('../src/postman/circuit-breaker');
+const PostmanClient = require('../src/postman/client');
+
+// Mock logger for tests
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  audit: jest.fn()
+};
+
+describe('CircuitBreaker', () => {
+  const failTimes = (breaker, count) => {
+    for (let i = 0; i < count; i++) {
+      breaker.beforeRequest();
+      breaker.recordFailure(new Error('socket hang up'));
+    }
+  };
+
+  test('should stay closed until the minimum number of requests is reached', () => {
+    const breaker = new CircuitBreaker({ minimumRequests: 4, windowSize: 10 });
+
+    failTimes(breaker, 3);
+
+    expect(breaker.getState().state).toBe('closed');
+    expect(breaker.getState().errorRate).toBe(1);
+  });
+
+  test('should open at the error rate threshold and fail fast', () => {
+    const breaker = new CircuitBreaker({ minimumRequests: 4, windowSize: 10, errorRateThreshold: 0.5 });
+    breaker.recordSuccess();
+    breaker.recordSuccess();
+
+    failTimes(breaker, 2);
+
+    expect(breaker.getState()).toMatchObject({ state: 'open', stateValue: 2, timesOpened: 1 });
+    expect(() => breaker.beforeRequest()).toThrow(expect.objectContaining({ code: 'ECIRCUITOPEN' }));
+    expect(breaker.getState().rejectedRequests).toBe(1);
+  });
+
+  test('should half-open after the open period and close on a successful probe', async () => {
+    const breaker = new CircuitBreaker({ minimumRequests: 1, openMs: 20 });
+    failTimes(breaker, 1);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    breaker.beforeRequest();
+    expect(breaker.getState().state).toBe('half_open');
+    expect(breaker.canRequest()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.getState().state).toBe('closed');
+  });
+
+  test('should reopen when the half-open probe fails', async () => {
+    const breaker = new CircuitBreaker({ minimumRequests: 1, openMs: 20 });
+    failTimes(breaker, 1);
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    failTimes(breaker, 1);
+
+    expect(breaker.getState()).toMatchObject({ state: 'open', timesOpened: 2 });
+  });
+
+  test('should never open when disabled', () => {
+    const breaker = CircuitBreaker.fromConfig({ enabled: false, minimum_requests: 1 });
+
+    failTimes(breaker, 5);
+
+    expect(breaker.getState().state).toBe('closed');
+  });
+});
+
+describe('PostmanClient circuit breaking', () => {
+  test('should stop sending requests once the circuit opens', async () => {
+    const client = new PostmanClient('PMAK-test', {
+      base_url: 'https://api.getpostman.com',
+      timeout_seconds: 5,
+      rate_limit: { requests_per_minute: 60000, burst_allowance: 50 },
+      circuit_breaker: { minimum_requests: 3, window_size: 5, open_seconds: 60 },
+      limits: {},
+      collection_scope: {}
+    }, mockLogger);
+    const adapter = jest.fn(async (config) => {
+      throw Object.assign(new Error('socket hang up'), { config });
+    });
+    client.client.defaults.adapter = adapter;
+
+    for (let i = 0; i < 5; i++) {
+      await expect(client.getWorkspace(`ws-${i}`)).rejects.toThrow();
+    }
+
+    expect(adapter).toHaveBeenCalledTimes(3);
+    expect(client.getCircuitBreakerState()).toMatchObject({ state: 'open', rejectedRequests: 2 });
+  });
+});
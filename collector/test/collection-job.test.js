@@ -0,0 +1,163 @@
+/**
+ * Collection Job Tests
+ * Tests for collection job tracking, single-flight protection and cancellation
+ */
+
+const GovernanceCollectorApp = require('../src/main');
+const CollectionJob = require('../src/jobs/collection-job');
+
+// Mock logger for tests
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  audit: jest.fn()
+};
+
+describe('CollectionJob', () => {
+  test('should report progress across teams', () => {
+    const job = new CollectionJob();
+
+    job.updateProgress({ collectionsAnalyzed: 10, collectionsTotal: 10, apiCalls: 25 },
+      { collectionsAnalyzed: 0, collectionsTotal: 0, apiCalls: 0 });
+    job.updateProgress({ collectionsAnalyzed: 5, collectionsTotal: 10, apiCalls: 12 },
+      { collectionsAnalyzed: 10, collectionsTotal: 10, apiCalls: 25 });
+
+    expect(job.toJSON()).toMatchObject({
+      status: 'running',
+      progress: { collectionsAnalyzed: 15, collectionsTotal: 20, percent: 75 },
+      apiCalls: 37
+    });
+  });
+
+  test('should only cancel running jobs', () => {
+    const job = new CollectionJob();
+
+    expect(job.cancel()).toBe(true);
+    job.finish('failed');
+
+    expect(job.status).toBe('cancelled');
+    expect(job.cancel()).toBe(false);
+  });
+});
+
+describe('GovernanceCollectorApp collection jobs', () => {
+  let app;
+  let releaseSnapshot;
+
+  beforeEach(() => {
+    app = new GovernanceCollectorApp();
+    app.logger = mockLogger;
+    app.config = { collection: { incremental: false }, postman: {} };
+    app.db = {
+      storeMetrics: jest.fn().mockResolvedValue(),
+      storeCollectionRun: jest.fn().mockResolvedValue(),
+      storeAuditEvents: jest.fn().mockResolvedValue(0),
+      getCollectionFingerprints: jest.fn(),
+      getViolationFirstSeen: jest.fn().mockResolvedValue(new Map()),
+      getActiveWaivers: jest.fn().mockResolvedValue([])
+    };
+    const postmanClient = {
+      fixtureMode: 'off',
+      lastRunStats: null,
+      collectSnapshot: jest.fn(({ onProgress }) => new Promise(resolve => {
+        onProgress({ collectionsAnalyzed: 1, collectionsTotal: 4, apiCalls: 3 });
+        releaseSnapshot = () => {
+          postmanClient.lastRunStats = {
+            requests: 9, clientErrors: 1, serverErrors: 0, retries: 2,
+            entities: { collections: 4 },
+            failures: [{ entity: 'collectionForks', id: 'col-1', error: 'Not Found' }]
+          };
+          resolve({});
+        };
+      }))
+    };
+    app.teams = [{
+      name: 'default',
+      postmanClient,
+      governanceCalculator: {
+        calculateGovernanceMetrics: jest.fn().mockResolvedValue({}),
+        calculateGovernanceViolations: jest.fn().mockResolvedValue({})
+      }
+    }];
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should track phase and progress of a running job', async () => {
+    const { job, promise } = app.startCollection();
+
+    expect(app.jobs.get(job.id)).toBe(job);
+    expect(job.toJSON()).toMatchObject({ phase: 'collecting', team: 'default', apiCalls: 3 });
+
+    releaseSnapshot();
+    await promise;
+
+    expect(job.toJSON()).toMatchObject({ status: 'completed', phase: 'done' });
+    expect(app.db.storeMetrics).toHaveBeenCalledTimes(1);
+  });
+
+  test('should record a run with request statistics when the cycle finishes', async () => {
+    const { job, promise } = app.startCollection('scheduled');
+
+    releaseSnapshot();
+    await promise;
+
+    expect(app.db.storeCollectionRun).toHaveBeenCalledWith(expect.objectContaining({
+      id: job.id,
+      trigger: 'scheduled',
+      status: 'completed',
+      teams: ['default'],
+      apiRequests: 9,
+      clientErrors: 1,
+      retries: 2,
+      entities: { collections: 4 },
+      failures: [{ team: 'default', entity: 'collectionForks', id: 'col-1', error: 'Not Found' }]
+    }));
+  });
+
+  test('should refuse to start a second cycle while one is running', async () => {
+    const first = app.startCollection('scheduled');
+
+    expect(app.startCollection('manual')).toBeNull();
+    await expect(app.runCollection()).rejects.toThrow('is already running');
+
+    releaseSnapshot();
+    await first.promise;
+    expect(app.startCollection('manual')).not.toBeNull();
+  });
+
+  test('should wait for the running cycle before closing the database on shutdown', async () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    app.db.close = jest.fn().mockResolvedValue();
+    const { job } = app.startCollection();
+
+    const shutdown = app.shutdown('SIGTERM');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(job.signal.aborted).toBe(true);
+    expect(app.db.close).not.toHaveBeenCalled();
+
+    releaseSnapshot();
+    await shutdown;
+
+    expect(app.db.storeCollectionRun).toHaveBeenCalledWith(expect.objectContaining({ id: job.id, status: 'cancelled' }));
+    expect(app.db.storeCollectionRun.mock.invocationCallOrder[0]).toBeLessThan(app.db.close.mock.invocationCallOrder[0]);
+    expect(exit).toHaveBeenCalledWith(0);
+    exit.mockRestore();
+  });
+
+  test('should not store results of a cancelled job', async () => {
+    const { job, promise } = app.startCollection();
+
+    job.cancel();
+    releaseSnapshot();
+
+    await expect(promise).rejects.toThrow('Collection job cancelled');
+    expect(job.status).toBe('cancelled');
+    expect(app.db.storeMetrics).not.toHaveBeenCalled();
+  });
+});
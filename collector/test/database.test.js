@@ -0,0 +1,708 @@
+/**
+ * Database Manager Tests
+ * Tests for persistence against an in-memory SQLite database
+ */
+
+const DatabaseManager = require('../src/database/manager');
+
+// Mock logger for tests
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  audit: jest.fn()
+};
+
+describe('DatabaseManager collection fingerprints', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new DatabaseManager({ path: ':memory:', pragma_settings: {} }, mockLogger);
+    await db.initialize();
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.clearAllMocks();
+  });
+
+  test('should round-trip fingerprints with compressed content', async () => {
+    await db.storeCollectionFingerprints([{
+      collectionId: 'col-1',
+      updatedAt: '2024-01-01T00:00:00.000Z',
+      contentHash: 'abc',
+      analysis: { version: 1, totalEndpoints: 2 },
+      content: { uid: 'col-1', item: [{ name: 'Get user' }] }
+    }]);
+
+    const fingerprints = await db.getCollectionFingerprints();
+
+    expect(fingerprints.get('col-1')).toEqual({
+      updatedAt: '2024-01-01T00:00:00.000Z',
+      contentHash: 'abc',
+      analysis: { version: 1, totalEndpoints: 2 },
+      content: { uid: 'col-1', item: [{ name: 'Get user' }] }
+    });
+  });
+
+  test('should persist fingerprints with metrics but keep them out of raw metrics', async () => {
+    await db.storeMetrics({
+      overallGovernanceScore: 50,
+      collectionFingerprints: [{ collectionId: 'col-1', updatedAt: null, contentHash: 'abc', analysis: null, content: null }]
+    }, {});
+
+    const fingerprints = await db.getCollectionFingerprints();
+    const row = await db.get('SELECT raw_metrics FROM governance_metrics');
+
+    expect(fingerprints.get('col-1').contentHash).toBe('abc');
+    expect(JSON.parse(row.raw_metrics).collectionFingerprints).toBeUndefined();
+  });
+
+  test('should keep each team\'s fingerprints apart', async () => {
+    const fingerprint = { collectionId: 'col-1', updatedAt: null, analysis: null, content: null };
+    await db.storeMetrics({ overallGovernanceScore: 50, collectionFingerprints: [{ ...fingerprint, contentHash: 'abc' }] }, {}, 'payments');
+    await db.storeMetrics({ overallGovernanceScore: 50, collectionFingerprints: [{ ...fingerprint, contentHash: 'def' }] }, {}, 'platform');
+
+    expect((await db.getCollectionFingerprints('payments')).get('col-1').contentHash).toBe('abc');
+    expect((await db.getCollectionFingerprints('platform')).get('col-1').contentHash).toBe('def');
+    expect((await db.getCollectionFingerprints()).size).toBe(0);
+  });
+
+  test('should rebuild fingerprint tables created without a team as the default team', async () => {
+    await db.run('DROP TABLE collection_fingerprints');
+    await db.run(`CREATE TABLE collection_fingerprints (
+      collection_id TEXT PRIMARY KEY,
+      updated_at TEXT,
+      content_hash TEXT NOT NULL,
+      analysis TEXT,
+      content BLOB,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.run("INSERT INTO collection_fingerprints (collection_id, content_hash) VALUES ('col-1', 'abc')");
+
+    await db.migrateSchema();
+    await db.storeCollectionFingerprints([{ collectionId: 'col-1', contentHash: 'def' }], 'payments');
+
+    expect((await db.getCollectionFingerprints()).get('col-1').contentHash).toBe('abc');
+    expect((await db.getCollectionFingerprints('payments')).get('col-1').contentHash).toBe('def');
+  });
+});
+
+describe('DatabaseManager team dimension', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new DatabaseManager({ path: ':memory:', pragma_settings: {} }, mockLogger);
+    await db.initialize();
+
+    await db.storeMetrics({
+      overallGovernanceScore: 80,
+      organizationalInsights: { totalWorkspaces: 3, totalCollections: 10 }
+    }, {
+      untestedCollections: [{ id: 'col-a', name: 'Payments API', workspaceId: 'ws-a', severity: 'medium' }]
+    }, 'payments');
+    await db.storeMetrics({
+      overallGovernanceScore: 40,
+      organizationalInsights: { totalWorkspaces: 2, totalCollections: 5 }
+    }, {
+      untestedCollections: [{ id: 'col-b', name: 'Platform API', workspaceId: 'ws-b', severity: 'medium' }],
+      missingDocumentation: [{ id: 'col-c', name: 'Search API', workspaceId: 'ws-b', severity: 'low' }]
+    }, 'platform');
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.clearAllMocks();
+  });
+
+  test('should aggregate the latest metrics of every team', async () => {
+    const summary = await db.getLatestMetricsSummary();
+
+    expect(summary.teams).toBe(2);
+    expect(summary.avg_overall_score).toBe(60);
+  });
+
+  test('should filter the summary by team', async () => {
+    const summary = await db.getLatestMetricsSummary('payments');
+
+    expect(summary.teams).toBe(1);
+    expect(summary.avg_overall_score).toBe(80);
+  });
+
+  test('should return zero-filled defaults for an unknown team', async () => {
+    const summary = await db.getLatestMetricsSummary('unknown');
+
+    expect(summary.teams).toBe(0);
+    expect(summary.avg_overall_score).toBe(0);
+  });
+
+  test('should filter violations by team', async () => {
+    const all = await db.getViolationSummary();
+    const platform = await db.getViolationSummary('platform');
+    const detailed = await db.getDetailedViolations(50, 'payments');
+
+    expect(all.reduce((sum, row) => sum + row.count, 0)).toBe(3);
+    expect(platform.reduce((sum, row) => sum + row.count, 0)).toBe(2);
+    expect(detailed).toHaveLength(1);
+    expect(detailed[0].team).toBe('payments');
+  });
+
+  test('should list teams with stored data', async () => {
+    const teams = await db.getTeams();
+
+    expect(teams.map(row => row.team)).toEqual(['payments', 'platform']);
+  });
+
+  test('should add the team column to tables created without it', async () => {
+    await db.run('DROP TABLE governance_violations');
+    await db.run(`CREATE TABLE governance_violations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      collection_id TEXT NOT NULL,
+      violation_type TEXT NOT NULL,
+      entity_id TEXT NOT NULL,
+      entity_name TEXT,
+      workspace_id TEXT,
+      workspace_name TEXT,
+      severity TEXT NOT NULL,
+      description TEXT,
+      workspace_admin_email TEXT
+    )`);
+    await db.run(`INSERT INTO governance_violations (collection_id, violation_type, entity_id, severity)
+      VALUES ('old', 'orphanedUsers', 'user-1', 'low')`);
+
+    await db.migrateSchema();
+
+    const row = await db.get('SELECT team FROM governance_violations');
+    expect(row.team).toBe('default');
+  });
+
+  test('should keep each team\'s admin of a shared workspace apart and rebuild admin tables keyed without the team', async () => {
+    const admin = { workspaceId: 'ws-1', workspaceName: 'Shared', userId: 'u-1', email: 'admin@example.com', name: 'Admin' };
+    await db.run('DROP TABLE workspace_admins');
+    await db.run(`CREATE TABLE workspace_admins (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      workspace_id TEXT NOT NULL,
+      workspace_name TEXT NOT NULL,
+      admin_user_id TEXT NOT NULL,
+      admin_email TEXT NOT NULL,
+      admin_name TEXT NOT NULL,
+      UNIQUE(workspace_id, admin_user_id)
+    )`);
+    await db.run(`INSERT INTO workspace_admins (workspace_id, workspace_name, admin_user_id, admin_email, admin_name)
+      VALUES ('ws-0', 'Old', 'u-0', 'old@example.com', 'Old Admin')`);
+
+    await db.migrateSchema();
+    await db.storeWorkspaceAdmins([admin], 'payments');
+    await db.storeWorkspaceAdmins([{ ...admin, email: 'platform-admin@example.com' }], 'platform');
+    await db.storeWorkspaceAdmins([{ ...admin, name: 'Renamed' }], 'payments');
+
+    expect(await db.all('SELECT team, workspace_id, admin_email, admin_name FROM workspace_admins ORDER BY id')).toEqual([
+      { team: 'default', workspace_id: 'ws-0', admin_email: 'old@example.com', admin_name: 'Old Admin' },
+      { team: 'platform', workspace_id: 'ws-1', admin_email: 'platform-admin@example.com', admin_name: 'Admin' },
+      { team: 'payments', workspace_id: 'ws-1', admin_email: 'admin@example.com', admin_name: 'Renamed' }
+    ]);
+    expect((await db.all('PRAGMA index_list(workspace_admins)')).map(index => index.name))
+      .toEqual(expect.arrayContaining(['idx_admins_workspace_id', 'idx_admins_email']));
+  });
+
+  test('should average security scores only over rows that recorded one', async () => {
+    // payments and platform were stored without a security posture
+    await db.run("UPDATE governance_metrics SET security_score = 0 WHERE team = 'payments'");
+    await db.storeMetrics({ overallGovernanceScore: 70, securityPosture: { score: 90 } }, {}, 'search');
+
+    const summary = await db.getLatestMetricsSummary();
+
+    expect(summary.teams).toBe(3);
+    expect(summary.avg_security_score).toBe(45);
+  });
+
+  test('should add the security_score column to metrics tables created without it', async () => {
+    await db.run('ALTER TABLE governance_metrics DROP COLUMN security_score');
+
+    await db.migrateSchema();
+
+    const columns = await db.all('PRAGMA table_info(governance_metrics)');
+    expect(columns.map(column => column.name)).toContain('security_score');
+  });
+
+  test('should store the spec lint score and add its column when missing', async () => {
+    await db.run('ALTER TABLE governance_metrics DROP COLUMN spec_lint_score');
+    await db.migrateSchema();
+    await db.storeMetrics({ overallGovernanceScore: 70, specLint: { score: 80 } }, {}, 'search');
+
+    const summary = await db.getLatestMetricsSummary('search');
+
+    expect(summary.avg_spec_lint_score).toBe(80);
+  });
+
+  test('should store mock coverage in collection metadata', async () => {
+    await db.storeMetrics({
+      collectionMetadata: [{
+        id: 'col-a', name: 'Payments API', workspaceId: 'ws-a', workspaceName: 'Payments', hasSpecification: false,
+        endpointCount: 0, documentedEndpoints: 0, testedEndpoints: 0, forkCount: 0, mockCount: 2, publicMockCount: 1
+      }]
+    }, {}, 'payments');
+
+    const row = await db.get("SELECT mock_count, public_mock_count FROM collection_metadata WHERE collection_id = 'col-a'");
+    expect(row).toEqual({ mock_count: 2, public_mock_count: 1 });
+  });
+
+  test('should add mock coverage columns to collection metadata tables created without them', async () => {
+    await db.run('ALTER TABLE collection_metadata DROP COLUMN public_mock_count');
+    await db.run('ALTER TABLE collection_metadata DROP COLUMN mock_count');
+
+    await db.migrateSchema();
+
+    const columns = await db.all('PRAGMA table_info(collection_metadata)');
+    expect(columns.map(column => column.name)).toEqual(expect.arrayContaining(['mock_count', 'public_mock_count']));
+  });
+
+  test('should store the severity reason and report when each violation was first seen', async () => {
+    const violation = { id: 'col-d', name: 'Orders API', severity: 'high', severityReason: 'check: medium; escalated by public workspace' };
+    await db.storeMetrics({ overallGovernanceScore: 70 }, { unmockedCollections: [violation] }, 'orders');
+    await db.run("UPDATE violation_lifecycle SET first_seen = '2024-01-02 03:04:05' WHERE team = 'orders'");
+    await db.storeMetrics({ overallGovernanceScore: 70 }, { unmockedCollections: [violation] }, 'orders');
+
+    const firstSeen = await db.getViolationFirstSeen('orders');
+    const detailed = await db.getDetailedViolations(50, 'orders');
+
+    expect(firstSeen).toEqual(new Map([['unmockedCollections|col-d|', '2024-01-02T03:04:05Z']]));
+    expect(detailed[0]).toMatchObject({ severity: 'high', severity_reason: 'check: medium; escalated by public workspace' });
+  });
+
+  test('should keep rule plugin outcomes and metric contributions of the latest cycle', async () => {
+    const rulePlugins = {
+      plugins: [
+        { id: 'paymentsResponseTimeTests', file: 'payments.js', status: 'ok', durationMs: 12, violations: 3, error: null },
+        { id: 'broken', file: 'broken.js', status: 'timeout', durationMs: 5000, violations: 0, error: 'Plugin timed out after 5000ms' }
+      ],
+      metrics: { paymentsResponseTimeTests: { checkedRequests: 7 } }
+    };
+    await db.storeMetrics({ overallGovernanceScore: 60, rulePlugins: { plugins: [rulePlugins.plugins[1]], metrics: {} } }, {}, 'orders');
+    await db.storeMetrics({ overallGovernanceScore: 70, rulePlugins }, {}, 'orders');
+
+    const rows = await db.getLatestRulePluginRuns('orders');
+
+    expect(rows.map(row => [row.plugin_id, row.status, row.duration_ms, row.violations, row.metrics])).toEqual([
+      ['broken', 'timeout', 5000, 0, {}],
+      ['paymentsResponseTimeTests', 'ok', 12, 3, { checkedRequests: 7 }]
+    ]);
+    expect(rows[0].error).toBe('Plugin timed out after 5000ms');
+  });
+
+  test('should store rule remediation text with violations and add its column when missing', async () => {
+    await db.run('ALTER TABLE governance_violations DROP COLUMN remediation');
+    await db.migrateSchema();
+    await db.storeMetrics({ overallGovernanceScore: 70 }, {
+      unmockedCollections: [{ id: 'col-d', name: 'Orders API', severity: 'low', remediation: 'Create a mock server for the collection' }]
+    }, 'orders');
+
+    const detailed = await db.getDetailedViolations(50, 'orders');
+
+    expect(detailed).toEqual([expect.objectContaining({ entity_name: 'Orders API', remediation: 'Create a mock server for the collection' })]);
+  });
+});
+
+describe('DatabaseManager violation lifecycle', () => {
+  let db;
+
+  const users = { id: 'col-a', name: 'Users API', workspaceId: 'ws-a', severity: 'medium' };
+  const orders = { id: 'col-b', name: 'Orders API', workspaceId: 'ws-a', severity: 'high' };
+  const lifecycle = async () => Object.fromEntries(
+    (await db.getViolationLifecycle({ status: 'all' })).map(row => [row.entity_name, row])
+  );
+
+  beforeEach(async () => {
+    db = new DatabaseManager({ path: ':memory:', pragma_settings: {} }, mockLogger);
+    await db.initialize();
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.clearAllMocks();
+  });
+
+  test('should open, resolve and reopen violations by fingerprint', async () => {
+    await db.reconcileViolationLifecycle({ untestedCollections: [users, orders] }, 'default', '2024-01-01 00:00:00');
+    await db.reconcileViolationLifecycle({ untestedCollections: [users] }, 'default', '2024-01-02 00:00:00');
+    let rows = await lifecycle();
+
+    expect(rows['Users API']).toMatchObject({ status: 'open', first_seen: '2024-01-01 00:00:00', last_seen: '2024-01-02 00:00:00', resolved_at: null });
+    expect(rows['Orders API']).toMatchObject({ status: 'resolved', last_seen: '2024-01-01 00:00:00', resolved_at: '2024-01-02 00:00:00' });
+
+    const counts = await db.reconcileViolationLifecycle({
+      untestedCollections: [users, { ...orders, severity: 'critical', severityReason: 'check: high; escalated by public workspace' }]
+    }, 'default', '2024-01-03 00:00:00');
+    rows = await lifecycle();
+
+    expect(counts).toEqual({ opened: 0, reopened: 1, resolved: 0 });
+    expect(rows['Orders API']).toMatchObject({
+      status: 'reopened',
+      severity: 'critical',
+      severity_reason: 'check: high; escalated by public workspace',
+      first_seen: '2024-01-01 00:00:00',
+      opened_at: '2024-01-03 00:00:00',
+      resolved_at: null,
+      reopen_count: 1
+    });
+    expect(rows['Users API'].fingerprint).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('should keep a renamed entity\'s violations and tell findings apart by location', async () => {
+    const credential = { id: 'col-a', name: 'Users API / Login', entityLocation: 'Login (header:Authorization)', severity: 'critical' };
+    await db.reconcileViolationLifecycle({
+      untestedCollections: [users],
+      hardcodedCredentials: [credential, { ...credential, entityLocation: 'Login (body)' }]
+    }, 'default', '2024-01-01 00:00:00');
+    const counts = await db.reconcileViolationLifecycle({
+      untestedCollections: [{ ...users, name: 'Accounts API' }],
+      hardcodedCredentials: [{ ...credential, name: 'Accounts API / Login' }]
+    }, 'default', '2024-01-02 00:00:00');
+    const rows = await db.getViolationLifecycle({ status: 'all' });
+
+    expect(counts).toEqual({ opened: 0, reopened: 0, resolved: 1 });
+    expect(rows.map(row => [row.violation_type, row.entity_name, row.entity_location, row.status, row.first_seen]).sort()).toEqual([
+      ['hardcodedCredentials', 'Accounts API / Login', 'Login (header:Authorization)', 'open', '2024-01-01 00:00:00'],
+      ['hardcodedCredentials', 'Users API / Login', 'Login (body)', 'resolved', '2024-01-01 00:00:00'],
+      ['untestedCollections', 'Accounts API', null, 'open', '2024-01-01 00:00:00']
+    ]);
+    expect([...(await db.getViolationFirstSeen()).keys()].sort()).toEqual([
+      'hardcodedCredentials|col-a|Login (body)',
+      'hardcodedCredentials|col-a|Login (header:Authorization)',
+      'untestedCollections|col-a|'
+    ]);
+  });
+
+  test('should count each open violation once however many cycles found it', async () => {
+    await db.storeMetrics({ overallGovernanceScore: 70 }, { untestedCollections: [users, orders] });
+    await db.storeMetrics({ overallGovernanceScore: 70 }, { untestedCollections: [users, orders] });
+    await db.storeMetrics({ overallGovernanceScore: 70 }, { untestedCollections: [users], missingDocumentation: [users] });
+
+    expect(await db.getViolationSummary()).toEqual([
+      { violation_type: 'missingDocumentation', count: 1 },
+      { violation_type: 'untestedCollections', count: 1 }
+    ]);
+    expect((await db.getViolationLifecycle()).map(row => [row.violation_type, row.entity_name, row.status]).sort()).toEqual([
+      ['missingDocumentation', 'Users API', 'open'],
+      ['untestedCollections', 'Users API', 'open']
+    ]);
+    expect(await db.getViolationLifecycle({ status: 'resolved', type: 'untestedCollections' })).toEqual([
+      expect.objectContaining({ entity_name: 'Orders API', team: 'default' })
+    ]);
+  });
+
+  test('should leave violations of entities that failed to fetch untouched', async () => {
+    const failures = [{ entity: 'collection', id: 'col-a', error: 'Request failed with status code 500' }];
+    await db.storeMetrics({ overallGovernanceScore: 70 }, { missingDocumentation: [users], untestedCollections: [users, orders] });
+    await db.storeMetrics({ overallGovernanceScore: 70 }, { untestedCollections: [orders] }, 'default', { failures });
+    const during = await lifecycle();
+    await db.storeMetrics({ overallGovernanceScore: 70 }, { missingDocumentation: [users], untestedCollections: [users, orders] });
+
+    expect(during['Users API'].status).toBe('open');
+    expect((await db.getViolationLifecycle({ status: 'all' })).map(row => [row.violation_type, row.entity_name, row.status, row.reopen_count]).sort()).toEqual([
+      ['missingDocumentation', 'Users API', 'open', 0],
+      ['untestedCollections', 'Orders API', 'open', 0],
+      ['untestedCollections', 'Users API', 'open', 0]
+    ]);
+  });
+
+  test('should list each open, unwaived violation once in the detailed view', async () => {
+    await db.storeMetrics({ overallGovernanceScore: 70 }, { untestedCollections: [users, orders] });
+    await db.storeMetrics({ overallGovernanceScore: 70 }, {
+      untestedCollections: [{ ...users, remediation: 'Add tests to every request' }],
+      missingDocumentation: [{ ...orders, waiverId: 4 }]
+    });
+
+    const detailed = await db.getDetailedViolations(50);
+
+    expect(detailed).toEqual([expect.objectContaining({
+      violation_type: 'untestedCollections',
+      entity_name: 'Users API',
+      status: 'open',
+      remediation: 'Add tests to every request'
+    })]);
+    expect(await db.getViolationSummary()).toEqual([{ violation_type: 'untestedCollections', count: 1 }]);
+  });
+
+  test('should prune violation history past the retention but keep the latest detail on the lifecycle', async () => {
+    await db.storeMetrics({ overallGovernanceScore: 70 }, {
+      untestedCollections: [{ ...users, workspaceAdminEmail: 'admin@example.com', remediation: 'Add tests to every request' }]
+    });
+    await db.run("UPDATE governance_violations SET timestamp = datetime('now', '-91 days')");
+    await db.storeMetrics({ overallGovernanceScore: 70 }, { untestedCollections: [orders] }, 'orders');
+    const afterOtherTeam = await db.all('SELECT team FROM governance_violations');
+    await db.storeMetrics({ overallGovernanceScore: 70 }, { missingDocumentation: [users] });
+
+    expect(afterOtherTeam).toEqual([{ team: 'default' }, { team: 'orders' }]);
+    expect(await db.all('SELECT team, violation_type FROM governance_violations ORDER BY id')).toEqual([
+      { team: 'orders', violation_type: 'untestedCollections' },
+      { team: 'default', violation_type: 'missingDocumentation' }
+    ]);
+    expect(await db.getViolationLifecycle({ status: 'resolved' })).toEqual([
+      expect.objectContaining({ violation_type: 'untestedCollections', entity_name: 'Users API' })
+    ]);
+    await db.storeMetrics({ overallGovernanceScore: 70 }, {
+      untestedCollections: [{ ...users, workspaceAdminEmail: 'admin@example.com', remediation: 'Add tests to every request' }]
+    });
+    expect(await db.getDetailedViolations(50, 'default')).toEqual([
+      expect.objectContaining({ violation_type: 'untestedCollections', remediation: 'Add tests to every request', admin_contact: 'admin@example.com' })
+    ]);
+  });
+
+  test('should keep all violation history when the retention is 0', async () => {
+    db.config.violation_history_days = 0;
+    await db.storeMetrics({ overallGovernanceScore: 70 }, { untestedCollections: [users] });
+    await db.run("UPDATE governance_violations SET timestamp = '2024-01-01 00:00:00'");
+    await db.storeMetrics({ overallGovernanceScore: 70 }, { untestedCollections: [users] });
+
+    expect(await db.all('SELECT id FROM governance_violations')).toHaveLength(2);
+  });
+
+  test('should fill lifecycle detail columns from history when adding them', async () => {
+    await db.storeMetrics({ overallGovernanceScore: 70 }, { untestedCollections: [{ ...users, remediation: 'Add tests' }] });
+    await db.storeMetrics({ overallGovernanceScore: 70 }, { untestedCollections: [{ ...users, remediation: 'Add tests to every request' }] });
+    await db.run('ALTER TABLE violation_lifecycle DROP COLUMN remediation');
+    await db.run('ALTER TABLE violation_lifecycle DROP COLUMN workspace_admin_email');
+
+    await db.migrateSchema();
+
+    expect((await lifecycle())['Users API']).toMatchObject({ remediation: 'Add tests to every request', workspace_admin_email: null });
+  });
+
+  test('should backfill the lifecycle from stored violation history', async () => {
+    db.config.violation_history_days = 0;
+    await db.storeMetrics({ overallGovernanceScore: 70 }, { untestedCollections: [users, orders] });
+    await db.run("UPDATE governance_violations SET timestamp = '2024-01-01 00:00:00'");
+    await db.run("UPDATE governance_metrics SET timestamp = '2024-01-01 00:00:00'");
+    await db.storeMetrics({ overallGovernanceScore: 70 }, { untestedCollections: [users] });
+    await db.run("UPDATE governance_violations SET timestamp = '2024-01-02 00:00:00' WHERE timestamp != '2024-01-01 00:00:00'");
+    await db.run('DELETE FROM violation_lifecycle');
+
+    await db.migrateSchema();
+    const rows = await lifecycle();
+
+    expect(rows['Users API']).toMatchObject({ status: 'open', first_seen: '2024-01-01 00:00:00', last_seen: '2024-01-02 00:00:00' });
+    expect(rows['Orders API']).toMatchObject({ status: 'resolved', resolved_at: '2024-01-01 00:00:00' });
+  });
+
+  test('should rebuild lifecycle tables created without entity locations from history', async () => {
+    await db.storeMetrics({ overallGovernanceScore: 70 }, { untestedCollections: [users] });
+    await db.run('ALTER TABLE violation_lifecycle DROP COLUMN entity_location');
+    await db.run("UPDATE violation_lifecycle SET fingerprint = 'by-name'");
+
+    await db.migrateSchema();
+    const rows = await db.getViolationLifecycle();
+
+    expect(rows).toEqual([expect.objectContaining({ entity_name: 'Users API', entity_location: null, status: 'open' })]);
+    expect(rows[0].fingerprint).toMatch(/^[0-9a-f]{64}$/);
+  });
+});
+
+describe('DatabaseManager collection runs', () => {
+  let db;
+
+  const run = (id, status, startedAt, overrides = {}) => ({
+    id,
+    trigger: 'scheduled',
+    status,
+    startedAt,
+    finishedAt: startedAt,
+    durationMs: 1500,
+    teams: ['default'],
+    apiRequests: 10,
+    clientErrors: 1,
+    serverErrors: 0,
+    retries: 1,
+    entities: { collections: 3 },
+    failures: [],
+    errors: [],
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    db = new DatabaseManager({ path: ':memory:', pragma_settings: {} }, mockLogger);
+    await db.initialize();
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.clearAllMocks();
+  });
+
+  test('should return stored runs newest first with parsed details', async () => {
+    await db.storeCollectionRun(run('run-1', 'completed', '2024-01-01T00:00:00.000Z'));
+    await db.storeCollectionRun(run('run-2', 'failed', '2024-01-02T00:00:00.000Z', {
+      failures: [{ team: 'default', entity: 'collection', id: 'col-1', error: 'timeout' }],
+      errors: [{ team: 'default', message: 'Unauthorized' }]
+    }));
+
+    const runs = await db.getCollectionRuns();
+    const failed = await db.getCollectionRuns(50, 'failed');
+
+    expect(runs.map(entry => entry.id)).toEqual(['run-2', 'run-1']);
+    expect(runs[1]).toMatchObject({ trigger: 'scheduled', durationMs: 1500, entities: { collections: 3 } });
+    expect(failed).toHaveLength(1);
+    expect(failed[0].entityFailures).toBe(1);
+    expect(failed[0].errors[0].message).toBe('Unauthorized');
+  });
+
+  test('should aggregate run statistics for metrics', async () => {
+    await db.storeCollectionRun(run('run-1', 'completed', '2024-01-01T00:00:00.000Z'));
+    await db.storeCollectionRun(run('run-2', 'completed', '2024-01-02T00:00:00.000Z'));
+    await db.storeCollectionRun(run('run-3', 'failed', '2024-01-03T00:00:00.000Z'));
+
+    const stats = await db.getCollectionRunStats();
+
+    expect(stats.byStatus).toEqual([
+      expect.objectContaining({ status: 'completed', runs: 2, api_requests: 20 }),
+      expect.objectContaining({ status: 'failed', runs: 1, api_requests: 10 })
+    ]);
+    expect(stats.lastRun.id).toBe('run-3');
+    expect(stats.lastSuccessAt).toBe('2024-01-02T00:00:00.000Z');
+  });
+});
+
+describe('DatabaseManager audit events', () => {
+  let db;
+
+  const event = (id, timestamp, action, username) => ({
+    id,
+    timestamp,
+    action,
+    message: `${username} ${action}`,
+    ip: '10.0.0.1',
+    userAgent: 'PostmanRuntime/7.36.0',
+    actor: { id: `user-${username}`, name: username, username, email: `${username}@example.com` },
+    data: { collection: { id: `col-${id}` } }
+  });
+
+  beforeEach(async () => {
+    db = new DatabaseManager({ path: ':memory:', pragma_settings: {} }, mockLogger);
+    await db.initialize();
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.clearAllMocks();
+  });
+
+  test('should store events once and advance the high-water mark per team', async () => {
+    expect(await db.getAuditHighWaterMark('payments')).toBeNull();
+
+    const first = await db.storeAuditEvents([
+      event('1', '2024-01-01T10:00:00.000Z', 'collection.create', 'alice'),
+      event('2', '2024-01-02T10:00:00.000Z', 'collection.delete', 'bob')
+    ], 'payments');
+    const second = await db.storeAuditEvents([
+      event('2', '2024-01-02T10:00:00.000Z', 'collection.delete', 'bob'),
+      event('3', '2024-01-03T10:00:00.000Z', 'workspace.share', 'alice')
+    ], 'payments');
+
+    expect(first).toBe(2);
+    expect(second).toBe(1);
+    expect(await db.getAuditHighWaterMark('payments')).toBe('2024-01-03T10:00:00.000Z');
+    expect(await db.getAuditHighWaterMark('platform')).toBeNull();
+  });
+
+  test('should not move the high-water mark backwards', async () => {
+    await db.storeAuditEvents([event('5', '2024-02-01T00:00:00.000Z', 'api.publish', 'carol')]);
+    await db.storeAuditEvents([event('4', '2024-01-15T00:00:00.000Z', 'api.publish', 'carol')]);
+
+    expect(await db.getAuditHighWaterMark()).toBe('2024-02-01T00:00:00.000Z');
+  });
+
+  test('should filter events by actor, action, time range and team', async () => {
+    await db.storeAuditEvents([
+      event('1', '2024-01-01T10:00:00.000Z', 'collection.create', 'alice'),
+      event('2', '2024-01-02T10:00:00.000Z', 'collection.delete', 'bob'),
+      event('3', '2024-01-03T10:00:00.000Z', 'collection.delete', 'alice')
+    ], 'payments');
+    await db.storeAuditEvents([event('1', '2024-01-02T12:00:00.000Z', 'collection.delete', 'alice')], 'platform');
+
+    const byActor = await db.getAuditEvents({ actor: 'alice@example.com' });
+    const byAction = await db.getAuditEvents({ action: 'collection.delete', team: 'payments' });
+    const byRange = await db.getAuditEvents({ from: '2024-01-02T00:00:00.000Z', to: '2024-01-02T23:59:59.999Z' });
+
+    expect(byActor.map(e => `${e.team}:${e.id}`)).toEqual(['payments:3', 'platform:1', 'payments:1']);
+    expect(byAction.map(e => e.id)).toEqual(['3', '2']);
+    expect(byRange).toHaveLength(2);
+    expect(byAction[0]).toMatchObject({
+      actor: { id: 'user-alice', username: 'alice', email: 'alice@example.com' },
+      data: { collection: { id: 'col-3' } }
+    });
+  });
+});
+
+describe('DatabaseManager monitor reliability', () => {
+  let db;
+
+  const monitor = (uid, name, successRatio, runs = 10) => ({
+    monitorUid: uid,
+    name,
+    collectionUid: `col-${uid}`,
+    runs,
+    successfulRuns: Math.round(runs * successRatio),
+    failedRuns: runs - Math.round(runs * successRatio),
+    successRatio: runs > 0 ? successRatio : null,
+    failedAssertions: 0,
+    totalAssertions: runs * 4,
+    avgResponseTimeMs: runs > 0 ? 120 : null,
+    lastRunAt: runs > 0 ? '2024-01-31T00:00:00.000Z' : null,
+    lastRunStatus: runs > 0 ? 'success' : null,
+    classification: null
+  });
+
+  beforeEach(async () => {
+    db = new DatabaseManager({ path: ':memory:', pragma_settings: {} }, mockLogger);
+    await db.initialize();
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.clearAllMocks();
+  });
+
+  test('should keep monitors with runs from the latest cycle of each team', async () => {
+    await db.storeMetrics({ monitorReliability: { monitors: [monitor('m1', 'Users', 0.5)] } }, {}, 'payments');
+    await db.storeMetrics({ monitorReliability: { monitors: [monitor('m1', 'Users', 0.9), monitor('m2', 'Idle', 0, 0)] } }, {}, 'payments');
+    await db.storeMetrics({ monitorReliability: { monitors: [monitor('m3', 'Search', 1)] } }, {}, 'platform');
+
+    const all = await db.getLatestMonitorReliability();
+    const payments = await db.getLatestMonitorReliability('payments');
+
+    expect(all.map(row => `${row.team}:${row.monitor_id}:${row.success_ratio}`)).toEqual(['payments:m1:0.9', 'platform:m3:1']);
+    expect(payments).toHaveLength(1);
+    expect(payments[0]).toMatchObject({ monitor_name: 'Users', runs: 10, successful_runs: 9, avg_response_time_ms: 120 });
+  });
+
+  test('should keep spec drift with its findings from the latest cycle of each team', async () => {
+    const spec = (apiId, driftPercentage) => ({
+      apiId,
+      name: `${apiId} API`,
+      collectionUids: ['col-1'],
+      specEndpoints: 4,
+      collectionRequests: 3,
+      matchedEndpoints: 3,
+      missingInCollection: [{ method: 'GET', path: '/archive', pointer: '/paths/~1archive/get' }],
+      missingInSpec: [],
+      parameterMismatches: [],
+      driftPercentage
+    });
+    await db.storeMetrics({ specDrift: { specs: [spec('users', 50)] } }, {}, 'payments');
+    await db.storeMetrics({ specDrift: { specs: [spec('users', 25)] } }, {}, 'payments');
+
+    const rows = await db.getLatestSpecDrift('payments');
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({
+      api_id: 'users',
+      collection_uids: ['col-1'],
+      missing_in_collection: 1,
+      drift_percentage: 25,
+      details: { missingInCollection: [{ pointer: '/paths/~1archive/get' }] }
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Fixture Archive Tests
+ * Tests for recording raw Postman responses and replaying them without network access
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PostmanClient = require('../src/postman/client');
+const FixtureArchive = require('../src/postman/fixture-archive');
+const GovernanceCalculator = require('../src/governance/calculator');
+
+// Mock logger for tests
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  audit: jest.fn()
+};
+
+// Canned Postman API responses served to the recording client
+const apiResponses = {
+  '/me': { user: { id: 1, email: 'owner@example.com', fullName: 'Owner', teamId: 7 } },
+  '/workspaces': { workspaces: [{ id: 'ws-1', name: 'Platform', type: 'team' }] },
+  '/workspaces/ws-1': { workspace: { id: 'ws-1', name: 'Platform', type: 'team' } },
+  '/collections': { collections: [{ uid: 'col-1', name: 'Users', owner: 'ws-1' }] },
+  '/collections/col-1': {
+    collection: {
+      item: [{
+        name: 'Get user',
+        request: { method: 'GET', url: 'https://example.com/users', description: 'Fetch a user' },
+        response: [{ name: 'OK', code: 200 }]
+      }]
+    }
+  },
+  '/collections/col-1/forks': { data: [] },
+  '/environments': { environments: [] },
+  '/apis': { apis: [] },
+  '/groups': { data: [] },
+  '/users': { data: [{ id: 1 }] },
+  '/mocks': { mocks: [] },
+  '/monitors': { monitors: [] }
+};
+
+function createClient(fixtures, apiKey = 'PMAK-test') {
+  return new PostmanClient(apiKey, {
+    base_url: 'http://127.0.0.1:1',
+    timeout_seconds: 1,
+    rate_limit: { requests_per_minute: 60000 },
+    limits: { max_collection_analysis: -1, max_workspaces: -1 },
+    collection_scope: { workspace_tags: false, private_apis: false },
+    fixtures
+  }, mockLogger);
+}
+
+const calculatorConfig = {
+  weights: { documentation: 0.3, testing: 0.25, monitoring: 0.25, organization: 0.2 },
+  thresholds: { min_documentation_coverage: 80, min_test_coverage: 70 },
+  limits: { max_collection_analysis: -1, max_workspaces: -1 }
+};
+
+describe('FixtureArchive', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  test('should key requests by method, path and sorted query', () => {
+    expect(FixtureArchive.requestKey({ method: 'get', url: '/users', params: { offset: 2, cursor: 'a' } }))
+      .toBe('GET /users?cursor=a&offset=2');
+    expect(FixtureArchive.requestKey({ method: 'get', url: '/me' })).toBe('GET /me');
+  });
+
+  test('should reject requests that were never recorded', async () => {
+    const archive = new FixtureArchive(path.join(tmpDir, 'empty.json'), mockLogger);
+
+    await expect(archive.createReplayAdapter()({ method: 'get', url: '/me' }))
+      .rejects.toThrow('No recorded response for GET /me');
+  });
+
+  test.each(['cycle.json', 'cycle.json.gz'])('should record a cycle and replay it offline (%s)', async (fileName) => {
+    const fixturePath = path.join(tmpDir, fileName);
+
+    const recorder = createClient({ mode: 'record', path: fixturePath });
+    recorder.client.defaults.adapter = async (config) => ({
+      data: structuredClone(apiResponses[config.url]), status: 200, statusText: 'OK', headers: {}, config, request: {}
+    });
+    const recorded = await recorder.collectSnapshot();
+
+    const replayer = createClient({ mode: 'replay', path: fixturePath }, null);
+    const replayed = await replayer.collectSnapshot();
+
+    const { collectedAt: recordedAt, ...recordedData } = recorded;
+    const { collectedAt: replayedAt, ...replayedData } = replayed;
+    expect(replayedData).toEqual(recordedData);
+
+    const calculator = new GovernanceCalculator(replayer, calculatorConfig, mockLogger);
+    const metrics = await calculator.calculateGovernanceMetrics(replayed);
+    expect(metrics.documentationCoverage.documentedEndpoints).toBe(1);
+  });
+
+  test('should save only the responses of the latest record cycle', async () => {
+    const fixturePath = path.join(tmpDir, 'cycle.json');
+    const recorder = createClient({ mode: 'record', path: fixturePath });
+    recorder.client.defaults.adapter = async (config) => ({
+      data: structuredClone(apiResponses[config.url] || {}), status: 200, statusText: 'OK', headers: {}, config, request: {}
+    });
+
+    await recorder.collectSnapshot();
+    await recorder.client.get('/collections/stale');
+    await recorder.collectSnapshot();
+    const saved = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+    expect(Object.keys(saved.responses)).toEqual(expect.arrayContaining(['GET /me', 'GET /collections']));
+    expect(saved.responses['GET /collections/stale']).toBeUndefined();
+  });
+
+  test('should require an API key unless replaying', () => {
+    expect(() => createClient(undefined, null)).toThrow('Postman API key is required unless fixtures.mode is replay');
+    expect(() => createClient({ mode: 'record', path: 'x.json' }, null)).toThrow('Postman API key is required');
+  });
+
+  test('should refuse an unknown fixture mode', () => {
+    expect(() => createClient({ mode: 'rewind', path: 'x.json' })).toThrow('Invalid fixture mode: rewind');
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Postman Client Tests
+ * Tests for request scheduling, rate limiting and data collection without network access
+ */
+
+const PostmanClient = require('../src/postman/client');
+
+// Mock logger for tests
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  audit: jest.fn()
+};
+
+function createClient(overrides = {}) {
+  return new PostmanClient('PMAK-test', {
+    base_url: 'http://127.0.0.1:1',
+    timeout_seconds: 1,
+    rate_limit: { requests_per_minute: 60000 },
+    limits: { max_collection_analysis: -1, max_workspaces: -1 },
+    collection_scope: { workspace_tags: false, private_apis: false },
+    workers: 3,
+    ...overrides
+  }, mockLogger);
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('PostmanClient fetch pool', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should default to a single worker', () => {
+    const client = createClient({ workers: undefined });
+    expect(client.concurrency).toBe(1);
+  });
+
+  test('should never exceed the configured number of workers', async () => {
+    const client = createClient({ workers: 3 });
+    let inFlight = 0;
+    let peak = 0;
+
+    await client.runWithConcurrency(Array.from({ length: 10 }, (_, i) => i), async () => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await delay(5);
+      inFlight--;
+    });
+
+    expect(peak).toBe(3);
+  });
+
+  test('should return results in input order', async () => {
+    const client = createClient({ workers: 4 });
+
+    const results = await client.runWithConcurrency([30, 10, 20, 0], async (ms, index) => {
+      await delay(ms);
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3]);
+  });
+
+  test('should reject with the first task error', async () => {
+    const client = createClient({ workers: 2 });
+
+    await expect(client.runWithConcurrency([1, 2, 3], async (item) => {
+      if (item === 2) {
+        throw new Error('boom');
+      }
+    })).rejects.toThrow('boom');
+  });
+
+  test('should space concurrent requests through the shared rate limiter', async () => {
+    const client = createClient({ rate_limit: { requests_per_minute: 600 } }); // 100ms apart
+    const start = Date.now();
+
+    await Promise.all([client.enforceRateLimit(), client.enforceRateLimit(), client.enforceRateLimit()]);
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(190);
+  });
+});
+
+describe('PostmanClient.collectAllData', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should fetch collection details through the pool', async () => {
+    const client = createClient({ workers: 2 });
+    const collections = Array.from({ length: 5 }, (_, i) => ({ uid: `col-${i}`, name: `Collection ${i}` }));
+
+    client.getUserResponse = jest.fn().mockResolvedValue({ user: { id: 1 } });
+    client.getWorkspaces = jest.fn().mockResolvedValue([{ id: 'ws-1', name: 'Platform' }]);
+    client.getCollections = jest.fn().mockResolvedValue(collections);
+    client.getEnvironments = jest.fn().mockResolvedValue([]);
+    client.getAPISpecs = jest.fn().mockResolvedValue([]);
+    client.getUserGroups = jest.fn().mockResolvedValue([]);
+    client.getTeamUsers = jest.fn().mockResolvedValue([]);
+    client.getMocks = jest.fn().mockResolvedValue([]);
+    client.getMonitors = jest.fn().mockResolvedValue([]);
+    client.getWorkspace = jest.fn().mockResolvedValue({ id: 'ws-1', type: 'team' });
+    client.getWorkspaceRoles = jest.fn().mockResolvedValue({ roles: [], users: [], userRoleMapping: {} });
+    client.getCollection = jest.fn(async (uid) => ({ item: [{ name: uid }] }));
+    client.getCollectionForks = jest.fn().mockResolvedValue([]);
+
+    const data = await client.collectAllData();
+
+    expect(client.getCollection).toHaveBeenCalledTimes(5);
+    expect(data.collections.map(c => c.item[0].name)).toEqual(collections.map(c => c.uid));
+    expect(data.workspaceRoles).toHaveLength(1);
+    expect(data.workspaces[0].type).toBe('team');
+  });
+});
+
+describe('PostmanClient incremental collection', () => {
+  let client;
+
+  beforeEach(() => {
+    client = createClient({ workers: 1 });
+    client.getUserResponse = jest.fn().mockResolvedValue({ user: { id: 1 } });
+    client.getWorkspaces = jest.fn().mockResolvedValue([]);
+    client.getCollections = jest.fn().mockResolvedValue([
+      { uid: 'col-1', name: 'Unchanged', updatedAt: '2024-01-01T00:00:00.000Z' },
+      { uid: 'col-2', name: 'Touched', updatedAt: '2024-02-01T00:00:00.000Z' }
+    ]);
+    client.getEnvironments = jest.fn().mockResolvedValue([]);
+    client.getAPISpecs = jest.fn().mockResolvedValue([]);
+    client.getUserGroups = jest.fn().mockResolvedValue([]);
+    client.getTeamUsers = jest.fn().mockResolvedValue([]);
+    client.getMocks = jest.fn().mockResolvedValue([]);
+    client.getMonitors = jest.fn().mockResolvedValue([]);
+    client.getCollection = jest.fn(async (uid) => ({ item: [{ name: `${uid}-request` }] }));
+    client.getCollectionForks = jest.fn().mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should reuse stored detail when updatedAt is unchanged', async () => {
+    const fingerprints = new Map([
+      ['col-1', {
+        updatedAt: '2024-01-01T00:00:00.000Z',
+        contentHash: 'stored-hash',
+        analysis: { version: 1, totalEndpoints: 1 },
+        content: { item: [{ name: 'stored-request' }] }
+      }]
+    ]);
+
+    const data = await client.collectAllData({ fingerprints });
+
+    expect(client.getCollection).toHaveBeenCalledTimes(1);
+    expect(client.getCollection).toHaveBeenCalledWith('col-2');
+    expect(data.collections[0].item[0].name).toBe('stored-request');
+    expect(data.collections[0].contentHash).toBe('stored-hash');
+    expect(data.collections[0].storedAnalysis.totalEndpoints).toBe(1);
+    expect(data.collections[1].contentHash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('should reuse stored analysis when a refetched collection hashes the same', async () => {
+    const first = await client.collectAllData();
+    const fingerprints = new Map([
+      ['col-2', {
+        updatedAt: '2023-12-01T00:00:00.000Z',
+        contentHash: first.collections[1].contentHash,
+        analysis: { version: 1, totalEndpoints: 1 },
+        content: null
+      }]
+    ]);
+
+    const data = await client.collectAllData({ fingerprints });
+
+    expect(data.collections[1].storedAnalysis).toEqual({ version: 1, totalEndpoints: 1 });
+    expect(data.collections[0].storedAnalysis).toBeUndefined();
+  });
+
+  test('should hash refetched content without volatile info metadata or key order', async () => {
+    client.getCollections = jest.fn(async () => [{ uid: 'col-1', name: 'Touched', updatedAt: '2024-02-01T00:00:00.000Z' }]);
+    client.getCollection = jest.fn(async (uid) => ({
+      info: { name: uid, updatedAt: '2024-02-01T00:00:00.000Z', lastUpdatedBy: '1' },
+      item: [{ name: `${uid}-request`, request: { method: 'GET', url: 'https://example.com' } }]
+    }));
+    const first = await client.collectAllData();
+    client.getCollection = jest.fn(async (uid) => ({
+      item: [{ request: { url: 'https://example.com', method: 'GET' }, name: `${uid}-request` }],
+      info: { lastUpdatedBy: '2', updatedAt: '2024-03-01T00:00:00.000Z', name: uid }
+    }));
+    const touched = await client.collectAllData();
+    client.getCollection = jest.fn(async (uid) => ({
+      info: { name: uid, updatedAt: '2024-03-01T00:00:00.000Z' },
+      item: [{ name: `${uid}-request`, request: { method: 'POST', url: 'https://example.com' } }]
+    }));
+    const edited = await client.collectAllData();
+
+    expect(touched.collections[0].contentHash).toBe(first.collections[0].contentHash);
+    expect(edited.collections[0].contentHash).not.toBe(first.collections[0].contentHash);
+  });
+});
+
+describe('PostmanClient pagination', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should follow cursor pagination until exhausted', async () => {
+    const client = createClient();
+    client.client.get = jest.fn()
+      .mockResolvedValueOnce({ data: { data: [{ id: 1 }, { id: 2 }], meta: { nextCursor: 'c2' } } })
+      .mockResolvedValueOnce({ data: { data: [{ id: 3 }], meta: {} } });
+
+    const users = await client.getTeamUsers();
+
+    expect(users.map(u => u.id)).toEqual([1, 2, 3]);
+    expect(client.client.get).toHaveBeenLastCalledWith('/users', { params: { cursor: 'c2' } });
+    expect(client.listPagination.get('teamUsers')).toEqual({ pages: 2, items: 3, truncated: false });
+  });
+
+  test('should follow offset pagination using meta.total', async () => {
+    const client = createClient();
+    client.client.get = jest.fn(async (path, { params }) => {
+      const offset = params.offset || 0;
+      return {
+        data: {
+          collections: [{ uid: `col-${offset}` }, { uid: `col-${offset + 1}` }],
+          meta: { total: 5, offset, limit: 2 }
+        }
+      };
+    });
+
+    const collections = await client.getCollections();
+
+    expect(client.client.get).toHaveBeenCalledTimes(3);
+    expect(collections).toHaveLength(6);
+    expect(client.client.get).toHaveBeenLastCalledWith('/collections', { params: { offset: 4, limit: 2 } });
+  });
+
+  test('should stop at the page cap and flag the list as truncated', async () => {
+    const client = createClient({ limits: { max_collection_analysis: -1, max_workspaces: -1, max_list_pages: 2 } });
+    let page = 0;
+    client.client.get = jest.fn(async () => ({
+      data: { monitors: [{ id: ++page }], meta: { nextCursor: `c${page}` } }
+    }));
+
+    const monitors = await client.getMonitors();
+
+    expect(monitors).toHaveLength(2);
+    expect(client.listPagination.get('monitors').truncated).toBe(true);
+  });
+
+  test('should stop and flag the list as truncated when the API repeats a cursor', async () => {
+    const client = createClient();
+    client.client.get = jest.fn(async () => ({ data: { mocks: [{ id: 1 }], meta: { nextCursor: 'same' } } }));
+
+    await client.getMocks();
+
+    expect(client.client.get).toHaveBeenCalledTimes(2);
+    expect(client.listPagination.get('mocks').truncated).toBe(true);
+    expect(mockLogger.warn).toHaveBeenCalledWith('Pagination cursor repeated, list truncated', { list: 'mocks', pages: 2, items: 2 });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Token Bucket Rate Limiter Tests
+ * Tests for burst handling, refill pacing and server-reported quota
+ */
+
+const TokenBucketRateLimiter = require('../src/postman/rate-limiter');
+
+describe('TokenBucketRateLimiter', () => {
+  test('should allow a burst up to the burst allowance without waiting', async () => {
+    const limiter = new TokenBucketRateLimiter({ requestsPerMinute: 60, burstAllowance: 3 });
+
+    const waits = await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+
+    expect(waits).toEqual([0, 0, 0]);
+    expect(limiter.getState().tokens).toBeLessThan(0.1);
+  });
+
+  test('should pace requests at the refill rate once the bucket is empty', async () => {
+    const limiter = new TokenBucketRateLimiter({ requestsPerMinute: 1200, burstAllowance: 1 }); // 50ms per token
+    const start = Date.now();
+
+    await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(95);
+  });
+
+  test('should track server-reported quota from headers', () => {
+    const limiter = new TokenBucketRateLimiter({ requestsPerMinute: 60 });
+
+    limiter.update({ 'x-ratelimit-limit': '300', 'x-ratelimit-remaining': '42', 'x-ratelimit-reset': '30' }, 200);
+
+    const state = limiter.getState();
+    expect(state.serverLimit).toBe(300);
+    expect(state.serverRemaining).toBe(42);
+    expect(new Date(state.serverResetAt).getTime()).toBeGreaterThan(Date.now() + 25000);
+  });
+
+  test('should wait for the reported reset when server quota reaches the reserve', async () => {
+    const limiter = new TokenBucketRateLimiter({ requestsPerMinute: 60000, burstAllowance: 10 });
+    limiter.update({ 'x-ratelimit-remaining': '1', 'x-ratelimit-reset': String(Math.ceil(Date.now() / 1000) + 1) }, 200);
+
+    const wait = await limiter.acquire();
+
+    expect(wait).toBeGreaterThan(0);
+    expect(limiter.getState().serverRemaining).toBeNull();
+  });
+
+  test('should pause and count throttled responses on 429', () => {
+    const limiter = new TokenBucketRateLimiter({ requestsPerMinute: 60, burstAllowance: 5 });
+
+    limiter.update({ 'retry-after': '2' }, 429);
+
+    const state = limiter.getState();
+    expect(state.throttledResponses).toBe(1);
+    expect(state.tokens).toBeLessThanOrEqual(0.1);
+    expect(state.pausedUntil).not.toBeNull();
+  });
+});
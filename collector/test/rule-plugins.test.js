@@ -0,0 +1,257 @@
+/**
+ * Rule Plugin Tests
+ * Tests for loading JavaScript rule plugins and running them in isolation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RulePluginRunner = require('../src/governance/rule-plugins');
+const GovernanceCalculator = require('../src/governance/calculator');
+
+// Mock logger for tests
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  audit: jest.fn()
+};
+
+// The example from the plugin interface docs: requests under /payments must assert response time
+const paymentsPlugin = `
+const walk = (items, path = []) => items.flatMap(item => item.item ?
+  walk(item.item, [...path, item.name]) :
+  [{ item, path: [...path, item.name].join(' / ') }]);
+
+module.exports = {
+  id: 'paymentsResponseTimeTests',
+  description: 'Requests under /payments must assert the response time',
+  async evaluate(snapshot, { options }) {
+    const violations = [];
+    let checkedRequests = 0;
+    for (const collection of snapshot.collections) {
+      for (const { item, path } of walk(collection.item || [])) {
+        const url = typeof item.request.url === 'string' ? item.request.url : item.request.url.raw;
+        if (!new URL(url).pathname.startsWith(options.prefix || '/payments')) {
+          continue;
+        }
+        checkedRequests++;
+        const tests = (item.event || []).filter(event => event.listen === 'test').flatMap(event => event.script.exec).join('\\n');
+        if (!tests.includes('responseTime')) {
+          violations.push({
+            type: 'missingResponseTimeTests',
+            id: collection.uid,
+            name: collection.name + ' / ' + path,
+            workspaceId: collection.owner,
+            severity: 'high',
+            description: 'Payments request does not assert pm.response.responseTime',
+            remediation: 'Add pm.expect(pm.response.responseTime).to.be.below(500)'
+          });
+        }
+      }
+    }
+    return { violations, metrics: { checkedRequests } };
+  }
+};
+`;
+
+const snapshot = {
+  user: { user: { id: 1, email: 'owner@example.com', fullName: 'Owner' } },
+  workspaces: [{ id: 'ws-1', name: 'PAYMENTS-Checkout', type: 'team' }],
+  collections: [{
+    uid: 'col-1',
+    name: 'Checkout API',
+    owner: 'ws-1',
+    item: [
+      { name: 'Charge', request: { method: 'POST', url: 'https://api.example.com/payments/charge' } },
+      {
+        name: 'Refund',
+        request: { method: 'POST', url: { raw: 'https://api.example.com/payments/refund' } },
+        event: [{ listen: 'test', script: { exec: ['pm.expect(pm.response.responseTime).to.be.below(500);'] } }]
+      },
+      { name: 'Health', request: { method: 'GET', url: 'https://api.example.com/health' } }
+    ]
+  }],
+  environments: [],
+  apiSpecs: [],
+  userGroups: [],
+  monitors: [],
+  mocks: []
+};
+
+describe('RulePluginRunner', () => {
+  let tmpDir;
+
+  const writePlugin = (file, source) => fs.writeFileSync(path.join(tmpDir, file), source);
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rule-plugins-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  test('should run plugins with their options and collect violations and metrics', async () => {
+    writePlugin('payments-response-time.js', paymentsPlugin);
+    writePlugin('README.md', '# not a plugin');
+    const runner = RulePluginRunner.fromConfig({ directory: tmpDir, options: { paymentsResponseTimeTests: { prefix: '/payments' } } }, mockLogger);
+
+    const result = await runner.run(snapshot);
+
+    expect(result.plugins).toEqual([expect.objectContaining({
+      id: 'paymentsResponseTimeTests',
+      file: 'payments-response-time.js',
+      status: 'ok',
+      violations: 1,
+      error: null
+    })]);
+    expect(result.violations).toEqual([expect.objectContaining({
+      type: 'missingResponseTimeTests',
+      id: 'col-1',
+      name: 'Checkout API / Charge',
+      severity: 'high',
+      plugin: 'paymentsResponseTimeTests'
+    })]);
+    expect(result.metrics).toEqual({ paymentsResponseTimeTests: { checkedRequests: 2 } });
+  });
+
+  test('should isolate plugins that throw, time out, fail to load or return malformed output', async () => {
+    writePlugin('a-throws.js', "module.exports = { evaluate() { throw new Error('boom'); } };");
+    writePlugin('b-slow.js', `module.exports = {
+      id: 'slow',
+      timeoutMs: 20,
+      evaluate: (snapshot, { signal }) => new Promise(resolve => signal.addEventListener('abort', () => resolve({ violations: [{ id: 'late' }] })))
+    };`);
+    writePlugin('c-syntax.js', 'module.exports = {');
+    writePlugin('d-malformed.js', "module.exports = { evaluate: () => ({ violations: [{ id: 'x', severity: 'urgent' }] }) };");
+    writePlugin('e-metrics.js', "module.exports = { evaluate: () => ({ metrics: { ratio: 'high' } }) };");
+    writePlugin('f-no-evaluate.js', "module.exports = { id: 'noop' };");
+    writePlugin('g-ok.js', "module.exports = { evaluate: async () => ({ violations: [{ id: 'col-1', name: 'Checkout API' }] }) };");
+
+    const result = await new RulePluginRunner({ directory: tmpDir }, mockLogger).run(snapshot);
+
+    expect(result.plugins.map(plugin => [plugin.id, plugin.status])).toEqual([
+      ['a-throws', 'failed'],
+      ['slow', 'timeout'],
+      ['c-syntax', 'failed'],
+      ['d-malformed', 'failed'],
+      ['e-metrics', 'failed'],
+      ['f-no-evaluate', 'failed'],
+      ['g-ok', 'ok']
+    ]);
+    expect(result.plugins.map(plugin => plugin.error)).toEqual([
+      'boom',
+      'Plugin timed out after 20ms',
+      expect.stringMatching(/^Failed to load plugin: /),
+      'violations[0].severity must be one of critical, high, medium, low',
+      'metrics.ratio must be a finite number',
+      'Failed to load plugin: plugin must export an evaluate(snapshot, context) function',
+      null
+    ]);
+    expect(result.violations).toEqual([{ id: 'col-1', name: 'Checkout API', type: 'g-ok', severity: 'medium', description: 'g-ok violation', plugin: 'g-ok' }]);
+    expect(mockLogger.error).toHaveBeenCalledWith('Governance rule plugin failed', expect.objectContaining({ plugin: 'slow', status: 'timeout' }));
+  });
+
+  test('should reject violation types that are reserved or Object.prototype properties', async () => {
+    writePlugin('a-constructor.js', "module.exports = { evaluate: () => ({ violations: [{ type: 'constructor', id: 'col-1' }] }) };");
+    writePlugin('b-proto.js', "module.exports = { evaluate: () => ({ violations: [{ type: '__proto__', id: 'col-1' }] }) };");
+    writePlugin('c-builtin.js', "module.exports = { evaluate: () => ({ violations: [{ type: 'hardcodedCredentials', id: 'col-1' }] }) };");
+    writePlugin('toString.js', "module.exports = { evaluate: () => ({ violations: [{ id: 'col-1' }] }) };");
+
+    const result = await new RulePluginRunner({ directory: tmpDir }, mockLogger).run(snapshot, {}, ['hardcodedCredentials']);
+
+    expect(result.plugins.map(plugin => [plugin.id, plugin.status, plugin.error])).toEqual([
+      ['a-constructor', 'failed', 'violations[0].type "constructor" is reserved'],
+      ['b-proto', 'failed', 'violations[0].type "__proto__" is reserved'],
+      ['c-builtin', 'failed', 'violations[0].type "hardcodedCredentials" is reserved'],
+      ['toString', 'failed', 'violations[0].type "toString" is reserved']
+    ]);
+    expect(result.violations).toEqual([]);
+  });
+
+  test('should load nothing without a directory and reject an unreadable one', () => {
+    expect(new RulePluginRunner().plugins).toEqual([]);
+    expect(RulePluginRunner.fromConfig({ enabled: false, directory: '/does/not/exist' }).plugins).toEqual([]);
+    expect(() => RulePluginRunner.fromConfig({ directory: path.join(tmpDir, 'missing') }))
+      .toThrow('Failed to read governance rule plugins from');
+  });
+});
+
+describe('GovernanceCalculator rule plugins', () => {
+  let tmpDir;
+  let calculator;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rule-plugins-'));
+    fs.writeFileSync(path.join(tmpDir, 'payments-response-time.js'), paymentsPlugin);
+    fs.writeFileSync(path.join(tmpDir, 'broken.js'), "module.exports = { evaluate() { throw new Error('broken plugin'); } };");
+    calculator = new GovernanceCalculator(null, {
+      weights: { documentation: 0.3, testing: 0.25, monitoring: 0.25, organization: 0.2 },
+      thresholds: {},
+      limits: { max_collection_analysis: -1 },
+      rule_plugins: { directory: tmpDir }
+    }, mockLogger);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  test('should report plugin violations and metrics while isolating a failing plugin', async () => {
+    const metrics = await calculator.calculateGovernanceMetrics(snapshot);
+    const violations = await calculator.calculateGovernanceViolations(snapshot);
+
+    expect(metrics.rulePlugins.plugins.map(plugin => [plugin.id, plugin.status])).toEqual([
+      ['broken', 'failed'],
+      ['paymentsResponseTimeTests', 'ok']
+    ]);
+    expect(metrics.rulePlugins.metrics).toEqual({ paymentsResponseTimeTests: { checkedRequests: 2 } });
+    expect(violations.missingResponseTimeTests).toEqual([expect.objectContaining({
+      id: 'col-1',
+      workspaceId: 'ws-1',
+      workspaceName: 'PAYMENTS-Checkout',
+      workspaceAdminEmail: 'owner@example.com',
+      plugin: 'paymentsResponseTimeTests',
+      severity: 'high',
+      remediation: 'Add pm.expect(pm.response.responseTime).to.be.below(500)'
+    })]);
+    expect(violations.missingResponseTimeTests[0]).not.toHaveProperty('type');
+  });
+
+  test('should keep a cycle going when plugins report hostile or built-in types', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'hostile.js'), `module.exports = {
+      evaluate: () => ({ violations: [{ type: 'constructor', id: 'col-1' }, { type: 'collectionsWithoutSpecs', id: 'col-9' }] })
+    };`);
+    calculator = new GovernanceCalculator(null, {
+      weights: {},
+      thresholds: {},
+      limits: { max_collection_analysis: -1 },
+      rule_plugins: { directory: tmpDir }
+    }, mockLogger);
+
+    const metrics = await calculator.calculateGovernanceMetrics(snapshot);
+    const violations = await calculator.calculateGovernanceViolations(snapshot);
+
+    expect(metrics.rulePlugins.plugins.find(plugin => plugin.id === 'hostile')).toMatchObject({
+      status: 'failed',
+      error: 'violations[0].type "constructor" is reserved'
+    });
+    expect(Object.hasOwn(violations, 'constructor')).toBe(false);
+    expect(violations.collectionsWithoutSpecs.map(violation => violation.id)).toEqual(['col-1']);
+    expect(violations.missingResponseTimeTests).toHaveLength(1);
+  });
+
+  test('should run the plugins once per snapshot', async () => {
+    const run = jest.spyOn(calculator.rulePlugins, 'run');
+
+    await calculator.calculateGovernanceMetrics(snapshot);
+    await calculator.calculateGovernanceViolations(snapshot);
+    await calculator.calculateGovernanceViolations({ ...snapshot });
+
+    expect(run).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Severity Policy Tests
+ * Tests for base severities per violation type and context escalation
+ */
+
+const SeverityPolicy = require('../src/governance/severity-policy');
+const GovernanceCalculator = require('../src/governance/calculator');
+
+// Mock logger for tests
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  audit: jest.fn()
+};
+
+describe('SeverityPolicy', () => {
+  const policy = SeverityPolicy.fromConfig({
+    base: { missingDocumentation: 'low', orphanedUsers: 'medium' },
+    escalation: { public_workspace: true, critical_tags: ['Tier-1', 'critical'], age_days: 30, affected_endpoints: 10 }
+  });
+
+  test('should prefer the policy base, then the check severity, then the default', () => {
+    expect(policy.assess('missingDocumentation', { severity: 'high' })).toEqual({
+      severity: 'low',
+      baseSeverity: 'low',
+      reason: 'severity_policy.base: low'
+    });
+    expect(policy.assess('hardcodedCredentials', { severity: 'critical' }).reason).toBe('check: critical');
+    expect(policy.assess('customType', {}).reason).toBe('default: medium');
+  });
+
+  test('should raise one level per applicable escalation and explain it', () => {
+    const assessment = policy.assess('missingDocumentation', { undocumentedEndpoints: 12 }, {
+      workspace: { id: 'ws-1', visibility: 'public' },
+      collection: { uid: 'col-1', tags: [{ slug: 'tier-1' }] },
+      ageDays: 45
+    });
+
+    expect(assessment).toEqual({
+      severity: 'critical',
+      baseSeverity: 'low',
+      reason: 'severity_policy.base: low; escalated by public workspace, critical tag "tier-1", ' +
+        'open 45 days (>= 30), 12 affected endpoints (>= 10)'
+    });
+  });
+
+  test('should cap escalation at critical and ignore context below the thresholds', () => {
+    expect(policy.assess('failingMonitors', { severity: 'high' }, { workspace: { type: 'public' }, ageDays: 90 }).severity).toBe('critical');
+    expect(policy.assess('orphanedUsers', {}, { workspace: { type: 'team' }, collection: { tags: [] }, ageDays: 29 })).toEqual({
+      severity: 'medium',
+      baseSeverity: 'medium',
+      reason: 'severity_policy.base: medium'
+    });
+    expect(policy.assess('specDrift', { severity: 'low', missingInCollection: [1, 2], missingInSpec: new Array(8).fill(0), parameterMismatches: [] }).reason)
+      .toBe('check: low; escalated by 10 affected endpoints (>= 10)');
+  });
+
+  test('should keep check severities without escalation when disabled', () => {
+    const disabled = SeverityPolicy.fromConfig({ enabled: false, base: { missingDocumentation: 'low' } });
+
+    expect(disabled.assess('missingDocumentation', { severity: 'high' }, { ageDays: 100 })).toEqual({
+      severity: 'high',
+      baseSeverity: 'high',
+      reason: 'check: high'
+    });
+  });
+
+  test('should name the setting of an invalid severity', () => {
+    expect(() => SeverityPolicy.fromConfig({ base: { staleForks: 'urgent' } }))
+      .toThrow('Invalid governance.severity_policy.base.staleForks: "urgent" is not one of critical, high, medium, low');
+  });
+});
+
+describe('GovernanceCalculator severity policy', () => {
+  let data;
+
+  beforeEach(() => {
+    data = {
+      collectedAt: '2024-03-01T00:00:00.000Z',
+      user: { user: { id: 1, email: 'owner@example.com', fullName: 'Owner' } },
+      workspaces: [
+        { id: 'ws-1', name: 'PLATFORM-Core', type: 'team', collections: [{ uid: 'col-1' }] },
+        { id: 'ws-2', name: 'PARTNERS-Public', type: 'team', visibility: 'public', collections: [{ uid: 'col-2' }] }
+      ],
+      collections: [
+        { uid: 'col-1', name: 'Users API', owner: 'team-1', item: [{ name: 'Get user', request: { method: 'GET', url: 'https://example.com/users/1' } }], tags: [{ slug: 'critical' }] },
+        { uid: 'col-2', name: 'Partner API', owner: 'team-1', item: [] }
+      ],
+      environments: [],
+      apiSpecs: [],
+      userGroups: [],
+      monitors: [],
+      mocks: []
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should assign policy severities with their reason using workspace, tag and age context', async () => {
+    const calculator = new GovernanceCalculator(null, {
+      weights: {},
+      thresholds: {},
+      limits: { max_collection_analysis: -1 },
+      severity_policy: {
+        base: { collectionsWithoutSpecs: 'low' },
+        escalation: { public_workspace: true, critical_tags: ['critical'], age_days: 30 }
+      }
+    }, mockLogger);
+    const firstSeen = new Map([['collectionsWithoutSpecs|col-1|', '2024-01-01T00:00:00Z']]);
+
+    const violations = await calculator.calculateGovernanceViolations(data, { firstSeen });
+
+    expect(violations.collectionsWithoutSpecs.map(violation => [violation.id, violation.severity, violation.severityReason])).toEqual([
+      ['col-1', 'high', 'severity_policy.base: low; escalated by critical tag "critical", open 60 days (>= 30)'],
+      ['col-2', 'medium', 'severity_policy.base: low; escalated by public workspace']
+    ]);
+    expect(violations.untestedCollections[0]).toMatchObject({ baseSeverity: 'medium', severity: 'high', severityReason: 'check: medium; escalated by critical tag "critical"' });
+  });
+});
@@ -0,0 +1,355 @@
+/**
+ * Postman API Stand-In Tests
+ * End-to-end collection cycles against the bundled synthetic Postman API
+ */
+
+const axios = require('axios');
+const PostmanClient = require('../src/postman/client');
+const GovernanceCalculator = require('../src/governance/calculator');
+const PostmanApiServer = require('../src/simulator/postman-api-server');
+const SyntheticOrgGenerator = require('../src/simulator/org-generator');
+
+// Mock logger for tests
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  audit: jest.fn()
+};
+
+const calculatorConfig = {
+  weights: { documentation: 0.3, testing: 0.25, monitoring: 0.25, organization: 0.2 },
+  thresholds: { min_documentation_coverage: 80, min_test_coverage: 70, max_fork_age_days: 90 },
+  limits: { max_collection_analysis: -1, max_workspaces: -1 }
+};
+
+function createClient(baseUrl, apiKey = 'PMAK-simulator', scope = {}) {
+  return new PostmanClient(apiKey, {
+    base_url: baseUrl,
+    timeout_seconds: 5,
+    rate_limit: { requests_per_minute: 60000, burst_allowance: 50 },
+    limits: { max_collection_analysis: -1, max_workspaces: -1 },
+    collection_scope: { workspace_tags: false, private_apis: false, ...scope },
+    workers: 4
+  }, mockLogger);
+}
+
+describe('SyntheticOrgGenerator', () => {
+  test('should generate the same organization for the same seed', () => {
+    const first = new SyntheticOrgGenerator({ seed: 7, collections: 10 }).generate();
+    const second = new SyntheticOrgGenerator({ seed: 7, collections: 10 }).generate();
+
+    expect(second).toEqual(first);
+  });
+
+  test('should honor organization size options', () => {
+    const org = new SyntheticOrgGenerator({ workspaces: 3, collections: 12, users: 9, requestsPerCollection: 4 }).generate();
+
+    expect(org.workspaces).toHaveLength(3);
+    expect(org.collections).toHaveLength(12);
+    expect(org.users).toHaveLength(9);
+    expect(org.collectionDetails[org.collections[0].uid].item.flatMap(folder => folder.item)).toHaveLength(4);
+  });
+});
+
+describe('PostmanApiServer', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = new PostmanApiServer({
+      apiKey: 'PMAK-simulator',
+      pageSize: 7,
+      org: { seed: 3, workspaces: 4, collections: 30, users: 20, requestsPerCollection: 6, documentedRatio: 1, testedRatio: 0 }
+    });
+    ({ url: baseUrl } = await server.start());
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should serve a full collection cycle through paginated endpoints', async () => {
+    const client = createClient(baseUrl);
+
+    const snapshot = await client.collectSnapshot();
+
+    expect(snapshot.workspaces).toHaveLength(4);
+    expect(snapshot.collections).toHaveLength(30);
+    expect(snapshot.teamUsers).toHaveLength(20);
+    expect(snapshot.pagination.collections).toEqual({ pages: 5, items: 30, truncated: false });
+    expect(snapshot.pagination.teamUsers.pages).toBe(3);
+    expect(snapshot.workspaceRoles).toHaveLength(4);
+  });
+
+  test('should produce metrics matching the generated ratios', async () => {
+    const client = createClient(baseUrl);
+    const calculator = new GovernanceCalculator(client, calculatorConfig, mockLogger);
+
+    const metrics = await calculator.calculateGovernanceMetrics(await client.collectSnapshot());
+
+    expect(metrics.documentationCoverage.totalEndpoints).toBe(180);
+    expect(metrics.documentationCoverage.documentedEndpoints).toBe(180);
+    expect(metrics.testCoverage.testedEndpoints).toBe(0);
+    expect(metrics.organizationalInsights.totalCollections).toBe(30);
+  });
+
+  test('should report collection progress and API calls', async () => {
+    const client = createClient(baseUrl);
+    const updates = [];
+
+    await client.collectSnapshot({ onProgress: (update) => updates.push(update) });
+
+    const last = updates[updates.length - 1];
+    expect(updates[0]).toMatchObject({ collectionsAnalyzed: 0, collectionsTotal: 30 });
+    expect(last.collectionsAnalyzed).toBe(30);
+    expect(last.apiCalls).toBe(client.requestCount);
+  });
+
+  test('should record request statistics and entity counts for the run', async () => {
+    const client = createClient(baseUrl);
+
+    await client.collectSnapshot();
+
+    expect(client.lastRunStats).toMatchObject({
+      requests: client.requestCount,
+      clientErrors: 0,
+      serverErrors: 0,
+      entities: { workspaces: 4, collections: 30, teamUsers: 20 },
+      failures: []
+    });
+  });
+
+  test('should stop collecting once the signal is aborted', async () => {
+    const client = createClient(baseUrl);
+    const controller = new AbortController();
+
+    const collecting = client.collectSnapshot({
+      signal: controller.signal,
+      onProgress: (update) => {
+        if (update.collectionsAnalyzed === 5) {
+          controller.abort();
+        }
+      }
+    });
+
+    await expect(collecting).rejects.toThrow('Collection cancelled');
+    expect(client.requestCount).toBeLessThan(70);
+  });
+
+  test('should page through audit events from the high-water mark', async () => {
+    const client = createClient(baseUrl);
+    const trails = server.org.auditEvents;
+    const mark = trails[9].timestamp;
+
+    const all = await client.getAuditEvents();
+    const newer = await client.getAuditEvents({ since: mark });
+
+    expect(all).toHaveLength(trails.length);
+    expect(all[0]).toMatchObject({
+      id: '1',
+      action: 'collection.create',
+      actor: { username: expect.any(String), email: expect.stringContaining('@example.com') }
+    });
+    expect(newer.length).toBeGreaterThan(0);
+    expect(newer.every(event => event.timestamp >= mark)).toBe(true);
+    expect(newer).toHaveLength(trails.filter(trail => trail.timestamp >= mark).length);
+  });
+
+  test('should include audit events in the snapshot when enabled', async () => {
+    const client = createClient(baseUrl, 'PMAK-simulator', { audit_logs: true });
+
+    const snapshot = await client.collectSnapshot({ auditSince: server.org.auditEvents[0].timestamp });
+
+    expect(snapshot.auditEvents.length).toBeGreaterThan(0);
+    expect(client.lastRunStats.entities.auditEvents).toBe(snapshot.auditEvents.length);
+  });
+
+  test('should flag environments storing their API key in plain text', async () => {
+    const client = createClient(baseUrl, 'PMAK-simulator', { environments: true });
+    const calculator = new GovernanceCalculator(client, calculatorConfig, mockLogger);
+    const plaintext = Object.values(server.org.environmentDetails)
+      .filter(environment => environment.values.some(v => v.key === 'apiKey' && v.type === 'default'));
+
+    const snapshot = await client.collectSnapshot();
+    const violations = await calculator.calculateGovernanceViolations(snapshot);
+
+    expect(snapshot.environments.every(environment => environment.values.length === 2)).toBe(true);
+    expect(plaintext.length).toBeGreaterThan(0);
+    expect(violations.plaintextSecrets).toHaveLength(plaintext.length);
+    expect(violations.plaintextSecrets.every(v => v.secretType === 'postman_api_key')).toBe(true);
+  });
+
+  test('should collect recent runs for every monitor when enabled', async () => {
+    const client = createClient(baseUrl, 'PMAK-simulator', { monitor_runs: true });
+    const calculator = new GovernanceCalculator(client, calculatorConfig, mockLogger);
+
+    const snapshot = await client.collectSnapshot();
+    const reliability = calculator.calculateMonitorReliability(snapshot.monitors, snapshot.collectedAt);
+
+    expect(snapshot.monitors.length).toBeGreaterThan(0);
+    expect(snapshot.monitors.every(monitor => monitor.runs.length === 10)).toBe(true);
+    expect(reliability.monitorsWithRuns).toBe(snapshot.monitors.length);
+    expect(reliability.monitors.every(monitor => monitor.avgResponseTimeMs > 0)).toBe(true);
+  });
+
+  test('should link mocks to environments from mock detail when enabled', async () => {
+    const client = createClient(baseUrl, 'PMAK-simulator', { mocks: true, mock_details: true });
+    const calculator = new GovernanceCalculator(client, calculatorConfig, mockLogger);
+    const publicMocks = Object.values(server.org.mockDetails).filter(mock => mock.isPublic);
+
+    const snapshot = await client.collectSnapshot();
+    const coverage = calculator.calculateMockCoverage(snapshot);
+    const violations = await calculator.calculateGovernanceViolations(snapshot);
+
+    expect(snapshot.mocks.length).toBeGreaterThan(0);
+    expect(coverage.mocks.every(mock => mock.collectionName && mock.environmentName)).toBe(true);
+    expect(violations.orphanedMocks).toEqual([]);
+    expect(violations.publicInternalMocks).toHaveLength(publicMocks.length);
+    const specCollections = new Set(snapshot.apiSpecs.map(spec => spec.collections?.[0]?.id));
+    expect(violations.unmockedCollections.map(violation => violation.id).sort()).toEqual(snapshot.collections
+      .filter(collection => specCollections.has(collection.uid) && coverage.collections[collection.uid].mocks === 0)
+      .map(collection => collection.uid)
+      .sort());
+  });
+
+  test('should link mocks from the mock list without fetching mock detail by default', async () => {
+    const client = createClient(baseUrl, 'PMAK-simulator', { mocks: true });
+    const getMock = jest.spyOn(client, 'getMock');
+    const calculator = new GovernanceCalculator(client, calculatorConfig, mockLogger);
+
+    const snapshot = await client.collectSnapshot();
+    const coverage = calculator.calculateMockCoverage(snapshot);
+
+    expect(getMock).not.toHaveBeenCalled();
+    expect(coverage.mocks.every(mock => mock.collectionName)).toBe(true);
+  });
+
+  test('should track fork merges from pull requests when enabled', async () => {
+    const client = createClient(baseUrl, 'PMAK-simulator', { fork_pull_requests: true });
+    const calculator = new GovernanceCalculator(client, calculatorConfig, mockLogger);
+    const unmerged = Object.values(server.org.collectionPullRequests).flat()
+      .filter(pullRequest => pullRequest.status !== 'merged');
+
+    const snapshot = await client.collectSnapshot();
+    const hygiene = calculator.analyzeForkHygiene(snapshot);
+
+    expect(hygiene.totalForks).toBeGreaterThan(0);
+    expect(unmerged.length).toBeGreaterThan(0);
+    expect(hygiene.unmergedForks).toBe(unmerged.length);
+    expect(snapshot.collections.filter(collection => collection.forks.length > 0)
+      .every(collection => Array.isArray(collection.pullRequests))).toBe(true);
+  });
+
+  test('should lint the bundled schema of every API when enabled', async () => {
+    const client = createClient(baseUrl, 'PMAK-simulator', { api_schemas: true });
+    const calculator = new GovernanceCalculator(client, calculatorConfig, mockLogger);
+
+    const snapshot = await client.collectSnapshot();
+    const specLint = calculator.calculateSpecLint(snapshot.apiSpecs);
+
+    expect(snapshot.apiSpecs.length).toBeGreaterThan(0);
+    expect(snapshot.apiSpecs.every(api => api.schema.document.openapi === '3.0.3')).toBe(true);
+    expect(specLint.lintedSpecs).toBe(snapshot.apiSpecs.length);
+    expect(specLint.failedChecks).toBeGreaterThan(0);
+    expect(specLint.score).toBeLessThan(100);
+  });
+
+  test('should detect drift between API schemas and their collections', async () => {
+    const client = createClient(baseUrl, 'PMAK-simulator', { api_schemas: true });
+    const calculator = new GovernanceCalculator(client, calculatorConfig, mockLogger);
+
+    const snapshot = await client.collectSnapshot();
+    const specDrift = calculator.calculateSpecDrift(snapshot);
+    const violations = await calculator.calculateGovernanceViolations(snapshot);
+
+    expect(specDrift.analyzedSpecs).toBe(snapshot.apiSpecs.length);
+    expect(specDrift.driftedSpecs).toBeGreaterThan(0);
+    expect(violations.specDrift).toHaveLength(specDrift.driftedSpecs);
+    expect(violations.specDrift.every(violation => violation.missingInCollection.length > 0)).toBe(true);
+  });
+
+  test('should evaluate workspace rules against served workspace tags', async () => {
+    const client = createClient(baseUrl, 'PMAK-simulator', { workspace_tags: true });
+    const calculator = new GovernanceCalculator(client, calculatorConfig, mockLogger);
+
+    const snapshot = await client.collectSnapshot();
+    const violations = await calculator.calculateGovernanceViolations(snapshot);
+    const slugs = workspace => workspace.tags.map(tag => tag.slug);
+
+    expect(snapshot.workspaces.some(workspace => workspace.tags.length > 0)).toBe(true);
+    expect(violations.workspaceNamingViolations).toHaveLength(snapshot.workspaces.length);
+    expect(violations.missingAssetIds.map(violation => violation.id)).toEqual(
+      snapshot.workspaces.filter(workspace => !slugs(workspace).some(slug => slug.startsWith('asset-'))).map(workspace => workspace.id));
+    expect(violations.workspaceTypeMismatches.map(violation => violation.id)).toEqual(
+      snapshot.workspaces.filter(workspace => workspace.type === 'team' && slugs(workspace).includes('environment-dev')).map(workspace => workspace.id));
+  });
+
+  test('should escalate violations of collections with served criticality tags', async () => {
+    const client = createClient(baseUrl, 'PMAK-simulator', { collection_tags: true });
+    const calculator = new GovernanceCalculator(client, {
+      ...calculatorConfig,
+      severity_policy: { base: { collectionsWithoutSpecs: 'medium' }, escalation: { critical_tags: ['critical'] } }
+    }, mockLogger);
+
+    const snapshot = await client.collectSnapshot();
+    const violations = await calculator.calculateGovernanceViolations(snapshot);
+    const critical = new Set(snapshot.collections
+      .filter(collection => collection.tags.some(tag => tag.slug === 'critical'))
+      .map(collection => collection.uid));
+
+    expect(critical.size).toBeGreaterThan(0);
+    expect(violations.collectionsWithoutSpecs.some(violation => critical.has(violation.id))).toBe(true);
+    for (const violation of violations.collectionsWithoutSpecs) {
+      expect([violation.id, violation.severity]).toEqual([violation.id, critical.has(violation.id) ? 'high' : 'medium']);
+    }
+  });
+
+  test('should reject requests with the wrong API key', async () => {
+    const client = createClient(baseUrl, 'PMAK-wrong');
+
+    const response = await client.client.get('/me');
+
+    expect(response.status).toBe(401);
+    expect(client.getRequestStats().clientErrors).toBe(1);
+  });
+
+  test('should count rejected 4xx responses as client errors, not server errors', async () => {
+    const client = createClient(baseUrl, 'PMAK-wrong');
+
+    await expect(client.client.get('/me', { validateStatus: status => status < 400 })).rejects.toThrow('Unauthorized');
+
+    expect(client.getRequestStats()).toMatchObject({ clientErrors: 1, serverErrors: 0 });
+  });
+});
+
+describe('PostmanApiServer rate limiting', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = new PostmanApiServer({ rateLimitPerMinute: 2, org: { workspaces: 1, collections: 1 } });
+    ({ url: baseUrl } = await server.start());
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  test('should report quota headers and answer 429 once exhausted', async () => {
+    const get = () => axios.get(`${baseUrl}/me`, { headers: { 'X-API-Key': 'PMAK-any' }, validateStatus: () => true });
+
+    const first = await get();
+    await get();
+    const limited = await get();
+
+    expect(first.headers['x-ratelimit-remaining']).toBe('1');
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBeDefined();
+  });
+});
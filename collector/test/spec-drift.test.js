@@ -0,0 +1,192 @@
+/**
+ * Spec Drift Tests
+ * Tests for comparing API schemas with the requests of their linked collections
+ */
+
+const SpecDriftAnalyzer = require('../src/governance/spec-drift');
+const GovernanceCalculator = require('../src/governance/calculator');
+
+// Mock logger for tests
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  audit: jest.fn()
+};
+
+function buildDocument() {
+  return {
+    openapi: '3.0.3',
+    servers: [{ url: 'https://api.example.com/v1' }],
+    paths: {
+      '/users': {
+        get: { parameters: [{ $ref: '#/components/parameters/Page' }], responses: {} },
+        post: { parameters: [{ name: 'X-Request-Id', in: 'header', required: true }], responses: {} }
+      },
+      '/users/{id}': {
+        parameters: [{ name: 'id', in: 'path', required: true }],
+        get: { responses: {} },
+        delete: { responses: {} }
+      },
+      '/users/me': {
+        get: { responses: {} }
+      }
+    },
+    components: {
+      parameters: { Page: { name: 'page', in: 'query', required: true } }
+    }
+  };
+}
+
+function request(name, method, url, header = []) {
+  return { name, request: { method, url, header } };
+}
+
+function buildCollection() {
+  return {
+    uid: 'col-1',
+    item: [
+      { name: 'Users', item: [
+        request('List users', 'GET', { raw: '{{baseUrl}}/v1/users?page=1', host: ['{{baseUrl}}'], path: ['v1', 'users'], query: [{ key: 'page', value: '1' }] }),
+        request('Create user', 'POST', '{{baseUrl}}/v1/users', [{ key: 'x-request-id', value: '1' }]),
+        request('Get user', 'GET', 'https://api.example.com/v1/users/:id'),
+        request('Get me', 'GET', '{{baseUrl}}/v1/users/me')
+      ] }
+    ]
+  };
+}
+
+describe('SpecDriftAnalyzer', () => {
+  const analyzer = new SpecDriftAnalyzer();
+
+  test('should match requests across URL forms and report documented endpoints without requests', () => {
+    const drift = analyzer.compare(buildDocument(), [buildCollection()]);
+
+    expect(drift).toMatchObject({
+      format: 'openapi-3',
+      specEndpoints: 5,
+      collectionRequests: 4,
+      matchedEndpoints: 4,
+      missingInSpec: [],
+      parameterMismatches: [],
+      missingInCollection: [{ method: 'DELETE', path: '/users/{id}', pointer: '/paths/~1users~1{id}/delete' }]
+    });
+    expect(drift.driftPercentage).toBe(20);
+  });
+
+  test('should report requests missing from the spec and parameter mismatches', () => {
+    const collection = buildCollection();
+    collection.item[0].item.push(
+      request('Delete user', 'DELETE', '{{baseUrl}}/v1/users/42'),
+      request('Search users', 'GET', '{{baseUrl}}/v1/users/search?q=ann&page=2&limit=5'),
+      request('Search again', 'GET', '{{baseUrl}}/v1/users/search/all')
+    );
+    collection.item[0].item[0].request.url.query = [{ key: 'sort', value: 'name' }, { key: 'page', value: '1', disabled: true }];
+    collection.item[0].item[1].request.header = [];
+
+    const drift = analyzer.compare(buildDocument(), [collection]);
+
+    expect(drift.missingInCollection).toEqual([]);
+    expect(drift.missingInSpec).toEqual([
+      { method: 'GET', path: '/users/search/all', collectionUid: 'col-1', request: 'Users / Search again' }
+    ]);
+    expect(drift.parameterMismatches.map(mismatch => [mismatch.request, mismatch.pointer, mismatch.missingParameters, mismatch.undocumentedParameters])).toEqual([
+      ['Users / List users', '/paths/~1users/get', ['query:page'], ['query:sort']],
+      ['Users / Create user', '/paths/~1users/post', ['header:X-Request-Id'], []],
+      ['Users / Search users', '/paths/~1users~1{id}/get', [], ['query:q', 'query:page', 'query:limit']]
+    ]);
+    expect(drift.driftPercentage).toBeCloseTo(400 / 6);
+  });
+
+  test('should prefer literal path segments and keep variables from matching literals', () => {
+    const drift = analyzer.compare(buildDocument(), [{
+      uid: 'col-2',
+      item: [request('Me by variable', 'GET', '{{baseUrl}}/v1/users/{{me}}')]
+    }]);
+
+    expect(drift.matchedEndpoints).toBe(1);
+    expect(drift.missingInCollection.map(operation => `${operation.method} ${operation.path}`)).toEqual([
+      'GET /users', 'POST /users', 'DELETE /users/{id}', 'GET /users/me'
+    ]);
+  });
+
+  test('should honor Swagger 2.0 base paths, ignored parameters and disabled comparison', () => {
+    const document = {
+      swagger: '2.0',
+      basePath: '/api',
+      paths: { '/orders': { get: { parameters: [{ name: 'api_key', in: 'query', required: true }] } } }
+    };
+    const collection = { uid: 'col-3', item: [request('Orders', 'GET', 'shop.example.com/api/orders?token=x')] };
+
+    const configured = SpecDriftAnalyzer.fromConfig({ ignore_parameters: ['API_KEY', 'token'] });
+    expect(configured.compare(document, [collection])).toMatchObject({ matchedEndpoints: 1, parameterMismatches: [], driftPercentage: 0 });
+    expect(SpecDriftAnalyzer.fromConfig({ parameters: false }).compare(document, [collection]).parameterMismatches).toEqual([]);
+    expect(SpecDriftAnalyzer.fromConfig({ enabled: false }).compare(document, [collection])).toBeNull();
+    expect(analyzer.compare({ type: 'graphql' }, [collection])).toBeNull();
+  });
+});
+
+describe('GovernanceCalculator spec drift', () => {
+  let calculator;
+  let data;
+
+  beforeEach(() => {
+    calculator = new GovernanceCalculator(null, {
+      weights: {},
+      thresholds: { max_spec_drift_percentage: 10 },
+      limits: { max_collection_analysis: -1 }
+    }, mockLogger);
+    data = {
+      user: { user: { id: 1, email: 'owner@example.com', fullName: 'Owner' } },
+      workspaces: [],
+      collections: [{ ...buildCollection(), id: 'col-1-id', name: 'Users' }],
+      environments: [],
+      apiSpecs: [
+        { id: 'api-1', name: 'Users API', createdBy: 1, collections: [{ id: 'col-1' }], schema: { document: buildDocument() } },
+        { id: 'api-2', name: 'Orders API', createdBy: 1, collections: [{ id: 'col-1-id' }], schema: { document: { openapi: '3.0.0', paths: {} } } },
+        { id: 'api-3', name: 'Unlinked API', createdBy: 1, collections: [{ id: 'missing' }], schema: { document: buildDocument() } },
+        { id: 'api-4', name: 'Schemaless API', createdBy: 1, collections: [{ id: 'col-1' }], schema: null }
+      ],
+      userGroups: [],
+      monitors: [],
+      mocks: []
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should compare APIs with a schema and a linked collection in the snapshot', () => {
+    const specDrift = calculator.calculateSpecDrift(data);
+
+    expect(specDrift.specs.map(spec => [spec.apiId, spec.collectionUids, spec.driftPercentage])).toEqual([
+      ['api-1', ['col-1'], 20],
+      ['api-2', ['col-1'], 100]
+    ]);
+    expect(specDrift).toMatchObject({ analyzedSpecs: 2, driftedSpecs: 2, averageDrift: 60 });
+  });
+
+  test('should report APIs drifting above the threshold as specDrift violations', async () => {
+    const violations = await calculator.calculateGovernanceViolations(data);
+
+    expect(violations.specDrift.map(violation => [violation.id, violation.severity])).toEqual([
+      ['api-1', 'medium'],
+      ['api-2', 'high']
+    ]);
+    expect(violations.specDrift[0]).toMatchObject({
+      name: 'Users API',
+      driftPercentage: 20,
+      missingInCollection: [expect.objectContaining({ pointer: '/paths/~1users~1{id}/delete' })],
+      description: 'Spec drifted 20% from its collection: 1 documented endpoint(s) missing from the collection'
+    });
+    expect(violations.specDrift[1].description).toBe('Spec drifted 100% from its collection: 4 request(s) not in the spec');
+  });
+
+  test('should include spec drift in the governance metrics', async () => {
+    const metrics = await calculator.calculateGovernanceMetrics(data);
+
+    expect(metrics.specDrift.analyzedSpecs).toBe(2);
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Spec Linter Tests
+ * Tests for OpenAPI style rules and spec lint scoring of Postman API schemas
+ */
+
+const SpecLinter = require('../src/governance/spec-linter');
+const GovernanceCalculator = require('../src/governance/calculator');
+
+// Mock logger for tests
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  audit: jest.fn()
+};
+
+function buildDocument() {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Users', version: '1.0.0' },
+    security: [{ apiKey: [] }],
+    paths: {
+      '/user-accounts/{id}': {
+        get: {
+          operationId: 'getUserAccount',
+          description: 'Fetch a user account',
+          tags: ['Users'],
+          responses: { 200: { description: 'OK' }, 404: { description: 'Not found' } }
+        }
+      },
+      '/healthz': {
+        get: {
+          operationId: 'health',
+          summary: 'Health check',
+          tags: ['Ops'],
+          security: [],
+          responses: { default: { description: 'Error' } }
+        }
+      }
+    },
+    components: {
+      securitySchemes: { apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' } },
+      schemas: { User: { properties: { id: {}, createdAt: {} } } }
+    }
+  };
+}
+
+describe('SpecLinter', () => {
+  const linter = new SpecLinter();
+
+  test('should pass a document that follows every rule', () => {
+    const result = linter.lint(buildDocument());
+
+    expect(result.format).toBe('openapi-3');
+    expect(result.checks).toBe(17);
+    expect(result.failures).toEqual([]);
+  });
+
+  test('should report each rule failure with its JSON pointer', () => {
+    const document = buildDocument();
+    const operation = document.paths['/user-accounts/{id}'].get;
+    delete operation.operationId;
+    delete operation.description;
+    delete operation.tags;
+    operation.responses = { 200: { description: 'OK' } };
+    document.paths['/Legacy_Items'] = { post: { operationId: 'Create_item', description: 'x', tags: ['x'], responses: { 400: {} } } };
+    document.components.schemas.User.properties.created_at = {};
+    delete document.security;
+
+    const failures = linter.lint(document).failures.map(failure => [failure.rule, failure.pointer]);
+
+    expect(failures).toEqual([
+      ['operation-operation-id', '/paths/~1user-accounts~1{id}/get'],
+      ['operation-description', '/paths/~1user-accounts~1{id}/get'],
+      ['operation-tags', '/paths/~1user-accounts~1{id}/get'],
+      ['operation-error-responses', '/paths/~1user-accounts~1{id}/get/responses'],
+      ['operation-security', '/paths/~1user-accounts~1{id}/get'],
+      ['path-casing', '/paths/~1Legacy_Items'],
+      ['operation-id-casing', '/paths/~1Legacy_Items/post/operationId'],
+      ['operation-security', '/paths/~1Legacy_Items/post'],
+      ['property-casing', '/components/schemas/User/properties/created_at']
+    ]);
+  });
+
+  test('should lint Swagger 2.0 security definitions and definitions', () => {
+    const result = linter.lint({
+      swagger: '2.0',
+      paths: {},
+      definitions: { Order: { properties: { order_id: {} } } }
+    });
+
+    expect(result.failures.map(failure => [failure.rule, failure.pointer])).toEqual([
+      ['security-schemes-defined', '/securityDefinitions'],
+      ['property-casing', '/definitions/Order/properties/order_id']
+    ]);
+  });
+
+  test('should apply configured severities, disabled rules and casing', () => {
+    const configured = SpecLinter.fromConfig({
+      rules: { 'operation-tags': 'off', 'operation-operation-id': 'high' },
+      casing: { property: 'snake' }
+    });
+    const document = buildDocument();
+    delete document.paths['/healthz'].get.tags;
+    delete document.paths['/healthz'].get.operationId;
+
+    const failures = configured.lint(document).failures;
+
+    expect(failures.map(failure => [failure.rule, failure.severity])).toEqual([
+      ['operation-operation-id', 'high'],
+      ['property-casing', 'low']
+    ]);
+    expect(failures[1].pointer).toBe('/components/schemas/User/properties/createdAt');
+  });
+
+  test('should reject unknown casing styles and skip non-OpenAPI documents', () => {
+    expect(() => SpecLinter.fromConfig({ casing: { path: 'train' } })).toThrow('Unknown path casing "train"');
+    expect(linter.lint({ type: 'graphql' })).toEqual({ format: null, checks: 0, failures: [] });
+  });
+});
+
+describe('GovernanceCalculator spec lint dimension', () => {
+  let calculator;
+  let data;
+
+  beforeEach(() => {
+    calculator = new GovernanceCalculator(null, {
+      weights: { documentation: 0.2, testing: 0.2, monitoring: 0.15, organization: 0.15, security: 0.15, spec_lint: 0.15 },
+      thresholds: { min_documentation_coverage: 80, min_test_coverage: 70 },
+      limits: { max_collection_analysis: -1 }
+    }, mockLogger);
+    const broken = buildDocument();
+    delete broken.paths['/healthz'].get.operationId;
+    data = {
+      user: { user: { id: 1, email: 'owner@example.com', fullName: 'Owner' } },
+      workspaces: [],
+      collections: [],
+      environments: [],
+      apiSpecs: [
+        { id: 'api-1', name: 'Users API', createdBy: 1, schema: { id: 's-1', type: 'openapi:3', document: broken } },
+        { id: 'api-2', name: 'Orders API', createdBy: 1, schema: null }
+      ],
+      userGroups: [],
+      monitors: [],
+      mocks: []
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should score the share of passed checks across linted schemas', () => {
+    const specLint = calculator.calculateSpecLint(data.apiSpecs);
+
+    expect(specLint).toMatchObject({ lintedSpecs: 1, totalChecks: 16, failedChecks: 1, failuresByRule: { 'operation-operation-id': 1 } });
+    expect(specLint.score).toBeCloseTo(1500 / 16);
+    expect(calculator.calculateSpecLint([]).score).toBe(100);
+  });
+
+  test('should report every rule failure as a violation with its pointer', async () => {
+    const violations = await calculator.calculateGovernanceViolations(data);
+
+    expect(violations.specLintFailures).toEqual([expect.objectContaining({
+      id: 'api-1',
+      name: 'Users API /paths/~1healthz/get',
+      rule: 'operation-operation-id',
+      pointer: '/paths/~1healthz/get',
+      severity: 'medium',
+      workspaceAdminEmail: 'team@postman.com'
+    })]);
+  });
+
+  test('should weight the spec lint score into the overall score', async () => {
+    const metrics = await calculator.calculateGovernanceMetrics(data);
+
+    expect(metrics.specLint.score).toBeCloseTo(1500 / 16);
+    expect(metrics.overallGovernanceScore).toBeCloseTo(
+      metrics.documentationCoverage.score * 0.2 + metrics.testCoverage.score * 0.2 +
+      metrics.monitoringCoverage.score * 0.15 + metrics.organizationStructure.score * 0.15 +
+      metrics.securityPosture.score * 0.15 + metrics.specLint.score * 0.15
+    );
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Multi-Team Collection Tests
+ * Tests for per-team configuration and collection cycles in GovernanceCollectorApp
+ */
+
+const GovernanceCollectorApp = require('../src/main');
+const DatabaseManager = require('../src/database/manager');
+const HealthChecker = require('../src/utils/health');
+
+// Mock logger for tests
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  audit: jest.fn()
+};
+
+describe('GovernanceCollectorApp teams', () => {
+  let app;
+
+  beforeEach(() => {
+    app = new GovernanceCollectorApp();
+    app.logger = mockLogger;
+    app.config = {
+      collection: { incremental: false },
+      postman: {
+        base_url: 'https://api.getpostman.com',
+        rate_limit: { requests_per_minute: 120, burst_allowance: 5 },
+        limits: { max_workspaces: -1, max_list_pages: 100 }
+      }
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should use a single default team when no teams are configured', () => {
+    const teams = app.resolveTeams();
+
+    expect(teams).toHaveLength(1);
+    expect(teams[0].name).toBe('default');
+    expect(teams[0].rate_limit.requests_per_minute).toBe(120);
+  });
+
+  test('should merge team overrides over the base postman config', () => {
+    app.config.postman.teams = [
+      { name: 'payments', rate_limit: { requests_per_minute: 60 } },
+      { name: 'platform', limits: { max_workspaces: 10 } }
+    ];
+
+    const [payments, platform] = app.resolveTeams();
+
+    expect(payments.rate_limit).toEqual({ requests_per_minute: 60, burst_allowance: 5 });
+    expect(payments.teams).toBeUndefined();
+    expect(platform.limits).toEqual({ max_workspaces: 10, max_list_pages: 100 });
+    expect(platform.base_url).toBe('https://api.getpostman.com');
+  });
+
+  test('should reject duplicate team names', () => {
+    app.config.postman.teams = [{ name: 'payments' }, { name: 'payments' }];
+
+    expect(() => app.resolveTeams()).toThrow('Duplicate Postman team name: payments');
+  });
+
+  test('should store every team and report the teams that failed', async () => {
+    const makeTeam = (name, snapshot) => ({
+      name,
+      postmanClient: { fixtureMode: 'off', config: { collection_scope: { audit_logs: true } }, collectSnapshot: snapshot },
+      governanceCalculator: {
+        calculateGovernanceMetrics: jest.fn().mockResolvedValue({ overallGovernanceScore: 50 }),
+        calculateGovernanceViolations: jest.fn().mockResolvedValue({})
+      }
+    });
+    app.db = {
+      storeMetrics: jest.fn().mockResolvedValue(),
+      storeAuditEvents: jest.fn().mockResolvedValue(1),
+      getAuditHighWaterMark: jest.fn(team => Promise.resolve(team === 'platform' ? '2024-01-01T00:00:00.000Z' : null)),
+      getCollectionFingerprints: jest.fn().mockResolvedValue(new Map()),
+      getViolationFirstSeen: jest.fn().mockResolvedValue(new Map()),
+      getActiveWaivers: jest.fn().mockResolvedValue([])
+    };
+    const auditEvents = [{ id: 'evt-1', action: 'collection.delete' }];
+    const failures = [{ entity: 'collection', id: 'col-1', error: 'Request failed with status code 500' }];
+    app.config.collection.incremental = true;
+    app.teams = [
+      makeTeam('payments', jest.fn().mockRejectedValue(new Error('Invalid API Key'))),
+      makeTeam('platform', jest.fn().mockResolvedValue({ auditEvents, failures }))
+    ];
+
+    await expect(app.runCollection()).rejects.toThrow('payments (Invalid API Key)');
+    expect(app.db.storeMetrics).toHaveBeenCalledTimes(1);
+    expect(app.db.storeMetrics).toHaveBeenCalledWith({ overallGovernanceScore: 50 }, {}, 'platform', { failures });
+    expect(app.db.getCollectionFingerprints.mock.calls).toEqual([['payments'], ['platform']]);
+    expect(app.teams[1].postmanClient.collectSnapshot).toHaveBeenCalledWith(
+      expect.objectContaining({ auditSince: '2024-01-01T00:00:00.000Z' }));
+    expect(app.db.storeAuditEvents).toHaveBeenCalledTimes(1);
+    expect(app.db.storeAuditEvents).toHaveBeenCalledWith(auditEvents, 'platform');
+  });
+
+  describe('per-team client state', () => {
+    const makeClient = (tokens, state, getUser = jest.fn().mockResolvedValue({})) => ({
+      getUser,
+      getRateLimitState: () => ({ tokens, capacity: 5, waiting: 0, serverRemaining: null, throttledResponses: 0 }),
+      getCircuitBreakerState: () => ({ state, stateValue: state === 'open' ? 2 : 0, errorRate: 0, timesOpened: 0, rejectedRequests: 0 })
+    });
+
+    beforeEach(() => {
+      app.teams = [
+        { name: 'payments', postmanClient: makeClient(3, 'closed') },
+        { name: 'plat"form', postmanClient: makeClient(1, 'open', jest.fn().mockRejectedValue(new Error('Circuit breaker open'))) }
+      ];
+    });
+
+    test('should label rate limiter and circuit breaker metrics by team', async () => {
+      app.db = new DatabaseManager({ path: ':memory:', pragma_settings: {} }, mockLogger);
+      await app.db.initialize();
+      await app.db.storeMetrics({ overallGovernanceScore: 80 }, {}, 'plat"form');
+
+      const metrics = await app.getPrometheusMetrics();
+      await app.db.close();
+
+      expect(metrics).toContain('postman_governance_team_overall_score{team="plat\\"form"} 80');
+      expect(metrics).toContain('postman_api_rate_limit_tokens{team="payments"} 3\npostman_api_rate_limit_tokens{team="plat\\"form"} 1\n');
+      expect(metrics).toContain('postman_api_circuit_breaker_state{team="plat\\"form"} 2');
+      expect(metrics.match(/# TYPE postman_api_circuit_breaker_state /g)).toHaveLength(1);
+      expect(metrics).not.toContain('postman_api_rate_limit_remaining');
+    });
+
+    test('should check every team client in the Postman API health check', async () => {
+      const healthChecker = new HealthChecker(null, app.teams[0].postmanClient,
+        { thresholds: { api_response_time_ms: 5000 } }, mockLogger, app.teams);
+
+      const result = await healthChecker.checkPostmanAPI();
+
+      expect(result.status).toBe('unhealthy');
+      expect(result.details.teams.payments).toMatchObject({ status: 'healthy', details: { rateLimit: { tokens: 3 } } });
+      expect(result.details.teams['plat"form']).toMatchObject({
+        status: 'unhealthy',
+        error: 'Circuit breaker open',
+        details: { circuitBreaker: { state: 'open' } }
+      });
+    });
+  });
+});
@@ -0,0 +1,278 @@
+/**
+ * Waiver Tests
+ * Tests for waiver matching, validation, score exclusion and the waiver API
+ */
+
+const express = require('express');
+const request = require('supertest');
+const WaiverSet = require('../src/governance/waivers');
+const { validateWaiver } = require('../src/governance/waivers');
+const GovernanceCalculator = require('../src/governance/calculator');
+const DatabaseManager = require('../src/database/manager');
+const GovernanceCollectorApp = require('../src/main');
+
+// Mock logger for tests
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  audit: jest.fn()
+};
+
+const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('WaiverSet', () => {
+  const waivers = new WaiverSet([
+    { id: 1, rule: 'collectionsWithoutSpecs', entity_pattern: 'Sandbox *', expires_at: inDays(30) },
+    { id: 2, rule: '*', entity_pattern: 'col-legacy', expires_at: inDays(30) }
+  ]);
+
+  test('should match entity names by pattern and ids exactly, per rule', () => {
+    expect(waivers.find('collectionsWithoutSpecs', { id: 'col-1', name: 'sandbox Payments' }).id).toBe(1);
+    expect(waivers.find('untestedCollections', { id: 'col-1', name: 'Sandbox Payments' })).toBeNull();
+    expect(waivers.find('hardcodedCredentials', { id: 'col-legacy', name: 'Legacy / Login' }).id).toBe(2);
+    expect(waivers.find('collectionsWithoutSpecs', { id: 'col-2', name: 'Payments Sandbox' })).toBeNull();
+  });
+
+  test('should leave waived entities out and keep the rest', () => {
+    const collections = [
+      { uid: 'col-1', name: 'Sandbox Payments' },
+      { uid: 'col-legacy', name: 'Legacy' },
+      { uid: 'col-3', name: 'Orders (v1.2)' }
+    ];
+
+    expect(waivers.exclude('collectionsWithoutSpecs', collections).map(collection => collection.uid)).toEqual(['col-3']);
+    expect(waivers.exclude('missingDocumentation', collections).map(collection => collection.uid)).toEqual(['col-1', 'col-3']);
+    expect(new WaiverSet([{ id: 3, rule: '*', entity_pattern: 'Orders (v1.?)' }]).find('x', collections[2]).id).toBe(3);
+  });
+});
+
+describe('validateWaiver', () => {
+  const now = new Date('2024-01-01T00:00:00Z');
+  const waiver = {
+    rule: 'collectionsWithoutSpecs',
+    entity: 'Sandbox *',
+    justification: 'Third-party sandbox collections have no spec',
+    approver: 'api-governance@example.com',
+    expires_at: '2024-03-01'
+  };
+
+  test('should normalize a complete waiver', () => {
+    expect(validateWaiver({ ...waiver, team: ' payments ' }, { now })).toEqual({
+      rule: 'collectionsWithoutSpecs',
+      entityPattern: 'Sandbox *',
+      justification: 'Third-party sandbox collections have no spec',
+      approver: 'api-governance@example.com',
+      expiresAt: '2024-03-01T00:00:00.000Z',
+      team: 'payments'
+    });
+  });
+
+  test('should name the first invalid field', () => {
+    expect(() => validateWaiver({ ...waiver, approver: ' ' }, { now })).toThrow('approver is required');
+    expect(() => validateWaiver({ ...waiver, expires_at: 'soon' }, { now })).toThrow('expires_at must be a timestamp');
+    expect(() => validateWaiver({ ...waiver, expires_at: '2023-12-31' }, { now })).toThrow('expires_at must be in the future');
+    expect(() => validateWaiver({ ...waiver, expires_at: '2025-06-01' }, { now })).toThrow('expires_at must be within 365 days');
+    expect(() => validateWaiver([], { now })).toThrow('Waiver must be a JSON object');
+  });
+
+  test('should only accept known violation types and * as the rule', () => {
+    const rules = ['collectionsWithoutSpecs', 'paymentsResponseTimeTests'];
+
+    expect(validateWaiver({ ...waiver, rule: 'paymentsResponseTimeTests' }, { rules, now }).rule).toBe('paymentsResponseTimeTests');
+    expect(validateWaiver({ ...waiver, rule: '*' }, { rules, now }).rule).toBe('*');
+    expect(() => validateWaiver({ ...waiver, rule: 'collectionWithoutSpecs' }, { rules, now }))
+      .toThrow('rule "collectionWithoutSpecs" is not a known violation type');
+  });
+
+  test('should only accept justification, approver and expiry changes on update', () => {
+    expect(validateWaiver({ expires_at: '2024-02-01' }, { partial: true, now })).toEqual({ expiresAt: '2024-02-01T00:00:00.000Z' });
+    expect(() => validateWaiver({ entity: '*' }, { partial: true, now })).toThrow('entity cannot be changed');
+  });
+});
+
+describe('GovernanceCalculator waivers', () => {
+  const documented = { name: 'List', request: { method: 'GET', url: 'https://api.example.com/users', description: 'Lists users' }, response: [{ name: 'OK' }] };
+  const undocumented = { name: 'Charge', request: { method: 'POST', url: 'https://sandbox.example.com/charge' } };
+  const data = {
+    user: { user: { id: 1, email: 'owner@example.com', fullName: 'Owner' } },
+    workspaces: [{ id: 'ws-1', name: 'PLATFORM-Core', type: 'team' }],
+    collections: [
+      { uid: 'col-1', name: 'Users API', owner: 'ws-1', item: [documented] },
+      { uid: 'col-2', name: 'Sandbox Payments', owner: 'ws-1', item: [undocumented] }
+    ],
+    environments: [],
+    apiSpecs: [],
+    userGroups: [],
+    monitors: [],
+    mocks: []
+  };
+  const waivers = [{ id: 7, rule: 'missingDocumentation', entity_pattern: 'Sandbox *', expires_at: '2099-01-01T00:00:00.000Z' }];
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should leave waived collections out of the score and mark their violations', async () => {
+    const calculator = new GovernanceCalculator(null, {
+      weights: {},
+      thresholds: { min_documentation_coverage: 80 },
+      limits: { max_collection_analysis: -1 }
+    }, mockLogger);
+
+    const unwaived = await calculator.calculateGovernanceMetrics(data);
+    const metrics = await calculator.calculateGovernanceMetrics(data, { waivers });
+    const violations = await calculator.calculateGovernanceViolations(data, { waivers });
+
+    expect(unwaived.documentationCoverage.coverage).toBe(50);
+    expect(metrics.documentationCoverage).toMatchObject({ coverage: 100, totalEndpoints: 1 });
+    expect(metrics.testCoverage.totalEndpoints).toBe(2);
+    expect(metrics.waivers).toEqual({
+      active: 1,
+      excludedFromScores: { documentationCoverage: 1, testCoverage: 0, organizationStructure: 0, securityPosture: 0, specLint: 0 }
+    });
+    expect(violations.missingDocumentation).toEqual([
+      expect.objectContaining({ id: 'col-2', waiverId: 7, waiverExpiresAt: '2099-01-01T00:00:00.000Z' })
+    ]);
+    expect(violations.untestedCollections.every(violation => violation.waiverId === undefined)).toBe(true);
+  });
+
+  test('should leave waived entities out of the organization and spec lint scores only where the rule is scored', async () => {
+    const calculator = new GovernanceCalculator(null, {
+      weights: {},
+      thresholds: {},
+      limits: { max_collection_analysis: -1 }
+    }, mockLogger);
+    const document = { openapi: '3.0.0', info: { title: 'Users', version: '1' }, paths: { '/users': { get: { responses: { 200: { description: 'OK' } } } } } };
+    const sandbox = {
+      ...data,
+      workspaces: [{ id: 'ws-1', name: 'PLATFORM-Core', type: 'private' }, { id: 'ws-2', name: 'Sandbox Shared', type: 'team' }],
+      apiSpecs: [{ id: 'api-1', name: 'Sandbox Users', schema: { id: 's-1', type: 'openapi:3', document } }]
+    };
+    const sandboxWaivers = ['collectionsWithoutSpecs', 'workspaceTypeMismatches', 'specLintFailures']
+      .map((rule, i) => ({ id: 10 + i, rule, entity_pattern: 'Sandbox *', expires_at: '2099-01-01T00:00:00.000Z' }));
+
+    const unwaived = await calculator.calculateGovernanceMetrics(sandbox);
+    const metrics = await calculator.calculateGovernanceMetrics(sandbox, { waivers: sandboxWaivers });
+
+    expect(unwaived.organizationStructure.privateWorkspaceRatio).toBe(0.5);
+    expect(metrics.organizationStructure).toMatchObject({ totalWorkspaces: 1, privateWorkspaceRatio: 1 });
+    expect(metrics.organizationStructure.namingConventionScore).toBe(unwaived.organizationStructure.namingConventionScore);
+    expect(unwaived.specLint.failedChecks).toBeGreaterThan(0);
+    expect(metrics.specLint).toMatchObject({ score: 100, lintedSpecs: 0 });
+    expect(metrics.waivers.excludedFromScores).toEqual({
+      documentationCoverage: 0, testCoverage: 0, organizationStructure: 1, securityPosture: 0, specLint: 1
+    });
+  });
+});
+
+describe('Waiver API', () => {
+  let app;
+  let db;
+
+  const body = {
+    rule: 'collectionsWithoutSpecs',
+    entity: 'Sandbox *',
+    justification: 'Third-party sandbox collections have no spec',
+    approver: 'api-governance@example.com',
+    expires_at: inDays(10)
+  };
+
+  beforeEach(async () => {
+    db = new DatabaseManager({ path: ':memory:', pragma_settings: {} }, mockLogger);
+    await db.initialize();
+
+    app = new GovernanceCollectorApp();
+    app.logger = mockLogger;
+    app.db = db;
+    app.config = { governance: { waivers: { max_duration_days: 90 } } };
+    app.teams = [{ name: 'default' }];
+    app.app = express();
+    app.app.use(express.json());
+    app.setupRoutes();
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.clearAllMocks();
+  });
+
+  test('should create a waiver and audit-log it', async () => {
+    const response = await request(app.app).post('/api/governance/waivers').send(body);
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({
+      id: 1,
+      team: null,
+      rule: 'collectionsWithoutSpecs',
+      entity_pattern: 'Sandbox *',
+      approver: 'api-governance@example.com',
+      status: 'active',
+      waived_violations: 0
+    });
+    expect(mockLogger.audit).toHaveBeenCalledWith('governance_waiver_created', expect.objectContaining({
+      waiver_id: 1,
+      rule: 'collectionsWithoutSpecs',
+      justification: 'Third-party sandbox collections have no spec',
+      expires_at: response.body.expires_at
+    }));
+  });
+
+  test('should reject invalid waivers and unknown teams', async () => {
+    const missing = await request(app.app).post('/api/governance/waivers').send({ ...body, justification: '' });
+    const tooLong = await request(app.app).post('/api/governance/waivers').send({ ...body, expires_at: inDays(120) });
+    const team = await request(app.app).post('/api/governance/waivers').send({ ...body, team: 'search' });
+    const rule = await request(app.app).post('/api/governance/waivers').send({ ...body, rule: 'collectionWithoutSpecs' });
+
+    expect([missing.status, tooLong.status, team.status, rule.status]).toEqual([400, 400, 400, 400]);
+    expect(rule.body.error).toBe('rule "collectionWithoutSpecs" is not a known violation type');
+    expect(missing.body.error).toBe('justification is required');
+    expect(tooLong.body.error).toBe('expires_at must be within 90 days');
+    expect(team.body.error).toBe('Unknown team "search"');
+    expect(mockLogger.audit).not.toHaveBeenCalled();
+  });
+
+  test('should extend and revoke waivers, audit-logging each change', async () => {
+    await request(app.app).post('/api/governance/waivers').send(body);
+
+    const extended = await request(app.app).patch('/api/governance/waivers/1').send({ expires_at: inDays(60) });
+    const revoked = await request(app.app).delete('/api/governance/waivers/1');
+    const again = await request(app.app).delete('/api/governance/waivers/1');
+    const missing = await request(app.app).patch('/api/governance/waivers/9').send({ approver: 'someone' });
+
+    expect(extended.status).toBe(200);
+    expect(mockLogger.audit).toHaveBeenCalledWith('governance_waiver_updated', expect.objectContaining({
+      waiver_id: 1,
+      team: null,
+      changes: { expires_at: { from: body.expires_at, to: extended.body.expires_at } }
+    }));
+    expect(revoked.body).toMatchObject({ status: 'revoked', revoked_by: expect.any(String) });
+    expect(mockLogger.audit).toHaveBeenCalledWith('governance_waiver_revoked', expect.objectContaining({ waiver_id: 1 }));
+    expect(again.status).toBe(409);
+    expect(missing.status).toBe(404);
+    expect((await request(app.app).get('/api/governance/waivers?status=revoked')).body).toHaveLength(1);
+    expect((await request(app.app).get('/api/governance/waivers')).body).toEqual([]);
+  });
+
+  test('should report expiring waivers and list waived violations apart from open ones', async () => {
+    await request(app.app).post('/api/governance/waivers').send(body);
+    await request(app.app).post('/api/governance/waivers').send({ ...body, entity: 'col-9', expires_at: inDays(45) });
+    const [waiver] = await db.getActiveWaivers('default');
+    await db.storeMetrics({ overallGovernanceScore: 70 }, {
+      collectionsWithoutSpecs: [
+        { id: 'col-1', name: 'Sandbox Payments', severity: 'medium', waiverId: waiver.id },
+        { id: 'col-2', name: 'Orders API', severity: 'medium' }
+      ]
+    });
+
+    const expiring = await request(app.app).get('/api/governance/waivers/expiring');
+    const open = await request(app.app).get('/api/governance/violations/lifecycle');
+    const waived = await request(app.app).get('/api/governance/violations/lifecycle?status=waived');
+
+    expect(expiring.body).toEqual([expect.objectContaining({ id: 1, days_remaining: 9, waived_violations: 1 })]);
+    expect(open.body.map(row => row.entity_name)).toEqual(['Orders API']);
+    expect(waived.body).toEqual([expect.objectContaining({ entity_name: 'Sandbox Payments', waiver_id: 1 })]);
+    expect(await db.getViolationSummary()).toEqual([{ violation_type: 'collectionsWithoutSpecs', count: 1 }]);
+  });
+});
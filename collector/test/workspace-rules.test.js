@@ -0,0 +1,143 @@
+/**
+ * Workspace Rules Tests
+ * Tests for workspace naming, asset ID, required tag and workspace type rules
+ */
+
+const WorkspaceRules = require('../src/governance/workspace-rules');
+const GovernanceCalculator = require('../src/governance/calculator');
+
+// Mock logger for tests
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  audit: jest.fn()
+};
+
+const compliant = {
+  id: 'ws-1',
+  name: 'PAYMENTS-Checkout',
+  type: 'private',
+  description: 'Checkout APIs',
+  tags: [{ slug: 'asset-1042' }, { slug: 'team-payments' }, { slug: 'environment-dev' }]
+};
+
+describe('WorkspaceRules', () => {
+  const rules = new WorkspaceRules({ requiredTagKeys: ['team', 'Environment'] });
+
+  test('should pass a workspace that follows every rule', () => {
+    expect(rules.evaluate(compliant)).toEqual([]);
+  });
+
+  test('should report each failed rule with its violation type', () => {
+    const failures = rules.evaluate({ id: 'ws-2', name: 'Payments dev sandbox', type: 'team', tags: [{ slug: 'team:payments' }] });
+
+    expect(failures.map(failure => [failure.rule, failure.type, failure.severity])).toEqual([
+      ['naming', 'workspaceNamingViolations', 'low'],
+      ['asset-id', 'missingAssetIds', 'medium'],
+      ['required-tags', 'missingWorkspaceTags', 'low'],
+      ['dev-workspace-type', 'workspaceTypeMismatches', 'high']
+    ]);
+    expect(failures[2].missingTags).toEqual(['environment']);
+    expect(failures[3]).toMatchObject({ workspaceType: 'team', expectedType: 'private' });
+  });
+
+  test('should accept asset IDs from the description and skip tag rules when tags were not collected', () => {
+    expect(rules.evaluate({ ...compliant, tags: [{ slug: 'team-payments' }, { slug: 'environment' }], description: 'Owned by ASSET-311' })).toEqual([]);
+    expect(rules.evaluate({ ...compliant, tags: undefined })).toEqual([]);
+  });
+
+  test('should detect development workspaces by tag', () => {
+    const failures = rules.evaluate({ ...compliant, type: 'team' });
+
+    expect(failures.map(failure => failure.rule)).toEqual(['dev-workspace-type']);
+  });
+
+  test('should apply configured patterns, tag keys and severities', () => {
+    const configured = WorkspaceRules.fromConfig({
+      naming_pattern: '^ws-',
+      asset_id_pattern: '^AID\\d+$',
+      required_tag_keys: ['owner'],
+      severities: { naming: 'medium', 'dev-workspace-type': false }
+    });
+
+    const failures = configured.evaluate({ ...compliant, type: 'team', tags: [{ slug: 'aid42' }] });
+
+    expect(failures.map(failure => [failure.rule, failure.severity])).toEqual([
+      ['naming', 'medium'],
+      ['required-tags', 'low']
+    ]);
+    expect(WorkspaceRules.fromConfig({ enabled: false }).evaluate({ name: 'x', tags: [] })).toEqual([]);
+  });
+
+  test('should name the setting of an invalid pattern', () => {
+    expect(() => WorkspaceRules.fromConfig({ asset_id_pattern: '(' }))
+      .toThrow('Invalid governance.workspace_rules.asset_id_pattern');
+  });
+});
+
+describe('GovernanceCalculator workspace rules', () => {
+  let calculator;
+  let data;
+
+  beforeEach(() => {
+    calculator = new GovernanceCalculator(null, {
+      weights: {},
+      thresholds: {},
+      limits: { max_collection_analysis: -1 },
+      workspace_rules: { required_tag_keys: ['team'] }
+    }, mockLogger);
+    data = {
+      user: { user: { id: 1, email: 'owner@example.com', fullName: 'Owner' } },
+      workspaces: [
+        compliant,
+        { id: 'ws-2', name: 'Growth Dev', type: 'team', tags: [] }
+      ],
+      collections: [],
+      environments: [],
+      apiSpecs: [],
+      userGroups: [],
+      monitors: [],
+      mocks: []
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should summarize rule failures per workspace', () => {
+    const workspaceRules = calculator.calculateWorkspaceRules(data.workspaces);
+
+    expect(workspaceRules).toMatchObject({
+      evaluatedWorkspaces: 2,
+      compliantWorkspaces: 1,
+      failuresByRule: { naming: 1, 'asset-id': 1, 'required-tags': 1, 'dev-workspace-type': 1 }
+    });
+    expect(workspaceRules.workspaces.map(workspace => workspace.workspaceId)).toEqual(['ws-2']);
+  });
+
+  test('should report every rule failure as a typed violation', async () => {
+    const violations = await calculator.calculateGovernanceViolations(data);
+
+    expect(violations.workspaceNamingViolations).toHaveLength(1);
+    expect(violations.missingAssetIds).toHaveLength(1);
+    expect(violations.missingWorkspaceTags).toEqual([expect.objectContaining({
+      id: 'ws-2',
+      name: 'Growth Dev',
+      workspaceName: 'Growth Dev',
+      workspaceAdminEmail: 'owner@example.com',
+      rule: 'required-tags',
+      missingTags: ['team'],
+      severity: 'low',
+      description: 'Missing required tag(s): team'
+    })]);
+    expect(violations.workspaceTypeMismatches).toEqual([expect.objectContaining({
+      id: 'ws-2',
+      workspaceType: 'team',
+      expectedType: 'private',
+      severity: 'high'
+    })]);
+  });
+});